@@ -1,22 +1,26 @@
 #!/usr/bin/env node
 
 import { Command } from 'commander';
-import { CreateProjectCommand } from '../src/commands/project/create.js';
+import { CommandRegistry } from '../src/commands/registry.js';
+import { ConfigManager } from '../src/managers/configManager.js';
+import { ErrorHandler } from '../src/utils/errorHandler.js';
+import { ValidationError } from '../src/utils/errors.js';
 import dotenv from 'dotenv';
 
 // Load environment variables
 dotenv.config();
 
-// Configuration validation
-if (!process.env.GITHUB_TOKEN) {
-  console.error('Error: GITHUB_TOKEN environment variable is required');
-  process.exit(1);
-}
+const errorHandler = new ErrorHandler();
 
-// CLI Configuration
-const config = {
-  githubToken: process.env.GITHUB_TOKEN
-};
+// CLI Configuration: defaults < user file < .pimpapirc < env < flags
+const configManager = new ConfigManager();
+let config;
+try {
+  // Values are checked once flags are applied, before any command runs
+  config = await configManager.load({}, { strict: false });
+} catch (error) {
+  errorHandler.handleValidationError(error);
+}
 
 // Initialize Commander
 const program = new Command();
@@ -27,9 +31,36 @@ program
   .description('CLI for advanced API development with pattern recognition')
   .version('1.0.0');
 
+configManager.registerOptions(program);
+
 // Register commands
-const createProject = new CreateProjectCommand(config);
-createProject.register(program);
+const registry = new CommandRegistry(config);
+try {
+  await registry.registerAll(program);
+} catch (error) {
+  console.error('Error:', error.message);
+  process.exit(1);
+}
+
+// Apply flag overrides and check each command's required configuration
+program.hook('preAction', (thisCommand, actionCommand) => {
+  configManager.applyFlags(actionCommand.optsWithGlobals());
+
+  const commandName = actionCommand.parent === program
+    ? actionCommand.name()
+    : `${actionCommand.parent.name()} ${actionCommand.name()}`;
+
+  try {
+    // The config command loads and checks the configuration itself, so it can still repair invalid values
+    if (commandName.split(' ')[0] !== 'config') configManager.assertValid();
+    configManager.assertRequired(registry.getRequiredConfig(actionCommand), commandName);
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      errorHandler.handleValidationError(error);
+    }
+    throw error;
+  }
+});
 
 // Parse and execute
 program.parse(process.argv);
@@ -1,245 +1,269 @@
-import { QdrantClient } from '@qdrant/js-client-rest';
-
+// Patterns are plain records: { id, type, dependencies: [id], history: [{ version, change }] }.
+// Everything below is computed from the patterns file itself, so analysis runs offline.
 export class PatternAnalyzer {
   constructor(config) {
     this.config = config;
-    this.qdrant = new QdrantClient({
-      url: config.qdrantUrl,
-      apiKey: config.qdrantApiKey
-    });
-    this.analysisCache = new Map();
-    this.evolutionHistory = new Map();
+    this.maxDepth = config.maxDepth || 3;
   }
 
   async analyzePatterns(patterns, context = {}) {
+    const depth = context.depth || this.maxDepth;
+
     // Level 1: Foundation Analysis
     const foundation = await this.analyzeFoundation(patterns);
-    
+
     // Level 2: Relationship Mapping
-    const relationships = await this.mapRelationships(foundation);
-    
+    const relationships = await this.mapRelationships(foundation, depth);
+
     // Level 3: Evolution Analysis
-    const evolution = await this.analyzeEvolution(relationships);
-    
+    const evolution = await this.analyzeEvolution(relationships, depth);
+
     // Level 4: Strategic Synthesis
-    return await this.synthesizeStrategy(foundation, relationships, evolution, context);
+    return await this.synthesizeStrategy(foundation, relationships, evolution);
   }
 
   async analyzeFoundation(patterns) {
-    const analysis = {
-      structural: await this.analyzeStructure(patterns),
-      behavioral: await this.analyzeBehavior(patterns),
-      semantic: await this.analyzeSemantics(patterns),
-      metrics: this.calculateBaseMetrics(patterns)
-    };
+    const nodes = new Map();
+    patterns.forEach((pattern, index) => {
+      const id = String(pattern.id ?? pattern.name ?? `pattern-${index + 1}`);
+      nodes.set(id, {
+        id,
+        type: pattern.type || 'unknown',
+        dependencies: Array.isArray(pattern.dependencies) ? pattern.dependencies.map(String) : [],
+        history: Array.isArray(pattern.history) ? pattern.history : []
+      });
+    });
+
+    const types = new Map();
+    for (const node of nodes.values()) {
+      types.set(node.type, (types.get(node.type) || 0) + 1);
+    }
 
+    const unresolved = [];
+    for (const node of nodes.values()) {
+      node.dependencies
+        .filter(dependency => !nodes.has(dependency))
+        .forEach(dependency => unresolved.push({ from: node.id, to: dependency }));
+    }
+
+    const typed = Array.from(nodes.values()).filter(node => node.type !== 'unknown').length;
     return {
-      ...analysis,
-      confidence: this.calculateConfidence(analysis),
-      insights: await this.generateInsights(analysis)
+      nodes,
+      types,
+      unresolved,
+      metrics: {
+        patterns: nodes.size,
+        types: types.size,
+        unresolved: unresolved.length
+      },
+      confidence: nodes.size === 0 ? 0 : typed / nodes.size
     };
   }
 
-  async mapRelationships(foundation) {
+  async mapRelationships(foundation, depth = this.maxDepth) {
     const relationships = new Map();
-    
+
     // Level 1: Direct Dependencies
-    const dependencies = await this.analyzeDependencies(foundation);
+    const dependencies = this.analyzeDependencies(foundation);
     relationships.set('dependencies', dependencies);
-    
+
     // Level 2: Indirect Influences
-    const influences = await this.analyzeInfluences(foundation, dependencies);
+    const influences = this.traceInfluences(foundation, dependencies, depth);
     relationships.set('influences', influences);
-    
+
     // Level 3: Evolutionary Paths
-    const evolution = await this.mapEvolutionaryPaths(foundation, influences);
+    const evolution = this.mapEvolutionaryPaths(foundation, depth);
     relationships.set('evolution', evolution);
-    
+
     // Level 4: Synthesis
     return {
       map: relationships,
-      metrics: this.calculateRelationshipMetrics(relationships),
-      insights: await this.synthesizeRelationshipInsights(relationships)
+      metrics: this.calculateRelationshipMetrics(foundation, relationships)
     };
   }
 
-  async analyzeEvolution(relationships) {
+  async analyzeEvolution(relationships, depth = this.maxDepth) {
     // Phase 1: Historical Analysis
-    const history = await this.analyzeHistoricalPatterns(relationships);
-    
+    const history = relationships.map.get('evolution');
+
     // Phase 2: Trend Identification
-    const trends = await this.identifyEvolutionaryTrends(history);
-    
-    // Phase 3: Future Projection
-    const projections = await this.projectEvolutionaryPaths(trends);
-    
-    // Phase 4: Risk Assessment
-    const risks = await this.assessEvolutionaryRisks(projections);
-    
+    const trends = this.identifyEvolutionaryTrends(history);
+
+    // Phase 3: Risk Assessment
+    const risks = this.assessEvolutionaryRisks(relationships, trends);
+
     return {
-      history,
+      depth,
       trends,
-      projections,
       risks,
-      confidence: this.calculateEvolutionConfidence(history, trends, projections)
+      confidence: history.length === 0 ? 0 : Math.min(1, history.reduce((sum, path) => sum + path.steps.length, 0) / (history.length * depth))
     };
   }
 
-  async synthesizeStrategy(foundation, relationships, evolution, context) {
-    // Level 1: Context Integration
-    const integratedContext = await this.integrateContext(foundation, relationships, evolution, context);
-    
-    // Level 2: Strategy Formation
-    const strategies = await this.formStrategies(integratedContext);
-    
-    // Level 3: Optimization
-    const optimized = await this.optimizeStrategies(strategies);
-    
-    // Level 4: Validation
-    return await this.validateAndRefineStrategies(optimized);
-  }
+  async synthesizeStrategy(foundation, relationships, evolution) {
+    // Level 1: Strategy Formation
+    const strategies = this.formStrategies(foundation, relationships, evolution);
 
-  // Pattern Analysis Methods
-  async analyzeStructure(patterns) {
-    return {
-      components: this.identifyStructuralComponents(patterns),
-      relationships: await this.mapStructuralRelationships(patterns),
-      complexity: this.calculateStructuralComplexity(patterns),
-      patterns: await this.extractStructuralPatterns(patterns)
-    };
-  }
+    // Level 2: Refinement
+    const confidence = evolution.trends.size === 0
+      ? foundation.confidence
+      : (foundation.confidence + evolution.confidence) / 2;
+    const refined = new Map();
+    for (const [level, strategy] of Object.entries(strategies)) {
+      refined.set(level, {
+        ...strategy,
+        refinements: strategy.core.actions.map(action => action.description),
+        confidence
+      });
+    }
 
-  async analyzeBehavior(patterns) {
+    // Level 3: Synthesis
     return {
-      interactions: await this.analyzeInteractions(patterns),
-      workflows: this.identifyWorkflows(patterns),
-      adaptability: await this.assessAdaptability(patterns),
-      efficiency: this.calculateBehavioralEfficiency(patterns)
+      strategies: refined,
+      metrics: {
+        ...foundation.metrics,
+        ...relationships.metrics,
+        risks: evolution.risks.length,
+        confidence
+      },
+      recommendations: Array.from(refined.values()).flatMap(strategy => strategy.refinements)
     };
   }
 
-  async analyzeSemantics(patterns) {
-    return {
-      meaning: await this.extractSemanticMeaning(patterns),
-      context: this.analyzeSemanticContext(patterns),
-      relationships: await this.mapSemanticRelationships(patterns),
-      evolution: this.trackSemanticEvolution(patterns)
-    };
+  // Relationship Mapping Methods
+  analyzeDependencies(foundation) {
+    const dependencies = [];
+    for (const node of foundation.nodes.values()) {
+      node.dependencies
+        .filter(dependency => foundation.nodes.has(dependency))
+        .forEach(dependency => dependencies.push({ from: node.id, to: dependency, level: 1 }));
+    }
+    return dependencies;
   }
 
-  // Evolution Analysis Methods
-  async analyzeHistoricalPatterns(relationships) {
-    const history = [];
-    for (const [type, patterns] of relationships.map) {
-      const typeHistory = await this.analyzeTypeHistory(type, patterns);
-      history.push({
-        type,
-        patterns: typeHistory,
-        metrics: this.calculateHistoricalMetrics(typeHistory)
-      });
+  // Direct dependencies are level 1; each recursion follows them one level further
+  traceInfluences(foundation, sources, depth, level = 2, seen = new Set(sources.map(({ from, to }) => `${from}->${to}`))) {
+    if (level > depth) {
+      return [];
     }
-    return history;
-  }
 
-  async identifyEvolutionaryTrends(history) {
-    const trends = new Map();
-    for (const record of history) {
-      trends.set(record.type, {
-        patterns: await this.extractTrendPatterns(record),
-        velocity: this.calculateEvolutionVelocity(record),
-        direction: this.determineEvolutionDirection(record),
-        confidence: this.calculateTrendConfidence(record)
-      });
+    const influences = this.analyzeInfluences(foundation, sources, level, seen);
+    if (influences.length === 0) {
+      return influences;
     }
-    return trends;
+
+    // Follow indirect influences until the depth limit is reached
+    const indirect = this.traceInfluences(foundation, influences, depth, level + 1, seen);
+    return [...influences, ...indirect];
   }
 
-  async projectEvolutionaryPaths(trends) {
-    const projections = [];
-    for (const [type, trend] of trends) {
-      projections.push({
-        type,
-        shortTerm: await this.projectShortTerm(trend),
-        mediumTerm: await this.projectMediumTerm(trend),
-        longTerm: await this.projectLongTerm(trend),
-        confidence: this.calculateProjectionConfidence(trend)
-      });
+  // One hop further than the sources; pairs already seen are dropped, so cycles end
+  analyzeInfluences(foundation, sources, level, seen) {
+    const influences = [];
+    for (const { from, to } of sources) {
+      for (const next of foundation.nodes.get(to).dependencies) {
+        const key = `${from}->${next}`;
+        if (next === from || !foundation.nodes.has(next) || seen.has(key)) continue;
+        seen.add(key);
+        influences.push({ from, to: next, via: to, level });
+      }
     }
-    return projections;
+    return influences;
   }
 
-  // Strategy Formation Methods
-  async formStrategies(context) {
+  // The last `depth` recorded changes of each pattern with a history
+  mapEvolutionaryPaths(foundation, depth) {
+    return Array.from(foundation.nodes.values())
+      .filter(node => node.history.length > 0)
+      .map(node => ({
+        id: node.id,
+        type: node.type,
+        changes: node.history.length,
+        steps: node.history.slice(-depth)
+      }));
+  }
+
+  calculateRelationshipMetrics(foundation, relationships) {
+    const size = foundation.nodes.size;
+    const dependencies = relationships.get('dependencies');
+    const dependents = new Map();
+    dependencies.forEach(({ to }) => dependents.set(to, (dependents.get(to) || 0) + 1));
+    const [central, count] = Array.from(dependents.entries()).sort((a, b) => b[1] - a[1])[0] || [null, 0];
+
     return {
-      immediate: await this.formImmediateStrategies(context),
-      tactical: await this.formTacticalStrategies(context),
-      strategic: await this.formStrategicPlans(context),
-      transformative: await this.formTransformativeVision(context)
+      dependencies: dependencies.length,
+      influences: relationships.get('influences').length,
+      density: size < 2 ? 0 : dependencies.length / (size * (size - 1)),
+      centrality: central ? { id: central, dependents: count } : null
     };
   }
 
-  async optimizeStrategies(strategies) {
-    const optimized = new Map();
-    for (const [level, strategy] of Object.entries(strategies)) {
-      optimized.set(level, {
-        core: await this.optimizeCore(strategy),
-        execution: this.optimizeExecution(strategy),
-        resources: await this.optimizeResources(strategy),
-        metrics: this.calculateOptimizationMetrics(strategy)
-      });
+  // Evolution Analysis Methods
+  identifyEvolutionaryTrends(history) {
+    const trends = new Map();
+    for (const path of history) {
+      const trend = trends.get(path.type) || { patterns: 0, changes: 0 };
+      trend.patterns += 1;
+      trend.changes += path.changes;
+      trends.set(path.type, trend);
     }
-    return optimized;
-  }
 
-  async validateAndRefineStrategies(optimized) {
-    const validated = new Map();
-    for (const [level, strategy] of optimized) {
-      const validation = await this.validateStrategy(strategy);
-      const refinements = await this.generateRefinements(strategy, validation);
-      validated.set(level, {
-        ...strategy,
-        validation,
-        refinements,
-        confidence: this.calculateStrategyConfidence(strategy, validation)
-      });
+    for (const trend of trends.values()) {
+      trend.velocity = trend.changes / trend.patterns;
+      trend.direction = trend.velocity > 2 ? 'volatile' : trend.velocity > 1 ? 'evolving' : 'stable';
     }
-    return {
-      strategies: validated,
-      metrics: this.calculateOverallMetrics(validated),
-      recommendations: await this.generateRecommendations(validated)
-    };
+    return trends;
   }
 
-  // Utility Methods
-  calculateConfidence(analysis) {
-    const weights = {
-      structural: 0.3,
-      behavioral: 0.3,
-      semantic: 0.2,
-      metrics: 0.2
-    };
-
-    return Object.entries(weights).reduce((confidence, [key, weight]) => {
-      const score = this.calculateComponentConfidence(analysis[key]);
-      return confidence + (score * weight);
-    }, 0);
+  assessEvolutionaryRisks(relationships, trends) {
+    const dependencies = relationships.map.get('dependencies');
+    const risks = [];
+    for (const path of relationships.map.get('evolution')) {
+      const dependents = dependencies.filter(({ to }) => to === path.id).length;
+      if (dependents > 0 && trends.get(path.type)?.direction !== 'stable') {
+        risks.push({ id: path.id, dependents, changes: path.changes, risk: 'breaking-change' });
+      }
+    }
+    return risks;
   }
 
-  async generateInsights(analysis) {
+  // Strategy Formation Methods
+  formStrategies(foundation, relationships, evolution) {
+    const action = (description, patterns) => ({ description, patterns });
+    const reach = new Set([...relationships.map.get('dependencies'), ...relationships.map.get('influences')]
+      .map(({ from, to }) => `${from}->${to}`));
+    const cycles = new Map();
+    relationships.map.get('dependencies')
+      .filter(({ from, to }) => reach.has(`${to}->${from}`))
+      .forEach(edge => cycles.set([edge.from, edge.to].sort().join(), edge));
+    const volatile = Array.from(evolution.trends.entries())
+      .filter(([, trend]) => trend.direction !== 'stable');
+    const centrality = relationships.metrics.centrality;
+
     return {
-      structural: await this.extractStructuralInsights(analysis.structural),
-      behavioral: await this.extractBehavioralInsights(analysis.behavioral),
-      semantic: await this.extractSemanticInsights(analysis.semantic),
-      composite: await this.synthesizeCompositeInsights(analysis)
+      immediate: this.formStrategy('Resolve broken references', foundation.unresolved.map(({ from, to }) =>
+        action(`Define ${to} or remove it from the dependencies of ${from}`, [from]))),
+      tactical: this.formStrategy('Stabilize patterns other patterns depend on', evolution.risks.map(risk =>
+        action(`Version ${risk.id} before changing it again (${risk.dependents} dependent pattern(s))`, [risk.id]))),
+      strategic: this.formStrategy('Reduce coupling', [
+        ...Array.from(cycles.values()).map(({ from, to }) => action(`Break the dependency cycle through ${from} -> ${to}`, [from, to])),
+        ...(centrality && centrality.dependents > 1
+          ? [action(`Keep ${centrality.id} backwards compatible; ${centrality.dependents} patterns depend on it`, [centrality.id])]
+          : [])
+      ]),
+      transformative: this.formStrategy('Consolidate evolving pattern types', volatile.map(([type, trend]) =>
+        action(`Consolidate ${type} patterns (${trend.velocity.toFixed(1)} changes per pattern)`,
+          Array.from(foundation.nodes.values()).filter(node => node.type === type).map(node => node.id))))
     };
   }
 
-  calculateRelationshipMetrics(relationships) {
+  formStrategy(goal, actions) {
+    const patterns = new Set(actions.flatMap(action => action.patterns));
     return {
-      density: this.calculateNetworkDensity(relationships),
-      centrality: this.calculateCentralityMetrics(relationships),
-      clustering: this.calculateClusteringCoefficients(relationships),
-      modularity: this.calculateModularityScore(relationships)
+      core: { goal, actions },
+      execution: { steps: actions.length, order: actions.length > 1 ? 'sequential' : 'single' },
+      resources: { patterns: Array.from(patterns) },
+      metrics: { actions: actions.length, patterns: patterns.size }
     };
   }
 }
@@ -0,0 +1,49 @@
+import { PatternAnalyzer } from './patternAnalyzer.js';
+
+const PATTERNS = [
+  { id: 'a', type: 'resource', dependencies: ['b', 'missing'], history: [{ version: 1 }, { version: 2 }, { version: 3 }] },
+  { id: 'b', type: 'resource', dependencies: ['c'], history: [{ version: 1 }, { version: 2 }, { version: 3 }] },
+  { id: 'c', type: 'schema', dependencies: ['d'] },
+  { id: 'd', type: 'schema', dependencies: ['a'] }
+];
+
+describe('PatternAnalyzer', () => {
+  const analyzer = new PatternAnalyzer({});
+
+  it('returns a strategy for each level with metrics and recommendations', async () => {
+    const analysis = await analyzer.analyzePatterns(PATTERNS);
+
+    expect(Array.from(analysis.strategies.keys())).toEqual(['immediate', 'tactical', 'strategic', 'transformative']);
+    expect(analysis.strategies.get('immediate').refinements).toEqual(['Define missing or remove it from the dependencies of a']);
+    expect(analysis.strategies.get('tactical').resources.patterns).toEqual(['a', 'b']);
+    expect(analysis.metrics).toMatchObject({ patterns: 4, types: 2, unresolved: 1, dependencies: 4, risks: 2 });
+    expect(analysis.recommendations).toContain('Consolidate resource patterns (3.0 changes per pattern)');
+  });
+
+  it('follows influences no deeper than the depth and stops at cycles', async () => {
+    const foundation = await analyzer.analyzeFoundation(PATTERNS);
+
+    const shallow = await analyzer.mapRelationships(foundation, 1);
+    const deep = await analyzer.mapRelationships(foundation, 10);
+
+    expect(shallow.map.get('influences')).toEqual([]);
+    expect(Math.max(...deep.map.get('influences').map(influence => influence.level))).toBe(3);
+    expect(deep.map.get('influences')).toContainEqual({ from: 'a', to: 'c', via: 'b', level: 2 });
+    expect(deep.map.get('influences')).not.toContainEqual(expect.objectContaining({ from: 'a', to: 'a' }));
+  });
+
+  it('keeps only the last depth changes of each evolutionary path', async () => {
+    const foundation = await analyzer.analyzeFoundation(PATTERNS);
+
+    const { map } = await analyzer.mapRelationships(foundation, 2);
+
+    expect(map.get('evolution')[0]).toEqual({ id: 'a', type: 'resource', changes: 3, steps: [{ version: 2 }, { version: 3 }] });
+  });
+
+  it('reports the dependency cycle once the depth reaches around it', async () => {
+    const cycle = 'Break the dependency cycle through a -> b';
+
+    expect((await analyzer.analyzePatterns(PATTERNS, { depth: 2 })).recommendations).not.toContain(cycle);
+    expect((await analyzer.analyzePatterns(PATTERNS, { depth: 3 })).recommendations).toContain(cycle);
+  });
+});
@@ -0,0 +1,198 @@
+import { basename, extname, resolve } from 'path';
+import { RefResolver } from '../validation/refResolver.js';
+import { ValidationError } from '../utils/errors.js';
+
+export class SpecBundler {
+  constructor(options = {}) {
+    this.loadDocument = options.loadDocument;
+    this.componentSections = [
+      'schemas', 'responses', 'parameters', 'examples', 'requestBodies',
+      'headers', 'securitySchemes', 'links', 'callbacks'
+    ];
+    this.schemaKeywords = ['schema', 'items', 'additionalProperties', 'not', 'contains', 'propertyNames', 'if', 'then', 'else'];
+    this.schemaContainers = ['properties', 'patternProperties', 'allOf', 'oneOf', 'anyOf', 'prefixItems', '$defs', 'dependentSchemas'];
+  }
+
+  // External $refs are internalized as components; refs within the root document are kept as they are
+  async bundle(rootPath) {
+    const root = resolve(rootPath);
+    this.resolver = new RefResolver({ loadDocument: this.loadDocument });
+    this.origins = new Map([[`${root}#`, '']]);
+    this.components = {};
+    this.usedNames = {};
+    this.inlining = new Set();
+    this.errors = [];
+
+    const document = await this.resolver.getDocument(root);
+
+    // Phase 1: Components and path items that point at files keep their place in the bundle
+    await this.registerSlots(document, root);
+
+    // Phase 2: Reference Rewriting
+    const bundled = await this.walk(document, root, '', '');
+
+    if (this.errors.length > 0) {
+      throw new ValidationError(
+        'Unresolved $ref references',
+        this.errors.map(finding => finding.message),
+        this.errors
+      );
+    }
+
+    // Phase 3: Internalized Components
+    Object.entries(this.components).forEach(([section, entries]) => {
+      bundled.components = bundled.components || {};
+      bundled.components[section] = { ...bundled.components[section], ...entries };
+    });
+
+    return bundled;
+  }
+
+  async registerSlots(document, file) {
+    const slots = [
+      ...Object.entries(document.paths || {}).map(([path, pathItem]) => [`/paths/${this.escape(path)}`, pathItem])
+    ];
+    this.componentSections.forEach(section => {
+      const entries = document.components?.[section] || {};
+      this.usedNames[section] = new Set(Object.keys(entries));
+      Object.entries(entries).forEach(([name, value]) => {
+        slots.push([`/components/${section}/${this.escape(name)}`, value]);
+      });
+    });
+
+    for (const [pointer, value] of slots) {
+      if (typeof value?.$ref !== 'string' || value.$ref.startsWith('#')) continue;
+      const target = await this.resolver.resolveRef(value.$ref, file, pointer, this.errors);
+      if (target) {
+        this.origins.set(`${target.file}#${target.pointer}`, pointer);
+      }
+    }
+  }
+
+  async walk(node, file, source, output) {
+    if (Array.isArray(node)) {
+      const items = [];
+      for (let i = 0; i < node.length; i++) {
+        items.push(await this.walk(node[i], file, `${source}/${i}`, `${output}/${i}`));
+      }
+      return items;
+    }
+
+    if (!node || typeof node !== 'object') {
+      return node;
+    }
+
+    if (typeof node.$ref === 'string') {
+      return this.walkRef(node, file, source, output);
+    }
+
+    const result = {};
+    for (const [key, value] of Object.entries(node)) {
+      const segment = this.escape(key);
+      result[key] = await this.walk(value, file, `${source}/${segment}`, `${output}/${segment}`);
+    }
+    return result;
+  }
+
+  async walkRef(node, file, source, output) {
+    const { $ref, ...rest } = node;
+    const siblings = await this.walk(rest, file, source, output);
+    const target = await this.resolver.resolveRef($ref, file, source, this.errors);
+    if (!target) {
+      return { $ref, ...siblings };
+    }
+
+    // Level 1: Targets already placed in the bundle
+    const mapped = this.findOrigin(target);
+    if (mapped !== null && mapped !== output) {
+      return { $ref: `#${mapped}`, ...siblings };
+    }
+
+    // Level 2: New components for anything that has a components section
+    const section = mapped === null ? this.getSection(output) : null;
+    if (section) {
+      const name = this.reserveName(section, target);
+      const pointer = `/components/${section}/${this.escape(name)}`;
+      this.origins.set(`${target.file}#${target.pointer}`, pointer);
+      this.components[section] = this.components[section] || {};
+      // The slot is claimed before walking so components keep the order they were found in
+      this.components[section][name] = null;
+      this.components[section][name] = await this.walk(target.value, target.file, target.pointer, pointer);
+      return { $ref: `#${pointer}`, ...siblings };
+    }
+
+    // Level 3: Everything else is inlined where it is referenced
+    const key = `${target.file}#${target.pointer}`;
+    if (this.inlining.has(key)) {
+      this.errors.push({
+        ruleId: 'unresolved-ref',
+        severity: 'error',
+        message: `Circular $ref "${$ref}" at ${this.resolver.displayPath(file)}#${source} cannot be inlined`,
+        pointer: source,
+        source: { file: this.resolver.displayPath(file) }
+      });
+      return { $ref, ...siblings };
+    }
+
+    this.origins.set(key, output);
+    this.inlining.add(key);
+    const inlined = await this.walk(target.value, target.file, target.pointer, output);
+    this.inlining.delete(key);
+    return this.isObject(inlined) ? { ...inlined, ...siblings } : inlined;
+  }
+
+  // References into a placed document or component resolve relative to where it was placed
+  findOrigin(target) {
+    const segments = target.pointer.split('/');
+    for (let length = segments.length; length > 0; length--) {
+      const prefix = segments.slice(0, length).join('/');
+      const mapped = this.origins.get(`${target.file}#${prefix}`);
+      if (mapped !== undefined) {
+        return mapped + segments.slice(length).map(segment => `/${segment}`).join('');
+      }
+    }
+    return null;
+  }
+
+  getSection(pointer) {
+    const segments = pointer.split('/').slice(1).map(segment => this.unescape(segment));
+    const [parent, last] = segments.slice(-2);
+
+    if (this.schemaKeywords.includes(last) || this.schemaContainers.includes(parent) || parent === 'schemas') {
+      return 'schemas';
+    }
+    if (last === 'requestBody' || parent === 'requestBodies') {
+      return 'requestBodies';
+    }
+    return ['parameters', 'responses', 'headers', 'examples', 'links', 'callbacks', 'securitySchemes']
+      .find(section => parent === section) || null;
+  }
+
+  reserveName(section, target) {
+    const segments = target.pointer.split('/').filter(Boolean).map(segment => this.unescape(segment));
+    const fileName = basename(target.file, extname(target.file));
+    const last = segments[segments.length - 1];
+    const base = (last === undefined ? fileName : /^\d+$/.test(last) ? `${fileName}_${last}` : last)
+      .replace(/[^A-Za-z0-9._-]/g, '_');
+
+    const used = this.usedNames[section] || (this.usedNames[section] = new Set());
+    let name = base;
+    for (let index = 2; used.has(name); index++) {
+      name = `${base}${index}`;
+    }
+    used.add(name);
+    return name;
+  }
+
+  isObject(value) {
+    return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+  }
+
+  escape(segment) {
+    return this.resolver.escapePointer(segment);
+  }
+
+  unescape(segment) {
+    return this.resolver.unescapePointer(segment);
+  }
+}
@@ -0,0 +1,137 @@
+import { mkdir, mkdtemp, rm, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { SpecBundler } from './specBundler.js';
+import { ApiValidator } from '../validation/apiValidator.js';
+import { ValidationError } from '../utils/errors.js';
+
+const validator = new ApiValidator();
+const createBundler = () => new SpecBundler({ loadDocument: path => validator.loadSpec(path) });
+
+const ROOT = `openapi: 3.0.3
+info:
+  title: Pets
+  version: 1.0.0
+paths:
+  /pets:
+    $ref: ./paths/pets.yaml
+components:
+  schemas:
+    Pet:
+      type: object
+      properties:
+        name:
+          type: string
+`;
+
+const PETS = `get:
+  operationId: listPets
+  parameters:
+    - $ref: ../parameters.yaml#/limit
+  responses:
+    '200':
+      description: All pets
+      content:
+        application/json:
+          schema:
+            type: array
+            items:
+              $ref: ../schemas/pet.yaml
+    default:
+      $ref: ../responses.yaml#/Error
+`;
+
+const PET_SCHEMA = `type: object
+properties:
+  owner:
+    $ref: ./owner.yaml
+  tag:
+    $ref: ../openapi.yaml#/components/schemas/Pet/properties/name
+`;
+
+const OWNER_SCHEMA = `type: object
+properties:
+  pets:
+    type: array
+    items:
+      $ref: ./pet.yaml
+`;
+
+const PARAMETERS = `limit:
+  name: limit
+  in: query
+  schema:
+    type: integer
+`;
+
+const RESPONSES = `Error:
+  description: Something went wrong
+  content:
+    application/json:
+      schema:
+        $ref: ./schemas/pet.yaml#/properties/owner
+`;
+
+describe('SpecBundler', () => {
+  let directory;
+
+  beforeEach(async () => {
+    directory = await mkdtemp(join(tmpdir(), 'pimp-api-bundle-'));
+    await mkdir(join(directory, 'paths'));
+    await mkdir(join(directory, 'schemas'));
+    await writeFile(join(directory, 'openapi.yaml'), ROOT);
+    await writeFile(join(directory, 'paths/pets.yaml'), PETS);
+    await writeFile(join(directory, 'schemas/pet.yaml'), PET_SCHEMA);
+    await writeFile(join(directory, 'schemas/owner.yaml'), OWNER_SCHEMA);
+    await writeFile(join(directory, 'parameters.yaml'), PARAMETERS);
+    await writeFile(join(directory, 'responses.yaml'), RESPONSES);
+  });
+
+  afterEach(async () => {
+    await rm(directory, { recursive: true, force: true });
+  });
+
+  it('keeps path items in place and internalizes external refs as components', async () => {
+    const bundled = await createBundler().bundle(join(directory, 'openapi.yaml'));
+    const operation = bundled.paths['/pets'].get;
+
+    expect(operation.parameters).toEqual([{ $ref: '#/components/parameters/limit' }]);
+    expect(operation.responses['200'].content['application/json'].schema.items).toEqual({ $ref: '#/components/schemas/pet' });
+    expect(operation.responses.default).toEqual({ $ref: '#/components/responses/Error' });
+    expect(bundled.components.parameters.limit).toEqual({ name: 'limit', in: 'query', schema: { type: 'integer' } });
+  });
+
+  it('links cyclic and nested references to the components they were placed in', async () => {
+    const { components } = await createBundler().bundle(join(directory, 'openapi.yaml'));
+
+    expect(Object.keys(components.schemas)).toEqual(['Pet', 'pet', 'owner']);
+    expect(components.schemas.pet.properties).toEqual({
+      owner: { $ref: '#/components/schemas/owner' },
+      tag: { $ref: '#/components/schemas/Pet/properties/name' }
+    });
+    expect(components.schemas.owner.properties.pets.items).toEqual({ $ref: '#/components/schemas/pet' });
+    expect(components.responses.Error.content['application/json'].schema).toEqual({ $ref: '#/components/schemas/pet/properties/owner' });
+  });
+
+  it('renames internalized components that clash with existing ones', async () => {
+    await writeFile(join(directory, 'schemas/pet.yaml'), 'type: string\n');
+    await writeFile(join(directory, 'responses.yaml'), RESPONSES.replace('pet.yaml#/properties/owner', 'owner.yaml'));
+    await writeFile(join(directory, 'openapi.yaml'), ROOT.replace('    Pet:', '    pet:'));
+
+    const { components } = await createBundler().bundle(join(directory, 'openapi.yaml'));
+
+    expect(Object.keys(components.schemas)).toEqual(['pet', 'pet2', 'owner']);
+    expect(components.schemas.pet2).toEqual({ type: 'string' });
+  });
+
+  it('reports every unresolved reference', async () => {
+    await writeFile(join(directory, 'schemas/owner.yaml'), '$ref: ./missing.yaml\n');
+    await writeFile(join(directory, 'parameters.yaml'), PARAMETERS.replace('limit:', 'max:'));
+
+    const error = await createBundler().bundle(join(directory, 'openapi.yaml')).catch(rejection => rejection);
+
+    expect(error).toBeInstanceOf(ValidationError);
+    expect(error.findings).toHaveLength(2);
+    expect(error.findings).toEqual(expect.arrayContaining([expect.objectContaining({ ruleId: 'unresolved-ref' })]));
+  });
+});
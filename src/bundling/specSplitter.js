@@ -0,0 +1,111 @@
+import { posix } from 'path';
+import { SpecSerializer } from '../utils/specSerializer.js';
+
+export class SpecSplitter {
+  constructor(options = {}) {
+    this.format = options.format || 'yaml';
+    this.serializer = new SpecSerializer();
+    // Security schemes are referenced by name rather than $ref, so they stay in the root document
+    this.splitSections = ['schemas', 'responses', 'parameters', 'examples', 'requestBodies', 'headers', 'links', 'callbacks'];
+  }
+
+  // Returns the files to write as [{ path, content }], with the root document first
+  split(spec) {
+    const extension = this.serializer.extensionFor(this.format);
+    this.rootFile = `openapi.${extension}`;
+    this.locations = new Map();
+
+    // Phase 1: File Layout
+    const files = [];
+    const usedNames = new Set();
+    const place = (directory, name, pointer, value) => {
+      const path = this.reserveFile(directory, name, extension, usedNames);
+      this.locations.set(pointer, path);
+      files.push({ path, pointer, value });
+    };
+
+    Object.entries(spec.paths || {}).forEach(([path, pathItem]) => {
+      place('paths', path.replace(/^\//, '') || 'root', `/paths/${this.escape(path)}`, pathItem);
+    });
+    this.splitSections.forEach(section => {
+      Object.entries(spec.components?.[section] || {}).forEach(([name, value]) => {
+        place(`components/${section}`, name, `/components/${section}/${this.escape(name)}`, value);
+      });
+    });
+
+    // Phase 2: Root Document
+    const root = this.rewrite(spec, this.rootFile);
+    files.forEach(file => this.setPointer(root, file.pointer, { $ref: this.relativeRef(this.rootFile, file.path) }));
+
+    // Phase 3: Split Documents with refs rewritten relative to each file
+    return [
+      { path: this.rootFile, content: this.serializer.stringify(root, this.format) },
+      ...files.map(file => ({
+        path: file.path,
+        content: this.serializer.stringify(this.rewrite(file.value, file.path), this.format)
+      }))
+    ];
+  }
+
+  reserveFile(directory, name, extension, usedNames) {
+    const base = String(name).replace(/\//g, '_').replace(/[^A-Za-z0-9._{}-]/g, '_');
+    let path = `${directory}/${base}.${extension}`;
+    // Case-insensitive file systems would otherwise merge names differing only in case
+    for (let index = 2; usedNames.has(path.toLowerCase()); index++) {
+      path = `${directory}/${base}_${index}.${extension}`;
+    }
+    usedNames.add(path.toLowerCase());
+    return path;
+  }
+
+  rewrite(node, file) {
+    if (Array.isArray(node)) {
+      return node.map(item => this.rewrite(item, file));
+    }
+    if (!node || typeof node !== 'object') {
+      return node;
+    }
+
+    const result = {};
+    Object.entries(node).forEach(([key, value]) => {
+      result[key] = key === '$ref' && typeof value === 'string' && value.startsWith('#')
+        ? this.rewriteRef(value.slice(1), file)
+        : this.rewrite(value, file);
+    });
+    return result;
+  }
+
+  rewriteRef(pointer, file) {
+    const { path, rest } = this.locate(pointer);
+    if (path === file && rest) {
+      return `#${rest}`;
+    }
+    return `${this.relativeRef(file, path)}${rest ? `#${rest}` : ''}`;
+  }
+
+  locate(pointer) {
+    const segments = pointer.split('/');
+    for (let length = segments.length; length > 1; length--) {
+      const path = this.locations.get(segments.slice(0, length).join('/'));
+      if (path) {
+        return { path, rest: segments.slice(length).map(segment => `/${segment}`).join('') };
+      }
+    }
+    return { path: this.rootFile, rest: pointer };
+  }
+
+  relativeRef(from, to) {
+    const path = posix.relative(posix.dirname(from), to);
+    return path.startsWith('.') ? path : `./${path}`;
+  }
+
+  setPointer(document, pointer, value) {
+    const segments = pointer.split('/').slice(1).map(segment => segment.replace(/~1/g, '/').replace(/~0/g, '~'));
+    const key = segments.pop();
+    segments.reduce((node, segment) => node[segment], document)[key] = value;
+  }
+
+  escape(segment) {
+    return String(segment).replace(/~/g, '~0').replace(/\//g, '~1');
+  }
+}
@@ -0,0 +1,69 @@
+import { mkdtemp, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { SpecSplitter } from './specSplitter.js';
+import { SpecBundler } from './specBundler.js';
+import { CodeWriter } from '../generation/codeWriter.js';
+import { ApiValidator } from '../validation/apiValidator.js';
+
+const validator = new ApiValidator();
+
+describe('SpecSplitter', () => {
+  let directory;
+
+  beforeEach(async () => {
+    directory = await mkdtemp(join(tmpdir(), 'pimp-api-split-'));
+  });
+
+  afterEach(async () => {
+    await rm(directory, { recursive: true, force: true });
+  });
+
+  const spec = {
+    openapi: '3.0.3',
+    info: { title: 'Pets', version: '1.0.0' },
+    paths: {
+      '/pets/{id}': {
+        get: {
+          parameters: [{ $ref: '#/components/parameters/Id' }],
+          responses: { '200': { description: 'A pet', content: { 'application/json': { schema: { $ref: '#/components/schemas/Pet' } } } } }
+        }
+      }
+    },
+    components: {
+      schemas: {
+        Pet: { type: 'object', properties: { owner: { $ref: '#/components/schemas/Owner' }, name: { type: 'string' } } },
+        Owner: { type: 'object', properties: { pet: { $ref: '#/components/schemas/Pet/properties/name' } } },
+        owner: { type: 'string' }
+      },
+      parameters: { Id: { name: 'id', in: 'path', required: true, schema: { type: 'string' } } },
+      securitySchemes: { key: { type: 'apiKey', name: 'X-Key', in: 'header' } }
+    }
+  };
+
+  it('writes one file per path item and component with relative refs', () => {
+    const files = new SpecSplitter().split(spec);
+
+    expect(files.map(file => file.path)).toEqual([
+      'openapi.yaml',
+      'paths/pets_{id}.yaml',
+      'components/schemas/Pet.yaml',
+      'components/schemas/Owner.yaml',
+      'components/schemas/owner_2.yaml',
+      'components/parameters/Id.yaml'
+    ]);
+    expect(files[0].content).toContain('$ref: ./paths/pets_{id}.yaml');
+    expect(files[0].content).toContain('type: apiKey');
+    expect(files[1].content).toContain('$ref: ../components/parameters/Id.yaml');
+    expect(files[2].content).toContain('$ref: ./Owner.yaml');
+    expect(files[3].content).toContain('$ref: ./Pet.yaml#/properties/name');
+  });
+
+  it('splits into files the bundler reassembles into the same document', async () => {
+    await new CodeWriter(directory).write(new SpecSplitter({ format: 'json' }).split(spec));
+
+    const bundled = await new SpecBundler({ loadDocument: path => validator.loadSpec(path) }).bundle(join(directory, 'openapi.json'));
+
+    expect(bundled).toEqual(spec);
+  });
+});
@@ -0,0 +1,125 @@
+import { Command, InvalidArgumentError } from 'commander';
+import { readFile } from 'fs/promises';
+import chalk from 'chalk';
+import { PatternAnalyzer } from '../analysis/patternAnalyzer.js';
+import { ErrorHandler } from '../utils/errorHandler.js';
+import { SpecSerializer } from '../utils/specSerializer.js';
+import { OutputFormatter } from '../utils/formatter.js';
+import { ValidationError } from '../utils/errors.js';
+
+export class AnalyzeCommand {
+  constructor(config) {
+    this.config = config;
+    this.requiredConfig = [];
+    this.errorHandler = new ErrorHandler();
+    this.formatter = new OutputFormatter();
+    this.serializer = new SpecSerializer();
+  }
+
+  register(program) {
+    const command = new Command('analyze')
+      .description('Analyze API patterns with a configurable depth of recursion')
+      .argument('<patterns>', 'Path to the patterns file')
+      .option('-d, --depth <number>', 'Maximum recursion depth for relationship and evolution mapping (default: maxDepth config)', this.parseDepth)
+      .option('-f, --format <type>', 'Output format (text, json, yaml)', 'text')
+      .action(this.execute.bind(this));
+
+    program.addCommand(command);
+  }
+
+  parseDepth(value) {
+    const depth = Number(value);
+    if (!Number.isInteger(depth) || depth < 1) {
+      throw new InvalidArgumentError('Depth must be a positive integer.');
+    }
+    return depth;
+  }
+
+  async execute(patternsPath, options) {
+    try {
+      if (!['text', 'json', 'yaml'].includes(options.format)) {
+        throw new ValidationError(`Unknown output format: ${options.format}`, ['Supported formats: text, json, yaml']);
+      }
+
+      // Phase 1: Load Patterns
+      const patterns = await this.loadPatterns(patternsPath);
+
+      // Phase 2: Foundation, Relationship, Evolution and Strategy Analysis
+      const analyzer = new PatternAnalyzer(this.config);
+      const depth = options.depth || analyzer.maxDepth;
+      const analysis = await analyzer.analyzePatterns(patterns, { depth });
+
+      // Phase 3: Output
+      if (options.format === 'json') {
+        console.log(this.formatter.toJSON(analysis));
+      } else if (options.format === 'yaml') {
+        process.stdout.write(this.formatter.toYAML(analysis));
+      } else {
+        this.printReport(analysis, depth);
+      }
+
+      return analysis;
+
+    } catch (error) {
+      if (error instanceof ValidationError) {
+        this.errorHandler.handleValidationError(error);
+      } else {
+        this.errorHandler.handleUnexpectedError(error);
+      }
+    }
+  }
+
+  async loadPatterns(patternsPath) {
+    let content;
+    try {
+      content = await readFile(patternsPath, 'utf8');
+    } catch (error) {
+      throw new ValidationError(`Unable to read patterns file: ${patternsPath}`, [error.message]);
+    }
+
+    const format = this.serializer.detectFormat(patternsPath, content);
+    const data = this.serializer.parse(content, format, patternsPath);
+
+    const patterns = Array.isArray(data) ? data : data?.patterns;
+    if (!Array.isArray(patterns)) {
+      throw new ValidationError('Patterns file must contain an array of patterns', [
+        'Expected a top-level array or an object with a "patterns" array'
+      ]);
+    }
+
+    return patterns;
+  }
+
+  // Output Methods
+  printReport(analysis, depth) {
+    const { strategies, metrics, recommendations } = this.formatter.serialize(analysis);
+
+    console.log('');
+    console.log(chalk.blue('📊 Pattern Analysis Report'));
+    console.log(chalk.gray(`Recursion depth: ${depth}`));
+
+    console.log('');
+    console.log(chalk.blue('Strategies:'));
+    Object.entries(strategies || {}).forEach(([level, strategy]) => {
+      const confidence = typeof strategy.confidence === 'number'
+        ? strategy.confidence.toFixed(2)
+        : 'n/a';
+      console.log(`${chalk.green('●')} ${level} ${chalk.gray(`(confidence: ${confidence})`)}`);
+      (strategy.refinements || []).forEach(refinement => {
+        console.log(chalk.gray(`    ├─ ${this.formatter.formatValue(refinement)}`));
+      });
+    });
+
+    console.log('');
+    console.log(chalk.blue('Metrics:'));
+    Object.entries(metrics || {}).forEach(([key, value]) => {
+      console.log(chalk.gray(`  ├─ ${key}: ${this.formatter.formatValue(value)}`));
+    });
+
+    console.log('');
+    console.log(chalk.blue('Recommendations:'));
+    (recommendations || []).forEach(recommendation => {
+      console.log(`- ${this.formatter.formatValue(recommendation)}`);
+    });
+  }
+}
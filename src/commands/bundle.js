@@ -0,0 +1,61 @@
+import { Command } from 'commander';
+import { writeFile } from 'fs/promises';
+import chalk from 'chalk';
+import { ApiValidator } from '../validation/apiValidator.js';
+import { SpecBundler } from '../bundling/specBundler.js';
+import { ErrorHandler } from '../utils/errorHandler.js';
+import { SpecSerializer } from '../utils/specSerializer.js';
+import { ValidationError } from '../utils/errors.js';
+
+export class BundleCommand {
+  constructor(config) {
+    this.config = config;
+    this.requiredConfig = [];
+    this.validator = new ApiValidator();
+    this.errorHandler = new ErrorHandler();
+    this.serializer = new SpecSerializer();
+  }
+
+  register(program) {
+    const command = new Command('bundle')
+      .description('Bundle a multi-file specification into a single document')
+      .argument('<spec>', 'Path to the root OpenAPI specification')
+      .option('-o, --output <path>', 'Output path for the bundled specification (default: bundle.<format>)')
+      .option('--format <type>', 'Output format (json, yaml); defaults to the output file extension or input format')
+      .action(this.execute.bind(this));
+
+    program.addCommand(command);
+  }
+
+  async execute(specPath, options) {
+    try {
+      if (options.format) {
+        this.serializer.assertFormat(options.format);
+      }
+
+      // Phase 1: Bundle external references
+      const bundler = new SpecBundler({ loadDocument: path => this.validator.loadSpec(path) });
+      const bundled = await bundler.bundle(specPath);
+
+      // Phase 2: Output
+      const outputFormat = options.format ||
+        (options.output ? this.serializer.detectFormat(options.output) : this.serializer.detectFormat(specPath));
+      const outputPath = options.output || `bundle.${this.serializer.extensionFor(outputFormat)}`;
+      await writeFile(outputPath, this.serializer.stringify(bundled, outputFormat));
+      console.log(chalk.green('✨ Bundled specification written to'), outputPath);
+
+      // Phase 3: Validation of the bundled document
+      await this.validator.validateFile(outputPath);
+      console.log(chalk.green('✓ Bundled specification is valid'));
+
+      return bundled;
+
+    } catch (error) {
+      if (error instanceof ValidationError) {
+        this.errorHandler.handleValidationError(error);
+      } else {
+        this.errorHandler.handleUnexpectedError(error);
+      }
+    }
+  }
+}
@@ -0,0 +1,105 @@
+import { Command } from 'commander';
+import chalk from 'chalk';
+import { ConfigManager } from '../managers/configManager.js';
+import { ErrorHandler } from '../utils/errorHandler.js';
+import { ValidationError } from '../utils/errors.js';
+
+export class ConfigCommand {
+  constructor(config) {
+    this.config = config;
+    this.requiredConfig = [];
+    this.manager = new ConfigManager();
+    this.errorHandler = new ErrorHandler();
+  }
+
+  register(program) {
+    const command = new Command('config')
+      .description('Inspect and manage layered CLI configuration');
+
+    command
+      .command('get')
+      .description('Print the resolved value of a configuration key')
+      .argument('<key>', 'Configuration key')
+      .action(this.handleGet.bind(this));
+
+    command
+      .command('set')
+      .description('Store a configuration value in the user or project configuration file')
+      .argument('<key>', 'Configuration key')
+      .argument('<value>', 'Configuration value')
+      .option('-p, --project', 'Write to the project .pimpapirc instead of the user configuration')
+      .action(this.handleSet.bind(this));
+
+    command
+      .command('list')
+      .description('List every configuration key with its value and source')
+      .option('--show-secrets', 'Print secret values instead of masking them')
+      .action(this.handleList.bind(this));
+
+    command
+      .command('validate')
+      .description('Validate configuration files and resolved values')
+      .action(this.handleValidate.bind(this));
+
+    program.addCommand(command);
+  }
+
+  async handleGet(key, options, command) {
+    await this.run(command, () => {
+      const value = this.manager.get(key);
+      console.log(value === undefined ? '' : this.formatValue(value));
+    });
+  }
+
+  async handleSet(key, value, options, command) {
+    await this.run(command, async () => {
+      const path = await this.manager.set(key, value, options.project ? 'project' : 'user');
+      console.log(chalk.green('✓'), `${key} saved to ${path}`);
+    });
+  }
+
+  async handleList(options, command) {
+    await this.run(command, () => {
+      console.log(chalk.blue('⚙️  Configuration:'));
+      console.log(chalk.gray(`User file: ${this.manager.userConfigPath}`));
+      console.log(chalk.gray(`Project file: ${this.manager.projectConfigPath || 'none'}`));
+      console.log('');
+
+      this.manager.list().forEach(({ key, value, source, secret }) => {
+        const display = value === undefined
+          ? chalk.gray('(unset)')
+          : secret && !options.showSecrets ? '********' : this.formatValue(value);
+        console.log(`${key}: ${display} ${chalk.gray(`[${source}]`)}`);
+      });
+    });
+  }
+
+  async handleValidate(options, command) {
+    await this.run(command, () => {
+      const errors = this.manager.validate();
+      if (errors.length > 0) {
+        throw new ValidationError('Configuration validation failed', errors);
+      }
+      console.log(chalk.green('✓ Configuration is valid'));
+    });
+  }
+
+  formatValue(value) {
+    return typeof value === 'object' ? JSON.stringify(value) : value;
+  }
+
+  // set and validate load leniently, so an invalid value can still be replaced or reported with the rest
+  async run(command, handler) {
+    const strict = !['set', 'validate'].includes(command.name());
+    try {
+      await this.manager.load(command.optsWithGlobals(), { strict });
+      await handler();
+    } catch (error) {
+      if (error instanceof ValidationError) {
+        this.errorHandler.handleValidationError(error);
+      } else {
+        this.errorHandler.handleUnexpectedError(error);
+      }
+    }
+  }
+}
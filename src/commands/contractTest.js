@@ -0,0 +1,103 @@
+import { Command, InvalidArgumentError } from 'commander';
+import { writeFile } from 'fs/promises';
+import chalk from 'chalk';
+import { ApiValidator } from '../validation/apiValidator.js';
+import { ContractTester } from '../testing/contractTester.js';
+import { ContractReporter } from '../testing/contractReporter.js';
+import { ErrorHandler } from '../utils/errorHandler.js';
+import { ValidationError } from '../utils/errors.js';
+
+export class ContractTestCommand {
+  constructor(config) {
+    this.config = config;
+    this.requiredConfig = [];
+    this.validator = new ApiValidator();
+    this.reporter = new ContractReporter();
+    this.errorHandler = new ErrorHandler();
+  }
+
+  register(program) {
+    const command = new Command('contract-test')
+      .description('Replay every operation against a running service and check responses against the specification')
+      .argument('<spec>', 'Path to the OpenAPI specification')
+      .requiredOption('-b, --base-url <url>', 'Base URL of the service under test', this.parseUrl)
+      .option('-H, --header <header>', 'Extra request header as "Name: value" (repeatable)', this.collectHeader, {})
+      .option('-t, --timeout <ms>', 'Per-request timeout in milliseconds', this.parseTimeout, 10000)
+      .option('-f, --format <type>', 'Report format (text, junit, json)', 'text')
+      .option('-o, --output <path>', 'Write the report to a file instead of stdout')
+      .action(this.execute.bind(this));
+
+    program.addCommand(command);
+  }
+
+  parseUrl(value) {
+    try {
+      return new URL(value).toString();
+    } catch {
+      throw new InvalidArgumentError('Base URL must be an absolute URL.');
+    }
+  }
+
+  collectHeader(value, headers) {
+    const separator = value.indexOf(':');
+    if (separator < 1) {
+      throw new InvalidArgumentError('Headers must look like "Name: value".');
+    }
+    return { ...headers, [value.slice(0, separator).trim()]: value.slice(separator + 1).trim() };
+  }
+
+  parseTimeout(value) {
+    const timeout = Number(value);
+    if (!Number.isInteger(timeout) || timeout < 1) {
+      throw new InvalidArgumentError('Timeout must be a positive integer.');
+    }
+    return timeout;
+  }
+
+  async execute(specPath, options) {
+    try {
+      if (!this.reporter.supportedFormats.includes(options.format)) {
+        throw new ValidationError(`Unknown report format: ${options.format}`, [
+          `Supported formats: ${this.reporter.supportedFormats.join(', ')}`
+        ]);
+      }
+
+      // Phase 1: Only valid specifications are replayed
+      const { resolved } = await this.validator.validateFile(specPath);
+
+      // Phase 2: Replay Operations, streaming progress unless the report goes to stdout
+      const tester = new ContractTester(resolved, {
+        baseUrl: options.baseUrl,
+        headers: options.header,
+        timeout: options.timeout
+      });
+      const live = options.format === 'text' || Boolean(options.output);
+      const results = await tester.run(result => {
+        if (live) console.log(this.reporter.formatResult(result));
+      });
+
+      // Phase 3: Report
+      const report = this.reporter.format(results, options.format, { spec: specPath, baseUrl: options.baseUrl });
+      if (options.output) {
+        await writeFile(options.output, report + '\n');
+        console.log(this.reporter.toText(results));
+        console.log(chalk.green('✨ Contract test report written to'), options.output);
+      } else {
+        console.log(report);
+      }
+
+      if (results.some(result => !result.passed)) {
+        process.exitCode = 1;
+      }
+
+      return results;
+
+    } catch (error) {
+      if (error instanceof ValidationError) {
+        this.errorHandler.handleValidationError(error);
+      } else {
+        this.errorHandler.handleUnexpectedError(error);
+      }
+    }
+  }
+}
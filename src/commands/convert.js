@@ -0,0 +1,61 @@
+import { Command } from 'commander';
+import { writeFile } from 'fs/promises';
+import chalk from 'chalk';
+import { ApiValidator } from '../validation/apiValidator.js';
+import { ErrorHandler } from '../utils/errorHandler.js';
+import { SpecSerializer } from '../utils/specSerializer.js';
+import { ValidationError } from '../utils/errors.js';
+
+export class ConvertCommand {
+  constructor(config) {
+    this.config = config;
+    this.requiredConfig = [];
+    this.validator = new ApiValidator();
+    this.errorHandler = new ErrorHandler();
+    this.serializer = new SpecSerializer();
+  }
+
+  register(program) {
+    const command = new Command('convert')
+      .description('Upgrade a Swagger 2.0 specification to OpenAPI 3.0')
+      .argument('<spec>', 'Path to the Swagger 2.0 specification')
+      .option('-o, --output <path>', 'Output path for the converted specification (default: openapi.<format>)')
+      .option('--format <type>', 'Output format (json, yaml); defaults to the input format')
+      .action(this.execute.bind(this));
+
+    program.addCommand(command);
+  }
+
+  async execute(specPath, options) {
+    try {
+      if (options.format) {
+        this.serializer.assertFormat(options.format);
+      }
+
+      // Phase 1: Load and Convert
+      const { spec, resolved, format, converted } = await this.validator.loadDocument(specPath);
+      if (!converted) {
+        console.log(chalk.yellow(`${specPath} is not a Swagger 2.0 document; writing it unchanged`));
+      }
+
+      // Phase 2: Output
+      const outputFormat = options.format || format;
+      const outputPath = options.output || `openapi.${this.serializer.extensionFor(outputFormat)}`;
+      await writeFile(outputPath, this.serializer.stringify(spec, outputFormat));
+      console.log(chalk.green('✨ OpenAPI specification written to'), outputPath);
+
+      // Phase 3: Validation of the upgraded document
+      this.validator.validate(resolved, spec);
+      console.log(chalk.green('✓ Converted specification is valid'));
+
+      return spec;
+
+    } catch (error) {
+      if (error instanceof ValidationError) {
+        this.errorHandler.handleValidationError(error);
+      } else {
+        this.errorHandler.handleUnexpectedError(error);
+      }
+    }
+  }
+}
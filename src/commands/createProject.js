@@ -2,15 +2,17 @@ import { Command } from 'commander';
 import { ChunkManager } from '../managers/chunkManager.js';
 import { EvolutionMetrics } from '../metrics/evolutionMetrics.js';
 
-export class CreateProjectCommand {
+// Named apart from project/create.js, which owns create-project
+export class CreatePatternProjectCommand {
   constructor(config) {
     this.config = config;
+    this.requiredConfig = ['githubToken', 'bridgeUrl'];
     this.chunkManager = new ChunkManager();
     this.metrics = new EvolutionMetrics();
   }
 
   register(program) {
-    const command = new Command('create-project')
+    const command = new Command('create-pattern-project')
       .description('Create a new GitHub Project with pattern optimization')
       .argument('<title>', 'Project title')
       .option('-d, --description <text>', 'Project description')
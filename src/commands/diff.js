@@ -0,0 +1,71 @@
+import { Command } from 'commander';
+import { writeFile } from 'fs/promises';
+import chalk from 'chalk';
+import { ApiValidator } from '../validation/apiValidator.js';
+import { SpecDiff } from '../diff/specDiff.js';
+import { DiffReporter } from '../diff/diffReporter.js';
+import { ErrorHandler } from '../utils/errorHandler.js';
+import { ValidationError } from '../utils/errors.js';
+
+export class DiffCommand {
+  constructor(config) {
+    this.config = config;
+    this.requiredConfig = [];
+    this.validator = new ApiValidator();
+    this.differ = new SpecDiff();
+    this.reporter = new DiffReporter();
+    this.errorHandler = new ErrorHandler();
+  }
+
+  register(program) {
+    const command = new Command('diff')
+      .description('Classify changes between two OpenAPI specifications as breaking, non-breaking or documentation')
+      .argument('<old>', 'Path to the previous specification')
+      .argument('<new>', 'Path to the new specification')
+      .option('-f, --format <type>', 'Report format (markdown, json)', 'markdown')
+      .option('-o, --output <path>', 'Write the report to a file instead of stdout')
+      .action(this.execute.bind(this));
+
+    program.addCommand(command);
+  }
+
+  async execute(oldPath, newPath, options) {
+    try {
+      if (!this.reporter.supportedFormats.includes(options.format)) {
+        throw new ValidationError(`Unknown report format: ${options.format}`, [
+          `Supported formats: ${this.reporter.supportedFormats.join(', ')}`
+        ]);
+      }
+
+      // Phase 1: Load both documents, upgrading Swagger 2.0 and resolving references
+      const before = await this.validator.loadDocument(oldPath);
+      const after = await this.validator.loadDocument(newPath);
+
+      // Phase 2: Compare
+      const changes = this.differ.compare(before.resolved, after.resolved);
+      const summary = this.differ.summarize(changes);
+
+      // Phase 3: Report
+      const report = this.reporter.format(changes, summary, options.format, { base: oldPath, revision: newPath });
+      if (options.output) {
+        await writeFile(options.output, report + '\n');
+        console.log(chalk.green('✨ Diff report written to'), options.output);
+      } else {
+        console.log(report);
+      }
+
+      if (summary.breaking > 0) {
+        process.exitCode = 1;
+      }
+
+      return changes;
+
+    } catch (error) {
+      if (error instanceof ValidationError) {
+        this.errorHandler.handleValidationError(error);
+      } else {
+        this.errorHandler.handleUnexpectedError(error);
+      }
+    }
+  }
+}
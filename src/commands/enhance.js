@@ -0,0 +1,156 @@
+import { Command } from 'commander';
+import { readFile, writeFile } from 'fs/promises';
+import { resolve } from 'path';
+import chalk from 'chalk';
+import { ApiValidator } from '../validation/apiValidator.js';
+import { PlanReporter } from '../orchestration/planReporter.js';
+import { TransportRegistry } from '../orchestration/transports/transportRegistry.js';
+import { WorkerOrchestrator } from '../orchestration/workerOrchestrator.js';
+import { ErrorHandler } from '../utils/errorHandler.js';
+import { SpecSerializer } from '../utils/specSerializer.js';
+import { CancellationError, ValidationError, WorkerError } from '../utils/errors.js';
+
+export class EnhanceCommand {
+  constructor(config) {
+    this.config = config;
+    this.validator = new ApiValidator();
+    this.errorHandler = new ErrorHandler();
+    this.serializer = new SpecSerializer();
+    this.planReporter = new PlanReporter();
+  }
+
+  // workerUrl is only needed while some HTTP worker has no url of its own; the token stays optional
+  get requiredConfig() {
+    return new TransportRegistry(this.config).needsWorkerUrl() ? ['workerUrl'] : [];
+  }
+
+  register(program) {
+    const command = new Command('enhance')
+      .description('Enhance an OpenAPI specification with advanced patterns and optimizations')
+      .argument('[spec]', 'Path to the OpenAPI specification (not needed with --from-plan)')
+      .option('-o, --output <path>', 'Output path for the enhanced specification (default: enhanced-api.<format>), or for the plan with --plan')
+      .option('--format <type>', 'Output format (json, yaml); defaults to the input format')
+      .option('--plan', 'Only print the execution plan, without calling workers')
+      .option('--plan-format <type>', 'Plan format with --plan (tree, dot, mermaid, json)', 'tree')
+      .option('--from-plan <path>', 'Execute a plan saved with --plan-format json')
+      .action(this.execute.bind(this));
+
+    program.addCommand(command);
+  }
+
+  async execute(specPath, options) {
+    try {
+      if (options.format) {
+        this.serializer.assertFormat(options.format);
+      }
+      if (options.plan && options.fromPlan) {
+        throw new ValidationError('--plan and --from-plan cannot be combined');
+      }
+      if (options.fromPlan) {
+        return await this.executeSavedPlan(options);
+      }
+      if (!specPath) {
+        throw new ValidationError('Missing specification', ['Pass a specification path, or --from-plan <path>']);
+      }
+      if (options.plan) {
+        return await this.printPlan(specPath, options);
+      }
+
+      // Phase 1: Load, Dereference and Validate
+      const { spec, format } = await this.validator.validateFile(specPath);
+
+      // Phase 2: Orchestrated Enhancement, journaled so runs resume can write the same output
+      const outputFormat = options.format || format;
+      const outputPath = resolve(options.output || `enhanced-api.${this.serializer.extensionFor(outputFormat)}`);
+      const orchestrator = new WorkerOrchestrator(this.config);
+      const result = await orchestrator.orchestrate('enhance', { spec, source: specPath }, {
+        source: resolve(specPath),
+        output: outputPath,
+        format: outputFormat
+      });
+      const enhanced = result.spec ?? result;
+
+      // Phase 3: Output
+      await writeFile(outputPath, this.serializer.stringify(enhanced, outputFormat));
+
+      console.log('');
+      console.log(chalk.green('✨ Enhanced specification written to'), outputPath);
+
+      return enhanced;
+
+    } catch (error) {
+      if (error instanceof ValidationError) {
+        this.errorHandler.handleValidationError(error);
+      } else if (error instanceof CancellationError) {
+        this.errorHandler.handleCancellation(error);
+      } else if (error instanceof WorkerError) {
+        this.errorHandler.handleWorkerError(error);
+      } else {
+        this.errorHandler.handleUnexpectedError(error);
+      }
+    }
+  }
+
+  async printPlan(specPath, options) {
+    const type = options.planFormat;
+    if (!this.planReporter.supportedFormats.includes(type)) {
+      throw new ValidationError(`Unknown plan format: ${type}`, [
+        `Supported formats: ${this.planReporter.supportedFormats.join(', ')}`
+      ]);
+    }
+
+    // Phase 1: Load, Dereference and Validate
+    const { spec, format } = await this.validator.validateFile(specPath);
+
+    // Phase 2: Planning Only, no worker is called
+    const orchestrator = new WorkerOrchestrator(this.config);
+    const plan = await orchestrator.plan('enhance', { spec, source: specPath });
+
+    // Phase 3: Report
+    const report = this.planReporter.format(plan, type, {
+      operation: 'enhance',
+      metadata: { source: resolve(specPath), format: options.format || format }
+    });
+    if (options.output) {
+      await writeFile(options.output, report + '\n');
+      console.log(chalk.green('✨ Execution plan written to'), options.output);
+    } else {
+      console.log(report);
+    }
+
+    return plan;
+  }
+
+  async executeSavedPlan(options) {
+    // Phase 1: Load and Check the Plan
+    let content;
+    try {
+      content = await readFile(options.fromPlan, 'utf8');
+    } catch (error) {
+      throw new ValidationError(`Unable to read plan file: ${options.fromPlan}`, [error.message]);
+    }
+    const { operation, metadata = {}, plan } = this.planReporter.parse(content, options.fromPlan);
+    if (operation !== 'enhance') {
+      throw new ValidationError(`${options.fromPlan} is a plan for ${operation}, not enhance`);
+    }
+
+    // Phase 2: Orchestrated Enhancement from the saved plan
+    const outputFormat = options.format || metadata.format || 'json';
+    const outputPath = resolve(options.output || `enhanced-api.${this.serializer.extensionFor(outputFormat)}`);
+    const orchestrator = new WorkerOrchestrator(this.config);
+    const result = await orchestrator.executePlan(plan, 'enhance', {
+      source: metadata.source,
+      output: outputPath,
+      format: outputFormat
+    });
+    const enhanced = result.spec ?? result;
+
+    // Phase 3: Output
+    await writeFile(outputPath, this.serializer.stringify(enhanced, outputFormat));
+
+    console.log('');
+    console.log(chalk.green('✨ Enhanced specification written to'), outputPath);
+
+    return enhanced;
+  }
+}
@@ -0,0 +1,160 @@
+import { jest } from '@jest/globals';
+import { Command } from 'commander';
+import { mkdtemp, readFile, rm, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { fileURLToPath } from 'url';
+import YAML from 'yaml';
+import { EnhanceCommand } from './enhance.js';
+import { ExecutionJournal } from '../orchestration/executionJournal.js';
+import { signals } from '../orchestration/__fixtures__/hangingWorker.js';
+
+const STUB_WORKER = fileURLToPath(new URL('../orchestration/__fixtures__/stubWorker.js', import.meta.url));
+const WORKERS = ['pimp-my-api', 'pattern-evolution', 'pattern-storage', 'recursive-orchestrator'];
+
+const SPEC = `openapi: 3.0.3
+info:
+  title: Pets
+  version: 1.0.0
+paths:
+  /pets:
+    get:
+      operationId: listPets
+      responses:
+        '200':
+          description: All pets
+  /pets/{petId}:
+    get:
+      summary: One pet
+      operationId: getPet
+      parameters:
+        - name: petId
+          in: path
+          required: true
+          schema:
+            type: string
+      responses:
+        '200':
+          description: The pet
+`;
+
+describe('enhance', () => {
+  let directory;
+  let config;
+
+  beforeEach(async () => {
+    directory = await mkdtemp(join(tmpdir(), 'pimp-api-enhance-'));
+    await writeFile(join(directory, 'api.yaml'), SPEC);
+    config = {
+      runsDir: join(directory, 'runs'),
+      maxConcurrency: 2,
+      workerTimeout: 5000,
+      workers: Object.fromEntries(WORKERS.map(id => [id, { transport: 'module', module: STUB_WORKER }]))
+    };
+
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(process, 'exit').mockImplementation(code => {
+      throw new Error(`process.exit(${code})`);
+    });
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await rm(directory, { recursive: true, force: true });
+  });
+
+  it('requires workerUrl only for http workers without a url of their own, and never the token', () => {
+    expect(new EnhanceCommand(config).requiredConfig).toEqual([]);
+
+    config.workers['pimp-my-api'] = { url: 'http://pimp.test' };
+    expect(new EnhanceCommand(config).requiredConfig).toEqual([]);
+
+    delete config.workers['pattern-storage'];
+    expect(new EnhanceCommand(config).requiredConfig).toEqual(['workerUrl']);
+  });
+
+  it('writes the specification returned by the workers', async () => {
+    const output = join(directory, 'enhanced.yaml');
+    await new EnhanceCommand(config).execute(join(directory, 'api.yaml'), { output });
+
+    const enhanced = YAML.parse(await readFile(output, 'utf8'));
+    expect(enhanced.paths['/pets'].get).toMatchObject({
+      summary: 'GET /pets',
+      operationId: 'listPets',
+      responses: { default: { description: 'Unexpected error' } }
+    });
+    expect(enhanced.paths['/pets/{petId}'].get.operationId).toBe('getPet');
+  });
+
+  it('journals the completed run with every task', async () => {
+    const output = join(directory, 'enhanced.yaml');
+    await new EnhanceCommand(config).execute(join(directory, 'api.yaml'), { output });
+
+    const [record] = await new ExecutionJournal({ directory: config.runsDir }).list();
+    expect(record).toMatchObject({ operation: 'enhance', status: 'completed', metadata: { output, format: 'yaml' } });
+    expect(Object.keys(record.tasks)).toEqual(expect.arrayContaining([
+      'prepare:patterns', 'evolve:documentation', 'evolve:error-responses', 'enhance:spec', 'verify:spec'
+    ]));
+    expect(Object.values(record.tasks).every(task => task.status === 'completed')).toBe(true);
+    expect(record.result.optimizationGain).toBe(1);
+  });
+
+  it('exits non-zero when no worker returns a specification', async () => {
+    config.workers['pimp-my-api'].module = join(directory, 'empty.mjs');
+    await writeFile(config.workers['pimp-my-api'].module, 'export default () => ({});\n');
+
+    await expect(new EnhanceCommand(config).execute(join(directory, 'api.yaml'), {
+      output: join(directory, 'enhanced.yaml')
+    })).rejects.toThrow('process.exit(1)');
+    expect(console.error).toHaveBeenCalledWith(expect.anything(), 'No worker returned an enhanced specification');
+  });
+
+  describe('--plan', () => {
+    const run = async (...args) => {
+      const program = new Command().exitOverride();
+      new EnhanceCommand(config).register(program);
+      await program.parseAsync(['node', 'pimp-api', 'enhance', ...args]);
+    };
+
+    beforeEach(() => {
+      Object.values(config.workers).forEach(worker => {
+        worker.module = fileURLToPath(new URL('../orchestration/__fixtures__/hangingWorker.js', import.meta.url));
+      });
+      signals.length = 0;
+    });
+
+    it('prints only the plan on stdout, with the spec path after --plan', async () => {
+      await run('--plan', join(directory, 'api.yaml'), '--plan-format', 'dot');
+
+      expect(console.log).toHaveBeenCalledTimes(1);
+      expect(console.log.mock.calls[0][0]).toMatch(/^digraph plan \{[\s\S]*"optimize:spec" -> "verify:spec";/);
+      expect(console.error).toHaveBeenCalledWith(expect.stringContaining('Operation completed successfully'));
+      expect(signals).toHaveLength(0);
+    });
+
+    it('rejects unknown plan formats', async () => {
+      await expect(run(join(directory, 'api.yaml'), '--plan', '--plan-format', 'svg')).rejects.toThrow('process.exit(1)');
+
+      expect(console.error).toHaveBeenCalledWith(expect.anything(), 'Unknown plan format: svg');
+    });
+
+    it('saves a json plan that --from-plan executes', async () => {
+      const planPath = join(directory, 'plan.json');
+      const output = join(directory, 'enhanced.yaml');
+      await run(join(directory, 'api.yaml'), '--plan', '--plan-format', 'json', '-o', planPath);
+
+      const saved = JSON.parse(await readFile(planPath, 'utf8'));
+      expect(saved).toMatchObject({ operation: 'enhance', metadata: { format: 'yaml' } });
+      expect(saved.plan.tasks.find(task => task.id === 'enhance:spec').payload.spec.info.title).toBe('Pets');
+
+      Object.values(config.workers).forEach(worker => {
+        worker.module = STUB_WORKER;
+      });
+      await run('--from-plan', planPath, '-o', output);
+
+      const enhanced = YAML.parse(await readFile(output, 'utf8'));
+      expect(enhanced.paths['/pets'].get.summary).toBe('GET /pets');
+    });
+  });
+});
@@ -0,0 +1,109 @@
+import { Command } from 'commander';
+import chalk from 'chalk';
+import { PatternEvolution } from '../evolution/patternEvolution.js';
+import { PatternStore } from '../storage/patternStore.js';
+import { ErrorHandler } from '../utils/errorHandler.js';
+import { OutputFormatter } from '../utils/formatter.js';
+import { ValidationError } from '../utils/errors.js';
+
+export class EvolveCommand {
+  constructor(config) {
+    this.config = config;
+    this.requiredConfig = ['qdrantUrl'];
+    this.evolution = new PatternEvolution();
+    this.errorHandler = new ErrorHandler();
+    this.formatter = new OutputFormatter();
+  }
+
+  register(program) {
+    const command = new Command('evolve')
+      .description('Evolve a stored pattern using the specified strategy')
+      .argument('<pattern-id>', 'ID of the pattern to evolve')
+      .option('-s, --strategy <name>', `Evolution strategy (${this.evolution.supportedStrategies.join(', ')})`, 'optimization')
+      .option('-f, --format <type>', 'Output format (text, json, yaml)', 'text')
+      .action(this.execute.bind(this));
+
+    program.addCommand(command);
+  }
+
+  async execute(patternId, options) {
+    try {
+      if (!['text', 'json', 'yaml'].includes(options.format)) {
+        throw new ValidationError(`Unknown output format: ${options.format}`, ['Supported formats: text, json, yaml']);
+      }
+
+      // Phase 1: Strategy Validation
+      const { supportedStrategies } = this.evolution;
+      if (!supportedStrategies.includes(options.strategy)) {
+        throw new ValidationError(
+          `Unknown evolution strategy: ${options.strategy}`,
+          supportedStrategies.map(strategy => `Valid strategy: ${strategy}`)
+        );
+      }
+
+      // Phase 2: Pattern Lookup
+      const store = new PatternStore(this.config);
+      const pattern = await store.getPattern(patternId);
+      if (!pattern) {
+        throw new ValidationError(`Pattern not found: ${patternId}`);
+      }
+
+      // Phase 3: Evolution Tracking
+      const projection = await this.evolution.trackEvolution(pattern, {
+        strategy: options.strategy
+      });
+
+      // Phase 4: Output
+      if (options.format === 'json') {
+        console.log(this.formatter.toJSON(projection));
+      } else if (options.format === 'yaml') {
+        process.stdout.write(this.formatter.toYAML(projection));
+      } else {
+        this.printProjection(patternId, options.strategy, projection);
+      }
+
+      return projection;
+
+    } catch (error) {
+      if (error instanceof ValidationError) {
+        this.errorHandler.handleValidationError(error);
+      } else {
+        this.errorHandler.handleUnexpectedError(error);
+      }
+    }
+  }
+
+  printProjection(patternId, strategy, projection) {
+    const horizons = {
+      immediate: 'Immediate',
+      shortTerm: 'Short Term',
+      mediumTerm: 'Medium Term',
+      longTerm: 'Long Term'
+    };
+
+    console.log('');
+    console.log(chalk.blue(`🧬 Evolution of ${patternId}`));
+    console.log(chalk.gray(`Strategy: ${strategy}`));
+
+    Object.entries(horizons).forEach(([key, label]) => {
+      console.log('');
+      console.log(chalk.blue(`${label}:`));
+      const value = this.formatter.serialize(projection[key]);
+      if (value && typeof value === 'object') {
+        Object.entries(value).forEach(([name, entry]) => {
+          console.log(chalk.gray(`  ├─ ${name}: ${this.formatter.formatValue(entry)}`));
+        });
+      } else {
+        console.log(chalk.gray(`  └─ ${this.formatter.formatValue(value)}`));
+      }
+    });
+
+    if (projection.metrics) {
+      console.log('');
+      console.log(chalk.blue('Projection Metrics:'));
+      Object.entries(projection.metrics).forEach(([name, value]) => {
+        console.log(chalk.gray(`  ├─ ${name}: ${this.formatter.formatValue(value)}`));
+      });
+    }
+  }
+}
@@ -0,0 +1,39 @@
+import { jest } from '@jest/globals';
+import { EvolveCommand } from './evolve.js';
+
+describe('evolve', () => {
+  let command;
+
+  beforeEach(() => {
+    command = new EvolveCommand({});
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(process, 'exit').mockImplementation(code => {
+      throw new Error(`process.exit(${code})`);
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('fails on an unknown strategy with the valid ones before looking up the pattern', async () => {
+    await expect(command.execute('users', { strategy: 'rewrite', format: 'text' })).rejects.toThrow('process.exit(1)');
+
+    const output = console.error.mock.calls.flat().join('\n');
+    expect(output).toContain('Unknown evolution strategy: rewrite');
+    command.evolution.supportedStrategies.forEach(strategy => expect(output).toContain(strategy));
+  });
+
+  it('prints each horizon of the projection', async () => {
+    const projection = await command.evolution.trackEvolution({ id: 'users' }, { strategy: 'stabilization' });
+
+    command.printProjection('users', 'stabilization', projection);
+
+    const output = console.log.mock.calls.flat().join('\n');
+    expect(output).toContain('Strategy: stabilization');
+    ['Immediate:', 'Short Term:', 'Medium Term:', 'Long Term:', 'focus: Freeze breaking changes', 'reliability: 1'].forEach(line => {
+      expect(output).toContain(line);
+    });
+  });
+});
@@ -0,0 +1,73 @@
+import { Command } from 'commander';
+import chalk from 'chalk';
+import { ApiValidator } from '../validation/apiValidator.js';
+import { GeneratorRegistry } from '../generation/generatorRegistry.js';
+import { CodeWriter } from '../generation/codeWriter.js';
+import { ErrorHandler } from '../utils/errorHandler.js';
+import { ValidationError } from '../utils/errors.js';
+
+export class GenerateCommand {
+  constructor(config) {
+    this.config = config;
+    this.requiredConfig = [];
+    this.validator = new ApiValidator();
+    this.registry = new GeneratorRegistry();
+    this.errorHandler = new ErrorHandler();
+  }
+
+  register(program) {
+    const command = new Command('generate')
+      .description('Generate code from an OpenAPI specification');
+
+    command
+      .command('client')
+      .description('Generate a typed API client with one function per operationId')
+      .argument('<spec>', 'Path to the OpenAPI specification')
+      .option('-l, --lang <language>', `Client language (${this.registry.targets('client').join(', ')})`, 'ts')
+      .option('-o, --output <dir>', 'Output directory', './client')
+      .option('-t, --template <path>', 'Template pack module to use instead of a built-in generator')
+      .action((specPath, options) => this.execute('client', options.lang, specPath, options));
+
+    command
+      .command('server')
+      .description('Scaffold a server with a handler per operationId and request validation')
+      .argument('<spec>', 'Path to the OpenAPI specification')
+      .option('-f, --framework <name>', `Server framework (${this.registry.targets('server').join(', ')})`, 'express')
+      .option('-o, --output <dir>', 'Output directory', './server')
+      .option('-t, --template <path>', 'Template pack module to use instead of a built-in generator')
+      .action((specPath, options) => this.execute('server', options.framework, specPath, options));
+
+    program.addCommand(command);
+  }
+
+  async execute(kind, target, specPath, options) {
+    try {
+      // Phase 1: Only valid specifications are generated from
+      const { resolved } = await this.validator.validateFile(specPath);
+
+      // Phase 2: Template Pack Selection
+      const pack = options.template
+        ? await this.registry.load(options.template, options)
+        : this.registry.create(kind, target, options);
+
+      // Phase 3: Generation
+      const files = await pack.generate(resolved, options);
+      const results = await new CodeWriter(options.output).write(files);
+
+      results.forEach(result => {
+        const color = { created: chalk.green, updated: chalk.yellow, unchanged: chalk.gray }[result.status] || chalk.gray;
+        console.log(`${color(result.status.padEnd(9))} ${result.path}`);
+      });
+      console.log(chalk.green(`✨ ${pack.name} ${kind} generated in`), options.output);
+
+      return results;
+
+    } catch (error) {
+      if (error instanceof ValidationError) {
+        this.errorHandler.handleValidationError(error);
+      } else {
+        this.errorHandler.handleUnexpectedError(error);
+      }
+    }
+  }
+}
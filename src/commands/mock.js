@@ -0,0 +1,65 @@
+import { Command, InvalidArgumentError } from 'commander';
+import chalk from 'chalk';
+import { ApiValidator } from '../validation/apiValidator.js';
+import { MockServer } from '../mock/mockServer.js';
+import { ErrorHandler } from '../utils/errorHandler.js';
+import { ValidationError } from '../utils/errors.js';
+
+export class MockCommand {
+  constructor(config) {
+    this.config = config;
+    this.requiredConfig = [];
+    this.validator = new ApiValidator();
+    this.errorHandler = new ErrorHandler();
+  }
+
+  register(program) {
+    const command = new Command('mock')
+      .description('Serve mock responses for every operation in an OpenAPI specification')
+      .argument('<spec>', 'Path to the OpenAPI specification')
+      .option('-p, --port <number>', 'Port to listen on', this.parsePort, 4010)
+      .option('--host <host>', 'Host to bind to', '127.0.0.1')
+      .action(this.execute.bind(this));
+
+    program.addCommand(command);
+  }
+
+  parsePort(value) {
+    const port = Number(value);
+    if (!Number.isInteger(port) || port < 0 || port > 65535) {
+      throw new InvalidArgumentError('Port must be an integer between 0 and 65535.');
+    }
+    return port;
+  }
+
+  async execute(specPath, options) {
+    try {
+      // Phase 1: Only valid specifications are served
+      const { resolved } = await this.validator.validateFile(specPath);
+
+      // Phase 2: Start Server
+      const server = new MockServer(resolved, { port: options.port, host: options.host });
+      await server.start();
+
+      console.log(chalk.green('✨ Mock server listening on'), `http://${options.host}:${server.port}`);
+      server.routes.forEach(route => {
+        console.log(chalk.gray(`  ${route.method.toUpperCase().padEnd(7)} ${route.path}`));
+      });
+      console.log(chalk.gray('Send "Prefer: code=<status>" to select a documented response. Press Ctrl-C to stop.'));
+
+      process.once('SIGINT', async () => {
+        await server.stop();
+        process.exit(0);
+      });
+
+      return server;
+
+    } catch (error) {
+      if (error instanceof ValidationError) {
+        this.errorHandler.handleValidationError(error);
+      } else {
+        this.errorHandler.handleUnexpectedError(error);
+      }
+    }
+  }
+}
@@ -1,10 +1,11 @@
-import { Command } from 'commander';
+import { Argument, Command } from 'commander';
 import { ProjectManager } from '../managers/projectManager.js';
 import { ProgressTracker } from '../utils/progress.js';
 
 export class ProjectCommand {
   constructor(config) {
     this.config = config;
+    this.requiredConfig = ['githubToken', 'bridgeUrl'];
     this.manager = new ProjectManager(config);
     this.progress = new ProgressTracker();
   }
@@ -33,7 +34,7 @@ export class ProjectCommand {
       .command('sprint')
       .description('Manage sprint operations')
       .argument('<projectId>', 'Project ID')
-      .argument('<action>', 'Sprint action: create, start, end')
+      .addArgument(new Argument('<action>', 'Sprint action').choices(['create', 'start', 'end']))
       .option('-n, --number <number>', 'Sprint number')
       .option('-d, --duration <days>', 'Sprint duration in days', '14')
       .action(this.handleSprint.bind(this));
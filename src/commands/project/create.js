@@ -5,6 +5,7 @@ import chalk from 'chalk';
 export class CreateProjectCommand {
   constructor(config) {
     this.config = config;
+    this.requiredConfig = ['githubToken'];
   }
 
   register(program) {
@@ -0,0 +1,91 @@
+import { readdir } from 'fs/promises';
+import { dirname, join, relative } from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+
+const COMMANDS_DIR = dirname(fileURLToPath(import.meta.url));
+
+export class CommandRegistry {
+  constructor(config) {
+    this.config = config;
+    this.commands = new Map();
+  }
+
+  async registerAll(program) {
+    const modules = await this.discoverModules(COMMANDS_DIR);
+
+    for (const modulePath of modules) {
+      await this.loadModule(program, modulePath);
+    }
+
+    return this.commands;
+  }
+
+  async discoverModules(directory) {
+    const entries = await readdir(directory, { withFileTypes: true });
+    const modules = [];
+
+    for (const entry of entries.sort((a, b) => a.name.localeCompare(b.name))) {
+      const entryPath = join(directory, entry.name);
+      if (entry.isDirectory()) {
+        modules.push(...await this.discoverModules(entryPath));
+      } else if (this.isCommandModule(entry.name, entryPath)) {
+        modules.push(entryPath);
+      }
+    }
+
+    return modules;
+  }
+
+  // Tests live next to the commands they cover and are not commands themselves
+  isCommandModule(name, modulePath) {
+    return name.endsWith('.js') && !name.endsWith('.test.js') && modulePath !== fileURLToPath(import.meta.url);
+  }
+
+  async loadModule(program, modulePath) {
+    const module = await import(pathToFileURL(modulePath).href);
+    const source = relative(COMMANDS_DIR, modulePath);
+
+    for (const [exportName, CommandClass] of Object.entries(module)) {
+      if (!this.isCommandClass(exportName, CommandClass)) continue;
+      this.registerCommand(program, new CommandClass(this.config), `${source} (${exportName})`);
+    }
+  }
+
+  isCommandClass(exportName, candidate) {
+    return exportName.endsWith('Command') &&
+      typeof candidate === 'function' &&
+      typeof candidate.prototype?.register === 'function';
+  }
+
+  registerCommand(program, instance, source) {
+    const existing = new Set(program.commands);
+    instance.register(program);
+
+    const added = program.commands.filter(command => !existing.has(command));
+    for (const command of added) {
+      for (const name of [command.name(), ...command.aliases()]) {
+        const owner = this.commands.get(name);
+        if (owner) {
+          throw new Error(`Command "${name}" is registered by both ${owner.source} and ${source}`);
+        }
+        this.commands.set(name, {
+          source,
+          command,
+          instance
+        });
+      }
+    }
+  }
+
+  getRequiredConfig(command) {
+    let topLevel = command;
+    while (topLevel.parent && topLevel.parent.parent) {
+      topLevel = topLevel.parent;
+    }
+
+    // Commands whose subcommands need different keys declare requiredConfig per subcommand name
+    // Read at action time, so requirements may depend on the resolved configuration
+    const required = this.commands.get(topLevel.name())?.instance.requiredConfig || [];
+    return Array.isArray(required) ? required : required[command.name()] || [];
+  }
+}
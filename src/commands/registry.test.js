@@ -0,0 +1,29 @@
+import { Command } from 'commander';
+import { CommandRegistry } from './registry.js';
+
+describe('CommandRegistry', () => {
+  it('registers every command module once, without tests', async () => {
+    const program = new Command();
+    const commands = await new CommandRegistry({}).registerAll(program);
+
+    expect(Array.from(commands.keys())).toEqual(expect.arrayContaining([
+      'create-pattern-project', 'create-project', 'enhance', 'project', 'runs', 'validate'
+    ]));
+    expect(commands.get('create-pattern-project').source).toBe('createProject.js (CreatePatternProjectCommand)');
+    expect(commands.get('create-project').source).toBe('project/create.js (CreateProjectCommand)');
+    expect(program.commands.find(command => command.name() === 'project').commands.map(command => command.name()))
+      .toEqual(['create', 'setup-backlog', 'sprint']);
+    expect(Array.from(commands.values()).some(({ source }) => source.includes('.test.js'))).toBe(false);
+  });
+
+  it('rejects two commands with the same name', () => {
+    const registry = new CommandRegistry({});
+    const program = new Command();
+    const command = name => ({ register: target => target.command(name) });
+
+    registry.registerCommand(program, command('enhance'), 'enhance.js (EnhanceCommand)');
+
+    expect(() => registry.registerCommand(program, command('enhance'), 'other.js (OtherCommand)'))
+      .toThrow('Command "enhance" is registered by both enhance.js (EnhanceCommand) and other.js (OtherCommand)');
+  });
+});
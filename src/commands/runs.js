@@ -0,0 +1,147 @@
+import { Command } from 'commander';
+import { writeFile } from 'fs/promises';
+import chalk from 'chalk';
+import { ExecutionJournal } from '../orchestration/executionJournal.js';
+import { TransportRegistry } from '../orchestration/transports/transportRegistry.js';
+import { WorkerOrchestrator } from '../orchestration/workerOrchestrator.js';
+import { ErrorHandler } from '../utils/errorHandler.js';
+import { SpecSerializer } from '../utils/specSerializer.js';
+import { CancellationError, ValidationError, WorkerError } from '../utils/errors.js';
+
+export class RunsCommand {
+  constructor(config) {
+    this.config = config;
+    this.errorHandler = new ErrorHandler();
+    this.serializer = new SpecSerializer();
+  }
+
+  get requiredConfig() {
+    return { resume: new TransportRegistry(this.config).needsWorkerUrl() ? ['workerUrl'] : [] };
+  }
+
+  register(program) {
+    const command = new Command('runs')
+      .description('Inspect and resume journaled orchestration runs');
+
+    command
+      .command('list')
+      .description('List recorded runs, newest first')
+      .action(this.handleList.bind(this));
+
+    command
+      .command('show')
+      .description('Show the plan, task statuses and timestamps of a run')
+      .argument('<id>', 'Execution id')
+      .option('--json', 'Print the full journal record as JSON')
+      .action(this.handleShow.bind(this));
+
+    command
+      .command('resume')
+      .description('Continue a failed or cancelled run from its first incomplete task')
+      .argument('<id>', 'Execution id')
+      .action(this.handleResume.bind(this));
+
+    program.addCommand(command);
+  }
+
+  journal() {
+    return new ExecutionJournal({ directory: this.config.runsDir });
+  }
+
+  async handleList() {
+    await this.run(async () => {
+      const records = await this.journal().list();
+      if (records.length === 0) {
+        console.log(chalk.gray(`No runs recorded in ${this.config.runsDir}`));
+        return;
+      }
+
+      records.forEach(record => {
+        const tasks = Object.values(record.tasks);
+        const done = tasks.filter(task => task.status === 'completed').length;
+        console.log(
+          `${record.executionId}  ${this.formatStatus(record.status, 10)} ${String(record.operation).padEnd(10)} ` +
+          `${done}/${tasks.length} tasks  ${chalk.gray(record.createdAt)}`
+        );
+      });
+    });
+  }
+
+  async handleShow(id, options) {
+    await this.run(async () => {
+      const record = await this.journal().load(id);
+      if (options.json) {
+        console.log(JSON.stringify(record, null, 2));
+        return;
+      }
+
+      console.log(chalk.blue(`🧾 Run ${record.executionId}`));
+      console.log(`Operation: ${record.operation}`);
+      console.log(`Status: ${this.formatStatus(record.status)}`);
+      console.log(chalk.gray(`Created: ${record.createdAt}`));
+      console.log(chalk.gray(`Updated: ${record.updatedAt}`));
+      if (record.completedAt) console.log(chalk.gray(`Completed: ${record.completedAt}`));
+      if (record.error) console.log(chalk.red(`Error: ${record.error}`));
+
+      Object.entries(record.metadata || {}).forEach(([key, value]) => {
+        console.log(chalk.gray(`${key}: ${value}`));
+      });
+
+      console.log('');
+      console.log(chalk.blue('Tasks:'));
+      const dependencies = record.plan?.dependencies || {};
+      Object.entries(record.tasks).forEach(([taskId, task]) => {
+        const requires = [].concat(dependencies[taskId]?.requires ?? []);
+        const after = requires.length > 0 ? chalk.gray(` (after ${requires.join(', ')})`) : '';
+        const timing = task.startedAt ? chalk.gray(` ${task.startedAt} → ${task.endedAt || '…'}`) : '';
+        console.log(`  ${this.formatStatus(task.status, 10)} ${taskId}${after}${timing}`);
+        if (task.error) console.log(chalk.gray(`    └─ ${task.error}`));
+      });
+    });
+  }
+
+  async handleResume(id) {
+    await this.run(async () => {
+      const orchestrator = new WorkerOrchestrator(this.config);
+      const result = await orchestrator.resume(id);
+      const { metadata = {} } = orchestrator.execution;
+
+      // Enhance runs recorded where their output goes, so a resumed run finishes the same way
+      if (metadata.output) {
+        const enhanced = result.spec ?? result;
+        await writeFile(metadata.output, this.serializer.stringify(enhanced, metadata.format));
+        console.log('');
+        console.log(chalk.green('✨ Enhanced specification written to'), metadata.output);
+      }
+
+      return result;
+    });
+  }
+
+  formatStatus(status, width = 0) {
+    const label = status.padEnd(width);
+    switch (status) {
+      case 'completed': return chalk.green(label);
+      case 'failed': return chalk.red(label);
+      case 'running':
+      case 'cancelled': return chalk.yellow(label);
+      default: return chalk.gray(label);
+    }
+  }
+
+  async run(handler) {
+    try {
+      return await handler();
+    } catch (error) {
+      if (error instanceof ValidationError) {
+        this.errorHandler.handleValidationError(error);
+      } else if (error instanceof CancellationError) {
+        this.errorHandler.handleCancellation(error);
+      } else if (error instanceof WorkerError) {
+        this.errorHandler.handleWorkerError(error);
+      } else {
+        this.errorHandler.handleUnexpectedError(error);
+      }
+    }
+  }
+}
@@ -0,0 +1,67 @@
+import { Command } from 'commander';
+import { join } from 'path';
+import chalk from 'chalk';
+import { ApiValidator } from '../validation/apiValidator.js';
+import { SpecBundler } from '../bundling/specBundler.js';
+import { SpecSplitter } from '../bundling/specSplitter.js';
+import { CodeWriter } from '../generation/codeWriter.js';
+import { ErrorHandler } from '../utils/errorHandler.js';
+import { SpecSerializer } from '../utils/specSerializer.js';
+import { ValidationError } from '../utils/errors.js';
+
+export class SplitCommand {
+  constructor(config) {
+    this.config = config;
+    this.requiredConfig = [];
+    this.validator = new ApiValidator();
+    this.errorHandler = new ErrorHandler();
+    this.serializer = new SpecSerializer();
+  }
+
+  register(program) {
+    const command = new Command('split')
+      .description('Split a specification into per-path and per-component files with relative refs')
+      .argument('<spec>', 'Path to the OpenAPI specification')
+      .option('-o, --output <dir>', 'Output directory', './split')
+      .option('--format <type>', 'Output format (json, yaml); defaults to the input format')
+      .action(this.execute.bind(this));
+
+    program.addCommand(command);
+  }
+
+  async execute(specPath, options) {
+    try {
+      if (options.format) {
+        this.serializer.assertFormat(options.format);
+      }
+
+      // Phase 1: Bundle first, so external refs of the input are split as well
+      const bundler = new SpecBundler({ loadDocument: path => this.validator.loadSpec(path) });
+      const spec = await bundler.bundle(specPath);
+
+      // Phase 2: Split
+      const splitter = new SpecSplitter({ format: options.format || this.serializer.detectFormat(specPath) });
+      const files = splitter.split(spec);
+      const results = await new CodeWriter(options.output).write(files);
+
+      results.forEach(result => {
+        const color = { created: chalk.green, updated: chalk.yellow, unchanged: chalk.gray }[result.status] || chalk.gray;
+        console.log(`${color(result.status.padEnd(9))} ${result.path}`);
+      });
+      console.log(chalk.green('✨ Specification split into'), options.output);
+
+      // Phase 3: Validation of the split documents
+      await this.validator.validateFile(join(options.output, splitter.rootFile));
+      console.log(chalk.green('✓ Split specification is valid'));
+
+      return results;
+
+    } catch (error) {
+      if (error instanceof ValidationError) {
+        this.errorHandler.handleValidationError(error);
+      } else {
+        this.errorHandler.handleUnexpectedError(error);
+      }
+    }
+  }
+}
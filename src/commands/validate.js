@@ -0,0 +1,172 @@
+import { Command } from 'commander';
+import { writeFile } from 'fs/promises';
+import chalk from 'chalk';
+import inquirer from 'inquirer';
+import { ApiValidator } from '../validation/apiValidator.js';
+import { FindingsReporter } from '../validation/findingsReporter.js';
+import { SpecFixer } from '../validation/specFixer.js';
+import { ErrorHandler } from '../utils/errorHandler.js';
+import { SpecSerializer } from '../utils/specSerializer.js';
+import { TextDiff } from '../utils/textDiff.js';
+import { ValidationError } from '../utils/errors.js';
+
+export class ValidateCommand {
+  constructor(config) {
+    this.config = config;
+    this.requiredConfig = [];
+    this.validator = new ApiValidator();
+    this.reporter = new FindingsReporter(this.validator.rules);
+    this.errorHandler = new ErrorHandler();
+    this.fixer = new SpecFixer();
+    this.serializer = new SpecSerializer();
+    this.textDiff = new TextDiff();
+  }
+
+  register(program) {
+    const command = new Command('validate')
+      .description('Validate an OpenAPI specification and report findings')
+      .argument('<spec>', 'Path to the OpenAPI specification')
+      .option('-f, --format <type>', 'Report format (text, json, sarif)', 'text')
+      .option('-s, --severity <level>', 'Minimum severity to report (error, warn, info)', 'info')
+      .option('-o, --output <path>', 'Write the report to a file instead of stdout')
+      .option('-r, --ruleset <path>', 'Ruleset file to use instead of the nearest .pimpapi-rules')
+      .option('--require-security', 'Report operations without an effective security requirement as errors')
+      .option('--fix', 'Apply safe fixes to the specification, showing a diff before writing')
+      .option('-y, --yes', 'Write fixes without asking for confirmation')
+      .action(this.execute.bind(this));
+
+    program.addCommand(command);
+  }
+
+  async execute(specPath, options) {
+    try {
+      if (!this.reporter.supportedFormats.includes(options.format)) {
+        throw new ValidationError(`Unknown report format: ${options.format}`, [
+          `Supported formats: ${this.reporter.supportedFormats.join(', ')}`
+        ]);
+      }
+      if (!this.reporter.severityOrder.includes(options.severity)) {
+        throw new ValidationError(`Unknown severity: ${options.severity}`, [
+          `Supported severities: ${this.reporter.severityOrder.join(', ')}`
+        ]);
+      }
+
+      // Phase 1: Safe fixes are applied before linting, so only what they could not fix is reported
+      if (options.fix) {
+        await this.applyFixes(specPath, options);
+      }
+
+      // Phase 2: Lint the dereferenced document
+      if (options.ruleset) {
+        this.validator.rulesetPath = options.ruleset;
+      }
+      if (options.requireSecurity) {
+        this.validator.severityOverrides['operation-security'] = 'error';
+      }
+      const findings = await this.collectFindings(specPath);
+
+      // Phase 3: Report, describing rules from the loaded ruleset
+      this.reporter.rules = this.validator.rules;
+      const reported = this.reporter.filter(findings, options.severity);
+      const report = this.reporter.format(reported, options.format, { file: specPath });
+      if (options.output) {
+        await writeFile(options.output, report + '\n');
+      } else {
+        console.log(report);
+      }
+
+      if (findings.some(finding => finding.severity === 'error')) {
+        process.exitCode = 1;
+      }
+
+      return findings;
+
+    } catch (error) {
+      if (error instanceof ValidationError) {
+        this.errorHandler.handleValidationError(error);
+      } else {
+        this.errorHandler.handleUnexpectedError(error);
+      }
+    }
+  }
+
+  // Fix output goes to stderr so that json and sarif reports on stdout stay parseable
+  async applyFixes(specPath, options) {
+    const { spec, format, content } = await this.validator.loadSpecWithFormat(specPath);
+    if (this.validator.converter.isSwagger(spec)) {
+      throw new ValidationError('--fix does not support Swagger 2.0 documents', [
+        'Convert the document with pimp-api convert and fix the OpenAPI 3.0 output'
+      ]);
+    }
+
+    const { updated, fixes } = this.fixContent(spec, content, format);
+    if (fixes.length === 0) {
+      console.error(chalk.green('✓ No safe fixes to apply'));
+      return false;
+    }
+
+    console.error(chalk.bold(`${fixes.length} safe fix${fixes.length === 1 ? '' : 'es'} for ${specPath}:`));
+    fixes.forEach(fix => console.error(`  ${chalk.green('✓')} ${fix.message} ${chalk.gray(`(${fix.ruleId})`)}`));
+    console.error();
+    console.error(this.colorDiff(this.textDiff.unified(content, updated, { fromFile: specPath, toFile: `${specPath} (fixed)` })));
+    console.error();
+
+    if (!options.yes && !(await this.confirmWrite(specPath))) {
+      console.error(chalk.yellow('Fixes were not written'));
+      return false;
+    }
+
+    await writeFile(specPath, updated);
+    console.error(chalk.green('✨ Fixes written to'), specPath);
+    return true;
+  }
+
+  // YAML keeps its comments and layout; JSON has neither, so it is written back in the serializer's layout
+  fixContent(spec, content, format) {
+    if (format === 'yaml') {
+      const { content: updated, fixes } = this.fixer.fixYaml(content);
+      return { updated, fixes };
+    }
+
+    const { document, fixes } = this.fixer.fix(spec);
+    return { updated: this.serializer.stringify(document, format), fixes };
+  }
+
+  async confirmWrite(specPath) {
+    if (!process.stdin.isTTY) {
+      console.error(chalk.gray('Not running interactively; use --yes to write the fixes'));
+      return false;
+    }
+
+    const { confirmed } = await inquirer.prompt([{
+      type: 'confirm',
+      name: 'confirmed',
+      message: `Write these fixes to ${specPath}?`,
+      default: false
+    }]);
+    return confirmed;
+  }
+
+  colorDiff(diff) {
+    return diff.split('\n').map(line => {
+      if (line.startsWith('+++') || line.startsWith('---')) return chalk.bold(line);
+      if (line.startsWith('@@')) return chalk.cyan(line);
+      if (line.startsWith('+')) return chalk.green(line);
+      if (line.startsWith('-')) return chalk.red(line);
+      return line;
+    }).join('\n');
+  }
+
+  async collectFindings(specPath) {
+    try {
+      const { findings } = await this.validator.lintFile(specPath);
+      return findings;
+    } catch (error) {
+      // Parse and reference errors carry their own findings
+      if (error instanceof ValidationError && error.findings.length > 0) {
+        return error.findings;
+      }
+      throw error;
+    }
+  }
+}
@@ -0,0 +1,47 @@
+import { jest } from '@jest/globals';
+import { mkdtemp, readFile, rm, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { ValidateCommand } from './validate.js';
+
+const SPEC = `# Pets API, maintained by hand
+openapi: 3.0.3
+info:
+  title: Pets
+  version: 1.0.0
+paths:
+  /pets:
+    get:
+      summary: List pets  # shown in the docs
+      responses:
+        '200': {description: All pets}
+`;
+
+describe('validate --fix', () => {
+  let directory;
+  let specPath;
+
+  beforeEach(async () => {
+    directory = await mkdtemp(join(tmpdir(), 'pimp-api-validate-'));
+    specPath = join(directory, 'api.yaml');
+    await writeFile(specPath, SPEC);
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    process.exitCode = undefined;
+    await rm(directory, { recursive: true, force: true });
+  });
+
+  it('writes the fixes and keeps comments and flow mappings', async () => {
+    const findings = await new ValidateCommand({}).execute(specPath, { format: 'json', severity: 'info', fix: true, yes: true });
+
+    expect(await readFile(specPath, 'utf8')).toBe(SPEC.replace(
+      '      responses:\n',
+      '      operationId: getPets\n      responses:\n'
+    ).replace('List pets  # shown', 'List pets # shown').replace('{description: All pets}', '{ description: All pets }'));
+    expect(findings.filter(finding => finding.ruleId === 'operation-operationId')).toEqual([]);
+  });
+});
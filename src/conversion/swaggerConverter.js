@@ -0,0 +1,409 @@
+export class SwaggerConverter {
+  constructor() {
+    this.targetVersion = '3.0.3';
+    this.httpMethods = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch'];
+    this.refMappings = {
+      '#/definitions/': '#/components/schemas/',
+      '#/parameters/': '#/components/parameters/',
+      '#/responses/': '#/components/responses/'
+    };
+    this.oauthFlows = {
+      implicit: 'implicit',
+      password: 'password',
+      application: 'clientCredentials',
+      accessCode: 'authorizationCode'
+    };
+    this.collectionFormats = {
+      csv: { style: 'form', explode: false },
+      ssv: { style: 'spaceDelimited', explode: false },
+      pipes: { style: 'pipeDelimited', explode: false },
+      multi: { style: 'form', explode: true }
+    };
+    this.schemaKeywords = [
+      'format', 'items', 'enum', 'default', 'minimum', 'maximum', 'exclusiveMinimum',
+      'exclusiveMaximum', 'minLength', 'maxLength', 'pattern', 'minItems', 'maxItems',
+      'uniqueItems', 'multipleOf'
+    ];
+  }
+
+  isSwagger(spec) {
+    return Boolean(spec) && String(spec.swagger) === '2.0';
+  }
+
+  convert(spec) {
+    this.source = spec;
+
+    // Phase 1: Document Metadata
+    const converted = {
+      openapi: this.targetVersion,
+      info: spec.info,
+      servers: this.convertServers(spec),
+      ...this.pick(spec, ['tags', 'externalDocs', 'security']),
+      paths: {},
+      components: {}
+    };
+
+    // Phase 2: Paths and Operations
+    Object.entries(spec.paths || {}).forEach(([path, pathItem]) => {
+      converted.paths[path] = this.convertPathItem(pathItem);
+    });
+
+    // Phase 3: Components
+    converted.components = this.convertComponents(spec);
+    if (Object.keys(converted.components).length === 0) {
+      delete converted.components;
+    }
+
+    this.copyExtensions(spec, converted);
+    return converted;
+  }
+
+  convertServers(spec) {
+    const basePath = spec.basePath || '';
+    if (!spec.host) {
+      return [{ url: basePath || '/' }];
+    }
+
+    const schemes = spec.schemes && spec.schemes.length > 0 ? spec.schemes : ['https'];
+    return schemes.map(scheme => ({ url: `${scheme}://${spec.host}${basePath}` }));
+  }
+
+  // Path Conversion
+  convertPathItem(pathItem) {
+    const converted = {};
+    const pathParameters = pathItem.parameters || [];
+
+    Object.entries(pathItem).forEach(([key, value]) => {
+      if (this.httpMethods.includes(key)) {
+        converted[key] = this.convertOperation(value, pathParameters);
+      } else if (key === '$ref') {
+        converted.$ref = this.convertRef(value);
+      } else if (key !== 'parameters') {
+        converted[key] = this.convertRefs(value);
+      }
+    });
+
+    // Body and form parameters move into each operation's requestBody
+    const shared = pathParameters.filter(param => !this.isBodyParameter(this.dereferenceParameter(param)));
+    if (shared.length > 0) {
+      converted.parameters = shared.map(param => this.convertParameter(param));
+    }
+
+    return converted;
+  }
+
+  convertOperation(operation, pathParameters) {
+    const consumes = operation.consumes || this.source.consumes || ['application/json'];
+    const produces = operation.produces || this.source.produces || ['application/json'];
+    const { parameters = [], responses = {}, schemes } = operation;
+    const converted = this.convertRefs(
+      this.omit(operation, ['consumes', 'produces', 'parameters', 'responses', 'schemes'])
+    );
+
+    // Operation parameters override path-level parameters with the same name and location
+    const overridden = new Set(parameters.map(param => this.parameterKey(this.dereferenceParameter(param))));
+    const inherited = pathParameters.filter(param => {
+      const resolved = this.dereferenceParameter(param);
+      return this.isBodyParameter(resolved) && !overridden.has(this.parameterKey(resolved));
+    });
+    const allParameters = [...inherited, ...parameters];
+
+    const bodyParameters = allParameters.filter(param => this.isBodyParameter(this.dereferenceParameter(param)));
+    const otherParameters = parameters.filter(param => !this.isBodyParameter(this.dereferenceParameter(param)));
+
+    if (otherParameters.length > 0) {
+      converted.parameters = otherParameters.map(param => this.convertParameter(param));
+    }
+
+    if (bodyParameters.length > 0) {
+      converted.requestBody = this.convertRequestBody(bodyParameters, consumes);
+    }
+
+    converted.responses = Object.fromEntries(
+      Object.entries(responses).map(([code, response]) => [code, this.convertResponse(response, produces)])
+    );
+
+    if (schemes) {
+      converted.servers = this.convertServers({ ...this.source, schemes });
+    }
+
+    return converted;
+  }
+
+  convertParameter(param) {
+    if (param.$ref) {
+      return { $ref: this.convertRef(param.$ref) };
+    }
+
+    const { type, collectionFormat } = param;
+    const converted = this.pick(param, ['name', 'in', 'description', 'required', 'deprecated', 'allowEmptyValue']);
+
+    converted.schema = this.convertSchema(
+      param.schema || { type, ...this.pick(param, this.schemaKeywords) }
+    );
+
+    if (collectionFormat && this.collectionFormats[collectionFormat]) {
+      const { style, explode } = this.collectionFormats[collectionFormat];
+      converted.style = param.in === 'query' || param.in === 'cookie' ? style : 'simple';
+      converted.explode = explode;
+    }
+
+    this.copyExtensions(param, converted);
+    return converted;
+  }
+
+  convertRequestBody(parameters, consumes) {
+    const body = parameters.find(param => {
+      const resolved = this.dereferenceParameter(param);
+      return resolved.in === 'body';
+    });
+
+    if (body) {
+      if (body.$ref) {
+        return { $ref: this.convertRef(body.$ref).replace('#/components/parameters/', '#/components/requestBodies/') };
+      }
+      return this.convertBodyParameter(body, consumes);
+    }
+
+    return this.convertFormParameters(parameters.map(param => this.dereferenceParameter(param)), consumes);
+  }
+
+  convertBodyParameter(param, consumes) {
+    const schema = this.convertSchema(param.schema || {});
+    const requestBody = {
+      content: Object.fromEntries(consumes.map(type => [type, { schema }]))
+    };
+
+    if (param.description) requestBody.description = param.description;
+    if (param.required) requestBody.required = true;
+    this.copyExtensions(param, requestBody);
+
+    return requestBody;
+  }
+
+  convertFormParameters(parameters, consumes) {
+    const schema = { type: 'object', properties: {} };
+    const required = [];
+
+    parameters.forEach(param => {
+      schema.properties[param.name] = this.convertSchema({
+        type: param.type,
+        ...this.pick(param, [...this.schemaKeywords, 'description'])
+      });
+      if (param.required) required.push(param.name);
+    });
+
+    if (required.length > 0) {
+      schema.required = required;
+    }
+
+    const hasFile = parameters.some(param => param.type === 'file');
+    const formTypes = consumes.filter(type =>
+      type === 'multipart/form-data' || type === 'application/x-www-form-urlencoded'
+    );
+    const mediaTypes = formTypes.length > 0
+      ? formTypes
+      : [hasFile ? 'multipart/form-data' : 'application/x-www-form-urlencoded'];
+
+    return {
+      content: Object.fromEntries(mediaTypes.map(type => [type, { schema }])),
+      ...(required.length > 0 ? { required: true } : {})
+    };
+  }
+
+  convertResponse(response, produces) {
+    if (response.$ref) {
+      return { $ref: this.convertRef(response.$ref) };
+    }
+
+    const converted = { description: response.description || '' };
+
+    if (response.schema) {
+      const schema = this.convertSchema(response.schema);
+      converted.content = Object.fromEntries(produces.map(type => {
+        const mediaType = { schema };
+        if (response.examples && response.examples[type] !== undefined) {
+          mediaType.example = response.examples[type];
+        }
+        return [type, mediaType];
+      }));
+    }
+
+    if (response.headers) {
+      converted.headers = Object.fromEntries(
+        Object.entries(response.headers).map(([name, header]) => {
+          return [name, {
+            ...this.pick(header, ['description']),
+            schema: this.convertSchema({ type: header.type, ...this.pick(header, this.schemaKeywords) })
+          }];
+        })
+      );
+    }
+
+    this.copyExtensions(response, converted);
+    return converted;
+  }
+
+  // Component Conversion
+  convertComponents(spec) {
+    const components = {};
+
+    if (spec.definitions) {
+      components.schemas = Object.fromEntries(
+        Object.entries(spec.definitions).map(([name, schema]) => [name, this.convertSchema(schema)])
+      );
+    }
+
+    if (spec.parameters) {
+      Object.entries(spec.parameters).forEach(([name, param]) => {
+        if (param.in === 'body') {
+          components.requestBodies = components.requestBodies || {};
+          components.requestBodies[name] = this.convertBodyParameter(
+            param,
+            spec.consumes || ['application/json']
+          );
+        } else if (param.in !== 'formData') {
+          components.parameters = components.parameters || {};
+          components.parameters[name] = this.convertParameter(param);
+        }
+      });
+    }
+
+    if (spec.responses) {
+      components.responses = Object.fromEntries(
+        Object.entries(spec.responses).map(([name, response]) => [
+          name,
+          this.convertResponse(response, spec.produces || ['application/json'])
+        ])
+      );
+    }
+
+    if (spec.securityDefinitions) {
+      components.securitySchemes = Object.fromEntries(
+        Object.entries(spec.securityDefinitions).map(([name, scheme]) => [name, this.convertSecurityScheme(scheme)])
+      );
+    }
+
+    return components;
+  }
+
+  convertSecurityScheme(scheme) {
+    const converted = this.pick(scheme, ['description']);
+
+    switch (scheme.type) {
+      case 'basic':
+        Object.assign(converted, { type: 'http', scheme: 'basic' });
+        break;
+      case 'apiKey':
+        Object.assign(converted, { type: 'apiKey', name: scheme.name, in: scheme.in });
+        break;
+      case 'oauth2': {
+        const flow = this.pick(scheme, ['authorizationUrl', 'tokenUrl']);
+        flow.scopes = scheme.scopes || {};
+        Object.assign(converted, {
+          type: 'oauth2',
+          flows: { [this.oauthFlows[scheme.flow] || scheme.flow]: flow }
+        });
+        break;
+      }
+      default:
+        Object.assign(converted, { type: scheme.type });
+    }
+
+    this.copyExtensions(scheme, converted);
+    return converted;
+  }
+
+  convertSchema(schema) {
+    if (Array.isArray(schema)) {
+      return schema.map(entry => this.convertSchema(entry));
+    }
+    if (!schema || typeof schema !== 'object') {
+      return schema;
+    }
+
+    const converted = {};
+    Object.entries(schema).forEach(([key, value]) => {
+      if (key === '$ref') {
+        converted.$ref = this.convertRef(value);
+      } else if (key === 'x-nullable') {
+        converted.nullable = value;
+      } else if (key === 'discriminator' && typeof value === 'string') {
+        converted.discriminator = { propertyName: value };
+      } else if (key === 'type' && value === 'file') {
+        converted.type = 'string';
+        converted.format = 'binary';
+      } else if (key === 'properties' || key === 'definitions') {
+        converted[key] = Object.fromEntries(
+          Object.entries(value).map(([name, entry]) => [name, this.convertSchema(entry)])
+        );
+      } else if (value && typeof value === 'object' && key !== 'example' && key !== 'enum' && key !== 'default') {
+        converted[key] = this.convertSchema(value);
+      } else {
+        converted[key] = value;
+      }
+    });
+
+    return converted;
+  }
+
+  // Reference Utilities
+  convertRef(ref) {
+    const prefix = Object.keys(this.refMappings).find(candidate => ref.startsWith(candidate));
+    return prefix ? this.refMappings[prefix] + ref.slice(prefix.length) : ref;
+  }
+
+  convertRefs(value) {
+    if (Array.isArray(value)) {
+      return value.map(entry => this.convertRefs(entry));
+    }
+    if (!value || typeof value !== 'object') {
+      return value;
+    }
+
+    return Object.fromEntries(
+      Object.entries(value).map(([key, entry]) => [
+        key,
+        key === '$ref' && typeof entry === 'string' ? this.convertRef(entry) : this.convertRefs(entry)
+      ])
+    );
+  }
+
+  dereferenceParameter(param) {
+    if (!param.$ref || !param.$ref.startsWith('#/parameters/')) {
+      return param;
+    }
+
+    const name = param.$ref.slice('#/parameters/'.length);
+    return (this.source.parameters && this.source.parameters[name]) || param;
+  }
+
+  isBodyParameter(param) {
+    return param.in === 'body' || param.in === 'formData';
+  }
+
+  parameterKey(param) {
+    return `${param.in}:${param.name}`;
+  }
+
+  pick(source, keys) {
+    return keys.reduce((picked, key) => {
+      if (source[key] !== undefined) picked[key] = source[key];
+      return picked;
+    }, {});
+  }
+
+  omit(source, keys) {
+    return Object.fromEntries(
+      Object.entries(source).filter(([key]) => !keys.includes(key))
+    );
+  }
+
+  copyExtensions(source, target) {
+    Object.keys(source)
+      .filter(key => key.startsWith('x-') && key !== 'x-nullable')
+      .forEach(key => {
+        target[key] = source[key];
+      });
+  }
+}
@@ -0,0 +1,102 @@
+import { SwaggerConverter } from './swaggerConverter.js';
+
+const SWAGGER = {
+  swagger: '2.0',
+  info: { title: 'Pets', version: '1.0.0' },
+  host: 'api.example.com',
+  basePath: '/v1',
+  schemes: ['https', 'http'],
+  produces: ['application/json'],
+  paths: {
+    '/pets': {
+      get: {
+        operationId: 'listPets',
+        parameters: [{ name: 'tags', in: 'query', type: 'array', items: { type: 'string' }, collectionFormat: 'multi' }],
+        responses: { 200: { description: 'Pets', schema: { type: 'array', items: { $ref: '#/definitions/Pet' } } } }
+      },
+      post: {
+        operationId: 'createPet',
+        parameters: [{ name: 'pet', in: 'body', required: true, schema: { $ref: '#/definitions/Pet' } }],
+        responses: { 201: { description: 'Created' } }
+      }
+    },
+    '/pets/{petId}/photo': {
+      parameters: [{ $ref: '#/parameters/PetId' }],
+      post: {
+        operationId: 'uploadPhoto',
+        consumes: ['multipart/form-data'],
+        parameters: [
+          { name: 'file', in: 'formData', type: 'file', required: true },
+          { name: 'caption', in: 'formData', type: 'string' }
+        ],
+        responses: { 204: { description: 'Stored' } }
+      }
+    }
+  },
+  parameters: { PetId: { name: 'petId', in: 'path', required: true, type: 'string' } },
+  definitions: {
+    Pet: { type: 'object', required: ['name'], properties: { name: { type: 'string' }, owner: { $ref: '#/definitions/Owner' } } },
+    Owner: { type: 'object', 'x-nullable': true }
+  },
+  securityDefinitions: {
+    key: { type: 'apiKey', name: 'X-Key', in: 'header' },
+    oauth: { type: 'oauth2', flow: 'accessCode', authorizationUrl: 'https://auth.example.com', tokenUrl: 'https://token.example.com', scopes: { read: 'Read' } },
+    basic: { type: 'basic' }
+  }
+};
+
+describe('SwaggerConverter', () => {
+  const converter = new SwaggerConverter();
+  const converted = converter.convert(SWAGGER);
+
+  it('recognizes Swagger 2.0 documents only', () => {
+    expect(converter.isSwagger(SWAGGER)).toBe(true);
+    expect(converter.isSwagger({ openapi: '3.0.3' })).toBe(false);
+  });
+
+  it('builds servers from host, basePath and schemes', () => {
+    expect(converted.openapi).toBe('3.0.3');
+    expect(converted.servers).toEqual([{ url: 'https://api.example.com/v1' }, { url: 'http://api.example.com/v1' }]);
+  });
+
+  it('moves definitions and shared parameters into components and rewrites their references', () => {
+    expect(converted.components.schemas.Pet.properties.owner).toEqual({ $ref: '#/components/schemas/Owner' });
+    expect(converted.components.schemas.Owner).toEqual({ type: 'object', nullable: true });
+    expect(converted.components.parameters.PetId).toEqual({ name: 'petId', in: 'path', required: true, schema: { type: 'string' } });
+    expect(converted.paths['/pets/{petId}/photo'].parameters).toEqual([{ $ref: '#/components/parameters/PetId' }]);
+  });
+
+  it('turns query collection formats into style and explode', () => {
+    expect(converted.paths['/pets'].get.parameters).toEqual([{
+      name: 'tags',
+      in: 'query',
+      schema: { type: 'array', items: { type: 'string' } },
+      style: 'form',
+      explode: true
+    }]);
+  });
+
+  it('turns body and form parameters into request bodies and schemas into response content', () => {
+    expect(converted.paths['/pets'].post.requestBody).toEqual({
+      content: { 'application/json': { schema: { $ref: '#/components/schemas/Pet' } } },
+      required: true
+    });
+    expect(converted.paths['/pets/{petId}/photo'].post.requestBody.content['multipart/form-data'].schema).toEqual({
+      type: 'object',
+      properties: { file: { type: 'string', format: 'binary' }, caption: { type: 'string' } },
+      required: ['file']
+    });
+    expect(converted.paths['/pets'].get.responses[200].content['application/json'].schema.items).toEqual({ $ref: '#/components/schemas/Pet' });
+  });
+
+  it('converts security definitions into security schemes', () => {
+    expect(converted.components.securitySchemes).toEqual({
+      key: { type: 'apiKey', name: 'X-Key', in: 'header' },
+      oauth: {
+        type: 'oauth2',
+        flows: { authorizationCode: { authorizationUrl: 'https://auth.example.com', tokenUrl: 'https://token.example.com', scopes: { read: 'Read' } } }
+      },
+      basic: { type: 'http', scheme: 'basic' }
+    });
+  });
+});
@@ -0,0 +1,43 @@
+export class DiffReporter {
+  constructor() {
+    this.supportedFormats = ['markdown', 'json'];
+    this.sections = {
+      breaking: 'Breaking changes',
+      'non-breaking': 'Non-breaking changes',
+      annotation: 'Documentation changes'
+    };
+  }
+
+  format(changes, summary, type, options = {}) {
+    switch (type) {
+      case 'json':
+        return JSON.stringify({ base: options.base, revision: options.revision, summary, changes }, null, 2);
+      default:
+        return this.toMarkdown(changes, summary, options);
+    }
+  }
+
+  toMarkdown(changes, summary, options = {}) {
+    const lines = [`# API changes: ${options.base} → ${options.revision}`, ''];
+
+    if (changes.length === 0) {
+      lines.push('No changes.');
+      return lines.join('\n');
+    }
+
+    lines.push(`**${summary.breaking} breaking**, ${summary['non-breaking']} non-breaking, ` +
+      `${summary.annotation} documentation change(s)`);
+
+    Object.entries(this.sections).forEach(([level, title]) => {
+      const entries = changes.filter(change => change.level === level);
+      if (entries.length === 0) return;
+
+      lines.push('', `## ${title}`, '');
+      entries.forEach(change => {
+        lines.push(`- ${change.message} (\`${change.id}\` at \`${change.pointer}\`)`);
+      });
+    });
+
+    return lines.join('\n');
+  }
+}
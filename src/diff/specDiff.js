@@ -0,0 +1,387 @@
+export class SpecDiff {
+  constructor() {
+    this.httpMethods = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch'];
+    this.annotationFields = ['summary', 'description', 'title', 'example', 'examples', 'externalDocs'];
+  }
+
+  // Compare two dereferenced OpenAPI documents
+  compare(oldSpec, newSpec) {
+    this.changes = [];
+    this.comparing = new Map();
+
+    // Phase 1: Document Metadata
+    this.compareAnnotations(oldSpec.info || {}, newSpec.info || {}, '/info', 'API info');
+    if (oldSpec.info?.version !== newSpec.info?.version) {
+      this.record('annotation', 'info-version-changed', '/info/version',
+        `API version changed from ${oldSpec.info?.version} to ${newSpec.info?.version}`);
+    }
+
+    // Phase 2: Operations
+    const oldOperations = this.collectOperations(oldSpec);
+    const newOperations = this.collectOperations(newSpec);
+
+    oldOperations.forEach((operation, key) => {
+      if (!newOperations.has(key)) {
+        this.record('breaking', 'operation-removed', operation.pointer, `${operation.label}: operation removed`);
+      }
+    });
+    newOperations.forEach((operation, key) => {
+      if (!oldOperations.has(key)) {
+        this.record('non-breaking', 'operation-added', operation.pointer, `${operation.label}: operation added`);
+      } else {
+        this.compareOperation(oldOperations.get(key), operation);
+      }
+    });
+
+    return this.changes;
+  }
+
+  summarize(changes) {
+    return changes.reduce((counts, change) => {
+      counts[change.level] += 1;
+      return counts;
+    }, { breaking: 0, 'non-breaking': 0, annotation: 0 });
+  }
+
+  record(level, id, pointer, message) {
+    this.changes.push({ level, id, message, pointer });
+  }
+
+  collectOperations(spec) {
+    const operations = new Map();
+
+    Object.entries(spec.paths || {}).forEach(([path, pathItem]) => {
+      this.httpMethods
+        .filter(method => pathItem?.[method])
+        .forEach(method => {
+          // Renamed path parameters do not change the operation's identity
+          const key = `${method} ${path.replace(/\{[^}]*\}/g, '{}')}`;
+          const pathPointer = `/paths/${this.escape(path)}`;
+          operations.set(key, {
+            path,
+            method,
+            label: `${method.toUpperCase()} ${path}`,
+            pointer: `${pathPointer}/${method}`,
+            operation: pathItem[method],
+            parameters: this.mergeParameters(
+              { list: pathItem.parameters || [], pointer: `${pathPointer}/parameters` },
+              { list: pathItem[method].parameters || [], pointer: `${pathPointer}/${method}/parameters` }
+            )
+          });
+        });
+    });
+
+    return operations;
+  }
+
+  mergeParameters(...levels) {
+    // Operation-level parameters override path-level ones with the same name and location
+    const merged = new Map();
+    levels.forEach(({ list, pointer }) => {
+      list.forEach((param, index) => {
+        if (param?.name && param.in) {
+          merged.set(`${param.in}:${param.name}`, { param, pointer: `${pointer}/${index}` });
+        }
+      });
+    });
+    return merged;
+  }
+
+  // Operation Comparison
+  compareOperation(before, after) {
+    const { label, pointer } = after;
+    const oldOperation = before.operation;
+    const newOperation = after.operation;
+
+    this.compareAnnotations(oldOperation, newOperation, pointer, label);
+
+    if (oldOperation.operationId !== newOperation.operationId) {
+      this.record('non-breaking', 'operation-id-changed', `${pointer}/operationId`,
+        `${label}: operationId changed from ${oldOperation.operationId} to ${newOperation.operationId}`);
+    }
+    if (!oldOperation.deprecated && newOperation.deprecated) {
+      this.record('non-breaking', 'operation-deprecated', pointer, `${label}: operation deprecated`);
+    }
+
+    this.compareParameters(before, after);
+    this.compareRequestBody(oldOperation.requestBody, newOperation.requestBody, `${pointer}/requestBody`, label);
+    this.compareResponses(oldOperation.responses || {}, newOperation.responses || {}, `${pointer}/responses`, label);
+  }
+
+  compareParameters(before, after) {
+    const { label, pointer } = after;
+
+    before.parameters.forEach(({ param }, key) => {
+      if (!after.parameters.has(key) && param.in !== 'path') {
+        this.record('non-breaking', 'parameter-removed', pointer, `${label}: ${param.in} parameter ${param.name} removed`);
+      }
+    });
+
+    after.parameters.forEach(({ param, pointer: paramPointer }, key) => {
+      const location = `${label}: ${param.in} parameter ${param.name}`;
+      const previous = before.parameters.get(key)?.param;
+
+      if (!previous) {
+        if (param.in === 'path') return;
+        this.record(param.required ? 'breaking' : 'non-breaking', param.required ? 'required-parameter-added' : 'parameter-added',
+          paramPointer, `${location} added${param.required ? ' as required' : ''}`);
+        return;
+      }
+
+      if (!previous.required && param.required) {
+        this.record('breaking', 'parameter-became-required', paramPointer, `${location} became required`);
+      } else if (previous.required && !param.required) {
+        this.record('non-breaking', 'parameter-became-optional', paramPointer, `${location} became optional`);
+      }
+
+      this.compareAnnotations(previous, param, paramPointer, location);
+      this.compareSchema(previous.schema, param.schema, `${paramPointer}/schema`, location, 'request');
+    });
+  }
+
+  compareRequestBody(oldBody, newBody, pointer, label) {
+    if (!oldBody && !newBody) return;
+
+    if (!oldBody) {
+      this.record(newBody.required ? 'breaking' : 'non-breaking', 'request-body-added', pointer,
+        `${label}: ${newBody.required ? 'required ' : ''}request body added`);
+      return;
+    }
+    if (!newBody) {
+      this.record('breaking', 'request-body-removed', pointer, `${label}: request body removed`);
+      return;
+    }
+
+    if (!oldBody.required && newBody.required) {
+      this.record('breaking', 'request-body-became-required', pointer, `${label}: request body became required`);
+    }
+
+    this.compareAnnotations(oldBody, newBody, pointer, `${label} request body`);
+    this.compareContent(oldBody.content || {}, newBody.content || {}, `${pointer}/content`, `${label} request body`, 'request');
+  }
+
+  compareResponses(oldResponses, newResponses, pointer, label) {
+    Object.keys(oldResponses).forEach(status => {
+      if (!newResponses[status]) {
+        this.record('breaking', 'response-removed', `${pointer}/${this.escape(status)}`,
+          `${label}: response ${status} removed`);
+      }
+    });
+
+    Object.entries(newResponses).forEach(([status, response]) => {
+      const responsePointer = `${pointer}/${this.escape(status)}`;
+      const previous = oldResponses[status];
+      const location = `${label} response ${status}`;
+
+      if (!previous) {
+        this.record('non-breaking', 'response-added', responsePointer, `${label}: response ${status} added`);
+        return;
+      }
+
+      this.compareAnnotations(previous, response, responsePointer, location);
+      this.compareContent(previous.content || {}, response.content || {}, `${responsePointer}/content`, location, 'response');
+    });
+  }
+
+  compareContent(oldContent, newContent, pointer, label, direction) {
+    Object.keys(oldContent).forEach(mediaType => {
+      if (!newContent[mediaType]) {
+        this.record('breaking', 'media-type-removed', `${pointer}/${this.escape(mediaType)}`,
+          `${label}: media type ${mediaType} removed`);
+      }
+    });
+
+    Object.entries(newContent).forEach(([mediaType, media]) => {
+      const mediaPointer = `${pointer}/${this.escape(mediaType)}`;
+      if (!oldContent[mediaType]) {
+        this.record('non-breaking', 'media-type-added', mediaPointer, `${label}: media type ${mediaType} added`);
+        return;
+      }
+
+      this.compareAnnotations(oldContent[mediaType], media, mediaPointer, `${label} (${mediaType})`);
+      this.compareSchema(oldContent[mediaType].schema, media.schema, `${mediaPointer}/schema`,
+        `${label} (${mediaType})`, direction);
+    });
+  }
+
+  // Schema Comparison
+  compareSchema(oldSchema, newSchema, pointer, label, direction) {
+    if (!oldSchema || !newSchema || typeof oldSchema !== 'object' || typeof newSchema !== 'object') {
+      if (Boolean(oldSchema) !== Boolean(newSchema)) {
+        this.record('breaking', 'schema-changed', pointer, `${label}: schema ${oldSchema ? 'removed' : 'added'}`);
+      }
+      return;
+    }
+
+    // Dereferenced documents may be cyclic; a pair already on the traversal stack is not entered again.
+    // Shared schemas are compared again from each operation so every affected operation is reported
+    if (!this.comparing.has(oldSchema)) this.comparing.set(oldSchema, new Set());
+    const pending = this.comparing.get(oldSchema);
+    if (pending.has(newSchema)) return;
+
+    pending.add(newSchema);
+    try {
+      this.compareSchemaPair(oldSchema, newSchema, pointer, label, direction);
+    } finally {
+      pending.delete(newSchema);
+    }
+  }
+
+  compareSchemaPair(oldSchema, newSchema, pointer, label, direction) {
+    // Level 1: Type and Nullability
+    const oldType = [].concat(oldSchema.type || []).sort().join('|');
+    const newType = [].concat(newSchema.type || []).sort().join('|');
+    if (oldType !== newType) {
+      this.record('breaking', 'schema-type-changed', `${pointer}/type`,
+        `${label}: type changed from ${oldType || 'any'} to ${newType || 'any'}`);
+    }
+    if (oldSchema.format !== newSchema.format) {
+      this.record('breaking', 'schema-format-changed', pointer,
+        `${label}: format changed from ${oldSchema.format || 'none'} to ${newSchema.format || 'none'}`);
+    }
+
+    const wasNullable = this.isNullable(oldSchema);
+    const isNullable = this.isNullable(newSchema);
+    if (wasNullable !== isNullable) {
+      // Requests may no longer send null; responses may now return it
+      const breaking = direction === 'request' ? wasNullable : isNullable;
+      this.record(breaking ? 'breaking' : 'non-breaking', 'schema-nullable-changed', pointer,
+        `${label}: ${isNullable ? 'became' : 'is no longer'} nullable`);
+    }
+
+    // Level 2: Value Constraints
+    this.compareEnum(oldSchema, newSchema, pointer, label, direction);
+    this.compareConstraints(oldSchema, newSchema, pointer, label, direction);
+    this.compareAnnotations(oldSchema, newSchema, pointer, label);
+
+    // Level 3: Nested Schemas
+    this.compareProperties(oldSchema, newSchema, pointer, label, direction);
+    if (oldSchema.items || newSchema.items) {
+      this.compareSchema(oldSchema.items, newSchema.items, `${pointer}/items`, `${label}[]`, direction);
+    }
+    ['allOf', 'anyOf', 'oneOf'].forEach(keyword => {
+      const oldMembers = oldSchema[keyword] || [];
+      const newMembers = newSchema[keyword] || [];
+      if (oldMembers.length !== newMembers.length) {
+        this.record('breaking', 'schema-composition-changed', `${pointer}/${keyword}`,
+          `${label}: ${keyword} changed from ${oldMembers.length} to ${newMembers.length} schemas`);
+        return;
+      }
+      newMembers.forEach((member, index) => {
+        this.compareSchema(oldMembers[index], member, `${pointer}/${keyword}/${index}`, `${label}.${keyword}[${index}]`, direction);
+      });
+    });
+  }
+
+  compareEnum(oldSchema, newSchema, pointer, label, direction) {
+    if (!oldSchema.enum && !newSchema.enum) return;
+
+    if (!oldSchema.enum) {
+      this.record(direction === 'request' ? 'breaking' : 'non-breaking', 'enum-added', `${pointer}/enum`,
+        `${label}: values restricted to ${newSchema.enum.join(', ')}`);
+      return;
+    }
+    if (!newSchema.enum) {
+      this.record(direction === 'response' ? 'breaking' : 'non-breaking', 'enum-removed', pointer,
+        `${label}: value restriction removed`);
+      return;
+    }
+
+    const removed = oldSchema.enum.filter(value => !newSchema.enum.some(option => this.isEqual(option, value)));
+    const added = newSchema.enum.filter(value => !oldSchema.enum.some(option => this.isEqual(option, value)));
+
+    // Narrowed request enums reject old values; widened response enums surprise old clients
+    if (removed.length > 0) {
+      this.record(direction === 'request' ? 'breaking' : 'non-breaking', 'enum-narrowed', `${pointer}/enum`,
+        `${label}: enum values removed: ${removed.join(', ')}`);
+    }
+    if (added.length > 0) {
+      this.record(direction === 'response' ? 'breaking' : 'non-breaking', 'enum-widened', `${pointer}/enum`,
+        `${label}: enum values added: ${added.join(', ')}`);
+    }
+  }
+
+  compareConstraints(oldSchema, newSchema, pointer, label, direction) {
+    // Each bound tightens when it moves in the given direction
+    const bounds = {
+      minLength: 1, maxLength: -1, minimum: 1, maximum: -1,
+      minItems: 1, maxItems: -1, minProperties: 1, maxProperties: -1
+    };
+
+    Object.entries(bounds).forEach(([keyword, tightening]) => {
+      const before = oldSchema[keyword];
+      const after = newSchema[keyword];
+      if (before === after) return;
+
+      const tightened = after !== undefined && (before === undefined || (after - before) * tightening > 0);
+      // Tighter requests reject old payloads; looser responses may break old clients
+      const breaking = direction === 'request' ? tightened : !tightened;
+      this.record(breaking ? 'breaking' : 'non-breaking', 'schema-constraint-changed', `${pointer}/${keyword}`,
+        `${label}: ${keyword} changed from ${before ?? 'none'} to ${after ?? 'none'}`);
+    });
+
+    if (oldSchema.pattern !== newSchema.pattern) {
+      this.record(direction === 'request' && newSchema.pattern ? 'breaking' : 'non-breaking', 'schema-pattern-changed',
+        `${pointer}/pattern`, `${label}: pattern changed from ${oldSchema.pattern || 'none'} to ${newSchema.pattern || 'none'}`);
+    }
+  }
+
+  compareProperties(oldSchema, newSchema, pointer, label, direction) {
+    const oldProperties = oldSchema.properties || {};
+    const newProperties = newSchema.properties || {};
+    const oldRequired = Array.isArray(oldSchema.required) ? oldSchema.required : [];
+    const newRequired = Array.isArray(newSchema.required) ? newSchema.required : [];
+
+    Object.keys(oldProperties).forEach(name => {
+      if (!newProperties[name]) {
+        // Clients may rely on response properties; extra request properties are usually ignored
+        this.record(direction === 'response' ? 'breaking' : 'non-breaking', 'property-removed',
+          `${pointer}/properties`, `${label}: property ${name} removed`);
+      }
+    });
+
+    Object.entries(newProperties).forEach(([name, property]) => {
+      const propertyPointer = `${pointer}/properties/${this.escape(name)}`;
+      const propertyLabel = `${label}.${name}`;
+      const required = newRequired.includes(name);
+      const wasRequired = oldRequired.includes(name);
+
+      if (!oldProperties[name]) {
+        const breaking = direction === 'request' && required;
+        this.record(breaking ? 'breaking' : 'non-breaking', 'property-added', propertyPointer,
+          `${label}: ${required ? 'required ' : ''}property ${name} added`);
+        return;
+      }
+
+      if (required !== wasRequired) {
+        // New required request fields and optional response fields break existing clients
+        const breaking = direction === 'request' ? required : wasRequired;
+        this.record(breaking ? 'breaking' : 'non-breaking', 'property-required-changed', propertyPointer,
+          `${propertyLabel} became ${required ? 'required' : 'optional'}`);
+      }
+
+      this.compareSchema(oldProperties[name], property, propertyPointer, propertyLabel, direction);
+    });
+  }
+
+  compareAnnotations(before, after, pointer, label) {
+    this.annotationFields
+      .filter(field => !this.isEqual(before?.[field], after?.[field]))
+      .forEach(field => {
+        this.record('annotation', `${field}-changed`, `${pointer}/${field}`, `${label}: ${field} changed`);
+      });
+  }
+
+  // Utilities
+  isNullable(schema) {
+    return schema.nullable === true || [].concat(schema.type || []).includes('null');
+  }
+
+  isEqual(left, right) {
+    return JSON.stringify(left) === JSON.stringify(right);
+  }
+
+  escape(segment) {
+    return String(segment).replace(/~/g, '~0').replace(/\//g, '~1');
+  }
+}
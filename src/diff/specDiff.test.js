@@ -0,0 +1,144 @@
+import { SpecDiff } from './specDiff.js';
+import { DiffReporter } from './diffReporter.js';
+
+const BASE = {
+  openapi: '3.0.3',
+  info: { title: 'Pets', version: '1.0.0' },
+  paths: {
+    '/pets': {
+      get: {
+        operationId: 'listPets',
+        parameters: [{ name: 'limit', in: 'query', schema: { type: 'integer' } }],
+        responses: {
+          200: {
+            description: 'Pets',
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  required: ['id'],
+                  properties: { id: { type: 'integer' }, status: { type: 'string', enum: ['available', 'sold'] } }
+                }
+              }
+            }
+          }
+        }
+      },
+      post: {
+        operationId: 'createPet',
+        requestBody: { content: { 'application/json': { schema: { type: 'object', properties: { name: { type: 'string' } } } } } },
+        responses: { 201: { description: 'Created' } }
+      }
+    },
+    '/owners': { get: { operationId: 'listOwners', responses: { 200: { description: 'Owners' } } } }
+  }
+};
+
+const revise = change => {
+  const revision = structuredClone(BASE);
+  change(revision);
+  return revision;
+};
+
+describe('SpecDiff', () => {
+  const diff = new SpecDiff();
+  const compare = change => diff.compare(BASE, revise(change)).map(({ level, id, message }) => [level, id, message]);
+
+  it('finds no changes between identical specifications', () => {
+    expect(diff.compare(BASE, structuredClone(BASE))).toEqual([]);
+  });
+
+  it('classifies removed and added operations', () => {
+    expect(compare(revision => {
+      delete revision.paths['/owners'];
+      revision.paths['/tags'] = { get: { operationId: 'listTags', responses: { 200: { description: 'Tags' } } } };
+    })).toEqual([
+      ['breaking', 'operation-removed', 'GET /owners: operation removed'],
+      ['non-breaking', 'operation-added', 'GET /tags: operation added']
+    ]);
+  });
+
+  it('treats stricter requests as breaking and new optional inputs as non-breaking', () => {
+    expect(compare(revision => {
+      const { get, post } = revision.paths['/pets'];
+      get.parameters[0].required = true;
+      get.parameters.push({ name: 'sort', in: 'query', schema: { type: 'string' } });
+      post.requestBody.content['application/json'].schema.required = ['name'];
+    })).toEqual([
+      ['breaking', 'parameter-became-required', 'GET /pets: query parameter limit became required'],
+      ['non-breaking', 'parameter-added', 'GET /pets: query parameter sort added'],
+      ['breaking', 'property-required-changed', 'POST /pets request body (application/json).name became required']
+    ]);
+  });
+
+  it('treats responses that drop properties or add enum values as breaking', () => {
+    expect(compare(revision => {
+      const schema = revision.paths['/pets'].get.responses[200].content['application/json'].schema;
+      delete schema.properties.id;
+      schema.required = [];
+      schema.properties.status.enum.push('pending');
+      schema.properties.tag = { type: 'string' };
+    })).toEqual([
+      ['breaking', 'property-removed', 'GET /pets response 200 (application/json): property id removed'],
+      ['breaking', 'enum-widened', 'GET /pets response 200 (application/json).status: enum values added: pending'],
+      ['non-breaking', 'property-added', 'GET /pets response 200 (application/json): property tag added']
+    ]);
+  });
+
+  it('reports a changed shared schema at every operation that uses it', () => {
+    const build = type => {
+      const pet = { type: 'object', properties: { id: { type } } };
+      pet.properties.parent = pet;
+      const media = { 'application/json': { schema: pet } };
+      return {
+        openapi: '3.0.3',
+        info: { title: 'Pets', version: '1.0.0' },
+        paths: {
+          '/pets': { get: { responses: { 200: { description: 'All pets', content: media } } } },
+          '/pets/{id}': { get: { responses: { 200: { description: 'One pet', content: media } } } }
+        },
+        components: { schemas: { Pet: pet } }
+      };
+    };
+
+    expect(diff.compare(build('integer'), build('string')).map(({ level, message }) => [level, message])).toEqual([
+      ['breaking', 'GET /pets response 200 (application/json).id: type changed from integer to string'],
+      ['breaking', 'GET /pets/{id} response 200 (application/json).id: type changed from integer to string']
+    ]);
+  });
+
+  it('reports documentation changes separately', () => {
+    const changes = diff.compare(BASE, revise(revision => {
+      revision.info.version = '1.1.0';
+      revision.paths['/pets'].get.summary = 'List pets';
+    }));
+
+    expect(changes.map(change => change.id)).toEqual(['info-version-changed', 'summary-changed']);
+    expect(diff.summarize(changes)).toEqual({ breaking: 0, 'non-breaking': 0, annotation: 2 });
+  });
+});
+
+describe('DiffReporter', () => {
+  it('groups changes by level in Markdown', () => {
+    const changes = new SpecDiff().compare(BASE, revise(revision => {
+      delete revision.paths['/owners'];
+      revision.info.version = '2.0.0';
+    }));
+
+    const markdown = new DiffReporter().format(changes, new SpecDiff().summarize(changes), 'markdown', { base: 'v1.yaml', revision: 'v2.yaml' });
+
+    expect(markdown.split('\n')).toEqual([
+      '# API changes: v1.yaml → v2.yaml',
+      '',
+      '**1 breaking**, 0 non-breaking, 1 documentation change(s)',
+      '',
+      '## Breaking changes',
+      '',
+      '- GET /owners: operation removed (`operation-removed` at `/paths/~1owners/get`)',
+      '',
+      '## Documentation changes',
+      '',
+      '- API version changed from 1.0.0 to 2.0.0 (`info-version-changed` at `/info/version`)'
+    ]);
+  });
+});
@@ -1,210 +1,136 @@
+import { ValidationError } from '../utils/errors.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const HORIZONS = {
+  immediate: 7,
+  shortTerm: 30,
+  mediumTerm: 90,
+  longTerm: 365
+};
+
+// How each strategy bends the projection: `pace` scales the expected rate of change,
+// `stability` is added to the stability score per horizon, `focus` names the work per horizon
+const STRATEGIES = {
+  optimization: {
+    pace: 1,
+    stability: 0.05,
+    focus: ['Measure the slowest operations', 'Trim unused fields and round trips', 'Cache stable responses', 'Retire the slow variants']
+  },
+  stabilization: {
+    pace: 0.5,
+    stability: 0.1,
+    focus: ['Freeze breaking changes', 'Version the contract', 'Deprecate rather than remove', 'Hold the contract steady']
+  },
+  consolidation: {
+    pace: 0.75,
+    stability: 0.05,
+    focus: ['List overlapping dependencies', 'Merge duplicated fields', 'Fold dependencies into the pattern', 'Remove the merged patterns']
+  },
+  expansion: {
+    pace: 1.5,
+    stability: -0.05,
+    focus: ['Identify missing capabilities', 'Add optional fields and operations', 'Introduce new variants', 'Grow into adjacent resources']
+  },
+  refactoring: {
+    pace: 1.25,
+    stability: -0.1,
+    focus: ['Map the current structure', 'Split oversized components', 'Migrate consumers to the new structure', 'Remove the old structure']
+  }
+};
+
+// Patterns carry a `history` of changes: [{ version, date, breaking }]
 export class PatternEvolution {
   constructor() {
-    this.patterns = new Map();
-    this.evolutionHistory = new Map();
-    this.transformationMetrics = new Map();
+    this.supportedStrategies = Object.keys(STRATEGIES);
   }
 
   // Core Evolution Engine
   async trackEvolution(pattern, context = {}) {
     // Level 1: Foundation Analysis
-    const currentState = await this.captureState(pattern);
-    
+    const currentState = this.captureState(pattern);
+
     // Level 2: Historical Context
-    const history = await this.analyzeHistory(pattern, currentState);
-    
+    const history = this.analyzeHistory(currentState);
+
     // Level 3: Evolution Modeling
-    const model = await this.modelEvolution(currentState, history);
-    
+    const model = this.modelEvolution(currentState, history);
+
     // Level 4: Future Trajectory
-    return await this.projectFuture(model, context);
+    return this.projectFuture(model, context);
   }
 
   // State Analysis System
-  async captureState(pattern) {
+  captureState(pattern) {
+    const history = Array.isArray(pattern.history) ? pattern.history : [];
     return {
-      core: await this.extractCore(pattern),
-      context: await this.analyzeContext(pattern),
-      metrics: this.calculateMetrics(pattern),
-      transformations: await this.identifyTransformations(pattern),
+      id: pattern.id,
+      type: pattern.type || 'unknown',
+      version: history.length > 0 ? history[history.length - 1].version ?? null : null,
+      dependencies: Array.isArray(pattern.dependencies) ? pattern.dependencies.length : 0,
+      history,
       timestamp: Date.now()
     };
   }
 
-  async extractCore(pattern) {
-    return {
-      type: pattern.type,
-      structure: this.analyzeStructure(pattern),
-      behavior: this.analyzeBehavior(pattern),
-      relationships: await this.mapRelationships(pattern),
-      adaptability: this.assessAdaptability(pattern)
-    };
-  }
-
-  // Context Analysis Engine
-  async analyzeContext(pattern) {
-    return {
-      project: await this.analyzeProjectContext(pattern),
-      sprint: await this.analyzeSprintContext(pattern),
-      workflow: await this.analyzeWorkflowContext(pattern),
-      ecosystem: await this.analyzeEcosystemContext(pattern)
-    };
-  }
-
-  // Transformation Analysis
-  async identifyTransformations(pattern) {
-    // Phase 1: Pattern Recognition
-    const basePatterns = await this.recognizeBasePatterns(pattern);
-    
-    // Phase 2: Transformation Mapping
-    const transformations = await this.mapTransformations(basePatterns);
-    
-    // Phase 3: Evolution Analysis
-    const evolution = await this.analyzeEvolutionaryPath(transformations);
-    
-    // Phase 4: Optimization Identification
-    return await this.synthesizeTransformations(evolution);
-  }
-
-  async recognizeBasePatterns(pattern) {
-    return {
-      structural: this.identifyStructuralPatterns(pattern),
-      behavioral: await this.identifyBehavioralPatterns(pattern),
-      evolutionary: this.identifyEvolutionaryPatterns(pattern),
-      contextual: await this.identifyContextualPatterns(pattern)
-    };
-  }
-
-  async mapTransformations(basePatterns) {
-    const transformationMap = new Map();
-
-    // Level 1: Direct Transformations
-    await this.mapDirectTransformations(basePatterns, transformationMap);
-    
-    // Level 2: Indirect Transformations
-    await this.mapIndirectTransformations(basePatterns, transformationMap);
-    
-    // Level 3: Emergent Transformations
-    await this.mapEmergentTransformations(basePatterns, transformationMap);
-    
-    // Level 4: Meta Transformations
-    await this.mapMetaTransformations(transformationMap);
-
-    return transformationMap;
-  }
-
-  // Evolution Analysis System
-  async analyzeEvolutionaryPath(transformations) {
-    return {
-      patterns: await this.extractEvolutionaryPatterns(transformations),
-      trajectory: this.calculateEvolutionaryTrajectory(transformations),
-      influences: await this.identifyEvolutionaryInfluences(transformations),
-      projections: this.generateEvolutionaryProjections(transformations)
-    };
-  }
-
-  async synthesizeTransformations(evolution) {
-    // Phase 1: Pattern Synthesis
-    const patterns = await this.synthesizePatterns(evolution.patterns);
-    
-    // Phase 2: Strategy Formation
-    const strategies = await this.formStrategies(patterns, evolution);
-    
-    // Phase 3: Optimization Analysis
-    const optimizations = await this.identifyOptimizations(strategies);
-    
-    // Phase 4: Implementation Planning
-    return await this.generateImplementationPlan(optimizations);
-  }
-
-  // Agile Workflow Analysis
-  async analyzeProjectContext(pattern) {
-    return {
-      methodology: this.detectMethodology(pattern),
-      maturity: await this.assessMaturity(pattern),
-      effectiveness: this.measureEffectiveness(pattern),
-      adaptability: await this.evaluateAdaptability(pattern),
-      optimization: {
-        opportunities: await this.identifyOptimizationOpportunities(pattern),
-        constraints: this.identifyConstraints(pattern),
-        recommendations: await this.generateRecommendations(pattern)
-      }
-    };
-  }
+  analyzeHistory(state) {
+    const dates = state.history
+      .map(entry => Date.parse(entry.date))
+      .filter(Number.isFinite)
+      .sort((a, b) => a - b);
+    const span = dates.length > 1 ? dates[dates.length - 1] - dates[0] : 0;
 
-  async analyzeSprintContext(pattern) {
     return {
-      phase: this.determineSprintPhase(pattern),
-      metrics: await this.calculateSprintMetrics(pattern),
-      health: {
-        velocity: await this.calculateVelocity(pattern),
-        capacity: this.assessCapacity(pattern),
-        burndown: await this.analyzeBurndown(pattern),
-        risks: this.identifyRisks(pattern)
-      },
-      optimization: {
-        bottlenecks: await this.identifyBottlenecks(pattern),
-        inefficiencies: this.detectInefficiencies(pattern),
-        improvements: await this.suggestImprovements(pattern)
-      }
+      changes: state.history.length,
+      breaking: state.history.filter(entry => entry.breaking === true).length,
+      // Changes per 30 days; unknown without at least two dated changes
+      rate: span > 0 ? (dates.length - 1) / (span / (30 * DAY)) : 0
     };
   }
 
-  async analyzeWorkflowContext(pattern) {
+  modelEvolution(state, history) {
     return {
-      flow: {
-        efficiency: this.calculateFlowEfficiency(pattern),
-        bottlenecks: await this.identifyFlowBottlenecks(pattern),
-        waste: this.identifyProcessWaste(pattern)
-      },
-      quality: {
-        metrics: await this.calculateQualityMetrics(pattern),
-        gates: this.identifyQualityGates(pattern),
-        improvements: await this.suggestQualityImprovements(pattern)
-      },
-      automation: {
-        current: this.assessCurrentAutomation(pattern),
-        opportunities: await this.identifyAutomationOpportunities(pattern),
-        recommendations: this.generateAutomationRecommendations(pattern)
-      }
+      state,
+      velocity: history.rate,
+      stability: history.changes === 0 ? 1 : 1 - history.breaking / history.changes,
+      coupling: state.dependencies,
+      // More recorded changes make the projection more trustworthy, up to ten
+      evidence: Math.min(1, history.changes / 10)
     };
   }
 
   // Evolution Projection System
-  async projectFuture(model, context) {
+  projectFuture(model, context) {
+    const name = context.strategy || 'optimization';
+    if (!Object.hasOwn(STRATEGIES, name)) {
+      throw new ValidationError(
+        `Unknown evolution strategy: ${context.strategy}`,
+        this.supportedStrategies.map(name => `Valid strategy: ${name}`)
+      );
+    }
+
+    const strategy = STRATEGIES[name];
+    const projection = {};
+
+    Object.entries(HORIZONS).forEach(([horizon, days], index) => {
+      const stability = Math.min(1, Math.max(0, model.stability + strategy.stability * (index + 1)));
+      const expectedChanges = Math.round(model.velocity * strategy.pace * days / 30);
+      projection[horizon] = {
+        focus: strategy.focus[index],
+        days,
+        expectedChanges,
+        breakingChanges: Math.round(expectedChanges * (1 - stability)),
+        stability
+      };
+    });
+
     return {
-      immediate: await this.projectImmediateFuture(model, context),
-      shortTerm: await this.projectShortTerm(model, context),
-      mediumTerm: await this.projectMediumTerm(model, context),
-      longTerm: await this.projectLongTerm(model, context),
+      ...projection,
       metrics: {
-        confidence: this.calculateProjectionConfidence(model),
-        reliability: this.assessProjectionReliability(model),
-        adaptability: await this.evaluateProjectionAdaptability(model)
+        confidence: model.evidence,
+        reliability: model.stability,
+        adaptability: 1 / (1 + model.coupling)
       }
     };
   }
-
-  // Metric Calculation Engine
-  calculateMetrics(pattern) {
-    return {
-      complexity: this.calculateComplexityMetrics(pattern),
-      performance: this.calculatePerformanceMetrics(pattern),
-      quality: this.calculateQualityMetrics(pattern),
-      evolution: this.calculateEvolutionMetrics(pattern),
-      composite: this.calculateCompositeScore(pattern)
-    };
-  }
-
-  // Implementation Planning System
-  async generateImplementationPlan(optimizations) {
-    return {
-      phases: await this.planImplementationPhases(optimizations),
-      dependencies: this.identifyImplementationDependencies(optimizations),
-      timeline: await this.createImplementationTimeline(optimizations),
-      resources: this.allocateImplementationResources(optimizations),
-      risks: await this.assessImplementationRisks(optimizations),
-      monitoring: this.defineMonitoringStrategy(optimizations)
-    };
-  }
 }
@@ -0,0 +1,52 @@
+import { PatternEvolution } from './patternEvolution.js';
+import { ValidationError } from '../utils/errors.js';
+
+// Ten changes a month apart, two of them breaking: one change per 30 days on average
+const PATTERN = {
+  id: 'users',
+  type: 'resource',
+  dependencies: ['pagination'],
+  history: Array.from({ length: 10 }, (_, index) => ({
+    version: `1.${index}.0`,
+    date: new Date(Date.UTC(2025, 0, 1) + index * 30 * 24 * 60 * 60 * 1000).toISOString(),
+    breaking: index === 3 || index === 7
+  }))
+};
+
+describe('PatternEvolution', () => {
+  const evolution = new PatternEvolution();
+
+  it('projects each horizon from the rate and stability of past changes', async () => {
+    const projection = await evolution.trackEvolution(PATTERN, { strategy: 'optimization' });
+
+    expect(projection.immediate).toEqual({ focus: 'Measure the slowest operations', days: 7, expectedChanges: 0, breakingChanges: 0, stability: expect.closeTo(0.85) });
+    expect(projection.shortTerm).toMatchObject({ days: 30, expectedChanges: 1 });
+    expect(projection.longTerm).toMatchObject({ days: 365, expectedChanges: 12, stability: 1, breakingChanges: 0 });
+    expect(projection.metrics).toEqual({ confidence: 1, reliability: 0.8, adaptability: 0.5 });
+  });
+
+  it('lets the strategy change the projection', async () => {
+    const stabilization = await evolution.trackEvolution(PATTERN, { strategy: 'stabilization' });
+    const expansion = await evolution.trackEvolution(PATTERN, { strategy: 'expansion' });
+
+    expect(stabilization.longTerm.expectedChanges).toBe(6);
+    expect(expansion.longTerm.expectedChanges).toBe(18);
+    expect(stabilization.mediumTerm.stability).toBeGreaterThan(expansion.mediumTerm.stability);
+    expect(expansion.mediumTerm.breakingChanges).toBeGreaterThan(stabilization.mediumTerm.breakingChanges);
+    expect(stabilization.immediate.focus).toBe('Freeze breaking changes');
+  });
+
+  it('projects no changes for a pattern without a dated history', async () => {
+    const projection = await evolution.trackEvolution({ id: 'orders' }, {});
+
+    expect(projection.longTerm).toMatchObject({ expectedChanges: 0, stability: 1 });
+    expect(projection.metrics.confidence).toBe(0);
+  });
+
+  it('rejects an unknown strategy with the valid ones', async () => {
+    const error = await evolution.trackEvolution(PATTERN, { strategy: 'toString' }).catch(rejection => rejection);
+
+    expect(error).toBeInstanceOf(ValidationError);
+    expect(error.details).toEqual(evolution.supportedStrategies.map(name => `Valid strategy: ${name}`));
+  });
+});
@@ -0,0 +1,43 @@
+import { mkdir, readFile, writeFile } from 'fs/promises';
+import { dirname, join, relative, resolve } from 'path';
+import { ValidationError } from '../utils/errors.js';
+
+export class CodeWriter {
+  constructor(outputDir) {
+    this.outputDir = resolve(outputDir);
+  }
+
+  async write(files) {
+    const results = [];
+
+    for (const file of files) {
+      const target = resolve(join(this.outputDir, file.path));
+      if (relative(this.outputDir, target).startsWith('..')) {
+        throw new ValidationError(`Generated file escapes the output directory: ${file.path}`);
+      }
+
+      const existing = await this.readExisting(target);
+      const content = file.merge && existing !== null ? file.merge(existing) : file.content;
+
+      if (existing === content) {
+        results.push({ path: file.path, status: 'unchanged' });
+        continue;
+      }
+
+      await mkdir(dirname(target), { recursive: true });
+      await writeFile(target, content);
+      results.push({ path: file.path, status: existing === null ? 'created' : 'updated' });
+    }
+
+    return results;
+  }
+
+  async readExisting(path) {
+    try {
+      return await readFile(path, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+}
@@ -0,0 +1,38 @@
+import { mkdtemp, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { CodeWriter } from './codeWriter.js';
+import { ValidationError } from '../utils/errors.js';
+
+describe('CodeWriter', () => {
+  let directory;
+
+  beforeEach(async () => {
+    directory = await mkdtemp(join(tmpdir(), 'pimp-api-writer-'));
+  });
+
+  afterEach(async () => {
+    await rm(directory, { recursive: true, force: true });
+  });
+
+  it('reports created, unchanged and updated files', async () => {
+    const writer = new CodeWriter(directory);
+
+    expect(await writer.write([{ path: 'src/a.ts', content: 'a' }])).toEqual([{ path: 'src/a.ts', status: 'created' }]);
+    expect(await writer.write([{ path: 'src/a.ts', content: 'a' }])).toEqual([{ path: 'src/a.ts', status: 'unchanged' }]);
+    expect(await writer.write([{ path: 'src/a.ts', content: 'b' }])).toEqual([{ path: 'src/a.ts', status: 'updated' }]);
+  });
+
+  it('merges into existing files when the file asks to', async () => {
+    const writer = new CodeWriter(directory);
+    await writer.write([{ path: 'handler.js', content: 'generated' }]);
+
+    await writer.write([{ path: 'handler.js', content: 'generated', merge: existing => `${existing}\nkept` }]);
+
+    expect(await writer.readExisting(join(directory, 'handler.js'))).toBe('generated\nkept');
+  });
+
+  it('refuses to write outside the output directory', async () => {
+    await expect(new CodeWriter(directory).write([{ path: '../escape.ts', content: '' }])).rejects.toThrow(ValidationError);
+  });
+});
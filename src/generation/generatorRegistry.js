@@ -0,0 +1,52 @@
+import { resolve } from 'path';
+import { pathToFileURL } from 'url';
+import { ValidationError } from '../utils/errors.js';
+import { TypeScriptClientPack } from './packs/typescriptClient.js';
+import { ExpressServerPack } from './packs/expressServer.js';
+
+export class GeneratorRegistry {
+  constructor() {
+    this.packs = new Map();
+    this.register(TypeScriptClientPack);
+    this.register(ExpressServerPack);
+  }
+
+  register(PackClass) {
+    const pack = new PackClass();
+    this.packs.set(this.key(pack.kind, pack.target), PackClass);
+  }
+
+  key(kind, target) {
+    return `${kind}:${target}`;
+  }
+
+  targets(kind) {
+    return Array.from(this.packs.keys())
+      .filter(key => key.startsWith(`${kind}:`))
+      .map(key => key.slice(kind.length + 1));
+  }
+
+  create(kind, target, options = {}) {
+    const PackClass = this.packs.get(this.key(kind, target));
+    if (!PackClass) {
+      throw new ValidationError(`No ${kind} generator for ${target}`, [
+        `Available: ${this.targets(kind).join(', ') || 'none'}`,
+        'Use --template <path> to load a template pack module'
+      ]);
+    }
+    return new PackClass(options);
+  }
+
+  // Template packs are modules whose default export is a TemplatePack subclass
+  async load(modulePath, options = {}) {
+    const module = await import(pathToFileURL(resolve(modulePath)).href);
+    const PackClass = module.default;
+
+    if (typeof PackClass !== 'function' || typeof PackClass.prototype?.generate !== 'function') {
+      throw new ValidationError(`Invalid template pack: ${modulePath}`, [
+        'The default export must be a class with a generate(spec, options) method'
+      ]);
+    }
+    return new PackClass(options);
+  }
+}
@@ -0,0 +1,53 @@
+import { mkdtemp, rm, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { GeneratorRegistry } from './generatorRegistry.js';
+import { TypeScriptClientPack } from './packs/typescriptClient.js';
+import { ValidationError } from '../utils/errors.js';
+
+describe('GeneratorRegistry', () => {
+  let directory;
+
+  beforeEach(async () => {
+    directory = await mkdtemp(join(tmpdir(), 'pimp-api-generate-'));
+  });
+
+  afterEach(async () => {
+    await rm(directory, { recursive: true, force: true });
+  });
+
+  it('lists and creates the built-in packs by kind and target', () => {
+    const registry = new GeneratorRegistry();
+
+    expect(registry.targets('client')).toEqual(['ts']);
+    expect(registry.targets('server')).toEqual(['express']);
+    expect(registry.create('client', 'ts')).toBeInstanceOf(TypeScriptClientPack);
+  });
+
+  it('names the available targets for an unknown one', () => {
+    expect(() => new GeneratorRegistry().create('client', 'python')).toThrow(expect.objectContaining({
+      name: 'ValidationError',
+      details: expect.arrayContaining(['Available: ts'])
+    }));
+  });
+
+  it('loads template packs from a module path', async () => {
+    const modulePath = join(directory, 'pack.mjs');
+    await writeFile(modulePath, `export default class {
+  constructor(options) { this.options = options; }
+  generate() { return [{ path: 'out.txt', content: this.options.greeting }]; }
+}
+`);
+
+    const pack = await new GeneratorRegistry().load(modulePath, { greeting: 'hello' });
+
+    expect(pack.generate({})).toEqual([{ path: 'out.txt', content: 'hello' }]);
+  });
+
+  it('rejects modules that do not export a template pack', async () => {
+    const modulePath = join(directory, 'pack.mjs');
+    await writeFile(modulePath, 'export default { generate() {} };\n');
+
+    await expect(new GeneratorRegistry().load(modulePath)).rejects.toThrow(ValidationError);
+  });
+});
@@ -0,0 +1,298 @@
+import { readFile } from 'fs/promises';
+import { TemplatePack } from '../templatePack.js';
+
+const SOURCES = {
+  schemaValidator: new URL('../../validation/schemaValidator.js', import.meta.url),
+  requestValidator: new URL('../../mock/requestValidator.js', import.meta.url)
+};
+
+export class ExpressServerPack extends TemplatePack {
+  constructor(options = {}) {
+    super(options);
+    this.name = 'express-server';
+    this.kind = 'server';
+    this.target = 'express';
+    this.reservedNames = ['Router', 'validateRequest', 'router', 'handle'];
+    // Handler files are owned by the user except for the documentation block between these markers
+    this.markers = {
+      start: '// <pimp-api:generated> This block is regenerated, the rest of the file is yours.',
+      end: '// </pimp-api:generated>'
+    };
+  }
+
+  async generate(spec) {
+    this.componentNames = new Map(
+      Object.entries(spec.components?.schemas || {}).map(([name, schema]) => [schema, name])
+    );
+    const operations = this.collectOperations(spec)
+      .map(entry => ({ ...entry, route: this.toExpressPath(entry.path) }))
+      .sort((left, right) => right.route.literals - left.route.literals ||
+        Object.keys(left.route.names).length - Object.keys(right.route.names).length);
+
+    return [
+      { path: 'package.json', content: this.renderPackage(spec), merge: existing => existing },
+      { path: 'server.js', content: this.renderServer(), merge: existing => existing },
+      { path: 'app.js', content: this.renderApp(spec) },
+      { path: 'routes.js', content: this.renderRoutes(operations) },
+      { path: 'operations.js', content: this.renderOperations(spec, operations) },
+      { path: 'validation.js', content: this.renderValidation() },
+      { path: 'lib/schemaValidator.js', content: await this.renderSource(SOURCES.schemaValidator) },
+      { path: 'lib/requestValidator.js', content: await this.renderSource(SOURCES.requestValidator) },
+      ...operations.map(entry => {
+        const content = this.renderHandler(entry);
+        return { path: `handlers/${entry.functionName}.js`, content, merge: existing => this.mergeHandler(existing, content) };
+      })
+    ];
+  }
+
+  toExpressPath(path) {
+    const names = {};
+    const route = path.replace(/\{([^}]*)\}/g, (match, name) => {
+      const routeName = /^\w+$/.test(name) ? name : this.toCamelCase(name);
+      names[routeName] = name;
+      return `:${routeName}`;
+    });
+
+    return {
+      path: route,
+      names,
+      // Express matches in registration order, so literal segments are registered first
+      literals: path.split('/').filter(segment => segment && !segment.includes('{')).length
+    };
+  }
+
+  // Project Files
+  renderPackage(spec) {
+    const name = this.splitWords(spec.info?.title || 'api').join('-').toLowerCase() || 'api';
+    return `${JSON.stringify({
+      name: `${name}-server`,
+      version: spec.info?.version || '1.0.0',
+      private: true,
+      type: 'module',
+      main: 'server.js',
+      scripts: { start: 'node server.js' },
+      dependencies: { express: '^4.19.2' }
+    }, null, 2)}\n`;
+  }
+
+  renderServer() {
+    return `import { createApp } from './app.js';
+
+const port = Number(process.env.PORT) || 3000;
+
+createApp().listen(port, () => {
+  console.log(\`Listening on http://localhost:\${port}\`);
+});
+`;
+  }
+
+  renderApp(spec) {
+    return `${this.generatedHeader(spec)}import express from 'express';
+import { router } from './routes.js';
+
+export const basePath = ${JSON.stringify(this.getBasePath(spec))};
+
+export function createApp() {
+  const app = express();
+  // Bodies are kept as text so validation can parse them against the documented media types
+  app.set('query parser', 'simple');
+  app.use(express.text({ type: () => true, limit: '1mb' }));
+  app.use(basePath || '/', router);
+
+  app.use((req, res) => {
+    res.status(404).json({ message: \`No operation matches \${req.method} \${req.path}\` });
+  });
+
+  app.use((error, req, res, next) => {
+    if (res.headersSent) return next(error);
+    res.status(error.status || 500).json({ message: error.expose ? error.message : 'Internal server error' });
+  });
+
+  return app;
+}
+`;
+  }
+
+  getBasePath(spec) {
+    const url = spec.servers?.[0]?.url;
+    if (!url) return '';
+
+    try {
+      const pathname = new URL(url, 'http://localhost').pathname;
+      return pathname === '/' ? '' : pathname.replace(/\/$/, '');
+    } catch {
+      return '';
+    }
+  }
+
+  renderRoutes(operations) {
+    const imports = operations
+      .map(entry => `import { ${entry.functionName} } from './handlers/${entry.functionName}.js';`)
+      .join('\n');
+    const routes = operations
+      .map(entry => `router.${entry.method}(${JSON.stringify(entry.route.path)}, validateRequest(${JSON.stringify(entry.functionName)}), handle(${entry.functionName}));`)
+      .join('\n');
+
+    return `${this.generatedHeader()}import { Router } from 'express';
+import { validateRequest } from './validation.js';
+${imports}
+
+export const router = Router();
+
+// Express 4 does not catch rejected promises from async handlers
+const handle = handler => (req, res, next) => Promise.resolve(handler(req, res, next)).catch(next);
+
+${routes}
+`;
+  }
+
+  // Operation metadata is serialized with component schemas as $refs and relinked at startup
+  renderOperations(spec, operations) {
+    const schemas = Object.fromEntries(
+      Array.from(this.componentNames.entries()).map(([schema, name]) => [name, this.toPlain(schema, true)])
+    );
+    const metadata = Object.fromEntries(operations.map(entry => [entry.functionName, {
+      method: entry.method.toUpperCase(),
+      path: entry.path,
+      routeParams: entry.route.names,
+      parameters: entry.parameters.map(param => this.toPlain(param)),
+      requestBody: this.toPlain(entry.operation.requestBody)
+    }]));
+
+    return `${this.generatedHeader(spec)}export const version = ${JSON.stringify(spec.openapi || '3.0.3')};
+
+export const schemas = ${JSON.stringify(schemas, null, 2)};
+
+export const operations = ${JSON.stringify(metadata, null, 2)};
+
+const prefix = '#/components/schemas/';
+const link = (value, seen = new Set()) => {
+  if (!value || typeof value !== 'object' || seen.has(value)) return value;
+  seen.add(value);
+  for (const [key, child] of Object.entries(value)) {
+    const ref = child?.$ref;
+    value[key] = typeof ref === 'string' && ref.startsWith(prefix)
+      ? schemas[ref.slice(prefix.length).replace(/~1/g, '/').replace(/~0/g, '~')]
+      : link(child, seen);
+  }
+  return value;
+};
+
+link(schemas);
+link(operations);
+`;
+  }
+
+  toPlain(value, inline = false, visiting = new Set()) {
+    if (!value || typeof value !== 'object') return value;
+
+    const name = inline ? null : this.componentNames.get(value);
+    if (name) return { $ref: `#/components/schemas/${name.replace(/~/g, '~0').replace(/\//g, '~1')}` };
+    if (visiting.has(value)) return {};
+
+    visiting.add(value);
+    const plain = Array.isArray(value)
+      ? value.map(item => this.toPlain(item, false, visiting))
+      : Object.fromEntries(Object.entries(value).map(([key, child]) => [key, this.toPlain(child, false, visiting)]));
+    visiting.delete(value);
+    return plain;
+  }
+
+  renderValidation() {
+    return `${this.generatedHeader()}import { RequestValidator } from './lib/requestValidator.js';
+import { operations, version } from './operations.js';
+
+const validator = new RequestValidator({ version });
+
+// Validates parameters and the request body against the specification before the handler runs
+export function validateRequest(operationId) {
+  const operation = operations[operationId];
+  const route = { parameters: operation.parameters, operation };
+
+  return (req, res, next) => {
+    const params = Object.fromEntries(
+      Object.entries(req.params).map(([name, value]) => [operation.routeParams[name] || name, value])
+    );
+    const { findings, body } = validator.validate(route, {
+      params,
+      query: req.query,
+      headers: req.headers,
+      cookies: readCookies(req.headers.cookie),
+      contentType: req.headers['content-type'],
+      body: typeof req.body === 'string' && req.body.length > 0 ? req.body : undefined
+    });
+
+    if (findings.length > 0) {
+      return res.status(400).json({ message: 'Request validation failed', findings });
+    }
+
+    req.body = body;
+    next();
+  };
+}
+
+function readCookies(header = '') {
+  return Object.fromEntries(header.split(';')
+    .map(pair => pair.trim())
+    .filter(Boolean)
+    .map(pair => {
+      const index = pair.indexOf('=');
+      return index === -1 ? [pair, ''] : [pair.slice(0, index), decodeURIComponent(pair.slice(index + 1))];
+    }));
+}
+`;
+  }
+
+  // The validators are the ones used by the mock server, copied so the scaffold runs standalone
+  async renderSource(url) {
+    const source = await readFile(url, 'utf8');
+    return this.generatedHeader() + source.replace(/from '\.\.\/validation\/(\w+\.js)'/g, "from './$1'");
+  }
+
+  // Handlers
+  renderHandler(entry) {
+    const { operation, parameters } = entry;
+    const lines = [`${entry.method.toUpperCase()} ${entry.path}`];
+    if (operation.summary) lines.push(operation.summary);
+
+    const inputs = parameters.map(param => {
+      const source = {
+        path: `req.params.${this.findRouteName(entry.route, param.name)}`,
+        query: `req.query[${JSON.stringify(param.name)}]`,
+        header: `req.headers[${JSON.stringify(param.name.toLowerCase())}]`,
+        cookie: `cookie ${param.name}`
+      }[param.in];
+      return `${source}${param.required ? ' (required)' : ''}${param.description ? ` - ${param.description}` : ''}`;
+    });
+    if (operation.requestBody) {
+      inputs.push(`req.body${operation.requestBody.required ? ' (required)' : ''}: ${Object.keys(operation.requestBody.content || {}).join(', ')}`);
+    }
+    if (inputs.length > 0) lines.push('', 'Inputs:', ...inputs.map(input => `  ${input}`));
+
+    const responses = Object.entries(operation.responses || {})
+      .map(([status, response]) => `  ${status}${response?.description ? ` - ${response.description}` : ''}`);
+    if (responses.length > 0) lines.push('', 'Responses:', ...responses);
+
+    return `${this.markers.start}
+${this.comment(lines.join('\n')).trimEnd()}
+${this.markers.end}
+export async function ${entry.functionName}(req, res) {
+  res.status(501).json({ message: 'Not implemented: ${entry.functionName}' });
+}
+`;
+  }
+
+  findRouteName(route, name) {
+    return Object.keys(route.names).find(key => route.names[key] === name) || name;
+  }
+
+  // Only the marked documentation block is refreshed, so edited handler bodies and imports survive
+  mergeHandler(existing, generated) {
+    const start = existing.indexOf(this.markers.start);
+    const end = existing.indexOf(this.markers.end);
+    if (start === -1 || end < start) return existing;
+
+    const block = generated.slice(generated.indexOf(this.markers.start), generated.indexOf(this.markers.end));
+    return existing.slice(0, start) + block + existing.slice(end);
+  }
+}
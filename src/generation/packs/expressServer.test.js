@@ -0,0 +1,178 @@
+import { mkdtemp, readFile, rm, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { pathToFileURL } from 'url';
+import { ExpressServerPack } from './expressServer.js';
+import { CodeWriter } from '../codeWriter.js';
+
+const buildSpec = () => {
+  const pet = {
+    type: 'object',
+    required: ['name'],
+    properties: { name: { type: 'string', minLength: 1 } }
+  };
+  pet.properties.parent = pet;
+
+  return {
+    openapi: '3.0.3',
+    info: { title: 'Pet Store', version: '2.0.0' },
+    servers: [{ url: 'https://api.example.com/v2/' }],
+    paths: {
+      '/pets/{pet-id}': {
+        parameters: [{ name: 'pet-id', in: 'path', required: true, schema: { type: 'integer' } }],
+        get: {
+          operationId: 'getPet',
+          summary: 'Fetch a pet',
+          responses: { '200': { description: 'One pet', content: { 'application/json': { schema: pet } } } }
+        }
+      },
+      '/pets/mine': {
+        get: { operationId: 'listMyPets', responses: { '200': { description: 'My pets' } } }
+      },
+      '/pets': {
+        post: {
+          operationId: 'createPet',
+          parameters: [{ name: 'dryRun', in: 'query', schema: { type: 'boolean' } }],
+          requestBody: { required: true, content: { 'application/json': { schema: pet } } },
+          responses: { '201': { description: 'Created' } }
+        }
+      }
+    },
+    components: { schemas: { Pet: pet } }
+  };
+};
+
+describe('ExpressServerPack', () => {
+  let directory;
+
+  beforeEach(async () => {
+    directory = await mkdtemp(join(tmpdir(), 'pimp-api-express-'));
+  });
+
+  afterEach(async () => {
+    await rm(directory, { recursive: true, force: true });
+  });
+
+  const generate = async () => new ExpressServerPack().generate(buildSpec());
+  const contentOf = (files, path) => files.find(file => file.path === path).content;
+
+  it('scaffolds the app, routes, validation and one handler per operation', async () => {
+    const files = await generate();
+
+    expect(files.map(file => file.path)).toEqual([
+      'package.json',
+      'server.js',
+      'app.js',
+      'routes.js',
+      'operations.js',
+      'validation.js',
+      'lib/schemaValidator.js',
+      'lib/requestValidator.js',
+      'handlers/listMyPets.js',
+      'handlers/createPet.js',
+      'handlers/getPet.js'
+    ]);
+    expect(JSON.parse(contentOf(files, 'package.json'))).toEqual(expect.objectContaining({ name: 'pet-store-server', version: '2.0.0' }));
+    expect(contentOf(files, 'app.js')).toContain('export const basePath = "/v2";');
+  });
+
+  it('registers literal routes before templated ones with Express parameter names', async () => {
+    const routes = contentOf(await generate(), 'routes.js');
+
+    expect(routes.indexOf('router.get("/pets/mine"')).toBeLessThan(routes.indexOf('router.get("/pets/:petId"'));
+    expect(routes).toContain('router.get("/pets/:petId", validateRequest("getPet"), handle(getPet));');
+  });
+
+  it('documents the inputs and responses of each handler', async () => {
+    const handler = contentOf(await generate(), 'handlers/createPet.js');
+
+    expect(handler).toContain([
+      ' * POST /pets',
+      ' *',
+      ' * Inputs:',
+      ' *   req.query["dryRun"]',
+      ' *   req.body (required): application/json',
+      ' *',
+      ' * Responses:',
+      ' *   201 - Created'
+    ].join('\n'));
+    expect(handler).toContain('export async function createPet(req, res) {');
+  });
+
+  it('keeps edited handler bodies and project files when regenerating', async () => {
+    const writer = new CodeWriter(directory);
+    await writer.write(await generate());
+    const handlerPath = join(directory, 'handlers/getPet.js');
+    const edited = (await readFile(handlerPath, 'utf8'))
+      .replace("res.status(501).json({ message: 'Not implemented: getPet' });", 'res.json({ name: req.params.petId });');
+    await writeFile(handlerPath, `import { db } from '../db.js';\n${edited}`);
+    await writeFile(join(directory, 'server.js'), '// custom server\n');
+
+    const spec = buildSpec();
+    spec.paths['/pets/{pet-id}'].get.summary = 'Fetch one pet';
+    const results = await writer.write(await new ExpressServerPack().generate(spec));
+    const handler = await readFile(handlerPath, 'utf8');
+
+    expect(results).toEqual(expect.arrayContaining([
+      { path: 'server.js', status: 'unchanged' },
+      { path: 'handlers/getPet.js', status: 'updated' }
+    ]));
+    expect(handler).toMatch(/^import \{ db \} from '\.\.\/db\.js';\n/);
+    expect(handler).toContain(' * Fetch one pet');
+    expect(handler).toContain('res.json({ name: req.params.petId });');
+  });
+
+  it('gives reserved and colliding operation names their own handler modules', async () => {
+    const operation = operationId => ({ operationId, responses: { '204': { description: 'Done' } } });
+    const spec = {
+      openapi: '3.0.3',
+      info: { title: 'Names', version: '1.0.0' },
+      paths: {
+        '/a': { get: operation('get-pet'), delete: operation('delete') },
+        '/b': { get: operation('getPet'), post: operation('router') }
+      }
+    };
+    const files = await new ExpressServerPack().generate(spec);
+    await new CodeWriter(directory).write(files);
+
+    expect(files.map(file => file.path).filter(path => path.startsWith('handlers/'))).toEqual([
+      'handlers/getPet.js',
+      'handlers/_delete.js',
+      'handlers/getPet2.js',
+      'handlers/router2.js'
+    ]);
+    expect(contentOf(files, 'routes.js')).toContain("import { _delete } from './handlers/_delete.js';");
+    expect(contentOf(files, 'routes.js')).toContain('router.get("/b", validateRequest("getPet2"), handle(getPet2));');
+    expect(contentOf(files, 'routes.js')).toContain('router.post("/b", validateRequest("router2"), handle(router2));');
+    const handler = await import(pathToFileURL(join(directory, 'handlers/_delete.js')).href);
+    expect(handler._delete).toEqual(expect.any(Function));
+  });
+
+  it('validates requests with the copied validators and relinked component schemas', async () => {
+    await new CodeWriter(directory).write(await generate());
+    const { validateRequest } = await import(pathToFileURL(join(directory, 'validation.js')).href);
+    const { schemas } = await import(pathToFileURL(join(directory, 'operations.js')).href);
+    const run = (operationId, overrides) => {
+      const req = { params: {}, query: {}, headers: {}, ...overrides };
+      const res = { status: code => ({ json: body => Object.assign(res, { code, body }) }) };
+      let passed = false;
+      validateRequest(operationId)(req, res, () => { passed = true; });
+      return { passed, req, ...res };
+    };
+
+    expect(schemas.Pet.properties.parent).toBe(schemas.Pet);
+    expect(run('getPet', { params: { petId: '7' } }).passed).toBe(true);
+    expect(run('getPet', { params: { petId: 'seven' } }).code).toBe(400);
+
+    const invalid = run('createPet', {
+      headers: { 'content-type': 'application/json' },
+      body: JSON.stringify({ name: 'Rex', parent: { name: '' } })
+    });
+    expect(invalid.code).toBe(400);
+    expect(invalid.body.findings).toEqual([expect.objectContaining({ pointer: '/body/parent/name' })]);
+
+    const valid = run('createPet', { headers: { 'content-type': 'application/json' }, body: JSON.stringify({ name: 'Rex' }) });
+    expect(valid.passed).toBe(true);
+    expect(valid.req.body).toEqual({ name: 'Rex' });
+  });
+});
@@ -0,0 +1,375 @@
+import { TemplatePack } from '../templatePack.js';
+
+export class TypeScriptClientPack extends TemplatePack {
+  constructor(options = {}) {
+    super(options);
+    this.name = 'typescript-client';
+    this.kind = 'client';
+    this.target = 'ts';
+    this.reservedNames = ['Models', 'ClientConfig', 'getConfig', 'request'];
+  }
+
+  generate(spec) {
+    this.indexSchemas(spec);
+    this.visiting = new Set();
+    const operations = this.collectOperations(spec);
+
+    return [
+      { path: 'models.ts', content: this.renderModels(spec) },
+      { path: 'runtime.ts', content: this.renderRuntime(spec) },
+      { path: 'operations.ts', content: this.renderOperations(operations) },
+      { path: 'index.ts', content: this.renderIndex() }
+    ];
+  }
+
+  // Models
+  renderModels(spec) {
+    const schemas = Object.entries(spec.components?.schemas || {});
+    const header = this.generatedHeader(spec);
+    if (schemas.length === 0) {
+      return `${header}export {};\n`;
+    }
+
+    const declarations = schemas.map(([name, schema]) => {
+      const typeName = this.toPascalCase(name);
+      const docs = this.comment(schema?.description);
+
+      if (this.isInterface(schema)) {
+        return `${docs}export interface ${typeName} ${this.renderObject(schema, '', '')}`;
+      }
+      return `${docs}export type ${typeName} = ${this.toType(schema, '', '', true)};`;
+    });
+
+    return `${header}${declarations.join('\n\n')}\n`;
+  }
+
+  isInterface(schema) {
+    return Boolean(schema) && !schema.$ref && !schema.allOf && !schema.oneOf && !schema.anyOf && !schema.enum &&
+      !schema.nullable && (schema.type === 'object' || (!schema.type && schema.properties));
+  }
+
+  toType(schema, prefix, indent, root = false) {
+    if (!schema || typeof schema !== 'object') return 'unknown';
+
+    // Level 1: Named Models
+    const name = root ? null : this.getSchemaName(schema);
+    if (name) return `${prefix}${name}`;
+    if (schema.$ref || this.visiting.has(schema)) return 'unknown';
+
+    this.visiting.add(schema);
+    const type = this.toBaseType(schema, prefix, indent);
+    this.visiting.delete(schema);
+    return schema.nullable === true && type !== 'unknown' ? `${type} | null` : type;
+  }
+
+  toBaseType(schema, prefix, indent) {
+    // Level 2: Literals
+    if (schema.const !== undefined) return JSON.stringify(schema.const);
+    if (Array.isArray(schema.enum)) return schema.enum.map(value => JSON.stringify(value)).join(' | ') || 'never';
+
+    // Level 3: Composition
+    if (schema.allOf) return schema.allOf.map(member => this.wrap(this.toType(member, prefix, indent))).join(' & ');
+    if (schema.oneOf || schema.anyOf) {
+      return (schema.oneOf || schema.anyOf).map(member => this.wrap(this.toType(member, prefix, indent))).join(' | ');
+    }
+
+    // Level 4: Primitive and Structured Types
+    if (Array.isArray(schema.type)) {
+      return schema.type.map(type => this.wrap(this.toBaseType({ ...schema, type }, prefix, indent))).join(' | ');
+    }
+
+    switch (schema.type || (schema.properties ? 'object' : null)) {
+      case 'string':
+        return schema.format === 'binary' ? 'Blob' : 'string';
+      case 'integer':
+      case 'number':
+        return 'number';
+      case 'boolean':
+        return 'boolean';
+      case 'null':
+        return 'null';
+      case 'array':
+        return `Array<${this.toType(schema.items, prefix, indent)}>`;
+      case 'object':
+        return this.renderObject(schema, prefix, indent);
+      default:
+        return 'unknown';
+    }
+  }
+
+  renderObject(schema, prefix, indent) {
+    const required = Array.isArray(schema.required) ? schema.required : [];
+    const inner = `${indent}  `;
+    const members = Object.entries(schema.properties || {}).map(([name, property]) => {
+      const optional = required.includes(name) ? '' : '?';
+      const readonly = property?.readOnly ? 'readonly ' : '';
+      return `${this.comment(property?.description, inner)}${inner}${readonly}${this.quoteProperty(name)}${optional}: ` +
+        `${this.toType(property, prefix, inner)};`;
+    });
+
+    if (schema.additionalProperties) {
+      const valueType = schema.additionalProperties === true ? 'unknown' : this.toType(schema.additionalProperties, prefix, inner);
+      members.push(`${inner}[key: string]: ${members.length > 0 ? 'unknown' : valueType};`);
+    }
+
+    if (members.length === 0) {
+      return 'Record<string, unknown>';
+    }
+    return `{\n${members.join('\n')}\n${indent}}`;
+  }
+
+  wrap(type) {
+    return /[|&]/.test(type) && !type.startsWith('{') ? `(${type})` : type;
+  }
+
+  // Operations
+  renderOperations(operations) {
+    const functions = operations.map(entry => this.renderOperation(entry));
+
+    return [
+      this.generatedHeader() + "import type * as Models from './models';",
+      "import { ClientConfig, getConfig, request } from './runtime';",
+      '',
+      functions.join('\n\n'),
+      ''
+    ].join('\n');
+  }
+
+  renderOperation(entry) {
+    const { operation, parameters } = entry;
+    const paramsType = `${this.toPascalCase(entry.functionName)}Params`;
+    const body = this.getRequestBody(operation);
+    const responseType = this.getResponseType(operation);
+
+    // Level 1: Parameters Interface
+    const members = parameters.map(param =>
+      `${this.comment(param.description, '  ')}  ${this.quoteProperty(param.name)}${param.required ? '' : '?'}: ` +
+      `${this.toType(param.schema, 'Models.', '  ')};`
+    );
+    if (body) {
+      members.push(`  body${body.required ? '' : '?'}: ${body.type};`);
+    }
+    const hasRequired = parameters.some(param => param.required) || body?.required;
+
+    // Level 2: Request Descriptor
+    const group = location => {
+      const entries = parameters
+        .filter(param => param.in === location)
+        .map(param => `${this.quoteProperty(param.name)}: params[${JSON.stringify(param.name)}]`);
+      return entries.length > 0 ? `{ ${entries.join(', ')} }` : null;
+    };
+    const descriptor = [
+      `method: ${JSON.stringify(entry.method.toUpperCase())}`,
+      `path: ${JSON.stringify(entry.path)}`,
+      ...['path', 'query', 'header', 'cookie']
+        .map(location => [location, group(location)])
+        .filter(([, value]) => value)
+        .map(([location, value]) => `${{ path: 'pathParams', query: 'query', header: 'headers', cookie: 'cookies' }[location]}: ${value}`),
+      ...(body ? ['body: params.body', `contentType: ${JSON.stringify(body.contentType)}`] : []),
+      `security: ${JSON.stringify(entry.security.map(requirement => Object.keys(requirement || {})))}`
+    ];
+
+    const docs = this.comment([operation.summary, operation.description].filter(Boolean).join('\n\n') ||
+      `${entry.method.toUpperCase()} ${entry.path}`);
+    const paramsArgument = members.length > 0
+      ? `params: ${paramsType}${hasRequired ? '' : ' = {}'}`
+      : `params: Record<string, never> = {}`;
+
+    return [
+      ...(members.length > 0 ? [`export interface ${paramsType} {\n${members.join('\n')}\n}\n`] : []),
+      `${docs}export async function ${entry.functionName}(${paramsArgument}, config: ClientConfig = getConfig()): ` +
+        `Promise<${responseType}> {`,
+      `  return request<${responseType}>({`,
+      descriptor.map(line => `    ${line}`).join(',\n'),
+      '  }, config);',
+      '}'
+    ].join('\n');
+  }
+
+  getRequestBody(operation) {
+    const requestBody = operation.requestBody;
+    const [contentType, media] = Object.entries(requestBody?.content || {})[0] || [];
+    if (!contentType) return null;
+
+    return {
+      contentType,
+      required: requestBody.required === true,
+      type: this.toType(media.schema, 'Models.', '  ')
+    };
+  }
+
+  getResponseType(operation) {
+    const responses = operation.responses || {};
+    const status = Object.keys(responses).filter(code => /^2/.test(code)).sort()[0];
+    const content = responses[status]?.content || {};
+    const mediaType = Object.keys(content).find(type => type === 'application/json' || type.endsWith('+json')) ||
+      Object.keys(content)[0];
+
+    if (!mediaType) return 'void';
+    return content[mediaType].schema ? this.toType(content[mediaType].schema, 'Models.', '') : 'unknown';
+  }
+
+  renderIndex() {
+    return [
+      this.generatedHeader() + "export * from './models';",
+      "export * from './operations';",
+      "export { ApiError, configure, getConfig } from './runtime';",
+      "export type { ClientConfig, Credential, CredentialProvider } from './runtime';",
+      ''
+    ].join('\n');
+  }
+
+  // Runtime
+  renderRuntime(spec) {
+    const schemes = Object.fromEntries(
+      Object.entries(spec.components?.securitySchemes || {}).map(([name, scheme]) => [
+        name,
+        Object.fromEntries(['type', 'scheme', 'name', 'in'].filter(key => scheme?.[key]).map(key => [key, scheme[key]]))
+      ])
+    );
+    const baseUrl = spec.servers?.[0]?.url || '';
+
+    return `${this.generatedHeader(spec)}export type Credential = string | { username: string; password: string };
+export type CredentialProvider = Credential | (() => Credential | Promise<Credential>);
+
+export interface ClientConfig {
+  baseUrl: string;
+  headers?: Record<string, string>;
+  /** Credentials keyed by security scheme name */
+  auth?: Record<string, CredentialProvider>;
+  fetch?: typeof fetch;
+}
+
+interface SecurityScheme {
+  type: string;
+  scheme?: string;
+  name?: string;
+  in?: string;
+}
+
+export interface RequestDescriptor {
+  method: string;
+  path: string;
+  pathParams?: Record<string, unknown>;
+  query?: Record<string, unknown>;
+  headers?: Record<string, unknown>;
+  cookies?: Record<string, unknown>;
+  body?: unknown;
+  contentType?: string;
+  /** Alternative security requirements, each listing the schemes it needs */
+  security?: string[][];
+}
+
+export const securitySchemes: Record<string, SecurityScheme> = ${JSON.stringify(schemes, null, 2)};
+
+export class ApiError extends Error {
+  constructor(public readonly status: number, public readonly body: unknown, message: string) {
+    super(message);
+    this.name = 'ApiError';
+  }
+}
+
+let currentConfig: ClientConfig = { baseUrl: ${JSON.stringify(baseUrl)} };
+
+export function configure(config: Partial<ClientConfig>): void {
+  currentConfig = { ...currentConfig, ...config };
+}
+
+export function getConfig(): ClientConfig {
+  return currentConfig;
+}
+
+export async function request<T>(descriptor: RequestDescriptor, config: ClientConfig = currentConfig): Promise<T> {
+  const path = descriptor.path.replace(/\\{([^}]+)\\}/g, (_, name: string) =>
+    encodeURIComponent(String(descriptor.pathParams?.[name])));
+  const query = new URLSearchParams();
+  const headers: Record<string, string> = { Accept: 'application/json', ...config.headers };
+  const cookies: string[] = [];
+
+  Object.entries(descriptor.query ?? {}).forEach(([name, value]) => {
+    if (value === undefined) return;
+    (Array.isArray(value) ? value : [value]).forEach(item => query.append(name, String(item)));
+  });
+  Object.entries(descriptor.headers ?? {}).forEach(([name, value]) => {
+    if (value !== undefined) headers[name] = String(value);
+  });
+  Object.entries(descriptor.cookies ?? {}).forEach(([name, value]) => {
+    if (value !== undefined) cookies.push(\`\${name}=\${encodeURIComponent(String(value))}\`);
+  });
+
+  await applySecurity(descriptor.security ?? [], config, query, headers, cookies);
+  if (cookies.length > 0) headers.Cookie = cookies.join('; ');
+
+  let body: BodyInit | undefined;
+  if (descriptor.body !== undefined) {
+    const contentType = descriptor.contentType ?? 'application/json';
+    if (contentType === 'multipart/form-data') {
+      body = toFormData(descriptor.body as Record<string, unknown>);
+    } else {
+      headers['Content-Type'] = contentType;
+      body = contentType === 'application/x-www-form-urlencoded'
+        ? new URLSearchParams(descriptor.body as Record<string, string>).toString()
+        : isJson(contentType) ? JSON.stringify(descriptor.body) : descriptor.body as BodyInit;
+    }
+  }
+
+  const search = query.toString();
+  const url = \`\${config.baseUrl.replace(/\\/+$/, '')}\${path}\${search ? \`?\${search}\` : ''}\`;
+  const response = await (config.fetch ?? fetch)(url, { method: descriptor.method, headers, body });
+
+  const text = await response.text();
+  const data = text && isJson(response.headers.get('content-type') ?? '') ? JSON.parse(text) : text || undefined;
+  if (!response.ok) {
+    throw new ApiError(response.status, data, \`\${descriptor.method} \${path} failed with status \${response.status}\`);
+  }
+  return data as T;
+}
+
+async function applySecurity(
+  requirements: string[][],
+  config: ClientConfig,
+  query: URLSearchParams,
+  headers: Record<string, string>,
+  cookies: string[]
+): Promise<void> {
+  // Use the first requirement the configured credentials can satisfy
+  const auth = config.auth ?? {};
+  const requirement = requirements.find(names => names.every(name => auth[name] !== undefined));
+  if (!requirement) return;
+
+  for (const name of requirement) {
+    const scheme = securitySchemes[name];
+    const provider = auth[name];
+    const credential = typeof provider === 'function' ? await provider() : provider;
+
+    if (scheme?.type === 'apiKey' && scheme.name) {
+      const value = String(credential);
+      if (scheme.in === 'query') query.set(scheme.name, value);
+      else if (scheme.in === 'cookie') cookies.push(\`\${scheme.name}=\${encodeURIComponent(value)}\`);
+      else headers[scheme.name] = value;
+    } else if (scheme?.type === 'http' && scheme.scheme?.toLowerCase() === 'basic' && typeof credential === 'object') {
+      headers.Authorization = \`Basic \${btoa(\`\${credential.username}:\${credential.password}\`)}\`;
+    } else if (scheme?.type === 'http' && scheme.scheme && scheme.scheme.toLowerCase() !== 'bearer') {
+      headers.Authorization = \`\${scheme.scheme} \${String(credential)}\`;
+    } else {
+      // Bearer tokens for http bearer, oauth2 and openIdConnect schemes
+      headers.Authorization = \`Bearer \${String(credential)}\`;
+    }
+  }
+}
+
+function toFormData(values: Record<string, unknown>): FormData {
+  const form = new FormData();
+  Object.entries(values).forEach(([name, value]) => {
+    if (value !== undefined) form.append(name, value instanceof Blob ? value : String(value));
+  });
+  return form;
+}
+
+function isJson(contentType: string): boolean {
+  const type = contentType.split(';')[0].trim().toLowerCase();
+  return type === 'application/json' || type.endsWith('+json');
+}
+`;
+  }
+}
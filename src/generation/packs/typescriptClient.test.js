@@ -0,0 +1,147 @@
+import { TypeScriptClientPack } from './typescriptClient.js';
+
+// Built the way the dereferencer leaves it: component schemas are shared objects, cycles included
+const buildSpec = () => {
+  const user = {
+    type: 'object',
+    required: ['id'],
+    properties: {
+      id: { type: 'integer', readOnly: true },
+      name: { type: 'string', nullable: true },
+      'display-name': { type: 'string' },
+      status: null
+    }
+  };
+  const status = { type: 'string', enum: ['active', 'inactive'] };
+  user.properties.status = status;
+  user.properties.manager = user;
+
+  return {
+    openapi: '3.0.3',
+    info: { title: 'Users', version: '1.0.0' },
+    servers: [{ url: 'https://api.example.com/v1' }],
+    security: [{ bearer: [] }],
+    paths: {
+      '/users/{id}': {
+        parameters: [{ name: 'id', in: 'path', required: true, schema: { type: 'integer' } }],
+        get: {
+          operationId: 'get-user',
+          summary: 'Fetch a user',
+          parameters: [{ name: 'expand', in: 'query', schema: { type: 'array', items: { type: 'string' } } }],
+          responses: { '200': { description: 'One user', content: { 'application/json': { schema: user } } } }
+        },
+        delete: { responses: { '204': { description: 'Deleted' } } }
+      },
+      '/users': {
+        post: {
+          operationId: 'createUser',
+          security: [],
+          requestBody: { required: true, content: { 'application/json': { schema: user } } },
+          responses: { '201': { description: 'Created', content: { 'application/json': { schema: user } } } }
+        }
+      }
+    },
+    components: {
+      schemas: { User: user, 'user-status': status },
+      securitySchemes: { bearer: { type: 'http', scheme: 'bearer' }, key: { type: 'apiKey', name: 'X-Key', in: 'header' } }
+    }
+  };
+};
+
+describe('TypeScriptClientPack', () => {
+  const generate = () => Object.fromEntries(
+    new TypeScriptClientPack().generate(buildSpec()).map(file => [file.path, file.content])
+  );
+
+  it('writes models, runtime, operations and an index', () => {
+    expect(Object.keys(generate())).toEqual(['models.ts', 'runtime.ts', 'operations.ts', 'index.ts']);
+  });
+
+  it('renders component schemas as named models that refer to each other', () => {
+    const models = generate()['models.ts'];
+
+    expect(models).toContain('// Generated by pimp-api for Users 1.0.0.');
+    expect(models).toContain([
+      'export interface User {',
+      '  readonly id: number;',
+      '  name?: string | null;',
+      '  "display-name"?: string;',
+      '  status?: UserStatus;',
+      '  manager?: User;',
+      '}'
+    ].join('\n'));
+    expect(models).toContain('export type UserStatus = "active" | "inactive";');
+  });
+
+  it('renders one function per operation with typed parameters and responses', () => {
+    const operations = generate()['operations.ts'];
+
+    expect(operations).toContain([
+      'export interface GetUserParams {',
+      '  id: number;',
+      '  expand?: Array<string>;',
+      '}'
+    ].join('\n'));
+    expect(operations).toContain([
+      '/** Fetch a user */',
+      'export async function getUser(params: GetUserParams, config: ClientConfig = getConfig()): Promise<Models.User> {',
+      '  return request<Models.User>({',
+      '    method: "GET",',
+      '    path: "/users/{id}",',
+      '    pathParams: { id: params["id"] },',
+      '    query: { expand: params["expand"] },',
+      '    security: [["bearer"]]',
+      '  }, config);',
+      '}'
+    ].join('\n'));
+  });
+
+  it('names operations without an operationId after the method and path', () => {
+    expect(generate()['operations.ts']).toContain('export async function deleteUsersId(params: DeleteUsersIdParams');
+    expect(generate()['operations.ts']).toContain('Promise<void>');
+  });
+
+  it('passes request bodies and operation-level security overrides', () => {
+    const operations = generate()['operations.ts'];
+
+    expect(operations).toContain('  body: Models.User;');
+    expect(operations).toContain([
+      '    body: params.body,',
+      '    contentType: "application/json",',
+      '    security: []'
+    ].join('\n'));
+  });
+
+  it('embeds the first server and the security schemes in the runtime', () => {
+    const runtime = generate()['runtime.ts'];
+
+    expect(runtime).toContain('let currentConfig: ClientConfig = { baseUrl: "https://api.example.com/v1" };');
+    expect(runtime).toContain('"key": {\n    "type": "apiKey",\n    "name": "X-Key",\n    "in": "header"\n  }');
+  });
+
+  it('escapes reserved words and numbers operation names that normalize to the same identifier', () => {
+    const operation = operationId => ({ operationId, responses: { '204': { description: 'Done' } } });
+    const spec = {
+      openapi: '3.0.3',
+      info: { title: 'Names', version: '1.0.0' },
+      paths: {
+        '/a': { get: operation('get-user'), delete: operation('delete') },
+        '/b': { get: operation('getUser'), post: operation('new') },
+        '/c': { get: operation('request') }
+      }
+    };
+
+    const operations = new TypeScriptClientPack().generate(spec).find(file => file.path === 'operations.ts').content;
+    const names = Array.from(operations.matchAll(/export async function (\w+)\(/g), match => match[1]);
+
+    expect(names).toEqual(['getUser', '_delete', 'getUser2', '_new', 'request2']);
+    expect(operations).toContain('export async function getUser2(params: Record<string, never> = {}');
+  });
+
+  it('exports an empty module when there are no component schemas', () => {
+    const spec = { openapi: '3.0.3', info: { title: 'Empty', version: '1.0.0' }, paths: {} };
+    const [models] = new TypeScriptClientPack().generate(spec);
+
+    expect(models.content).toMatch(/export \{\};\n$/);
+  });
+});
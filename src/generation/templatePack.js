@@ -0,0 +1,128 @@
+export class TemplatePack {
+  constructor(options = {}) {
+    this.options = options;
+    this.name = 'base';
+    this.kind = null;
+    // Language for clients, framework for servers
+    this.target = null;
+    this.httpMethods = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch'];
+    // Words that cannot name a function in strict-mode JavaScript or TypeScript modules
+    this.reservedWords = new Set([
+      'arguments', 'await', 'break', 'case', 'catch', 'class', 'const', 'continue', 'debugger', 'default', 'delete',
+      'do', 'else', 'enum', 'eval', 'export', 'extends', 'false', 'finally', 'for', 'function', 'if', 'implements',
+      'import', 'in', 'instanceof', 'interface', 'let', 'new', 'null', 'package', 'private', 'protected', 'public',
+      'return', 'static', 'super', 'switch', 'this', 'throw', 'true', 'try', 'typeof', 'var', 'void', 'while', 'with', 'yield'
+    ]);
+    // Identifiers the generated modules declare or import next to the operation functions
+    this.reservedNames = [];
+  }
+
+  // Template packs return the files to write as [{ path, content }]
+  generate(spec, options = {}) {
+    throw new Error(`Template pack ${this.name} does not implement generate()`);
+  }
+
+  collectOperations(spec) {
+    const operations = [];
+    const usedNames = new Set(this.reservedNames);
+
+    Object.entries(spec.paths || {}).forEach(([path, pathItem]) => {
+      this.httpMethods
+        .filter(method => pathItem?.[method])
+        .forEach(method => {
+          const operation = pathItem[method];
+          operations.push({
+            path,
+            method,
+            operation,
+            operationId: operation.operationId,
+            functionName: this.reserveFunctionName(operation.operationId || `${method} ${path}`, usedNames),
+            parameters: this.mergeParameters(pathItem.parameters || [], operation.parameters || []),
+            security: operation.security ?? spec.security ?? []
+          });
+        });
+    });
+
+    return operations;
+  }
+
+  // Reserved words get a leading underscore; names that normalize to the same identifier are numbered
+  reserveFunctionName(value, usedNames) {
+    const camel = this.toCamelCase(value);
+    const base = this.reservedWords.has(camel) ? `_${camel}` : camel;
+    let name = base;
+    for (let index = 2; usedNames.has(name); index++) {
+      name = `${base}${index}`;
+    }
+    usedNames.add(name);
+    return name;
+  }
+
+  mergeParameters(pathParameters, operationParameters) {
+    // Operation-level parameters override path-level ones with the same name and location
+    const merged = new Map();
+    [...pathParameters, ...operationParameters]
+      .filter(param => param?.name && param.in)
+      .forEach(param => merged.set(`${param.in}:${param.name}`, param));
+    return Array.from(merged.values());
+  }
+
+  // Dereferenced documents share one object per component schema, so names are found by identity
+  indexSchemas(spec) {
+    this.schemaNames = new Map(
+      Object.entries(spec.components?.schemas || {})
+        .filter(([, schema]) => schema && typeof schema === 'object')
+        .map(([name, schema]) => [schema, this.toPascalCase(name)])
+    );
+  }
+
+  getSchemaName(schema) {
+    return this.schemaNames?.get(schema) || (schema?.$ref ? this.getRefName(schema.$ref) : null);
+  }
+
+  // Naming Utilities
+  getRefName(ref) {
+    const prefix = '#/components/schemas/';
+    return typeof ref === 'string' && ref.startsWith(prefix)
+      ? this.toPascalCase(ref.slice(prefix.length).replace(/~1/g, '/').replace(/~0/g, '~'))
+      : null;
+  }
+
+  splitWords(value) {
+    return String(value)
+      .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+      .split(/[^A-Za-z0-9]+/)
+      .filter(Boolean);
+  }
+
+  toPascalCase(value) {
+    const name = this.splitWords(value).map(word => word[0].toUpperCase() + word.slice(1)).join('');
+    return /^[0-9]/.test(name) ? `_${name}` : name || '_';
+  }
+
+  toCamelCase(value) {
+    const name = this.toPascalCase(value);
+    return name[0] === '_' ? name : name[0].toLowerCase() + name.slice(1);
+  }
+
+  isIdentifier(value) {
+    return /^[A-Za-z_$][A-Za-z0-9_$]*$/.test(value);
+  }
+
+  quoteProperty(name) {
+    return this.isIdentifier(name) ? name : JSON.stringify(name);
+  }
+
+  comment(text, indent = '') {
+    if (!text) return '';
+    const lines = String(text).replace(/\*\//g, '*\\/').split('\n');
+    return lines.length === 1
+      ? `${indent}/** ${lines[0]} */\n`
+      : `${indent}/**\n${lines.map(line => `${indent} * ${line}`.trimEnd()).join('\n')}\n${indent} */\n`;
+  }
+
+  generatedHeader(spec = null) {
+    const title = spec?.info?.title ? ` for ${spec.info.title}${spec.info.version ? ` ${spec.info.version}` : ''}` : '';
+    return `// Generated by pimp-api${title}. Do not edit; regenerate from the specification instead.\n\n`;
+  }
+}
@@ -0,0 +1,260 @@
+import { readFile, writeFile, mkdir } from 'fs/promises';
+import { homedir } from 'os';
+import { dirname, join } from 'path';
+import { ValidationError } from '../utils/errors.js';
+
+export class ConfigManager {
+  constructor(options = {}) {
+    this.cwd = options.cwd || process.cwd();
+    this.env = options.env || process.env;
+    this.userConfigPath = options.userConfigPath ||
+      join(this.env.XDG_CONFIG_HOME || join(homedir(), '.config'), 'pimp-api', 'config.json');
+    this.projectConfigName = '.pimpapirc';
+    this.schema = {
+      qdrantUrl: { env: 'QDRANT_URL', type: 'url', default: 'http://localhost:6333', description: 'Qdrant pattern storage URL' },
+      qdrantApiKey: { env: 'QDRANT_API_KEY', type: 'string', secret: true, description: 'Qdrant API key' },
+      patternCollection: { env: 'PATTERN_COLLECTION', type: 'string', default: 'patterns', description: 'Qdrant collection holding patterns' },
+      workerUrl: { env: 'WORKER_URL', type: 'url', description: 'Cloudflare worker base URL' },
+      workerToken: { env: 'WORKER_TOKEN', type: 'string', secret: true, description: 'Cloudflare worker token' },
+      bridgeUrl: { env: 'BRIDGE_URL', type: 'url', description: 'GitHub Projects bridge URL' },
+      githubToken: { env: 'GITHUB_TOKEN', type: 'string', secret: true, description: 'GitHub token' },
+      maxDepth: { env: 'MAX_DEPTH', type: 'integer', default: 3, description: 'default pattern analysis depth' },
+      maxConcurrency: { env: 'MAX_CONCURRENCY', type: 'integer', default: 4, description: 'maximum worker tasks running at once' },
+      workerTimeout: { env: 'WORKER_TIMEOUT', type: 'integer', default: 30000, description: 'milliseconds before a single worker call is abandoned' },
+      orchestrationTimeout: { env: 'ORCHESTRATION_TIMEOUT', type: 'integer', description: 'milliseconds before a whole orchestration is cancelled' },
+      workers: { env: 'PIMP_API_WORKERS', type: 'object', description: 'per-worker settings as JSON, keyed by worker id' },
+      runsDir: { env: 'PIMP_API_RUNS_DIR', type: 'string', default: join(this.env.XDG_STATE_HOME || join(homedir(), '.local', 'state'), 'pimp-api', 'runs'), description: 'directory holding orchestration run journals' }
+    };
+    this.values = {};
+    this.sources = {};
+    this.issues = [];
+  }
+
+  // Layered Loading: defaults < user file < project file < env < flags
+  // Strict loading rejects invalid values; config set and config validate load leniently to repair or report them
+  async load(flags = {}, { strict = true } = {}) {
+    this.issues = [];
+    this.projectConfigPath = await this.findProjectConfig();
+
+    const layers = [
+      ['default', this.getDefaults()],
+      ['user', await this.readConfigFile(this.userConfigPath)],
+      ['project', this.projectConfigPath ? await this.readConfigFile(this.projectConfigPath) : {}],
+      ['env', this.readEnv()]
+    ];
+
+    layers.forEach(([source, values]) => this.applyLayer(source, values));
+    this.applyFlags(flags);
+    if (strict) this.assertValid();
+
+    return this.values;
+  }
+
+  applyLayer(source, values) {
+    Object.entries(values).forEach(([key, value]) => {
+      if (!this.schema[key]) {
+        this.issues.push(`Unknown configuration key "${key}" in ${source} configuration`);
+        return;
+      }
+      if (value === undefined || value === null || value === '') return;
+
+      this.values[key] = this.coerce(key, value);
+      this.sources[key] = source;
+    });
+  }
+
+  applyFlags(flags) {
+    const known = Object.fromEntries(
+      Object.entries(flags).filter(([key]) => this.schema[key])
+    );
+    this.applyLayer('flag', known);
+  }
+
+  getDefaults() {
+    return Object.fromEntries(
+      Object.entries(this.schema)
+        .filter(([, definition]) => definition.default !== undefined)
+        .map(([key, definition]) => [key, definition.default])
+    );
+  }
+
+  readEnv() {
+    return Object.fromEntries(
+      Object.entries(this.schema).map(([key, definition]) => [key, this.env[definition.env]])
+    );
+  }
+
+  async readConfigFile(path) {
+    let content;
+    try {
+      content = await readFile(path, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return {};
+      throw new ValidationError(`Unable to read configuration file: ${path}`, [error.message]);
+    }
+
+    try {
+      return JSON.parse(content);
+    } catch (error) {
+      throw new ValidationError(`Invalid JSON in configuration file: ${path}`, [error.message]);
+    }
+  }
+
+  async findProjectConfig() {
+    let directory = this.cwd;
+
+    while (true) {
+      const candidate = join(directory, this.projectConfigName);
+      try {
+        await readFile(candidate);
+        return candidate;
+      } catch {
+        const parent = dirname(directory);
+        if (parent === directory) return null;
+        directory = parent;
+      }
+    }
+  }
+
+  // Value Handling
+  // Values that do not parse are kept as given, so validateValue can report them
+  coerce(key, value) {
+    if (this.schema[key].type === 'integer' && typeof value === 'string') {
+      const number = Number(value);
+      return Number.isFinite(number) ? number : value;
+    }
+    // Objects come from env vars and flags as JSON; unparseable values are reported by validateValue
+    if (this.schema[key].type === 'object' && typeof value === 'string') {
+      try {
+        return JSON.parse(value);
+      } catch {
+        return value;
+      }
+    }
+    return value;
+  }
+
+  get(key) {
+    this.assertKnownKey(key);
+    return this.values[key];
+  }
+
+  async set(key, value, scope = 'user') {
+    this.assertKnownKey(key);
+
+    const path = scope === 'project'
+      ? join(this.cwd, this.projectConfigName)
+      : this.userConfigPath;
+    const stored = await this.readConfigFile(path);
+    stored[key] = this.coerce(key, value);
+
+    const errors = this.validateValue(key, stored[key]);
+    if (errors.length > 0) {
+      throw new ValidationError(`Invalid value for ${key}`, errors);
+    }
+
+    await mkdir(dirname(path), { recursive: true });
+    await writeFile(path, JSON.stringify(stored, null, 2) + '\n');
+
+    this.values[key] = stored[key];
+    this.sources[key] = scope;
+    return path;
+  }
+
+  list() {
+    return Object.entries(this.schema).map(([key, definition]) => ({
+      key,
+      value: this.values[key],
+      source: this.sources[key] || 'unset',
+      secret: Boolean(definition.secret),
+      description: definition.description
+    }));
+  }
+
+  // Validation
+  validate() {
+    return [...this.issues, ...this.validateValues()];
+  }
+
+  validateValues() {
+    return Object.entries(this.values).flatMap(([key, value]) => this.validateValue(key, value));
+  }
+
+  assertValid() {
+    const errors = this.validateValues();
+    if (errors.length > 0) {
+      throw new ValidationError('Invalid configuration', errors);
+    }
+  }
+
+  validateValue(key, value) {
+    const { type } = this.schema[key];
+    const source = this.sources[key] ? ` (from ${this.sources[key]})` : '';
+
+    if (type === 'integer' && (!Number.isInteger(value) || value < 1)) {
+      return [`${key} must be a positive integer, got ${JSON.stringify(value)}${source}`];
+    }
+
+    if (type === 'object' && (!value || typeof value !== 'object' || Array.isArray(value))) {
+      return [`${key} must be a JSON object${source}`];
+    }
+
+    if (key === 'workers') {
+      return this.validateWorkers(value, source);
+    }
+
+    if (type === 'url') {
+      try {
+        new URL(value);
+      } catch {
+        return [`${key} must be a valid URL${source}`];
+      }
+    }
+
+    return [];
+  }
+
+  // A timeout that is not a positive integer would silently disable the timeout
+  validateWorkers(workers, source) {
+    return Object.entries(workers).flatMap(([workerId, settings]) => {
+      if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+        return [`workers.${workerId} must be a JSON object${source}`];
+      }
+      return ['timeout', 'shutdownTimeout']
+        .filter(name => settings[name] !== undefined && (!Number.isInteger(settings[name]) || settings[name] < 1))
+        .map(name => `workers.${workerId}.${name} must be a positive integer, got ${JSON.stringify(settings[name])}${source}`);
+    });
+  }
+
+  assertKnownKey(key) {
+    if (!this.schema[key]) {
+      throw new ValidationError(`Unknown configuration key: ${key}`, [
+        `Valid keys: ${Object.keys(this.schema).join(', ')}`
+      ]);
+    }
+  }
+
+  assertRequired(keys, commandName) {
+    const missing = keys.filter(key => this.values[key] === undefined);
+    if (missing.length === 0) return;
+
+    throw new ValidationError(
+      `Missing required configuration for ${commandName}`,
+      missing.map(key => {
+        const flag = this.toFlag(key);
+        return `${key} (set ${this.schema[key].env}, ${flag}, or run: pimp-api config set ${key} <value>)`;
+      })
+    );
+  }
+
+  // CLI Integration
+  toFlag(key) {
+    return `--${key.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`)}`;
+  }
+
+  registerOptions(program) {
+    Object.entries(this.schema).forEach(([key, definition]) => {
+      program.option(`${this.toFlag(key)} <value>`, `Override ${definition.description}`);
+    });
+  }
+}
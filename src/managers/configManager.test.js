@@ -0,0 +1,99 @@
+import { mkdtemp, rm, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { Command } from 'commander';
+import { ConfigManager } from './configManager.js';
+import { ValidationError } from '../utils/errors.js';
+
+describe('ConfigManager', () => {
+  let directory;
+
+  const managerWith = (env = {}) => new ConfigManager({
+    cwd: directory,
+    env,
+    userConfigPath: join(directory, 'user', 'config.json')
+  });
+
+  const loadError = (manager, flags) => manager.load(flags).then(() => null, error => error);
+
+  beforeEach(async () => {
+    directory = await mkdtemp(join(tmpdir(), 'pimp-api-config-'));
+  });
+
+  afterEach(async () => {
+    await rm(directory, { recursive: true, force: true });
+  });
+
+  it('layers defaults, the project file, env and flags', async () => {
+    await writeFile(join(directory, '.pimpapirc'), JSON.stringify({ maxDepth: 5, maxConcurrency: 2 }));
+    const manager = managerWith({ MAX_CONCURRENCY: '6' });
+
+    const values = await manager.load({ workerTimeout: '1000' });
+
+    expect(values).toMatchObject({ maxDepth: 5, maxConcurrency: 6, workerTimeout: 1000 });
+    expect(manager.sources).toMatchObject({ maxDepth: 'project', maxConcurrency: 'env', workerTimeout: 'flag' });
+  });
+
+  it('rejects a flag that is not a number instead of loading NaN', async () => {
+    const error = await loadError(managerWith(), { maxConcurrency: 'abc' });
+
+    expect(error).toBeInstanceOf(ValidationError);
+    expect(error.details).toEqual(['maxConcurrency must be a positive integer, got "abc" (from flag)']);
+  });
+
+  it('rejects invalid values from env and files', async () => {
+    await writeFile(join(directory, '.pimpapirc'), JSON.stringify({ maxDepth: 0 }));
+
+    const error = await loadError(managerWith({ WORKER_TIMEOUT: '30s', QDRANT_URL: 'localhost' }));
+
+    expect(error.details).toEqual([
+      'qdrantUrl must be a valid URL (from env)',
+      'maxDepth must be a positive integer, got 0 (from project)',
+      'workerTimeout must be a positive integer, got "30s" (from env)'
+    ]);
+  });
+
+  it('rejects workers that are not JSON or whose timeouts are not positive integers', async () => {
+    const unparsed = await loadError(managerWith({ PIMP_API_WORKERS: '{pimp-my-api}' }));
+    const timeouts = await loadError(managerWith({
+      PIMP_API_WORKERS: JSON.stringify({ 'pimp-my-api': { timeout: '5000' }, 'pattern-evolution': { shutdownTimeout: 0 } })
+    }));
+
+    expect(unparsed.details).toEqual(['workers must be a JSON object (from env)']);
+    expect(timeouts.details).toEqual([
+      'workers.pimp-my-api.timeout must be a positive integer, got "5000" (from env)',
+      'workers.pattern-evolution.shutdownTimeout must be a positive integer, got 0 (from env)'
+    ]);
+  });
+
+  it('loads leniently so invalid values can be reported with unknown keys', async () => {
+    await writeFile(join(directory, '.pimpapirc'), JSON.stringify({ maxDepht: 4 }));
+    const manager = managerWith({ MAX_DEPTH: 'deep' });
+
+    await manager.load({}, { strict: false });
+
+    expect(manager.validate()).toEqual([
+      'Unknown configuration key "maxDepht" in project configuration',
+      'maxDepth must be a positive integer, got "deep" (from env)'
+    ]);
+    expect(() => manager.assertValid()).toThrow(ValidationError);
+  });
+
+  it('rejects an invalid value before saving it', async () => {
+    const manager = managerWith();
+    await manager.load();
+
+    await expect(manager.set('maxConcurrency', 'many')).rejects.toThrow('Invalid value for maxConcurrency');
+    expect(await manager.set('maxConcurrency', '8')).toBe(join(directory, 'user', 'config.json'));
+    expect(manager.get('maxConcurrency')).toBe(8);
+  });
+
+  it('registers an override flag per key with sentence-case help', () => {
+    const program = new Command();
+    managerWith().registerOptions(program);
+    const help = Object.fromEntries(program.options.map(option => [option.long, option.description]));
+
+    expect(help['--max-depth']).toBe('Override default pattern analysis depth');
+    expect(help['--worker-url']).toBe('Override Cloudflare worker base URL');    expect(help['--runs-dir']).toBe('Override directory holding orchestration run journals');
+  });
+});
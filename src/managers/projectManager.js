@@ -4,10 +4,13 @@ export class ProjectManager {
   constructor(config) {
     this.config = config;
     this.errorHandler = new ErrorHandler();
-    this.bridgeUrl = config.bridgeUrl;
     this.patternCache = new Map();
   }
 
+  get bridgeUrl() {
+    return this.config.bridgeUrl;
+  }
+
   // Core Project Operations
   async createProject(name, options) {
     return await this.errorHandler.withRetry(async () => {
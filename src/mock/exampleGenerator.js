@@ -0,0 +1,123 @@
+export class ExampleGenerator {
+  constructor(options = {}) {
+    this.maxDepth = options.maxDepth || 5;
+    // Requests omit readOnly properties, responses omit writeOnly ones
+    this.direction = options.direction || 'response';
+    this.formats = {
+      'date-time': () => new Date(0).toISOString(),
+      date: () => '1970-01-01',
+      time: () => '00:00:00Z',
+      email: () => 'user@example.com',
+      uuid: () => '00000000-0000-4000-8000-000000000000',
+      uri: () => 'https://example.com',
+      url: () => 'https://example.com',
+      hostname: () => 'example.com',
+      ipv4: () => '127.0.0.1',
+      ipv6: () => '::1',
+      byte: () => 'ZXhhbXBsZQ==',
+      binary: () => 'example'
+    };
+  }
+
+  // Pick the documented example for a media type or parameter, or generate one from its schema
+  fromMedia(media = {}, exampleName = null) {
+    if (media.example !== undefined) return media.example;
+
+    const examples = Object.entries(media.examples || {});
+    if (examples.length > 0) {
+      const [, example] = examples.find(([name]) => name === exampleName) || examples[0];
+      if (example?.value !== undefined) return example.value;
+    }
+
+    return this.generate(media.schema);
+  }
+
+  generate(schema, depth = 0) {
+    if (!schema || typeof schema !== 'object' || depth > this.maxDepth * 2) return null;
+
+    // Level 1: Documented Values
+    if (schema.example !== undefined) return schema.example;
+    if (Array.isArray(schema.examples) && schema.examples.length > 0) return schema.examples[0];
+    if (schema.default !== undefined) return schema.default;
+    if (schema.const !== undefined) return schema.const;
+    if (Array.isArray(schema.enum) && schema.enum.length > 0) return schema.enum[0];
+
+    // Level 2: Composition
+    if (schema.allOf) {
+      const base = this.generateType(schema, depth);
+      return schema.allOf.reduce((merged, member) => {
+        const value = this.generate(member, depth);
+        return this.isObject(value) && this.isObject(merged) ? { ...merged, ...value } : value ?? merged;
+      }, this.isObject(base) ? base : {});
+    }
+    if (schema.oneOf || schema.anyOf) {
+      return this.generate((schema.oneOf || schema.anyOf)[0], depth);
+    }
+
+    // Level 3: Type-Based Values
+    return this.generateType(schema, depth);
+  }
+
+  generateType(schema, depth) {
+    const type = [].concat(schema.type || (schema.properties ? 'object' : []))
+      .find(candidate => candidate !== 'null');
+
+    switch (type) {
+      case 'string':
+        return this.generateString(schema);
+      case 'integer':
+      case 'number':
+        return this.generateNumber(schema, type);
+      case 'boolean':
+        return true;
+      case 'array':
+        return this.generateArray(schema, depth);
+      case 'object':
+        return this.generateObject(schema, depth);
+      default:
+        return null;
+    }
+  }
+
+  generateString(schema) {
+    if (this.formats[schema.format]) return this.formats[schema.format]();
+
+    const value = 'string';
+    if (schema.minLength && value.length < schema.minLength) return value.padEnd(schema.minLength, 'x');
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) return value.slice(0, schema.maxLength);
+    return value;
+  }
+
+  generateNumber(schema, type) {
+    let value = schema.minimum ?? (typeof schema.exclusiveMinimum === 'number' ? schema.exclusiveMinimum + 1 : 0);
+    if (schema.exclusiveMinimum === true) value += 1;
+    if (schema.maximum !== undefined && value > schema.maximum) value = schema.maximum;
+    return type === 'integer' ? Math.ceil(value) : value;
+  }
+
+  generateArray(schema, depth) {
+    if (depth >= this.maxDepth) return [];
+
+    const count = Math.max(schema.minItems || 1, 1);
+    const item = this.generate(schema.items, depth + 1);
+    return Array.from({ length: count }, () => item);
+  }
+
+  generateObject(schema, depth) {
+    // Cyclic schemas stop at the depth limit with only required properties
+    const required = Array.isArray(schema.required) ? schema.required : [];
+    const value = {};
+
+    Object.entries(schema.properties || {}).forEach(([name, property]) => {
+      if (depth >= this.maxDepth && !required.includes(name)) return;
+      if (property?.[this.direction === 'request' ? 'readOnly' : 'writeOnly'] === true) return;
+      value[name] = this.generate(property, depth + 1);
+    });
+
+    return value;
+  }
+
+  isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+  }
+}
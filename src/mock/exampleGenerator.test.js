@@ -0,0 +1,58 @@
+import { ExampleGenerator } from './exampleGenerator.js';
+
+describe('ExampleGenerator', () => {
+  const generator = new ExampleGenerator();
+
+  it('prefers documented values over generated ones', () => {
+    expect(generator.fromMedia({ example: 'media', schema: { example: 'schema' } })).toBe('media');
+    expect(generator.generate({ type: 'string', example: 'schema', default: 'default' })).toBe('schema');
+    expect(generator.generate({ type: 'string', default: 'default' })).toBe('default');
+    expect(generator.generate({ type: 'string', enum: ['active', 'inactive'] })).toBe('active');
+  });
+
+  it('respects formats and numeric and length bounds', () => {
+    expect(generator.generate({ type: 'string', format: 'uuid' })).toBe('00000000-0000-4000-8000-000000000000');
+    expect(generator.generate({ type: 'string', minLength: 10 })).toBe('stringxxxx');
+    expect(generator.generate({ type: 'string', maxLength: 3 })).toBe('str');
+    expect(generator.generate({ type: 'integer', minimum: 5 })).toBe(5);
+    expect(generator.generate({ type: 'integer', exclusiveMinimum: 5 })).toBe(6);
+    expect(generator.generate({ type: 'number', maximum: -1 })).toBe(-1);
+  });
+
+  it('merges allOf members and takes the first oneOf member', () => {
+    const schema = {
+      allOf: [
+        { type: 'object', properties: { id: { type: 'integer' } } },
+        { type: 'object', properties: { name: { type: 'string' } } }
+      ]
+    };
+
+    expect(generator.generate(schema)).toEqual({ id: 0, name: 'string' });
+    expect(generator.generate({ oneOf: [{ type: 'boolean' }, { type: 'string' }] })).toBe(true);
+  });
+
+  it('omits readOnly properties from requests and writeOnly ones from responses', () => {
+    const schema = {
+      type: 'object',
+      properties: { id: { type: 'integer', readOnly: true }, password: { type: 'string', writeOnly: true } }
+    };
+
+    expect(generator.generate(schema)).toEqual({ id: 0 });
+    expect(new ExampleGenerator({ direction: 'request' }).generate(schema)).toEqual({ password: 'string' });
+  });
+
+  it('stops cyclic schemas at the depth limit', () => {
+    const node = { type: 'object', required: ['id'], properties: { id: { type: 'integer' } } };
+    node.properties.parent = node;
+
+    let value = new ExampleGenerator({ maxDepth: 2 }).generate(node);
+    let levels = 0;
+    while (value.parent) {
+      value = value.parent;
+      levels += 1;
+    }
+
+    expect(levels).toBe(2);
+    expect(value).toEqual({ id: 0 });
+  });
+});
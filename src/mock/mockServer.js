@@ -0,0 +1,213 @@
+import { createServer } from 'http';
+import chalk from 'chalk';
+import { ExampleGenerator } from './exampleGenerator.js';
+import { RequestValidator } from './requestValidator.js';
+
+export class MockServer {
+  constructor(spec, options = {}) {
+    this.spec = spec;
+    this.port = options.port ?? 4010;
+    this.host = options.host || '127.0.0.1';
+    this.logger = options.logger || console;
+    this.httpMethods = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch'];
+    this.generator = new ExampleGenerator();
+    this.validator = new RequestValidator({ version: spec.openapi });
+    this.routes = this.buildRoutes(spec);
+    this.server = null;
+  }
+
+  buildRoutes(spec) {
+    const routes = [];
+
+    Object.entries(spec.paths || {}).forEach(([path, pathItem]) => {
+      const names = [];
+      const pattern = path.replace(/[.*+?^$()|[\]\\]/g, '\\$&').replace(/\{([^}]*)\}/g, (match, name) => {
+        names.push(name);
+        return '([^/]+)';
+      });
+
+      this.httpMethods
+        .filter(method => pathItem?.[method])
+        .forEach(method => {
+          routes.push({
+            path,
+            method,
+            names,
+            regex: new RegExp(`^${pattern}/?$`),
+            operation: pathItem[method],
+            parameters: this.mergeParameters(pathItem.parameters || [], pathItem[method].parameters || []),
+            // Literal segments win over templated ones, as in the OpenAPI matching rules
+            literals: path.split('/').filter(segment => segment && !segment.includes('{')).length
+          });
+        });
+    });
+
+    return routes.sort((left, right) => right.literals - left.literals || left.names.length - right.names.length);
+  }
+
+  mergeParameters(pathParameters, operationParameters) {
+    // Operation-level parameters override path-level ones with the same name and location
+    const merged = new Map();
+    [...pathParameters, ...operationParameters]
+      .filter(param => param?.name && param.in)
+      .forEach(param => merged.set(`${param.in}:${param.name}`, param));
+    return Array.from(merged.values());
+  }
+
+  start() {
+    this.server = createServer((req, res) => {
+      this.handle(req, res).catch(error => {
+        this.send(res, 500, { message: 'Mock server error', error: error.message });
+      });
+    });
+
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.port, this.host, () => {
+        this.port = this.server.address().port;
+        resolve(this);
+      });
+    });
+  }
+
+  stop() {
+    return new Promise(resolve => (this.server ? this.server.close(() => resolve()) : resolve()));
+  }
+
+  async handle(req, res) {
+    const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+    const method = req.method.toLowerCase();
+
+    // Browsers preflight cross-origin requests from frontend dev servers
+    if (method === 'options' && req.headers['access-control-request-method']) {
+      return this.send(res, 204);
+    }
+
+    // Phase 1: Route Matching
+    const candidates = this.routes
+      .map(route => ({ route, match: route.regex.exec(url.pathname) }))
+      .filter(candidate => candidate.match);
+    const selected = candidates.find(candidate => candidate.route.method === method);
+
+    if (!selected) {
+      const status = candidates.length > 0 ? 405 : 404;
+      this.log(req, status);
+      return this.send(res, status, {
+        message: status === 405 ? `Method ${req.method} not allowed for ${url.pathname}` : `No operation matches ${url.pathname}`
+      });
+    }
+
+    // Phase 2: Request Validation
+    const { route, match } = selected;
+    const request = {
+      params: Object.fromEntries(route.names.map((name, index) => [name, decodeURIComponent(match[index + 1])])),
+      query: this.readQuery(url.searchParams),
+      headers: req.headers,
+      cookies: this.readCookies(req.headers.cookie),
+      contentType: req.headers['content-type'],
+      body: await this.readBody(req)
+    };
+
+    const { findings } = this.validator.validate(route, request);
+    if (findings.length > 0) {
+      this.log(req, 400, route);
+      return this.send(res, 400, { message: 'Request validation failed', findings });
+    }
+
+    // Phase 3: Response Synthesis
+    const response = this.selectResponse(route.operation, this.readPreferences(req.headers.prefer));
+    this.log(req, response.status, route);
+    return this.send(res, response.status, response.body, response.headers);
+  }
+
+  selectResponse(operation, preferences = {}) {
+    const responses = operation.responses || {};
+    const codes = Object.keys(responses);
+
+    // Prefer: code=404 selects a documented response, otherwise the first success response is used
+    const code = (preferences.code && responses[preferences.code] ? preferences.code : null)
+      || codes.filter(status => /^2/.test(status)).sort()[0]
+      || (responses.default ? 'default' : codes[0]);
+    const response = responses[code] || {};
+    const status = /^\d{3}$/.test(code) ? Number(code) : (code && /^\dXX$/i.test(code) ? Number(code[0]) * 100 : 200);
+
+    const headers = {};
+    Object.entries(response.headers || {}).forEach(([name, header]) => {
+      const value = this.generator.fromMedia(header);
+      if (value !== null && value !== undefined) headers[name] = String(value);
+    });
+
+    const [mediaType, media] = Object.entries(response.content || {})[0] || [];
+    if (!mediaType) {
+      return { status, headers };
+    }
+
+    headers['Content-Type'] = mediaType.includes('*') ? 'application/json' : mediaType;
+    return { status, headers, body: this.generator.fromMedia(media, preferences.example) };
+  }
+
+  readPreferences(header = '') {
+    return Object.fromEntries(
+      header.split(/[,;]/)
+        .map(part => part.trim().split('='))
+        .filter(([name, value]) => name && value)
+        .map(([name, value]) => [name.toLowerCase(), value.replace(/^"|"$/g, '')])
+    );
+  }
+
+  readQuery(searchParams) {
+    const query = {};
+    searchParams.forEach((value, name) => {
+      if (query[name] === undefined) {
+        query[name] = value;
+      } else {
+        query[name] = [].concat(query[name], value);
+      }
+    });
+    return query;
+  }
+
+  readCookies(header = '') {
+    return Object.fromEntries(
+      header.split(';')
+        .map(part => part.trim().split('='))
+        .filter(([name]) => name)
+        .map(([name, ...value]) => [name, decodeURIComponent(value.join('='))])
+    );
+  }
+
+  readBody(req) {
+    return new Promise((resolve, reject) => {
+      const chunks = [];
+      req.on('data', chunk => chunks.push(chunk));
+      req.on('end', () => resolve(chunks.length > 0 ? Buffer.concat(chunks).toString('utf8') : ''));
+      req.on('error', reject);
+    });
+  }
+
+  send(res, status, body, headers = {}) {
+    const payload = body === undefined ? '' : typeof body === 'string' && !this.isJson(headers['Content-Type'])
+      ? body
+      : JSON.stringify(body, null, 2);
+
+    res.writeHead(status, {
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Headers': '*',
+      'Access-Control-Allow-Methods': this.httpMethods.join(',').toUpperCase(),
+      ...(body !== undefined && !headers['Content-Type'] ? { 'Content-Type': 'application/json' } : {}),
+      ...headers
+    });
+    res.end(payload);
+  }
+
+  isJson(contentType = 'application/json') {
+    const type = contentType.split(';')[0].trim().toLowerCase();
+    return type === 'application/json' || type.endsWith('+json');
+  }
+
+  log(req, status, route) {
+    const color = status >= 500 ? chalk.red : status >= 400 ? chalk.yellow : chalk.green;
+    const operation = route?.operation.operationId ? chalk.gray(` (${route.operation.operationId})`) : '';
+    this.logger.log(`${color(status)} ${req.method} ${req.url}${operation}`);
+  }
+}
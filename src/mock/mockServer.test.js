@@ -0,0 +1,149 @@
+import { MockServer } from './mockServer.js';
+
+const SPEC = {
+  openapi: '3.0.3',
+  info: { title: 'Users', version: '1.0.0' },
+  paths: {
+    '/users': {
+      get: {
+        operationId: 'listUsers',
+        parameters: [{ name: 'limit', in: 'query', schema: { type: 'integer', maximum: 50 } }],
+        responses: {
+          '200': {
+            description: 'All users',
+            headers: { 'X-Total': { schema: { type: 'integer', example: 2 } } },
+            content: { 'application/json': { schema: { type: 'array', items: { $ref: '#/components/schemas/User' } } } }
+          }
+        }
+      },
+      post: {
+        operationId: 'createUser',
+        requestBody: {
+          required: true,
+          content: { 'application/json': { schema: { type: 'object', required: ['name'], properties: { name: { type: 'string' } } } } }
+        },
+        responses: { '201': { description: 'Created' } }
+      }
+    },
+    '/users/{id}': {
+      get: {
+        operationId: 'getUser',
+        parameters: [{ name: 'id', in: 'path', required: true, schema: { type: 'integer' } }],
+        responses: {
+          '200': {
+            description: 'One user',
+            content: {
+              'application/json': {
+                examples: {
+                  ada: { value: { id: 1, name: 'Ada' } },
+                  grace: { value: { id: 2, name: 'Grace' } }
+                }
+              }
+            }
+          },
+          '404': { description: 'Not found', content: { 'application/json': { example: { message: 'No such user' } } } }
+        }
+      }
+    },
+    '/users/me': {
+      get: {
+        operationId: 'getCurrentUser',
+        responses: { '200': { description: 'Me', content: { 'application/json': { example: { id: 0, name: 'Me' } } } } }
+      }
+    }
+  },
+  components: {
+    schemas: {
+      User: { type: 'object', properties: { id: { type: 'integer', readOnly: true }, email: { type: 'string', format: 'email' } } }
+    }
+  }
+};
+
+// The mock server works on dereferenced specs
+SPEC.paths['/users'].get.responses['200'].content['application/json'].schema.items = SPEC.components.schemas.User;
+
+describe('MockServer', () => {
+  let server;
+  let baseUrl;
+  let logs;
+
+  beforeEach(async () => {
+    logs = [];
+    server = await new MockServer(SPEC, { port: 0, logger: { log: line => logs.push(line) } }).start();
+    baseUrl = `http://127.0.0.1:${server.port}`;
+  });
+
+  afterEach(async () => {
+    server.server.closeAllConnections();
+    await server.stop();
+  });
+
+  it('generates a response body and headers from the schema', async () => {
+    const response = await fetch(`${baseUrl}/users`);
+
+    expect(response.status).toBe(200);
+    expect(response.headers.get('x-total')).toBe('2');
+    expect(await response.json()).toEqual([{ id: 0, email: 'user@example.com' }]);
+    expect(logs).toEqual([expect.stringContaining('GET /users')]);
+  });
+
+  it('prefers literal path segments over templated ones', async () => {
+    const me = await fetch(`${baseUrl}/users/me`);
+    const user = await fetch(`${baseUrl}/users/7`);
+
+    expect(await me.json()).toEqual({ id: 0, name: 'Me' });
+    expect(await user.json()).toEqual({ id: 1, name: 'Ada' });
+  });
+
+  it('selects the documented response and example named in the Prefer header', async () => {
+    const example = await fetch(`${baseUrl}/users/7`, { headers: { Prefer: 'example=grace' } });
+    const code = await fetch(`${baseUrl}/users/7`, { headers: { Prefer: 'code=404' } });
+
+    expect(await example.json()).toEqual({ id: 2, name: 'Grace' });
+    expect(code.status).toBe(404);
+    expect(await code.json()).toEqual({ message: 'No such user' });
+  });
+
+  it('rejects requests that break the parameter and body schemas with 400', async () => {
+    const parameter = await fetch(`${baseUrl}/users?limit=100`);
+    const body = await fetch(`${baseUrl}/users`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({})
+    });
+
+    expect(parameter.status).toBe(400);
+    expect((await parameter.json()).findings).toEqual([expect.objectContaining({ ruleId: 'request-parameter', pointer: '/query/limit' })]);
+    expect(body.status).toBe(400);
+    expect((await body.json()).findings).toEqual([expect.objectContaining({ ruleId: 'request-body' })]);
+  });
+
+  it('answers a valid request without a documented body with its status only', async () => {
+    const response = await fetch(`${baseUrl}/users`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ name: 'Ada' })
+    });
+
+    expect(response.status).toBe(201);
+    expect(await response.text()).toBe('');
+  });
+
+  it('answers unknown paths with 404 and unknown methods with 405', async () => {
+    const path = await fetch(`${baseUrl}/orders`);
+    const method = await fetch(`${baseUrl}/users/7`, { method: 'DELETE' });
+
+    expect(path.status).toBe(404);
+    expect(method.status).toBe(405);
+  });
+
+  it('answers CORS preflight requests', async () => {
+    const response = await fetch(`${baseUrl}/users`, {
+      method: 'OPTIONS',
+      headers: { Origin: 'http://localhost:3000', 'Access-Control-Request-Method': 'POST' }
+    });
+
+    expect(response.status).toBe(204);
+    expect(response.headers.get('access-control-allow-origin')).toBe('*');
+  });
+});
@@ -0,0 +1,137 @@
+import { SchemaValidator } from '../validation/schemaValidator.js';
+
+export class RequestValidator {
+  constructor(options = {}) {
+    this.schemaValidator = new SchemaValidator({ version: options.version });
+  }
+
+  // Validate an incoming request against an operation's parameters and requestBody
+  validate(route, request) {
+    const findings = [];
+    const values = { path: request.params, query: request.query, header: request.headers, cookie: request.cookies };
+
+    // Phase 1: Parameters
+    route.parameters.forEach(param => {
+      const raw = this.readParameter(param, values[param.in]);
+      const pointer = `/${param.in}/${param.name}`;
+
+      if (raw === undefined) {
+        if (param.required) {
+          this.report(findings, 'request-parameter', pointer, `Missing required ${param.in} parameter ${param.name}`);
+        }
+        return;
+      }
+
+      const value = this.coerce(raw, param.schema);
+      this.schemaValidator.validate(value, param.schema).forEach(error => {
+        this.report(findings, 'request-parameter', `${pointer}${error.path}`,
+          `Invalid ${param.in} parameter ${param.name}: ${error.message}`);
+      });
+    });
+
+    // Phase 2: Request Body
+    const body = this.validateBody(route.operation.requestBody, request, findings);
+    return { findings, body };
+  }
+
+  validateBody(requestBody, request, findings) {
+    if (!requestBody) return request.body;
+
+    if (!request.body) {
+      if (requestBody.required) {
+        this.report(findings, 'request-body', '/body', 'Missing required request body');
+      }
+      return undefined;
+    }
+
+    const mediaType = this.findMediaType(requestBody.content || {}, request.contentType);
+    if (!mediaType) {
+      this.report(findings, 'request-body', '/body',
+        `Unsupported content type ${request.contentType || 'none'}. Expected: ${Object.keys(requestBody.content || {}).join(', ')}`);
+      return request.body;
+    }
+
+    const { schema } = requestBody.content[mediaType];
+    let body;
+    try {
+      body = this.parseBody(request.body, request.contentType, schema);
+    } catch (error) {
+      this.report(findings, 'request-body', '/body', `Request body is not valid JSON: ${error.message}`);
+      return request.body;
+    }
+
+    if (schema && body !== undefined) {
+      this.schemaValidator.validate(body, schema).forEach(error => {
+        this.report(findings, 'request-body', `/body${error.path}`, `Invalid request body: ${error.message}`);
+      });
+    }
+    return body;
+  }
+
+  parseBody(raw, contentType = '', schema) {
+    if (this.isJson(contentType)) {
+      return JSON.parse(raw);
+    }
+    if (contentType.startsWith('application/x-www-form-urlencoded')) {
+      const form = {};
+      new URLSearchParams(raw).forEach((value, name) => {
+        form[name] = this.coerce(value, schema?.properties?.[name]);
+      });
+      return form;
+    }
+    // Other media types are passed through unvalidated
+    return undefined;
+  }
+
+  findMediaType(content, contentType = '') {
+    const type = contentType.split(';')[0].trim().toLowerCase();
+    const candidates = Object.keys(content);
+
+    return candidates.find(candidate => candidate.toLowerCase() === type)
+      || candidates.find(candidate => candidate.endsWith('/*') && type.startsWith(candidate.slice(0, -1)))
+      || candidates.find(candidate => candidate === '*/*');
+  }
+
+  readParameter(param, source = {}) {
+    const key = param.in === 'header' ? param.name.toLowerCase() : param.name;
+    const value = source[key];
+    if (value === undefined) return undefined;
+
+    // Exploded query arrays repeat the parameter, others are comma separated
+    if (this.typeOf(param.schema) === 'array' && !Array.isArray(value)) {
+      return param.explode === false || param.in !== 'query' ? String(value).split(',') : [value];
+    }
+    return value;
+  }
+
+  coerce(value, schema) {
+    if (Array.isArray(value)) {
+      return value.map(item => this.coerce(item, schema?.items));
+    }
+
+    switch (this.typeOf(schema)) {
+      case 'integer':
+      case 'number':
+        return value !== '' && !Number.isNaN(Number(value)) ? Number(value) : value;
+      case 'boolean':
+        return value === 'true' ? true : value === 'false' ? false : value;
+      case 'array':
+        return String(value).split(',').map(item => this.coerce(item, schema.items));
+      default:
+        return value;
+    }
+  }
+
+  typeOf(schema) {
+    return [].concat(schema?.type || []).find(type => type !== 'null');
+  }
+
+  isJson(contentType = '') {
+    const type = contentType.split(';')[0].trim().toLowerCase();
+    return type === 'application/json' || type.endsWith('+json');
+  }
+
+  report(findings, ruleId, pointer, message) {
+    findings.push({ ruleId, severity: 'error', message, pointer });
+  }
+}
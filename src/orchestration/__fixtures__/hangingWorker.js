@@ -0,0 +1,13 @@
+import stubWorker from './stubWorker.js';
+
+// Like stubWorker, but enhance only settles once its signal aborts; the signals it saw are kept for assertions
+export const signals = [];
+
+export default async function hangingWorker(data, { signal }) {
+  if (data.action !== 'enhance') return stubWorker(data);
+
+  signals.push(signal);
+  return new Promise((resolve, reject) => {
+    signal.addEventListener('abort', () => reject(signal.reason), { once: true });
+  });
+}
@@ -0,0 +1,19 @@
+import { createInterface } from 'readline';
+
+// Line-delimited JSON worker for ProcessTransport tests. It echoes each request, and the request data
+// can ask it to fail, crash or never answer. With STUB_WORKER_STUBBORN set it ignores SIGTERM and
+// keeps running after stdin closes.
+if (process.env.STUB_WORKER_STUBBORN) {
+  process.on('SIGTERM', () => {});
+  setInterval(() => {}, 1000);
+}
+
+const reply = message => process.stdout.write(JSON.stringify(message) + '\n');
+
+createInterface({ input: process.stdin }).on('line', line => {
+  const { id, worker, data } = JSON.parse(line);
+  if (data.crash) process.exit(3);
+  if (data.fail) return reply({ id, error: { message: data.fail } });
+  if (data.hang) return;
+  reply({ id, result: { worker, echo: data, pid: process.pid } });
+});
@@ -0,0 +1,29 @@
+// Module worker standing in for every worker in tests: enhance fills in the gaps the orchestrator plans for,
+// optimize passes the enhanced specification on and verify accepts it
+const methods = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch', 'trace'];
+
+export function enhance(spec) {
+  const enhanced = structuredClone(spec);
+  Object.entries(enhanced.paths || {}).forEach(([path, pathItem]) => {
+    methods.filter(method => pathItem[method]).forEach(method => {
+      const operation = pathItem[method];
+      operation.summary ??= `${method.toUpperCase()} ${path}`;
+      operation.operationId ??= `${method}${path.replace(/[^A-Za-z0-9]+/g, '_')}`;
+      operation.responses = { ...operation.responses, default: { description: 'Unexpected error' } };
+    });
+  });
+  return enhanced;
+}
+
+export default async function stubWorker(data) {
+  switch (data.action) {
+    case 'enhance':
+      return { spec: enhance(data.spec) };
+    case 'optimize':
+      return { spec: data.inputs['enhance:spec'].spec };
+    case 'verify':
+      return { valid: true, issues: [] };
+    default:
+      return { action: data.action, inputs: Object.keys(data.inputs) };
+  }
+}
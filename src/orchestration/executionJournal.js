@@ -0,0 +1,168 @@
+import { mkdir, readdir, readFile, rename, writeFile } from 'fs/promises';
+import { join } from 'path';
+import { OutputFormatter } from '../utils/formatter.js';
+import { ValidationError } from '../utils/errors.js';
+
+export class ExecutionJournal {
+  constructor(options = {}) {
+    this.directory = options.directory;
+    this.formatter = new OutputFormatter();
+    this.writes = new Map();
+  }
+
+  // Records are plain JSON, so plans holding Maps are serialized as objects
+  async create(executionId, { operation, plan, metadata = {} }) {
+    const now = new Date().toISOString();
+    const plain = this.formatter.serialize(plan);
+    const record = {
+      executionId,
+      operation,
+      status: 'running',
+      pid: process.pid,
+      createdAt: now,
+      updatedAt: now,
+      completedAt: null,
+      metadata,
+      plan: plain,
+      tasks: Object.fromEntries((plain.tasks || []).map(task => [task.id, {
+        status: 'pending',
+        startedAt: null,
+        endedAt: null,
+        result: null,
+        error: null
+      }])),
+      result: null,
+      error: null
+    };
+
+    await this.save(record);
+    return record;
+  }
+
+  async load(executionId) {
+    let content;
+    try {
+      content = await readFile(this.pathFor(executionId), 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw new ValidationError(`Unknown run: ${executionId}`, ['Use pimp-api runs list to see recorded runs']);
+      }
+      throw error;
+    }
+    return JSON.parse(content);
+  }
+
+  async list() {
+    let files;
+    try {
+      files = await readdir(this.directory);
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const records = await Promise.all(
+      files
+        .filter(file => file.endsWith('.json'))
+        .map(file => this.load(file.slice(0, -'.json'.length)).catch(() => null))
+    );
+    return records
+      .filter(Boolean)
+      .sort((left, right) => right.createdAt.localeCompare(left.createdAt));
+  }
+
+  // Task Updates
+  startTask(record, taskId) {
+    this.updateTask(record, taskId, { status: 'running', startedAt: new Date().toISOString(), endedAt: null, error: null });
+    return this.save(record);
+  }
+
+  settleTask(record, result) {
+    this.updateTask(record, result.taskId, {
+      status: result.status,
+      startedAt: result.startTime ? new Date(result.startTime).toISOString() : null,
+      endedAt: new Date(result.endTime).toISOString(),
+      result: result.status === 'completed' ? this.formatter.serialize(result.result ?? null) : null,
+      error: result.error ?? null
+    });
+    return this.save(record);
+  }
+
+  updateTask(record, taskId, changes) {
+    record.tasks[taskId] = { ...record.tasks[taskId], ...changes };
+  }
+
+  // Run Updates
+  resume(record) {
+    record.status = 'running';
+    record.pid = process.pid;
+    record.error = null;
+    return this.save(record);
+  }
+
+  // A run left 'running' by a process that no longer exists was interrupted, not active
+  isActive(record) {
+    if (record.status !== 'running') return false;
+    if (!record.pid) return true;
+    try {
+      process.kill(record.pid, 0);
+      return true;
+    } catch (error) {
+      return error.code === 'EPERM';
+    }
+  }
+
+  complete(record, result) {
+    record.status = 'completed';
+    record.completedAt = new Date().toISOString();
+    record.result = this.formatter.serialize(result ?? null);
+    return this.save(record);
+  }
+
+  fail(record, error) {
+    record.status = 'failed';
+    record.error = error.message;
+    return this.save(record);
+  }
+
+  cancel(record, reason) {
+    record.status = 'cancelled';
+    record.error = reason.message;
+    return this.save(record);
+  }
+
+  completedResults(record) {
+    return new Map(
+      Object.entries(record.tasks)
+        .filter(([, task]) => task.status === 'completed')
+        .map(([taskId, task]) => [taskId, task.result])
+    );
+  }
+
+  // Writes to a record are queued, and each one replaces the file atomically
+  save(record) {
+    record.updatedAt = new Date().toISOString();
+    const content = JSON.stringify(record, null, 2) + '\n';
+    const path = this.pathFor(record.executionId);
+
+    const previous = this.writes.get(path) || Promise.resolve();
+    const write = previous.catch(() => {}).then(async () => {
+      await mkdir(this.directory, { recursive: true });
+      await writeFile(`${path}.tmp`, content);
+      await rename(`${path}.tmp`, path);
+    });
+    this.writes.set(path, write);
+    return write;
+  }
+
+  async flush() {
+    await Promise.all(this.writes.values());
+  }
+
+  pathFor(executionId) {
+    if (!/^[\w-]+$/.test(executionId)) {
+      throw new ValidationError(`Invalid run id: ${executionId}`);
+    }
+    return join(this.directory, `${executionId}.json`);
+  }
+}
@@ -0,0 +1,174 @@
+import { OutputFormatter } from '../utils/formatter.js';
+import { TaskScheduler } from './taskScheduler.js';
+import { ValidationError } from '../utils/errors.js';
+
+export class PlanReporter {
+  constructor() {
+    this.supportedFormats = ['tree', 'dot', 'mermaid', 'json'];
+    this.formatter = new OutputFormatter();
+    this.scheduler = new TaskScheduler();
+  }
+
+  // Plan files keep the operation and its metadata next to the plan so --from-plan can execute it later
+  format(plan, type, options = {}) {
+    const plain = this.formatter.serialize(plan);
+
+    switch (type) {
+      case 'json':
+        return JSON.stringify({
+          operation: options.operation,
+          createdAt: new Date().toISOString(),
+          metadata: options.metadata || {},
+          plan: plain
+        }, null, 2);
+      case 'dot':
+        return this.toDot(plain, options);
+      case 'mermaid':
+        return this.toMermaid(plain, options);
+      default:
+        return this.toTree(plain, options);
+    }
+  }
+
+  parse(content, source) {
+    let document;
+    try {
+      document = JSON.parse(content);
+    } catch (error) {
+      throw new ValidationError(`Invalid plan file: ${source}`, [error.message]);
+    }
+
+    if (!Array.isArray(document?.plan?.tasks)) {
+      throw new ValidationError(`Invalid plan file: ${source}`, ['Expected a plan written by --plan-format json']);
+    }
+
+    // Rejects cycles and unknown requirements before anything runs
+    this.scheduler.buildGraph(document.plan.tasks, document.plan.dependencies);
+    return document;
+  }
+
+  // Plan Structure
+  describe(plan) {
+    const graph = this.scheduler.buildGraph(plan.tasks || [], plan.dependencies);
+    const workers = plan.resources?.workers || {};
+
+    const tasks = graph.tasks.map(task => ({
+      id: task.id,
+      worker: this.workerName(task.workerId ?? task.worker ?? workers[task.id]),
+      upstream: Array.from(graph.upstream.get(task.id)),
+      conflicts: Array.from(graph.conflicts.get(task.id))
+    }));
+
+    return {
+      tasks,
+      edges: tasks.flatMap(task => task.upstream.map(from => [from, task.id])),
+      conflicts: tasks.flatMap(task => task.conflicts.filter(other => task.id < other).map(other => [task.id, other])),
+      schedule: plan.resources?.scheduling,
+      estimatedDuration: plan.estimatedDuration
+    };
+  }
+
+  workerName(worker) {
+    if (worker && typeof worker === 'object') return worker.workerId ?? worker.id ?? worker.name;
+    return worker;
+  }
+
+  scheduleEntries(schedule) {
+    if (schedule === undefined || schedule === null) return [];
+    if (Array.isArray(schedule)) {
+      return schedule.map((entry, index) => [`${index + 1}`, this.formatter.formatValue(entry)]);
+    }
+    if (typeof schedule === 'object') {
+      return Object.entries(schedule).map(([key, entry]) => [key, this.formatter.formatValue(entry)]);
+    }
+    return [['schedule', schedule]];
+  }
+
+  title(description, options) {
+    const operation = options.operation ? `${options.operation} plan` : 'Execution plan';
+    return `${operation}: ${description.tasks.length} tasks, estimated duration ${description.estimatedDuration ?? 'unknown'}`;
+  }
+
+  // Tree
+  toTree(plan, options = {}) {
+    const description = this.describe(plan);
+    const byWorker = new Map();
+    description.tasks.forEach(task => {
+      const worker = task.worker ?? 'unallocated';
+      byWorker.set(worker, [...(byWorker.get(worker) || []), task.id]);
+    });
+
+    const sections = [
+      ['Tasks', description.tasks.map(task => {
+        const after = task.upstream.length > 0 ? ` ← ${task.upstream.join(', ')}` : '';
+        const worker = task.worker ? ` [${task.worker}]` : '';
+        return `${task.id}${worker}${after}`;
+      })],
+      ['Dependencies', [
+        ...description.edges.map(([from, to]) => `${from} → ${to}`),
+        ...description.conflicts.map(([left, right]) => `${left} ⇹ ${right} (never at the same time)`)
+      ]],
+      ['Workers', Array.from(byWorker.entries()).map(([worker, ids]) => `${worker}: ${ids.join(', ')}`)],
+      ['Schedule', this.scheduleEntries(description.schedule).map(([key, value]) => `${key}: ${value}`)]
+    ];
+
+    const lines = [this.title(description, options)];
+    sections.forEach(([name, entries]) => {
+      lines.push(`├─ ${name}`);
+      const items = entries.length > 0 ? entries : ['(none)'];
+      items.forEach((entry, index) => {
+        lines.push(`│  ${index === items.length - 1 ? '└─' : '├─'} ${entry}`);
+      });
+    });
+    lines.push(`└─ Estimated duration: ${description.estimatedDuration ?? 'unknown'}`);
+
+    return lines.join('\n');
+  }
+
+  // Graphviz DOT
+  toDot(plan, options = {}) {
+    const description = this.describe(plan);
+    const escape = value => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"');
+    const quote = value => `"${escape(value)}"`;
+
+    const lines = [
+      'digraph plan {',
+      '  rankdir=LR;',
+      `  label=${quote(this.title(description, options))};`,
+      '  node [shape=box];'
+    ];
+    description.tasks.forEach(task => {
+      const label = [task.id, task.worker].filter(Boolean).map(escape).join('\\n');
+      lines.push(`  ${quote(task.id)} [label="${label}"];`);
+    });
+    description.edges.forEach(([from, to]) => lines.push(`  ${quote(from)} -> ${quote(to)};`));
+    description.conflicts.forEach(([left, right]) => {
+      lines.push(`  ${quote(left)} -> ${quote(right)} [style=dashed, dir=none, label="conflicts"];`);
+    });
+    this.scheduleEntries(description.schedule).forEach(([key, value]) => lines.push(`  // schedule ${key}: ${value}`));
+    lines.push('}');
+
+    return lines.join('\n');
+  }
+
+  // Mermaid
+  toMermaid(plan, options = {}) {
+    const description = this.describe(plan);
+    const nodes = new Map(description.tasks.map((task, index) => [task.id, `t${index}`]));
+    const text = value => String(value).replace(/"/g, '#quot;');
+
+    const lines = [
+      'flowchart LR',
+      `  %% ${this.title(description, options)}`
+    ];
+    description.tasks.forEach(task => {
+      const label = task.worker ? `${text(task.id)}<br/>${text(task.worker)}` : text(task.id);
+      lines.push(`  ${nodes.get(task.id)}["${label}"]`);
+    });
+    description.edges.forEach(([from, to]) => lines.push(`  ${nodes.get(from)} --> ${nodes.get(to)}`));
+    description.conflicts.forEach(([left, right]) => lines.push(`  ${nodes.get(left)} -. conflicts .- ${nodes.get(right)}`));
+    this.scheduleEntries(description.schedule).forEach(([key, value]) => lines.push(`  %% schedule ${key}: ${value}`));
+
+    return lines.join('\n');
+  }
+}
@@ -0,0 +1,191 @@
+import { ValidationError } from '../utils/errors.js';
+
+export class TaskScheduler {
+  constructor(options = {}) {
+    this.concurrency = Math.max(1, options.concurrency || 4);
+  }
+
+  // Builds the task graph from analyzeDependencies' requires/provides/conflicts map.
+  // A requirement names either a task id or an output another task provides.
+  buildGraph(tasks, dependencies = new Map()) {
+    const entries = dependencies instanceof Map ? dependencies : new Map(Object.entries(dependencies || {}));
+    const problems = [];
+    const byId = new Map();
+
+    tasks.forEach(task => {
+      if (byId.has(task.id)) problems.push(`Task id ${task.id} is used more than once`);
+      byId.set(task.id, task);
+    });
+
+    // Level 1: Output Providers
+    const providers = new Map();
+    tasks.forEach(task => {
+      this.listOf(entries.get(task.id)?.provides).forEach(output => {
+        if (providers.has(output) && providers.get(output) !== task.id) {
+          problems.push(`Tasks ${providers.get(output)} and ${task.id} both provide ${output}`);
+        }
+        providers.set(output, task.id);
+      });
+    });
+    const resolve = name => (byId.has(name) ? name : providers.get(name));
+
+    // Level 2: Edges
+    const upstream = new Map(tasks.map(task => [task.id, new Set()]));
+    const downstream = new Map(tasks.map(task => [task.id, new Set()]));
+    const conflicts = new Map(tasks.map(task => [task.id, new Set()]));
+
+    tasks.forEach(task => {
+      const entry = entries.get(task.id) || {};
+      this.listOf(entry.requires).forEach(requirement => {
+        const provider = resolve(requirement);
+        if (provider === undefined) {
+          problems.push(`Task ${task.id} requires ${requirement}, which no task provides`);
+          return;
+        }
+        upstream.get(task.id).add(provider);
+        downstream.get(provider).add(task.id);
+      });
+
+      // Conflicting tasks may run in either order, but never at the same time
+      this.listOf(entry.conflicts).forEach(name => {
+        const other = resolve(name);
+        if (other === undefined || other === task.id) return;
+        conflicts.get(task.id).add(other);
+        conflicts.get(other).add(task.id);
+      });
+    });
+
+    // Level 3: Topological Order
+    const order = problems.length === 0 ? this.topologicalOrder(tasks, upstream, problems) : [];
+    if (problems.length > 0) {
+      throw new ValidationError('Invalid execution plan', problems);
+    }
+
+    return { tasks: order.map(id => byId.get(id)), upstream, downstream, conflicts };
+  }
+
+  // Kahn's algorithm, keeping the plan's task order among tasks that are ready together
+  topologicalOrder(tasks, upstream, problems) {
+    const remaining = new Map(tasks.map(task => [task.id, upstream.get(task.id).size]));
+    const order = [];
+
+    while (order.length < tasks.length) {
+      const next = tasks.find(task => remaining.get(task.id) === 0);
+      if (!next) {
+        problems.push(`Dependency cycle: ${this.findCycle(tasks, upstream, remaining).join(' -> ')}`);
+        return order;
+      }
+
+      remaining.set(next.id, -1);
+      order.push(next.id);
+      tasks.forEach(task => {
+        if (upstream.get(task.id).has(next.id)) remaining.set(task.id, remaining.get(task.id) - 1);
+      });
+    }
+
+    return order;
+  }
+
+  findCycle(tasks, upstream, remaining) {
+    // Every unscheduled task waits on another unscheduled task, so walking upstream must revisit one
+    const path = [tasks.find(task => remaining.get(task.id) > 0).id];
+    while (true) {
+      const current = path[path.length - 1];
+      const next = Array.from(upstream.get(current)).find(id => remaining.get(id) > 0);
+      const index = path.indexOf(next);
+      if (index !== -1) return [...path.slice(index), next].reverse();
+      path.push(next);
+    }
+  }
+
+  // Starts each task as soon as its upstream tasks completed, up to the concurrency limit.
+  // Tasks downstream of a failure are skipped; independent branches keep running.
+  // Tasks listed in options.completed (task id -> result) are reused without being executed.
+  // Once options.signal aborts, nothing new starts and unfinished tasks settle as cancelled.
+  async run(graph, execute, options = {}) {
+    const { onResult = () => {}, completed = new Map(), signal } = options;
+    const results = new Map();
+    const running = new Set();
+    const pending = graph.tasks.filter(task => !completed.has(task.id));
+
+    const settle = result => {
+      results.set(result.taskId, result);
+      onResult(result);
+    };
+
+    graph.tasks.filter(task => completed.has(task.id)).forEach(task => {
+      settle({ taskId: task.id, status: 'completed', result: completed.get(task.id), reused: true, startTime: null, endTime: Date.now() });
+    });
+
+    const skipDownstream = (taskId, reason) => {
+      graph.downstream.get(taskId).forEach(id => {
+        // Only tasks still waiting can be skipped; anything else has settled or is settling
+        const index = pending.findIndex(task => task.id === id);
+        if (results.has(id) || index === -1) return;
+        pending.splice(index, 1);
+        settle({ taskId: id, status: 'skipped', error: reason, startTime: null, endTime: Date.now() });
+        skipDownstream(id, reason);
+      });
+    };
+
+    const cancelPending = () => {
+      pending.splice(0).forEach(task => {
+        settle({ taskId: task.id, status: 'cancelled', error: signal.reason?.message, startTime: null, endTime: Date.now() });
+      });
+    };
+
+    const isReady = task => Array.from(graph.upstream.get(task.id)).every(id => results.get(id)?.status === 'completed');
+
+    await new Promise(done => {
+      const schedule = () => {
+        if (signal?.aborted) cancelPending();
+        if (pending.length === 0 && running.size === 0) return done();
+
+        for (const task of pending.filter(isReady)) {
+          if (running.size >= this.concurrency) break;
+          if (Array.from(graph.conflicts.get(task.id)).some(id => running.has(id))) continue;
+
+          pending.splice(pending.indexOf(task), 1);
+          running.add(task.id);
+          const startTime = Date.now();
+
+          Promise.resolve()
+            .then(() => execute(task, signal))
+            .then(
+              result => settle({ taskId: task.id, status: 'completed', result, startTime, endTime: Date.now() }),
+              error => {
+                if (signal?.aborted) {
+                  settle({ taskId: task.id, status: 'cancelled', error: error.message, startTime, endTime: Date.now() });
+                  return;
+                }
+                settle({ taskId: task.id, status: 'failed', error: error.message, startTime, endTime: Date.now() });
+                skipDownstream(task.id, `Upstream task ${task.id} failed`);
+              }
+            )
+            .finally(() => {
+              running.delete(task.id);
+              schedule();
+            });
+        }
+
+        // Unreachable for a graph from buildGraph, but never leave the run waiting forever
+        if (running.size === 0 && pending.length > 0) {
+          pending.splice(0).forEach(task => {
+            settle({ taskId: task.id, status: 'skipped', error: 'Task could not be scheduled', startTime: null, endTime: Date.now() });
+          });
+          done();
+        }
+      };
+
+      signal?.addEventListener('abort', schedule, { once: true });
+      schedule();
+    });
+
+    return graph.tasks.map(task => results.get(task.id));
+  }
+
+  listOf(value) {
+    if (value === undefined || value === null) return [];
+    return Array.isArray(value) ? value : [value];
+  }
+}
@@ -0,0 +1,159 @@
+import { TaskScheduler } from './taskScheduler.js';
+import { ValidationError } from '../utils/errors.js';
+
+const task = id => ({ id });
+const tick = () => new Promise(resolve => setTimeout(resolve, 5));
+
+describe('TaskScheduler', () => {
+  const scheduler = new TaskScheduler({ concurrency: 2 });
+
+  describe('buildGraph', () => {
+    it('orders tasks after the tasks providing what they require', () => {
+      const graph = scheduler.buildGraph([task('verify'), task('enhance'), task('prepare')], {
+        prepare: { provides: 'patterns' },
+        enhance: { requires: 'patterns', provides: ['spec'] },
+        verify: { requires: ['spec'] }
+      });
+
+      expect(graph.tasks.map(({ id }) => id)).toEqual(['prepare', 'enhance', 'verify']);
+      expect(Array.from(graph.upstream.get('verify'))).toEqual(['enhance']);
+      expect(Array.from(graph.downstream.get('prepare'))).toEqual(['enhance']);
+    });
+
+    it('reports a dependency cycle along its path', () => {
+      const error = (() => {
+        try {
+          scheduler.buildGraph([task('a'), task('b'), task('c'), task('d')], new Map([
+            ['a', { requires: 'd' }],
+            ['b', { requires: 'a' }],
+            ['c', { requires: 'b' }],
+            ['d', { requires: 'c' }]
+          ]));
+        } catch (error) {
+          return error;
+        }
+      })();
+
+      expect(error).toBeInstanceOf(ValidationError);
+      expect(error.details).toEqual(['Dependency cycle: a -> b -> c -> d -> a']);
+    });
+
+    it('reports duplicate ids, competing providers and missing requirements together', () => {
+      expect(() => scheduler.buildGraph([task('a'), task('a'), task('b'), task('c')], {
+        b: { provides: 'spec' },
+        c: { provides: 'spec', requires: 'patterns' }
+      })).toThrow(expect.objectContaining({
+        details: [
+          'Task id a is used more than once',
+          'Tasks b and c both provide spec',
+          'Task c requires patterns, which no task provides'
+        ]
+      }));
+    });
+  });
+
+  describe('run', () => {
+    const runGraph = (graph, execute, options) => scheduler.run(graph, execute, options);
+
+    it('never runs more tasks at once than the concurrency allows', async () => {
+      const graph = scheduler.buildGraph(['a', 'b', 'c', 'd', 'e'].map(task));
+      let running = 0;
+      let peak = 0;
+
+      const results = await runGraph(graph, async ({ id }) => {
+        peak = Math.max(peak, ++running);
+        await tick();
+        running--;
+        return id;
+      });
+
+      expect(peak).toBe(2);
+      expect(results.map(result => result.result)).toEqual(['a', 'b', 'c', 'd', 'e']);
+    });
+
+    it('runs conflicting tasks one after the other', async () => {
+      const graph = scheduler.buildGraph([task('write-a'), task('write-b'), task('read')], {
+        'write-a': { conflicts: 'write-b' }
+      });
+      const started = [];
+      const active = new Set();
+
+      await runGraph(graph, async ({ id }) => {
+        started.push([id, Array.from(active)]);
+        active.add(id);
+        await tick();
+        active.delete(id);
+      });
+
+      expect(started.map(([id]) => id)).toEqual(['write-a', 'read', 'write-b']);
+      expect(started[1][1]).toEqual(['write-a']);
+      expect(started[2][1]).not.toContain('write-a');
+    });
+
+    it('skips everything downstream of a failure and keeps independent branches running', async () => {
+      const graph = scheduler.buildGraph([task('fetch'), task('parse'), task('store'), task('report')], {
+        parse: { requires: 'fetch' },
+        store: { requires: 'parse' }
+      });
+      const executed = [];
+
+      const results = await runGraph(graph, async ({ id }) => {
+        executed.push(id);
+        if (id === 'fetch') throw new Error('Network down');
+      });
+
+      expect(executed).toEqual(['fetch', 'report']);
+      expect(results.map(({ taskId, status, error }) => [taskId, status, error])).toEqual([
+        ['fetch', 'failed', 'Network down'],
+        ['parse', 'skipped', 'Upstream task fetch failed'],
+        ['store', 'skipped', 'Upstream task fetch failed'],
+        ['report', 'completed', undefined]
+      ]);
+    });
+
+    it('skips a task downstream of two failures once', async () => {
+      const graph = scheduler.buildGraph([task('a'), task('b'), task('merge')], {
+        merge: { requires: ['a', 'b'] }
+      });
+      const settled = [];
+
+      const results = await runGraph(graph, async ({ id }) => {
+        throw new Error(`${id} failed`);
+      }, { onResult: result => settled.push(result.taskId) });
+
+      expect(settled).toEqual(['a', 'merge', 'b']);
+      expect(results[2]).toMatchObject({ taskId: 'merge', status: 'skipped', error: 'Upstream task a failed' });
+    });
+
+    it('reuses completed results instead of executing those tasks again', async () => {
+      const graph = scheduler.buildGraph([task('prepare'), task('enhance')], { enhance: { requires: 'prepare' } });
+      const executed = [];
+
+      const results = await runGraph(graph, async ({ id }) => {
+        executed.push(id);
+        return 'enhanced';
+      }, { completed: new Map([['prepare', 'patterns']]) });
+
+      expect(executed).toEqual(['enhance']);
+      expect(results).toEqual([
+        expect.objectContaining({ taskId: 'prepare', status: 'completed', result: 'patterns', reused: true }),
+        expect.objectContaining({ taskId: 'enhance', status: 'completed', result: 'enhanced' })
+      ]);
+    });
+
+    it('starts nothing new once the signal aborts and cancels what is left', async () => {
+      const graph = scheduler.buildGraph([task('slow'), task('next')], { next: { requires: 'slow' } });
+      const controller = new AbortController();
+
+      const results = await runGraph(graph, (item, signal) => new Promise((resolve, reject) => {
+        signal.addEventListener('abort', () => reject(signal.reason));
+        controller.abort(new Error('Stopped'));
+      }), { signal: controller.signal });
+
+      expect(results.map(({ taskId, status, error }) => [taskId, status, error])).toEqual([
+        ['slow', 'cancelled', 'Stopped'],
+        ['next', 'cancelled', 'Stopped']
+      ]);
+    });
+  });
+});
@@ -0,0 +1,42 @@
+import { ValidationError, WorkerError } from '../../utils/errors.js';
+import { WorkerTransport } from './workerTransport.js';
+
+export class HttpTransport extends WorkerTransport {
+  constructor(workerId, settings = {}, config = {}) {
+    super(workerId, settings, config);
+    this.name = 'http';
+
+    // A worker may live at its own URL; by default every worker is a route under workerUrl
+    this.url = settings.url || (config.workerUrl && `${config.workerUrl}/${workerId}`);
+    this.token = settings.token ?? config.workerToken;
+
+    if (!this.url) {
+      throw new ValidationError(`No URL for worker ${workerId}`, [
+        `Set workerUrl, or workers.${workerId}.url, or choose another transport for ${workerId}`
+      ]);
+    }
+  }
+
+  async call(data, signal) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.token) {
+      headers.Authorization = `Bearer ${this.token}`;
+    }
+
+    const response = await fetch(this.url, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify(data),
+      signal
+    });
+
+    if (!response.ok) {
+      throw new WorkerError(
+        `Worker ${this.workerId} failed: ${response.statusText}`,
+        { workerId: this.workerId, status: response.status }
+      );
+    }
+
+    return response.json();
+  }
+}
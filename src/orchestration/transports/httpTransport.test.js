@@ -0,0 +1,84 @@
+import { createServer } from 'http';
+import { HttpTransport } from './httpTransport.js';
+import { ValidationError, WorkerError } from '../../utils/errors.js';
+
+describe('HttpTransport', () => {
+  let server;
+  let baseUrl;
+  let requests;
+  let respond;
+
+  beforeEach(async () => {
+    requests = [];
+    respond = (request, response) => {
+      response.setHeader('Content-Type', 'application/json');
+      response.end(JSON.stringify({ ok: true }));
+    };
+
+    server = createServer((request, response) => {
+      let body = '';
+      request.on('data', chunk => { body += chunk; });
+      request.on('end', () => {
+        requests.push({ method: request.method, url: request.url, headers: request.headers, body: JSON.parse(body) });
+        respond(request, response);
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterEach(async () => {
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  it('requires a URL', () => {
+    expect(() => new HttpTransport('pimp-my-api', {}, {})).toThrow(ValidationError);
+  });
+
+  it('posts the data to workerUrl/<worker> with the worker token', async () => {
+    const transport = new HttpTransport('pimp-my-api', {}, { workerUrl: baseUrl, workerToken: 'secret' });
+
+    const result = await transport.call({ action: 'enhance' });
+
+    expect(result).toEqual({ ok: true });
+    expect(requests).toEqual([expect.objectContaining({
+      method: 'POST',
+      url: '/pimp-my-api',
+      body: { action: 'enhance' },
+      headers: expect.objectContaining({ authorization: 'Bearer secret', 'content-type': 'application/json' })
+    })]);
+  });
+
+  it('prefers the URL and token configured for the worker', async () => {
+    const transport = new HttpTransport('pattern-storage', { url: `${baseUrl}/storage`, token: 'own' }, {
+      workerUrl: 'http://127.0.0.1:1',
+      workerToken: 'secret'
+    });
+
+    await transport.call({});
+
+    expect(requests[0].url).toBe('/storage');
+    expect(requests[0].headers.authorization).toBe('Bearer own');
+  });
+
+  it('rejects with a WorkerError carrying the status', async () => {
+    respond = (request, response) => {
+      response.statusCode = 503;
+      response.end();
+    };
+    const transport = new HttpTransport('pimp-my-api', {}, { workerUrl: baseUrl });
+
+    const error = await transport.call({}).catch(rejection => rejection);
+
+    expect(error).toBeInstanceOf(WorkerError);
+    expect(error.context).toEqual({ workerId: 'pimp-my-api', status: 503 });
+  });
+
+  it('abandons the request once the signal aborts', async () => {
+    respond = () => {};
+    const transport = new HttpTransport('pimp-my-api', {}, { workerUrl: baseUrl });
+
+    await expect(transport.call({}, AbortSignal.timeout(20))).rejects.toThrow(expect.objectContaining({ name: 'TimeoutError' }));
+  });
+});
@@ -0,0 +1,43 @@
+import { resolve } from 'path';
+import { pathToFileURL } from 'url';
+import { ValidationError } from '../../utils/errors.js';
+import { WorkerTransport } from './workerTransport.js';
+
+export class ModuleTransport extends WorkerTransport {
+  constructor(workerId, settings = {}, config = {}) {
+    super(workerId, settings, config);
+    this.name = 'module';
+    this.handler = null;
+
+    if (!settings.module) {
+      throw new ValidationError(`No module for worker ${workerId}`, [
+        `Set workers.${workerId}.module to the path of a JavaScript module`
+      ]);
+    }
+  }
+
+  // Worker modules default-export (data, { workerId, signal }) => result, sync or async
+  async load() {
+    if (this.handler) return this.handler;
+
+    const modulePath = resolve(this.settings.module);
+    const module = await import(pathToFileURL(modulePath).href);
+    const handler = module.default;
+
+    if (typeof handler !== 'function') {
+      throw new ValidationError(`Invalid worker module: ${this.settings.module}`, [
+        'The default export must be a function (data, { workerId, signal }) => result'
+      ]);
+    }
+
+    this.handler = handler;
+    return handler;
+  }
+
+  async call(data, signal) {
+    const handler = await this.load();
+    const result = Promise.resolve().then(() => handler(this.roundTrip(data), { workerId: this.workerId, signal }));
+
+    return this.roundTrip(await this.abortable(result, signal));
+  }
+}
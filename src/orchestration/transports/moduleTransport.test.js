@@ -0,0 +1,76 @@
+import { mkdtemp, rm, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { fileURLToPath } from 'url';
+import { ModuleTransport } from './moduleTransport.js';
+import { signals } from '../__fixtures__/hangingWorker.js';
+import { ValidationError } from '../../utils/errors.js';
+
+const fixture = name => fileURLToPath(new URL(`../__fixtures__/${name}`, import.meta.url));
+
+describe('ModuleTransport', () => {
+  let directory;
+
+  beforeEach(async () => {
+    directory = await mkdtemp(join(tmpdir(), 'pimp-api-module-'));
+    signals.length = 0;
+  });
+
+  afterEach(async () => {
+    await rm(directory, { recursive: true, force: true });
+  });
+
+  it('requires a module', () => {
+    expect(() => new ModuleTransport('pattern-storage', {})).toThrow(ValidationError);
+  });
+
+  it('calls the default export with the data, the worker id and the signal', async () => {
+    const modulePath = join(directory, 'worker.mjs');
+    await writeFile(modulePath, 'export default (data, { workerId, signal }) => ({ data, workerId, aborted: signal.aborted });\n');
+    const transport = new ModuleTransport('pattern-storage', { module: modulePath });
+
+    const result = await transport.call({ action: 'match' }, new AbortController().signal);
+
+    expect(result).toEqual({ data: { action: 'match' }, workerId: 'pattern-storage', aborted: false });
+  });
+
+  it('hands the worker and the caller copies of the data', async () => {
+    const transport = new ModuleTransport('pimp-my-api', { module: fixture('stubWorker.js') });
+    const spec = { paths: { '/pets': { get: { operationId: 'listPets', responses: {} } } } };
+
+    const result = await transport.call({ action: 'enhance', spec, inputs: {} });
+
+    expect(result.spec.paths['/pets'].get.summary).toBe('GET /pets');
+    expect(spec.paths['/pets'].get.summary).toBeUndefined();
+  });
+
+  it('loads the module once', async () => {
+    const modulePath = join(directory, 'counter.mjs');
+    await writeFile(modulePath, 'let calls = 0;\nexport default () => ++calls;\n');
+    const transport = new ModuleTransport('pattern-storage', { module: modulePath });
+
+    await transport.call({});
+
+    expect(await transport.call({})).toBe(2);
+  });
+
+  it('rejects a module without a default function', async () => {
+    const modulePath = join(directory, 'invalid.mjs');
+    await writeFile(modulePath, 'export const worker = () => null;\n');
+    const transport = new ModuleTransport('pattern-storage', { module: modulePath });
+
+    await expect(transport.call({})).rejects.toThrow(ValidationError);
+  });
+
+  it('rejects with the abort reason and aborts the signal the worker got', async () => {
+    const transport = new ModuleTransport('pimp-my-api', { module: fixture('hangingWorker.js') });
+    const controller = new AbortController();
+
+    const call = transport.call({ action: 'enhance' }, controller.signal);
+    while (signals.length === 0) await new Promise(resolve => setTimeout(resolve, 5));
+    controller.abort(new Error('Stopped'));
+
+    await expect(call).rejects.toThrow('Stopped');
+    expect(signals[0].aborted).toBe(true);
+  });
+});
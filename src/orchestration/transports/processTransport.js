@@ -0,0 +1,107 @@
+import { spawn } from 'child_process';
+import { createInterface } from 'readline';
+import { RetryableError, ValidationError, WorkerError } from '../../utils/errors.js';
+import { WorkerTransport } from './workerTransport.js';
+
+// Protocol: one JSON message per line. Requests are { id, worker, data } on the child's stdin,
+// and the child answers each on stdout with { id, result } or { id, error: { message } }.
+// The process is started on the first call and reused until the orchestration ends.
+export class ProcessTransport extends WorkerTransport {
+  constructor(workerId, settings = {}, config = {}) {
+    super(workerId, settings, config);
+    this.name = 'process';
+    this.child = null;
+    this.pending = new Map();
+    this.nextId = 1;
+
+    if (!settings.command) {
+      throw new ValidationError(`No command for worker ${workerId}`, [
+        `Set workers.${workerId}.command (and optionally args, cwd and env) to start the worker process`
+      ]);
+    }
+  }
+
+  start() {
+    if (this.child) return this.child;
+
+    const child = spawn(this.settings.command, this.settings.args || [], {
+      cwd: this.settings.cwd,
+      env: { ...process.env, ...this.settings.env },
+      // stderr is left to the worker for its own logging
+      stdio: ['pipe', 'pipe', 'inherit']
+    });
+
+    createInterface({ input: child.stdout }).on('line', line => this.receive(line));
+    child.stdin.on('error', () => {});
+    child.on('error', error => {
+      this.stop(child, new WorkerError(`Unable to start worker ${this.workerId}: ${error.message}`, { workerId: this.workerId }));
+    });
+    child.on('exit', (code, signal) => {
+      // Calls cut off by a crash are retried against a fresh process
+      this.stop(child, new RetryableError(`Worker process ${this.workerId} exited with ${signal || `code ${code}`}`));
+    });
+
+    this.child = child;
+    return child;
+  }
+
+  stop(child, error) {
+    if (this.child === child) this.child = null;
+    this.pending.forEach(call => call.reject(error));
+    this.pending.clear();
+  }
+
+  receive(line) {
+    let message;
+    try {
+      message = JSON.parse(line);
+    } catch {
+      return;
+    }
+
+    const call = this.pending.get(message?.id);
+    if (!call) return;
+    this.pending.delete(message.id);
+
+    if (message.error) {
+      call.reject(new WorkerError(
+        `Worker ${this.workerId} failed: ${message.error.message || message.error}`,
+        { workerId: this.workerId }
+      ));
+    } else {
+      call.resolve(message.result ?? null);
+    }
+  }
+
+  async call(data, signal) {
+    signal?.throwIfAborted();
+
+    const child = this.start();
+    const id = this.nextId++;
+    const response = new Promise((resolve, reject) => this.pending.set(id, { resolve, reject }));
+    child.stdin.write(JSON.stringify({ id, worker: this.workerId, data }) + '\n');
+
+    try {
+      return await this.abortable(response, signal);
+    } finally {
+      // A late answer to an abandoned call is ignored
+      this.pending.delete(id);
+    }
+  }
+
+  // Closing stdin asks the worker to exit; one that does not is sent SIGTERM after a grace period,
+  // and SIGKILL after a second one, which it cannot ignore
+  async close() {
+    const child = this.child;
+    if (!child) return;
+
+    const grace = this.settings.shutdownTimeout || 2000;
+    const exited = new Promise(resolve => child.once('exit', resolve));
+    const terminate = setTimeout(() => child.kill('SIGTERM'), grace);
+    const kill = setTimeout(() => child.kill('SIGKILL'), grace * 2);
+    child.stdin.end();
+    await exited;
+    clearTimeout(terminate);
+    clearTimeout(kill);
+  }
+}
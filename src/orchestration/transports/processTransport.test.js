@@ -0,0 +1,91 @@
+import { fileURLToPath } from 'url';
+import { ProcessTransport } from './processTransport.js';
+import { RetryableError, ValidationError, WorkerError } from '../../utils/errors.js';
+
+const WORKER = fileURLToPath(new URL('../__fixtures__/processWorker.js', import.meta.url));
+
+describe('ProcessTransport', () => {
+  let transport;
+
+  const transportWith = (settings = {}) => {
+    transport = new ProcessTransport('pattern-evolution', { command: process.execPath, args: [WORKER], ...settings });
+    return transport;
+  };
+
+  afterEach(async () => {
+    await transport?.close();
+    transport = null;
+  });
+
+  it('requires a command', () => {
+    expect(() => new ProcessTransport('pattern-evolution', {})).toThrow(ValidationError);
+  });
+
+  it('sends each request as a line of JSON and reuses the process', async () => {
+    transportWith();
+
+    const first = await transport.call({ pattern: 'a' });
+    const second = await transport.call({ pattern: 'b' });
+
+    expect(first).toMatchObject({ worker: 'pattern-evolution', echo: { pattern: 'a' } });
+    expect(second.echo).toEqual({ pattern: 'b' });
+    expect(second.pid).toBe(first.pid);
+  });
+
+  it('answers concurrent calls by id', async () => {
+    transportWith();
+
+    const results = await Promise.all([1, 2, 3].map(index => transport.call({ index })));
+
+    expect(results.map(result => result.echo.index)).toEqual([1, 2, 3]);
+  });
+
+  it('rejects with a WorkerError when the worker reports an error', async () => {
+    transportWith();
+
+    await expect(transport.call({ fail: 'No such pattern' })).rejects.toThrow(WorkerError);
+    await expect(transport.call({ fail: 'No such pattern' })).rejects.toThrow('Worker pattern-evolution failed: No such pattern');
+  });
+
+  it('retries calls cut off by a crash against a new process', async () => {
+    transportWith();
+    const { pid } = await transport.call({});
+
+    await expect(transport.call({ crash: true })).rejects.toThrow(RetryableError);
+
+    const next = await transport.call({});
+    expect(next.pid).not.toBe(pid);
+  });
+
+  it('rejects with the abort reason once the signal aborts', async () => {
+    transportWith();
+    const controller = new AbortController();
+
+    const call = transport.call({ hang: true }, controller.signal);
+    controller.abort(new Error('Stopped'));
+
+    await expect(call).rejects.toThrow('Stopped');
+    expect(transport.pending.size).toBe(0);
+  });
+
+  it('closes stdin and waits for the worker to exit', async () => {
+    transportWith();
+    await transport.call({});
+    const child = transport.child;
+
+    await transport.close();
+
+    expect(child.exitCode).toBe(0);
+    expect(transport.child).toBeNull();
+  });
+
+  it('kills a worker that ignores stdin closing and SIGTERM', async () => {
+    transportWith({ env: { STUB_WORKER_STUBBORN: '1' }, shutdownTimeout: 50 });
+    await transport.call({});
+    const child = transport.child;
+
+    await transport.close();
+
+    expect(child.signalCode).toBe('SIGKILL');
+  });
+});
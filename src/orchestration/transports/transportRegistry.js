@@ -0,0 +1,58 @@
+import { ValidationError } from '../../utils/errors.js';
+import { HttpTransport } from './httpTransport.js';
+import { ModuleTransport } from './moduleTransport.js';
+import { ProcessTransport } from './processTransport.js';
+
+export class TransportRegistry {
+  constructor(config = {}) {
+    this.config = config;
+    this.workerIds = ['pimp-my-api', 'pattern-evolution', 'pattern-storage', 'recursive-orchestrator'];
+    this.transports = new Map();
+    this.instances = new Map();
+    this.register('http', HttpTransport);
+    this.register('module', ModuleTransport);
+    this.register('process', ProcessTransport);
+  }
+
+  register(name, TransportClass) {
+    this.transports.set(name, TransportClass);
+  }
+
+  // Per-worker settings come from the workers configuration key; workers default to HTTP
+  settingsFor(workerId) {
+    return this.config.workers?.[workerId] || {};
+  }
+
+  transportFor(workerId) {
+    return this.settingsFor(workerId).transport || 'http';
+  }
+
+  // Only HTTP workers without their own url are reached through workerUrl
+  needsWorkerUrl(workerIds = this.workerIds) {
+    return workerIds.some(workerId => this.transportFor(workerId) === 'http' && !this.settingsFor(workerId).url);
+  }
+
+  get(workerId) {
+    if (!this.instances.has(workerId)) {
+      this.instances.set(workerId, this.create(workerId));
+    }
+    return this.instances.get(workerId);
+  }
+
+  create(workerId) {
+    const name = this.transportFor(workerId);
+    const TransportClass = this.transports.get(name);
+    if (!TransportClass) {
+      throw new ValidationError(`Unknown transport ${name} for worker ${workerId}`, [
+        `Available: ${Array.from(this.transports.keys()).join(', ')}`
+      ]);
+    }
+    return new TransportClass(workerId, this.settingsFor(workerId), this.config);
+  }
+
+  async close() {
+    const instances = Array.from(this.instances.values());
+    this.instances.clear();
+    await Promise.all(instances.map(transport => transport.close()));
+  }
+}
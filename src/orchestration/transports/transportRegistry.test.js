@@ -0,0 +1,69 @@
+import { TransportRegistry } from './transportRegistry.js';
+import { HttpTransport } from './httpTransport.js';
+import { ModuleTransport } from './moduleTransport.js';
+import { ProcessTransport } from './processTransport.js';
+import { ValidationError } from '../../utils/errors.js';
+
+describe('TransportRegistry', () => {
+  const config = {
+    workerUrl: 'http://workers.test',
+    workers: {
+      'pattern-storage': { transport: 'module', module: './storage.js' },
+      'pattern-evolution': { transport: 'process', command: 'node', args: ['evolution.js'] }
+    }
+  };
+
+  it('creates the transport configured for each worker, defaulting to http', () => {
+    const registry = new TransportRegistry(config);
+
+    expect(registry.get('pimp-my-api')).toBeInstanceOf(HttpTransport);
+    expect(registry.get('pattern-storage')).toBeInstanceOf(ModuleTransport);
+    expect(registry.get('pattern-evolution')).toBeInstanceOf(ProcessTransport);
+  });
+
+  it('reuses transports until closed', async () => {
+    const registry = new TransportRegistry(config);
+    const transport = registry.get('pattern-storage');
+
+    expect(registry.get('pattern-storage')).toBe(transport);
+    await registry.close();
+    expect(registry.get('pattern-storage')).not.toBe(transport);
+  });
+
+  it('only needs workerUrl while some http worker has no url of its own', () => {
+    expect(new TransportRegistry(config).needsWorkerUrl()).toBe(true);
+
+    const local = Object.fromEntries(new TransportRegistry().workerIds.map(id => [id, { transport: 'module', module: './stub.js' }]));
+    expect(new TransportRegistry({ workers: local }).needsWorkerUrl()).toBe(false);
+
+    const own = { ...local, 'pimp-my-api': { url: 'http://pimp.test' } };
+    expect(new TransportRegistry({ workers: own }).needsWorkerUrl()).toBe(false);
+  });
+
+  it('rejects unknown transports', () => {
+    const registry = new TransportRegistry({ workers: { 'pimp-my-api': { transport: 'carrier-pigeon' } } });
+
+    expect(() => registry.get('pimp-my-api')).toThrow(ValidationError);
+  });
+
+  it('accepts registered transports', async () => {
+    class StubTransport {
+      constructor(workerId) {
+        this.workerId = workerId;
+      }
+
+      async call(data) {
+        return { workerId: this.workerId, data };
+      }
+
+      async close() {}
+    }
+    const registry = new TransportRegistry({ workers: { 'pimp-my-api': { transport: 'stub' } } });
+    registry.register('stub', StubTransport);
+
+    expect(await registry.get('pimp-my-api').call({ action: 'enhance' })).toEqual({
+      workerId: 'pimp-my-api',
+      data: { action: 'enhance' }
+    });
+  });
+});
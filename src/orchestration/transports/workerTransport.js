@@ -0,0 +1,31 @@
+export class WorkerTransport {
+  constructor(workerId, settings = {}, config = {}) {
+    this.workerId = workerId;
+    this.settings = settings;
+    this.config = config;
+    this.name = 'base';
+  }
+
+  // Transports resolve with the worker's JSON result and reject with signal.reason once the signal aborts
+  async call(data, signal) {
+    throw new Error(`Worker transport ${this.name} does not implement call()`);
+  }
+
+  async close() {}
+
+  abortable(promise, signal) {
+    if (!signal) return promise;
+    signal.throwIfAborted();
+
+    return new Promise((resolve, reject) => {
+      const abort = () => reject(signal.reason);
+      signal.addEventListener('abort', abort, { once: true });
+      promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', abort));
+    });
+  }
+
+  // Local workers get and return copies, the same values a round trip over HTTP would produce
+  roundTrip(value) {
+    return value === undefined ? null : JSON.parse(JSON.stringify(value));
+  }
+}
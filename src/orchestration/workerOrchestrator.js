@@ -1,40 +1,107 @@
+import chalk from 'chalk';
 import { ErrorHandler } from '../utils/errorHandler.js';
 import { ProgressTracker } from '../utils/progress.js';
-import { QdrantClient } from '@qdrant/js-client-rest';
-import { WorkerError } from '../utils/errors.js';
+import { ExecutionJournal } from './executionJournal.js';
+import { TaskScheduler } from './taskScheduler.js';
+import { TransportRegistry } from './transports/transportRegistry.js';
+import { CancellationError, RetryableError, ValidationError, WorkerError } from '../utils/errors.js';
 
 export class WorkerOrchestrator {
   constructor(config) {
     this.config = config;
     this.errorHandler = new ErrorHandler();
     this.progress = new ProgressTracker();
-    this.qdrant = new QdrantClient({
-      url: config.qdrantUrl,
-      apiKey: config.qdrantApiKey
-    });
-    this.patternCache = new Map();
-    this.evolutionHistory = new Map();
+    this.scheduler = new TaskScheduler({ concurrency: config.maxConcurrency });
+    this.journal = new ExecutionJournal({ directory: config.runsDir });
+    this.transports = new TransportRegistry(config);
   }
 
-  async orchestrate(operation, params) {
-    this.progress.start(`Orchestrating ${operation}`);
-    
-    try {
-      // Phase 1: Pattern Recognition
-      const patterns = await this.recognizePatterns(operation, params);
-      
-      // Phase 2: Strategy Formation
-      const strategy = await this.formStrategy(patterns, operation);
-      
-      // Phase 3: Execution Planning
-      const plan = await this.createExecutionPlan(strategy);
+  async orchestrate(operation, params, metadata = {}) {
+    return this.supervise(`Orchestrating ${operation}`, async signal => {
+      // Phases 1-3: Pattern Recognition, Strategy Formation and Execution Planning
+      const plan = await this.planExecution(operation, params, signal);
       
       // Phase 4: Orchestrated Execution
-      return await this.executeWithOrchestration(plan);
+      return this.executeWithOrchestration(plan, { operation, metadata, signal });
+    });
+  }
+
+  // Stops after createExecutionPlan; callWorker refuses to run while planning only
+  async plan(operation, params) {
+    this.planOnly = true;
 
+    try {
+      return await this.supervise(`Planning ${operation}`, async signal => {
+        return this.planExecution(operation, params, signal);
+      });
+    } finally {
+      this.planOnly = false;
+    }
+  }
+
+  // Executes a plan saved with --plan-format json, skipping recognition, strategy and planning
+  async executePlan(plan, operation, metadata = {}) {
+    return this.supervise(`Orchestrating ${operation} from a saved plan`, signal =>
+      this.executeWithOrchestration(plan, { operation, metadata, signal })
+    );
+  }
+
+  // Continues a journaled run from its recorded plan; tasks that completed are not sent to workers again
+  async resume(executionId) {
+    const record = await this.journal.load(executionId);
+    if (record.status === 'completed') {
+      throw new ValidationError(`Run ${executionId} already completed`, [`Use pimp-api runs show ${executionId} to see its result`]);
+    }
+    if (this.journal.isActive(record)) {
+      throw new ValidationError(`Run ${executionId} is still running`, [`Process ${record.pid} is executing it; wait for it to finish or cancel it first`]);
+    }
+
+    return this.supervise(`Resuming ${record.operation} (${executionId})`, signal =>
+      this.executeWithOrchestration(record.plan, { record, signal })
+    );
+  }
+
+  async planExecution(operation, params, signal) {
+    // Phase 1: Pattern Recognition
+    const patterns = await this.recognizePatterns(operation, params);
+    signal?.throwIfAborted();
+
+    // Phase 2: Strategy Formation
+    const strategy = await this.formStrategy(patterns, operation);
+    signal?.throwIfAborted();
+
+    // Phase 3: Execution Planning
+    return this.createExecutionPlan(strategy, params);
+  }
+
+  // Cancellation: Ctrl-C or orchestrationTimeout aborts the signal handed to every worker call.
+  // A second Ctrl-C falls through to Node's default handler and exits immediately.
+  async supervise(label, work) {
+    const controller = new AbortController();
+    const interrupt = () => controller.abort(new CancellationError('Cancelled by Ctrl-C'));
+    const timeout = this.config.orchestrationTimeout;
+    const timer = timeout && setTimeout(() => {
+      controller.abort(new CancellationError(`Orchestration timed out after ${timeout}ms`));
+    }, timeout);
+
+    process.once('SIGINT', interrupt);
+    this.progress.start(label);
+
+    try {
+      const result = await work(controller.signal);
+      this.progress.complete();
+      return result;
     } catch (error) {
-      this.progress.fail(error);
+      if (error instanceof CancellationError) {
+        this.progress.cancel(error);
+      } else {
+        this.progress.fail(error);
+      }
       throw error;
+    } finally {
+      process.off('SIGINT', interrupt);
+      clearTimeout(timer);
+      await this.transports.close();
     }
   }
 
@@ -98,13 +165,13 @@ export class WorkerOrchestrator {
     }
   }
 
-  async createExecutionPlan(strategy) {
+  async createExecutionPlan(strategy, params) {
     this.progress.addStep('execution_planning', 'Creating execution plan');
     this.progress.startStep('execution_planning');
 
     try {
       // Level 1: Task Decomposition
-      const tasks = await this.decomposeIntoTasks(strategy);
+      const tasks = await this.decomposeIntoTasks(strategy, params);
       
       // Level 2: Dependency Analysis
       const dependencies = await this.analyzeDependencies(tasks);
@@ -117,7 +184,7 @@ export class WorkerOrchestrator {
 
       this.progress.completeStep('execution_planning', {
         'Tasks': tasks.length,
-        'Dependencies': dependencies.length,
+        'Dependencies': dependencies.size,
         'Estimated Duration': plan.estimatedDuration
       });
 
@@ -128,57 +195,93 @@ export class WorkerOrchestrator {
     }
   }
 
-  async executeWithOrchestration(plan) {
-    const executionId = crypto.randomUUID();
+  async executeWithOrchestration(plan, run = {}) {
+    const { signal } = run;
+    const record = run.record || await this.journal.create(crypto.randomUUID(), {
+      operation: run.operation,
+      plan,
+      metadata: run.metadata
+    });
+    const { executionId } = record;
+    if (run.record) await this.journal.resume(record);
+
+    this.execution = record;
     this.progress.addStep('execution', 'Executing orchestrated plan');
     this.progress.startStep('execution');
 
     try {
       // Phase 1: Execution Preparation
-      await this.prepareExecution(plan, executionId);
+      await this.prepareExecution(plan);
       
-      // Phase 2: Parallel Task Execution
-      const tasks = await this.executeTasksInParallel(plan.tasks);
+      // Phase 2: Dependency-Ordered Task Execution
+      const tasks = await this.executeTaskGraph(plan, record, signal);
+      if (signal?.aborted) {
+        throw new CancellationError(signal.reason.message, { executionId });
+      }
+      const incomplete = tasks.filter(task => task.status !== 'completed');
+      if (incomplete.length > 0) {
+        throw new WorkerError(`${incomplete.length} of ${tasks.length} tasks did not complete`, {
+          executionId,
+          tasks: Object.fromEntries(incomplete.map(task => [task.taskId, task.error]))
+        });
+      }
       
       // Phase 3: Result Aggregation
       const results = await this.aggregateResults(tasks);
       
       // Phase 4: Verification and Optimization
-      const verified = await this.verifyAndOptimize(results);
+      const verified = await this.verifyAndOptimize(results, plan);
 
+      await this.journal.complete(record, verified);
       this.progress.completeStep('execution', {
+        'Run': executionId,
         'Tasks Completed': tasks.length,
+        'Tasks Reused': tasks.filter(task => task.reused).length,
         'Success Rate': results.successRate,
+        'Verification Score': verified.verificationScore,
         'Optimization Gain': verified.optimizationGain
       });
 
       return verified;
     } catch (error) {
-      this.progress.failStep('execution', error);
+      if (error instanceof CancellationError) {
+        // Completed tasks are journaled, so the run picks up where it stopped
+        await this.journal.cancel(record, error);
+        this.progress.cancelStep('execution', error);
+      } else {
+        await this.journal.fail(record, error);
+        this.progress.failStep('execution', error);
+      }
+      console.error(chalk.yellow(`Resume this run with: pimp-api runs resume ${executionId}`));
       throw error;
     }
   }
 
-  async callWorker(workerId, data) {
-    return await this.errorHandler.withRetry(async () => {
-      const response = await fetch(`${this.config.workerUrl}/${workerId}`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${this.config.workerToken}`
-        },
-        body: JSON.stringify(data)
-      });
+  async callWorker(workerId, data, signal) {
+    if (this.planOnly) {
+      throw new WorkerError(`Worker ${workerId} was called while only planning`, { workerId });
+    }
 
-      if (!response.ok) {
-        throw new WorkerError(
-          `Worker ${workerId} failed: ${response.statusText}`,
-          { workerId, status: response.status }
-        );
-      }
+    // Workers are reached over HTTP, in-process modules or child processes, per the workers configuration
+    const transport = this.transports.get(workerId);
 
-      return response.json();
-    });
+    // Each attempt gets its own timeout; a timed out attempt is retried like a dropped connection
+    const timeout = this.transports.settingsFor(workerId).timeout ?? this.config.workerTimeout;
+
+    return await this.errorHandler.withRetry(async () => {
+      const attemptSignal = timeout
+        ? AbortSignal.any([signal, AbortSignal.timeout(timeout)].filter(Boolean))
+        : signal;
+
+      try {
+        return await transport.call(data, attemptSignal);
+      } catch (error) {
+        if (error.name === 'TimeoutError' && !signal?.aborted) {
+          throw new RetryableError(`Worker ${workerId} did not respond within ${timeout}ms`);
+        }
+        throw error;
+      }
+    }, { workerId }, { signal });
   }
 
   // Pattern Recognition Utilities
@@ -186,11 +289,11 @@ export class WorkerOrchestrator {
     const patterns = [];
     
     // Level 1: Direct Pattern Extraction
-    const directPatterns = this.extractDirectPatterns(operation, params);
+    const directPatterns = this.extractDirectPatterns(params);
     patterns.push(...directPatterns);
     
     // Level 2: Contextual Pattern Extraction
-    const contextualPatterns = await this.extractContextualPatterns(operation, params);
+    const contextualPatterns = this.extractContextualPatterns(operation, params);
     patterns.push(...contextualPatterns);
     
     // Level 3: Historical Pattern Analysis
@@ -200,81 +303,313 @@ export class WorkerOrchestrator {
     return this.deduplicatePatterns(patterns);
   }
 
+  // Resources group operations by their first path segment; gaps are what enhancement fills in
+  extractDirectPatterns(params) {
+    const resources = new Map();
+    this.listOperations(params.spec).forEach(({ key, path }) => {
+      const resource = path.split('/').find(Boolean) || '/';
+      resources.set(resource, [...(resources.get(resource) || []), key]);
+    });
+
+    const gaps = Object.entries(this.findGaps(params.spec))
+      .filter(([, targets]) => targets.length > 0)
+      .map(([kind, targets]) => ({ id: `gap:${kind}`, type: 'gap', kind, targets, source: 'spec', occurrences: 1 }));
+
+    return [
+      ...Array.from(resources, ([name, targets]) => ({ id: `resource:${name}`, type: 'resource', targets, source: 'spec', occurrences: 1 })),
+      ...gaps
+    ];
+  }
+
+  extractContextualPatterns(operation, params) {
+    const { spec = {} } = params;
+    return [
+      { id: `operation:${operation}`, type: 'operation', targets: [], source: 'spec', occurrences: 1 },
+      { id: `openapi:${spec.openapi || spec.swagger || 'unknown'}`, type: 'version', targets: [], source: 'spec', occurrences: 1 },
+      ...Object.keys(spec.components?.schemas || {}).map(name => ({
+        id: `schema:${name}`,
+        type: 'schema',
+        targets: this.findSchemaUsage(spec, name),
+        source: 'spec',
+        occurrences: 1
+      }))
+    ];
+  }
+
+  // Gap patterns recorded in the plans of earlier completed runs of the same operation
+  async analyzeHistoricalPatterns(operation) {
+    const records = await this.journal.list();
+    const counts = new Map();
+
+    records
+      .filter(record => record.operation === operation && record.status === 'completed')
+      .slice(0, 10)
+      .forEach(record => {
+        (record.plan?.tasks || []).forEach(task => {
+          const pattern = task.payload?.pattern;
+          if (pattern?.id) counts.set(pattern.id, { ...pattern, occurrences: (counts.get(pattern.id)?.occurrences || 0) + 1 });
+        });
+      });
+
+    return Array.from(counts.values()).map(pattern => ({ ...pattern, source: 'history' }));
+  }
+
+  // A pattern found in the specification and in history keeps the specification's targets
+  deduplicatePatterns(patterns) {
+    const unique = new Map();
+    patterns.forEach(pattern => {
+      const existing = unique.get(pattern.id);
+      if (!existing) {
+        unique.set(pattern.id, { ...pattern, history: pattern.source === 'history' ? pattern.occurrences : 0 });
+      } else if (pattern.source === 'history') {
+        existing.history += pattern.occurrences;
+      } else {
+        unique.set(pattern.id, { ...pattern, history: existing.history });
+      }
+    });
+    return Array.from(unique.values());
+  }
+
   async analyzeContext(patterns) {
+    const current = patterns.filter(pattern => pattern.source === 'spec');
     return {
-      operationalContext: await this.analyzeOperationalContext(patterns),
-      technicalContext: await this.analyzeTechnicalContext(patterns),
-      evolutionaryContext: await this.analyzeEvolutionaryContext(patterns)
+      operationalContext: {
+        resources: current.filter(pattern => pattern.type === 'resource').length,
+        operations: new Set(current.filter(pattern => pattern.type === 'resource').flatMap(pattern => pattern.targets)).size
+      },
+      technicalContext: {
+        version: current.find(pattern => pattern.type === 'version')?.id.slice('openapi:'.length),
+        schemas: current.filter(pattern => pattern.type === 'schema').length
+      },
+      evolutionaryContext: {
+        recurring: current.filter(pattern => pattern.history > 0).map(pattern => pattern.id),
+        resolved: patterns.filter(pattern => pattern.source === 'history').map(pattern => pattern.id)
+      }
     };
   }
 
+  // Gaps seen in earlier runs are recurring, gaps only seen in history were resolved since
+  async analyzeEvolution(patterns, context) {
+    const { operations } = context.operationalContext;
+    return patterns.map(pattern => ({
+      ...pattern,
+      trend: pattern.source === 'history' ? 'resolved' : pattern.history > 0 ? 'recurring' : 'new',
+      impact: operations > 0 ? Number((pattern.targets.length / operations).toFixed(2)) : 0
+    }));
+  }
+
   async synthesizePatterns(patterns) {
-    const synthesis = {
+    return {
       patterns: patterns,
-      relationships: await this.analyzePatternRelationships(patterns),
-      metrics: await this.calculatePatternMetrics(patterns),
-      confidence: await this.calculateConfidenceScore(patterns)
+      relationships: this.analyzePatternRelationships(patterns.filter(pattern => pattern.source === 'spec')),
+      metrics: this.calculatePatternMetrics(patterns),
+      confidence: this.calculateConfidenceScore(patterns)
     };
+  }
 
-    // Store synthesis for future reference
-    await this.storePatternSynthesis(synthesis);
+  analyzePatternRelationships(patterns) {
+    return new Map(patterns.map(pattern => [pattern.id, this.findRelatedPatterns(pattern, patterns)]));
+  }
 
-    return synthesis;
+  // Patterns are related when they touch the same operations
+  findRelatedPatterns(pattern, patterns) {
+    const targets = new Set(pattern.targets);
+    return patterns
+      .filter(other => other.id !== pattern.id && other.targets.some(target => targets.has(target)))
+      .map(other => other.id);
+  }
+
+  calculatePatternMetrics(patterns) {
+    const byType = {};
+    patterns.forEach(pattern => {
+      byType[pattern.type] = (byType[pattern.type] || 0) + 1;
+    });
+    return {
+      total: patterns.length,
+      byType,
+      gapTargets: patterns
+        .filter(pattern => pattern.type === 'gap' && pattern.source === 'spec')
+        .reduce((sum, pattern) => sum + pattern.targets.length, 0)
+    };
+  }
+
+  // Gaps an earlier run has already handled are the ones the workers are known to close
+  calculateConfidenceScore(patterns) {
+    const gaps = patterns.filter(pattern => pattern.type === 'gap' && pattern.source === 'spec');
+    if (gaps.length === 0) return 1;
+    return Number((0.5 + 0.5 * gaps.filter(pattern => pattern.history > 0).length / gaps.length).toFixed(2));
   }
 
   // Strategy Formation Utilities
-  async analyzeStrategicContext(patterns, operation) {
+  async analyzeStrategicContext(synthesis, operation) {
+    const patterns = synthesis.patterns.filter(pattern => pattern.source === 'spec');
     return {
       patterns: patterns,
+      relationships: synthesis.relationships,
       operation: operation,
+      confidence: synthesis.confidence,
       complexity: this.calculateComplexity(patterns),
-      constraints: await this.identifyConstraints(patterns),
-      opportunities: await this.identifyOptimizationOpportunities(patterns)
+      constraints: this.identifyConstraints(),
+      opportunities: this.identifyOptimizationOpportunities(patterns)
     };
   }
 
+  // One point per operation plus one per gap found on an operation
+  calculateComplexity(patterns) {
+    const operations = new Set(patterns.filter(pattern => pattern.type === 'resource').flatMap(pattern => pattern.targets));
+    const gaps = patterns.filter(pattern => pattern.type === 'gap').reduce((sum, pattern) => sum + pattern.targets.length, 0);
+    return operations.size + gaps;
+  }
+
+  identifyConstraints() {
+    return {
+      concurrency: this.scheduler.concurrency,
+      workerTimeout: this.config.workerTimeout
+    };
+  }
+
+  identifyOptimizationOpportunities(patterns) {
+    return patterns
+      .filter(pattern => pattern.type === 'gap')
+      .sort((left, right) => right.targets.length - left.targets.length)
+      .map(pattern => ({ patternId: pattern.id, kind: pattern.kind, targets: pattern.targets.length }));
+  }
+
   async mapPatternRelationships(analysis) {
-    const relationships = new Map();
-    
-    for (const pattern of analysis.patterns) {
-      const related = await this.findRelatedPatterns(pattern);
-      relationships.set(pattern.id, related);
-    }
+    const relationships = new Map(
+      analysis.patterns.map(pattern => [pattern.id, analysis.relationships.get(pattern.id) || []])
+    );
     
     return {
-      patterns: analysis.patterns,
+      ...analysis,
       relationships: relationships,
-      metrics: await this.calculateRelationshipMetrics(relationships)
+      metrics: this.calculateRelationshipMetrics(relationships)
+    };
+  }
+
+  calculateRelationshipMetrics(relationships) {
+    const counts = Array.from(relationships.values()).map(related => related.length);
+    const possible = relationships.size * (relationships.size - 1);
+    return {
+      links: counts.reduce((sum, count) => sum + count, 0) / 2,
+      isolated: counts.filter(count => count === 0).length,
+      density: possible > 0 ? Number((counts.reduce((sum, count) => sum + count, 0) / possible).toFixed(2)) : 0
     };
   }
 
   async synthesizeStrategy(mappedPatterns) {
     return {
-      execution: await this.createExecutionStrategy(mappedPatterns),
-      optimization: await this.createOptimizationStrategy(mappedPatterns),
-      fallback: await this.createFallbackStrategy(mappedPatterns),
-      metrics: await this.calculateStrategyMetrics(mappedPatterns)
+      ...mappedPatterns,
+      execution: {
+        resources: mappedPatterns.patterns.filter(pattern => pattern.type === 'resource'),
+        gaps: mappedPatterns.opportunities.map(({ patternId }) => mappedPatterns.patterns.find(pattern => pattern.id === patternId))
+      },
+      optimization: {
+        enabled: mappedPatterns.opportunities.length > 0,
+        opportunities: mappedPatterns.opportunities
+      }
+    };
+  }
+
+  // The optimization score is the share of operations with at least one gap to close
+  async optimizeStrategy(strategy) {
+    const operations = new Set(strategy.execution.resources.flatMap(pattern => pattern.targets));
+    const withGaps = new Set(strategy.execution.gaps.flatMap(pattern => pattern.targets));
+
+    return {
+      ...strategy,
+      optimizationScore: operations.size > 0 ? Number((withGaps.size / operations.size).toFixed(2)) : 0
     };
   }
 
   // Execution Planning Utilities
-  async decomposeIntoTasks(strategy) {
+  // Tasks are plain data, so a plan saved with --plan-format json carries everything needed to run it
+  async decomposeIntoTasks(strategy, params) {
     return [
-      ...await this.createPreparationTasks(strategy),
-      ...await this.createExecutionTasks(strategy),
-      ...await this.createOptimizationTasks(strategy),
-      ...await this.createVerificationTasks(strategy)
+      ...this.createPreparationTasks(strategy),
+      ...this.createExecutionTasks(strategy, params),
+      ...this.createOptimizationTasks(strategy),
+      ...this.createVerificationTasks(strategy)
     ];
   }
 
+  createPreparationTasks(strategy) {
+    return [{
+      id: 'prepare:patterns',
+      worker: 'pattern-storage',
+      action: 'match',
+      payload: { operation: strategy.operation, patterns: strategy.patterns.map(pattern => pattern.id) },
+      requires: [],
+      provides: ['pattern-matches'],
+      estimate: 500
+    }];
+  }
+
+  // Each gap evolves on its own, so they run side by side before the specification is enhanced
+  createExecutionTasks(strategy, params) {
+    const evolutions = strategy.execution.gaps.map(pattern => ({
+      id: `evolve:${pattern.kind}`,
+      worker: 'pattern-evolution',
+      action: 'evolve',
+      payload: { pattern: { id: pattern.id, type: pattern.type, kind: pattern.kind, targets: pattern.targets } },
+      requires: ['pattern-matches'],
+      provides: [`evolution:${pattern.kind}`],
+      estimate: 1000
+    }));
+
+    return [...evolutions, {
+      id: `${strategy.operation}:spec`,
+      worker: 'pimp-my-api',
+      action: strategy.operation,
+      payload: { spec: params.spec, source: params.source },
+      requires: ['pattern-matches', ...evolutions.flatMap(task => task.provides)],
+      provides: ['enhanced-spec'],
+      estimate: 3000
+    }];
+  }
+
+  createOptimizationTasks(strategy) {
+    if (!strategy.optimization.enabled) return [];
+
+    return [{
+      id: 'optimize:spec',
+      worker: 'recursive-orchestrator',
+      action: 'optimize',
+      payload: { opportunities: strategy.optimization.opportunities },
+      requires: ['enhanced-spec'],
+      provides: ['optimized-spec'],
+      estimate: 2000
+    }, {
+      id: 'store:patterns',
+      worker: 'pattern-storage',
+      action: 'store',
+      payload: { operation: strategy.operation, patterns: strategy.execution.gaps.map(pattern => pattern.id) },
+      requires: ['enhanced-spec'],
+      provides: ['stored-patterns'],
+      estimate: 500
+    }];
+  }
+
+  createVerificationTasks(strategy) {
+    return [{
+      id: 'verify:spec',
+      worker: 'recursive-orchestrator',
+      action: 'verify',
+      payload: {},
+      requires: [strategy.optimization.enabled ? 'optimized-spec' : 'enhanced-spec'],
+      provides: ['verification'],
+      estimate: 1000
+    }];
+  }
+
   async analyzeDependencies(tasks) {
     const dependencies = new Map();
     
     for (const task of tasks) {
       dependencies.set(task.id, {
-        requires: await this.identifyRequirements(task),
-        provides: await this.identifyOutputs(task),
-        conflicts: await this.identifyConflicts(task)
+        requires: task.requires || [],
+        provides: task.provides || [],
+        conflicts: task.conflicts || []
       });
     }
     
@@ -283,54 +618,190 @@ export class WorkerOrchestrator {
 
   async allocateResources(tasks, dependencies) {
     return {
-      workers: await this.allocateWorkers(tasks),
-      memory: await this.calculateMemoryRequirements(tasks),
-      storage: await this.calculateStorageRequirements(tasks),
-      scheduling: await this.createExecutionSchedule(tasks, dependencies)
+      workers: Object.fromEntries(tasks.map(task => [task.id, task.worker])),
+      scheduling: this.createExecutionSchedule(tasks, dependencies)
+    };
+  }
+
+  // Waves of tasks that can start together once the previous wave completed
+  createExecutionSchedule(tasks, dependencies) {
+    const graph = this.scheduler.buildGraph(tasks, dependencies);
+    const waves = new Map();
+
+    graph.tasks.forEach(task => {
+      const upstream = Array.from(graph.upstream.get(task.id));
+      waves.set(task.id, upstream.length === 0 ? 0 : Math.max(...upstream.map(id => waves.get(id))) + 1);
+    });
+
+    const schedule = [];
+    graph.tasks.forEach(task => {
+      const wave = waves.get(task.id);
+      schedule[wave] = [...(schedule[wave] || []), task.id];
+    });
+    return schedule;
+  }
+
+  async optimizeExecutionPlan(tasks, dependencies, resources) {
+    const byId = new Map(tasks.map(task => [task.id, task]));
+    const concurrency = this.scheduler.concurrency;
+
+    // A wave takes as long as its slowest task, once per batch of maxConcurrency tasks
+    const duration = resources.scheduling.reduce((sum, wave) => {
+      const slowest = Math.max(...wave.map(id => byId.get(id).estimate || 0));
+      return sum + Math.ceil(wave.length / concurrency) * slowest;
+    }, 0);
+
+    return {
+      tasks,
+      dependencies,
+      resources,
+      estimatedDuration: this.progress.formatDuration(duration)
     };
   }
 
   // Execution Utilities
-  async prepareExecution(plan, executionId) {
-    await Promise.all([
-      this.initializeWorkers(plan),
-      this.prepareStorage(plan),
-      this.setupMonitoring(executionId)
-    ]);
+  // Creating each transport up front reports a missing URL, module or command before any task runs
+  async prepareExecution(plan) {
+    new Set(plan.tasks.map(task => task.worker)).forEach(workerId => this.transports.get(workerId));
   }
 
-  async executeTasksInParallel(tasks) {
-    const batchSize = this.calculateOptimalBatchSize(tasks);
-    const results = [];
-    
-    for (let i = 0; i < tasks.length; i += batchSize) {
-      const batch = tasks.slice(i, i + batchSize);
-      const batchResults = await Promise.all(
-        batch.map(task => this.executeTask(task))
-      );
-      results.push(...batchResults);
-    }
-    
+  async executeTaskGraph(plan, record, signal) {
+    // Cycles, unknown requirements and competing providers fail before any worker is called
+    const graph = this.scheduler.buildGraph(plan.tasks, plan.dependencies);
+    const outputs = new Map();
+    const writes = [];
+    let settled = 0;
+
+    this.progress.updateProgress('execution', 0, graph.tasks.length || 1);
+    const results = await this.scheduler.run(graph, async task => {
+      await this.journal.startTask(record, task.id);
+      const inputs = Array.from(graph.upstream.get(task.id)).map(id => [id, outputs.get(id)]);
+      return this.executeTask({ ...task, inputs: Object.fromEntries(inputs) }, signal);
+    }, {
+      signal,
+      completed: this.journal.completedResults(record),
+      onResult: result => {
+        if (result.status === 'completed') outputs.set(result.taskId, result.result);
+        if (!result.reused) {
+          // Handled below; the catch keeps an early failure from going unhandled meanwhile
+          const write = this.journal.settleTask(record, result);
+          write.catch(() => {});
+          writes.push(write);
+        }
+        this.progress.updateProgress('execution', ++settled);
+      }
+    });
+
+    // A task result that could not be journaled would be lost on resume, so the run fails
+    await Promise.all(writes);
+    await this.journal.flush();
     return results;
   }
 
+  // Workers receive the task's action and payload, and the results of the tasks it depends on
+  async executeTask(task, signal) {
+    return this.callWorker(task.worker, { action: task.action, ...task.payload, inputs: task.inputs || {} }, signal);
+  }
+
   async aggregateResults(taskResults) {
     return {
       results: taskResults,
       metrics: this.calculateExecutionMetrics(taskResults),
-      optimizations: await this.identifyOptimizations(taskResults),
       successRate: this.calculateSuccessRate(taskResults)
     };
   }
 
-  async verifyAndOptimize(results) {
-    const verified = await this.verifyResults(results);
-    const optimized = await this.optimizeResults(verified);
+  calculateExecutionMetrics(taskResults) {
+    const executed = taskResults.filter(task => !task.reused && task.startTime);
+    return {
+      tasks: taskResults.length,
+      reused: taskResults.length - executed.length,
+      workerTime: executed.reduce((sum, task) => sum + (task.endTime - task.startTime), 0)
+    };
+  }
+
+  calculateSuccessRate(taskResults) {
+    if (taskResults.length === 0) return 1;
+    return Number((taskResults.filter(task => task.status === 'completed').length / taskResults.length).toFixed(2));
+  }
+
+  async verifyAndOptimize(results, plan) {
+    const verified = this.verifyResults(results);
+    const source = plan.tasks.find(task => task.payload?.spec)?.payload.spec;
     
     return {
-      ...optimized,
+      ...verified,
       verificationScore: verified.score,
-      optimizationGain: this.calculateOptimizationGain(results, optimized)
+      optimizationGain: this.calculateOptimizationGain(source, verified.spec)
+    };
+  }
+
+  // The specification is taken from the last task in plan order that returned one,
+  // so an optimized specification wins over the enhanced one
+  verifyResults(results) {
+    const outputs = results.results.map(task => task.result).filter(result => result && typeof result === 'object');
+    const specs = outputs.filter(result => result.spec && typeof result.spec === 'object');
+    if (specs.length === 0) {
+      throw new WorkerError('No worker returned an enhanced specification', {
+        tasks: results.results.map(task => task.taskId)
+      });
+    }
+
+    const verifications = outputs.filter(result => typeof result.valid === 'boolean');
+    return {
+      spec: specs[specs.length - 1].spec,
+      metrics: results.metrics,
+      successRate: results.successRate,
+      score: verifications.length > 0
+        ? Number((verifications.filter(result => result.valid).length / verifications.length).toFixed(2))
+        : 1,
+      issues: verifications.flatMap(result => result.issues || [])
     };
   }
+
+  // Share of the gaps found in the source specification that the result no longer has
+  calculateOptimizationGain(source, spec) {
+    const count = document => Object.values(this.findGaps(document)).reduce((sum, targets) => sum + targets.length, 0);
+    const before = source ? count(source) : 0;
+    if (before === 0) return 0;
+    return Number(((before - count(spec)) / before).toFixed(2));
+  }
+
+  // Specification Utilities
+  listOperations(spec = {}) {
+    const methods = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch', 'trace'];
+    return Object.entries(spec.paths || {}).flatMap(([path, pathItem]) =>
+      methods
+        .filter(method => pathItem?.[method])
+        .map(method => ({ key: `${method.toUpperCase()} ${path}`, path, method, operation: pathItem[method] }))
+    );
+  }
+
+  findGaps(spec) {
+    const gaps = { documentation: [], 'operation-ids': [], 'error-responses': [], examples: [] };
+
+    this.listOperations(spec).forEach(({ key, operation }) => {
+      const responses = Object.entries(operation.responses || {});
+      if (!operation.summary && !operation.description) gaps.documentation.push(key);
+      if (!operation.operationId) gaps['operation-ids'].push(key);
+      if (!responses.some(([status]) => /^[45]|^default$/.test(status))) gaps['error-responses'].push(key);
+
+      const media = responses
+        .filter(([status]) => /^2/.test(status))
+        .flatMap(([, response]) => Object.values(response?.content || {}));
+      if (media.some(entry => entry.example === undefined && entry.examples === undefined && entry.schema?.example === undefined)) {
+        gaps.examples.push(key);
+      }
+    });
+
+    return gaps;
+  }
+
+  // Operations whose request or response bodies reference a component schema
+  findSchemaUsage(spec, name) {
+    const ref = `#/components/schemas/${name}`;
+    return this.listOperations(spec)
+      .filter(({ operation }) => JSON.stringify(operation).includes(`"${ref}"`))
+      .map(({ key }) => key);
+  }
 }
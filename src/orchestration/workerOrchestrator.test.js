@@ -0,0 +1,164 @@
+import { jest } from '@jest/globals';
+import { spawnSync } from 'child_process';
+import { mkdtemp, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { fileURLToPath } from 'url';
+import { WorkerOrchestrator } from './workerOrchestrator.js';
+import { signals } from './__fixtures__/hangingWorker.js';
+import { ErrorHandler } from '../utils/errorHandler.js';
+import { CancellationError, ValidationError, WorkerError } from '../utils/errors.js';
+
+const fixture = name => fileURLToPath(new URL(`./__fixtures__/${name}`, import.meta.url));
+const WORKERS = ['pimp-my-api', 'pattern-evolution', 'pattern-storage', 'recursive-orchestrator'];
+
+const SPEC = {
+  openapi: '3.0.3',
+  info: { title: 'Pets', version: '1.0.0' },
+  paths: {
+    '/pets': { get: { operationId: 'listPets', responses: { 200: { description: 'All pets' } } } }
+  }
+};
+
+describe('WorkerOrchestrator', () => {
+  let directory;
+  let config;
+
+  const orchestratorWith = (worker, overrides = {}) => {
+    const orchestrator = new WorkerOrchestrator({
+      ...config,
+      ...overrides,
+      workers: Object.fromEntries(WORKERS.map(id => [id, { transport: 'module', module: fixture(worker) }]))
+    });
+    orchestrator.errorHandler = new ErrorHandler({ baseDelay: 1 });
+    return orchestrator;
+  };
+
+  beforeEach(async () => {
+    directory = await mkdtemp(join(tmpdir(), 'pimp-api-orchestrator-'));
+    config = { runsDir: join(directory, 'runs'), maxConcurrency: 2, workerTimeout: 5000 };
+    signals.length = 0;
+
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await rm(directory, { recursive: true, force: true });
+  });
+
+  describe('plan', () => {
+    it('plans one evolve task per gap without calling workers', async () => {
+      const orchestrator = orchestratorWith('hangingWorker.js');
+      const call = jest.spyOn(orchestrator, 'callWorker');
+
+      const plan = await orchestrator.plan('enhance', { spec: SPEC });
+
+      expect(call).not.toHaveBeenCalled();
+      expect(plan.tasks.map(task => task.id)).toEqual([
+        'prepare:patterns',
+        'evolve:documentation',
+        'evolve:error-responses',
+        'enhance:spec',
+        'optimize:spec',
+        'store:patterns',
+        'verify:spec'
+      ]);
+      expect(plan.dependencies.get('enhance:spec').requires).toEqual([
+        'pattern-matches', 'evolution:documentation', 'evolution:error-responses'
+      ]);
+      expect(plan.resources.scheduling[1]).toEqual(['evolve:documentation', 'evolve:error-responses']);
+    });
+
+    it('skips optimization when the specification has no gaps', async () => {
+      const spec = {
+        ...SPEC,
+        paths: {
+          '/pets': { get: { summary: 'List', operationId: 'listPets', responses: { 200: { description: 'Ok' }, default: { description: 'Error' } } } }
+        }
+      };
+
+      const plan = await orchestratorWith('stubWorker.js').plan('enhance', { spec });
+
+      expect(plan.tasks.map(task => task.id)).toEqual(['prepare:patterns', 'enhance:spec', 'verify:spec']);
+      expect(plan.dependencies.get('verify:spec').requires).toEqual(['enhanced-spec']);
+    });
+  });
+
+  describe('timeouts and cancellation', () => {
+    it('hands each task an abort signal and gives up on a worker after workerTimeout', async () => {
+      const orchestrator = orchestratorWith('hangingWorker.js', { workerTimeout: 20 });
+
+      const failure = orchestrator.orchestrate('enhance', { spec: SPEC });
+      await expect(failure).rejects.toThrow(WorkerError);
+      await expect(failure).rejects.toThrow('4 of 7 tasks did not complete');
+
+      const record = await orchestrator.journal.load(orchestrator.execution.executionId);
+      expect(record.status).toBe('failed');
+      expect(record.tasks['enhance:spec'].error).toMatch(/did not respond within 20ms/);
+      expect(record.tasks['verify:spec'].status).toBe('skipped');
+      expect(signals).toHaveLength(3);
+      expect(signals.every(signal => signal.aborted)).toBe(true);
+    });
+
+    it('cancels in-flight calls once orchestrationTimeout is reached', async () => {
+      const orchestrator = orchestratorWith('hangingWorker.js', { orchestrationTimeout: 50 });
+
+      await expect(orchestrator.orchestrate('enhance', { spec: SPEC })).rejects.toThrow(CancellationError);
+
+      const record = await orchestrator.journal.load(orchestrator.execution.executionId);
+      expect(record.status).toBe('cancelled');
+      expect(record.error).toBe('Orchestration timed out after 50ms');
+      expect(record.tasks['prepare:patterns'].status).toBe('completed');
+      expect(record.tasks['enhance:spec'].status).toBe('cancelled');
+      expect(signals).toHaveLength(1);
+      expect(signals[0].aborted).toBe(true);
+    });
+  });
+
+  describe('journal', () => {
+    const recordRun = async (orchestrator, changes = {}) => {
+      const plan = await orchestrator.plan('enhance', { spec: SPEC });
+      const record = await orchestrator.journal.create('run-1', { operation: 'enhance', plan });
+      Object.assign(record, changes);
+      await orchestrator.journal.save(record);
+      return record;
+    };
+
+    it('fails the run when a task result cannot be journaled', async () => {
+      const orchestrator = orchestratorWith('stubWorker.js');
+      jest.spyOn(orchestrator.journal, 'settleTask').mockRejectedValueOnce(new Error('Disk full'));
+
+      await expect(orchestrator.orchestrate('enhance', { spec: SPEC })).rejects.toThrow('Disk full');
+
+      const record = await orchestrator.journal.load(orchestrator.execution.executionId);
+      expect(record.status).toBe('failed');
+      expect(record.error).toBe('Disk full');
+    });
+
+    it('refuses to resume a run another process is still executing', async () => {
+      const orchestrator = orchestratorWith('stubWorker.js');
+      await recordRun(orchestrator);
+      const call = jest.spyOn(orchestrator, 'callWorker');
+
+      await expect(orchestrator.resume('run-1')).rejects.toThrow(ValidationError);
+      await expect(orchestrator.resume('run-1')).rejects.toThrow('Run run-1 is still running');
+      expect(call).not.toHaveBeenCalled();
+    });
+
+    it('resumes a run left running by a process that has exited', async () => {
+      const orchestrator = orchestratorWith('stubWorker.js');
+      const { pid } = spawnSync(process.execPath, ['-e', '']);
+      await recordRun(orchestrator, { pid });
+
+      const result = await orchestrator.resume('run-1');
+
+      expect(result.spec.paths['/pets'].get.summary).toBe('GET /pets');
+      const record = await orchestrator.journal.load('run-1');
+      expect(record.status).toBe('completed');
+      expect(record.pid).toBe(process.pid);
+    });
+  });
+});
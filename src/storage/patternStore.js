@@ -0,0 +1,37 @@
+import { QdrantClient } from '@qdrant/js-client-rest';
+
+export class PatternStore {
+  constructor(config) {
+    this.config = config;
+    this.collection = config.patternCollection || 'patterns';
+    this.qdrant = new QdrantClient({
+      url: config.qdrantUrl,
+      apiKey: config.qdrantApiKey
+    });
+    this.patternCache = new Map();
+  }
+
+  async getPattern(patternId) {
+    if (this.patternCache.has(patternId)) {
+      return this.patternCache.get(patternId);
+    }
+
+    // Pattern ids are stored in the payload, so look them up with a filter
+    const { points } = await this.qdrant.scroll(this.collection, {
+      filter: {
+        must: [{ key: 'id', match: { value: patternId } }]
+      },
+      limit: 1,
+      with_payload: true,
+      with_vector: false
+    });
+
+    if (points.length === 0) {
+      return null;
+    }
+
+    const pattern = { id: patternId, ...points[0].payload };
+    this.patternCache.set(patternId, pattern);
+    return pattern;
+  }
+}
@@ -0,0 +1,83 @@
+import chalk from 'chalk';
+
+export class ContractReporter {
+  constructor() {
+    this.supportedFormats = ['text', 'junit', 'json'];
+  }
+
+  summarize(results) {
+    return {
+      tests: results.length,
+      passed: results.filter(result => result.passed).length,
+      failed: results.filter(result => !result.passed && !result.error).length,
+      errors: results.filter(result => result.error).length,
+      duration: results.reduce((total, result) => total + result.duration, 0)
+    };
+  }
+
+  format(results, type, options = {}) {
+    switch (type) {
+      case 'json':
+        return JSON.stringify({ spec: options.spec, baseUrl: options.baseUrl, summary: this.summarize(results), results }, null, 2);
+      case 'junit':
+        return this.toJUnit(results, options);
+      default:
+        return this.toText(results);
+    }
+  }
+
+  formatResult(result) {
+    const label = `${result.method} ${result.path}`;
+    if (result.passed) {
+      return `${chalk.green('✓')} ${label} ${chalk.gray(`${result.status} (${result.duration}ms)`)}`;
+    }
+
+    const reasons = result.error ? [result.error] : result.failures;
+    return [
+      `${chalk.red('✗')} ${label} ${chalk.gray(result.status ? `${result.status} (${result.duration}ms)` : '')}`,
+      ...reasons.map(reason => chalk.red(`    ${reason}`))
+    ].join('\n');
+  }
+
+  toText(results) {
+    const summary = this.summarize(results);
+    return chalk.gray(`${summary.passed} passed, ${summary.failed} failed, ${summary.errors} error(s) ` +
+      `in ${summary.duration}ms`);
+  }
+
+  toJUnit(results, options = {}) {
+    const summary = this.summarize(results);
+    const cases = results.map(result => {
+      const attributes = `name="${this.escape(`${result.method} ${result.path}`)}" classname="${this.escape(result.name)}" ` +
+        `time="${(result.duration / 1000).toFixed(3)}"`;
+
+      if (result.error) {
+        return `    <testcase ${attributes}>\n      <error message="${this.escape(result.error)}"/>\n    </testcase>`;
+      }
+      if (!result.passed) {
+        return `    <testcase ${attributes}>\n      <failure message="${this.escape(result.failures[0])}">` +
+          `${this.escape(result.failures.join('\n'))}</failure>\n    </testcase>`;
+      }
+      return `    <testcase ${attributes}/>`;
+    });
+
+    return [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      `<testsuites tests="${summary.tests}" failures="${summary.failed}" errors="${summary.errors}" ` +
+        `time="${(summary.duration / 1000).toFixed(3)}">`,
+      `  <testsuite name="${this.escape(options.spec || 'contract')}" tests="${summary.tests}" ` +
+        `failures="${summary.failed}" errors="${summary.errors}" time="${(summary.duration / 1000).toFixed(3)}">`,
+      ...cases,
+      '  </testsuite>',
+      '</testsuites>'
+    ].join('\n');
+  }
+
+  escape(value) {
+    return String(value ?? '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+}
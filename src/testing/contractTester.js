@@ -0,0 +1,182 @@
+import { ExampleGenerator } from '../mock/exampleGenerator.js';
+import { SchemaValidator } from '../validation/schemaValidator.js';
+
+export class ContractTester {
+  constructor(spec, options = {}) {
+    this.spec = spec;
+    this.baseUrl = options.baseUrl.replace(/\/+$/, '');
+    this.headers = options.headers || {};
+    this.timeout = options.timeout || 10000;
+    this.httpMethods = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch'];
+    this.generator = new ExampleGenerator({ direction: 'request' });
+    this.schemaValidator = new SchemaValidator({ version: spec.openapi });
+  }
+
+  collectOperations() {
+    const operations = [];
+
+    Object.entries(this.spec.paths || {}).forEach(([path, pathItem]) => {
+      this.httpMethods
+        .filter(method => pathItem?.[method])
+        .forEach(method => {
+          const operation = pathItem[method];
+          operations.push({
+            path,
+            method,
+            operation,
+            name: operation.operationId || `${method.toUpperCase()} ${path}`,
+            parameters: this.mergeParameters(pathItem.parameters || [], operation.parameters || [])
+          });
+        });
+    });
+
+    return operations;
+  }
+
+  mergeParameters(pathParameters, operationParameters) {
+    // Operation-level parameters override path-level ones with the same name and location
+    const merged = new Map();
+    [...pathParameters, ...operationParameters]
+      .filter(param => param?.name && param.in)
+      .forEach(param => merged.set(`${param.in}:${param.name}`, param));
+    return Array.from(merged.values());
+  }
+
+  async run(onResult = () => {}) {
+    const results = [];
+
+    // Operations run sequentially so stateful services see a predictable order
+    for (const entry of this.collectOperations()) {
+      const result = await this.testOperation(entry);
+      results.push(result);
+      onResult(result);
+    }
+
+    return results;
+  }
+
+  async testOperation(entry) {
+    const started = Date.now();
+    const result = { name: entry.name, method: entry.method.toUpperCase(), path: entry.path, failures: [] };
+
+    try {
+      // Phase 1: Request Generation
+      const request = this.buildRequest(entry);
+      result.url = request.url;
+
+      // Phase 2: Send
+      const response = await fetch(request.url, {
+        method: result.method,
+        headers: request.headers,
+        body: request.body,
+        signal: AbortSignal.timeout(this.timeout)
+      });
+      result.status = response.status;
+
+      // Phase 3: Response Verification
+      const text = await response.text();
+      this.verifyResponse(entry.operation, response, text, result.failures);
+    } catch (error) {
+      result.error = error.name === 'TimeoutError'
+        ? `Request timed out after ${this.timeout}ms`
+        : `${error.message}${error.cause?.message ? ` (${error.cause.message})` : ''}`;
+    }
+
+    result.duration = Date.now() - started;
+    result.passed = !result.error && result.failures.length === 0;
+    return result;
+  }
+
+  buildRequest(entry) {
+    const headers = {};
+    const query = new URLSearchParams();
+    let path = entry.path;
+
+    entry.parameters
+      .filter(param => param.required || param.in === 'path')
+      .forEach(param => {
+        const value = this.generator.fromMedia(param);
+        const serialized = Array.isArray(value) ? value.join(',') : String(value ?? '');
+
+        switch (param.in) {
+          case 'path':
+            path = path.replace(`{${param.name}}`, encodeURIComponent(serialized));
+            break;
+          case 'query':
+            query.append(param.name, serialized);
+            break;
+          case 'header':
+            headers[param.name] = serialized;
+            break;
+          case 'cookie':
+            headers.Cookie = [headers.Cookie, `${param.name}=${encodeURIComponent(serialized)}`].filter(Boolean).join('; ');
+            break;
+        }
+      });
+
+    let body;
+    const [mediaType, media] = Object.entries(entry.operation.requestBody?.content || {})[0] || [];
+    if (mediaType) {
+      const value = this.generator.fromMedia(media);
+      headers['Content-Type'] = mediaType.includes('*') ? 'application/json' : mediaType;
+      body = mediaType.startsWith('application/x-www-form-urlencoded')
+        ? new URLSearchParams(value || {}).toString()
+        : (typeof value === 'string' && !this.isJson(mediaType) ? value : JSON.stringify(value));
+    }
+
+    const search = query.toString();
+    return {
+      url: `${this.baseUrl}${path}${search ? `?${search}` : ''}`,
+      headers: { Accept: 'application/json', ...headers, ...this.headers },
+      body
+    };
+  }
+
+  verifyResponse(operation, response, text, failures) {
+    const responses = operation.responses || {};
+    const status = String(response.status);
+    const code = responses[status] ? status : (responses[`${status[0]}XX`] ? `${status[0]}XX` : 'default');
+    const declared = responses[code];
+
+    if (!declared) {
+      failures.push(`Status ${status} is not declared (expected ${Object.keys(responses).join(', ')})`);
+      return;
+    }
+
+    const content = declared.content || {};
+    if (Object.keys(content).length === 0) return;
+    if (!text) {
+      failures.push(`Response ${status} has an empty body but declares ${Object.keys(content).join(', ')}`);
+      return;
+    }
+
+    const contentType = (response.headers.get('content-type') || '').split(';')[0].trim().toLowerCase();
+    const mediaType = Object.keys(content).find(candidate => candidate.toLowerCase() === contentType)
+      || Object.keys(content).find(candidate => candidate.endsWith('/*') && contentType.startsWith(candidate.slice(0, -1)))
+      || Object.keys(content).find(candidate => candidate === '*/*');
+    if (!mediaType) {
+      failures.push(`Response ${status} has content type ${contentType || 'none'} (expected ${Object.keys(content).join(', ')})`);
+      return;
+    }
+
+    const schema = content[mediaType].schema;
+    if (!schema || !this.isJson(contentType)) return;
+
+    let body;
+    try {
+      body = JSON.parse(text);
+    } catch (error) {
+      failures.push(`Response ${status} body is not valid JSON: ${error.message}`);
+      return;
+    }
+
+    this.schemaValidator.validate(body, schema).forEach(error => {
+      failures.push(`Response ${status} body at ${error.path || '/'}: ${error.message}`);
+    });
+  }
+
+  isJson(contentType = '') {
+    const type = contentType.split(';')[0].trim().toLowerCase();
+    return type === 'application/json' || type.endsWith('+json');
+  }
+}
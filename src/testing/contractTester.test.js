@@ -0,0 +1,136 @@
+import { createServer } from 'http';
+import { ContractTester } from './contractTester.js';
+
+const SPEC = {
+  openapi: '3.0.3',
+  info: { title: 'Pets', version: '1.0.0' },
+  paths: {
+    '/pets': {
+      get: {
+        operationId: 'listPets',
+        parameters: [{ name: 'limit', in: 'query', required: true, schema: { type: 'integer', example: 10 } }],
+        responses: {
+          200: {
+            description: 'All pets',
+            content: { 'application/json': { schema: { type: 'array', items: { $ref: '#/components/schemas/Pet' } } } }
+          }
+        }
+      },
+      post: {
+        operationId: 'createPet',
+        requestBody: {
+          content: { 'application/json': { schema: { type: 'object', required: ['name'], properties: { name: { type: 'string', example: 'Rex' } } } } }
+        },
+        responses: { 201: { description: 'Created' } }
+      }
+    },
+    '/pets/{petId}': {
+      parameters: [{ name: 'petId', in: 'path', required: true, schema: { type: 'string', example: 'p 1' } }],
+      get: {
+        operationId: 'getPet',
+        responses: {
+          200: { description: 'The pet', content: { 'application/json': { schema: { type: 'object', properties: { id: { type: 'integer' } } } } } },
+          '4XX': { description: 'Not found' }
+        }
+      }
+    }
+  }
+};
+
+describe('ContractTester', () => {
+  let server;
+  let baseUrl;
+  let requests;
+  let routes;
+
+  const reply = (status, body, type = 'application/json') => (request, response) => {
+    response.statusCode = status;
+    if (body !== undefined) {
+      response.setHeader('Content-Type', type);
+      response.end(typeof body === 'string' ? body : JSON.stringify(body));
+    } else {
+      response.end();
+    }
+  };
+
+  beforeEach(async () => {
+    requests = [];
+    routes = {
+      'GET /pets?limit=10': reply(200, [{ id: 1 }]),
+      'POST /pets': reply(201),
+      'GET /pets/p%201': reply(200, { id: 1 })
+    };
+
+    server = createServer((request, response) => {
+      let body = '';
+      request.on('data', chunk => { body += chunk; });
+      request.on('end', () => {
+        const key = `${request.method} ${request.url}`;
+        requests.push({ key, headers: request.headers, body });
+        (routes[key] || reply(500))(request, response);
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterEach(async () => {
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  const tester = (options = {}) => new ContractTester(SPEC, { baseUrl: `${baseUrl}/`, ...options });
+
+  it('replays every operation in order with generated parameters and bodies', async () => {
+    const results = await tester({ headers: { Authorization: 'Bearer token' } }).run();
+
+    expect(results.map(({ name, status, passed }) => [name, status, passed])).toEqual([
+      ['listPets', 200, true],
+      ['createPet', 201, true],
+      ['getPet', 200, true]
+    ]);
+    expect(requests.map(request => request.key)).toEqual(['GET /pets?limit=10', 'POST /pets', 'GET /pets/p%201']);
+    expect(requests[1].body).toBe('{"name":"Rex"}');
+    expect(requests[1].headers).toMatchObject({ 'content-type': 'application/json', authorization: 'Bearer token' });
+  });
+
+  it('matches statuses against ranges and reports undeclared ones', async () => {
+    routes['GET /pets/p%201'] = reply(404);
+    routes['POST /pets'] = reply(400);
+
+    const [, created, pet] = await tester().run();
+
+    expect(pet.passed).toBe(true);
+    expect(created.failures).toEqual(['Status 400 is not declared (expected 201)']);
+  });
+
+  it('checks the content type and body of responses against their schema', async () => {
+    routes['GET /pets?limit=10'] = reply(200, '<pets/>', 'text/xml');
+    routes['GET /pets/p%201'] = reply(200, { id: 'one' });
+
+    const [list, , pet] = await tester().run();
+
+    expect(list.failures).toEqual(['Response 200 has content type text/xml (expected application/json)']);
+    expect(pet.failures).toEqual(['Response 200 body at /id: Expected integer but got string']);
+  });
+
+  it('reports requests that time out as errors', async () => {
+    routes['POST /pets'] = () => {};
+
+    const [, created] = await tester({ timeout: 50 }).run();
+
+    expect(created).toMatchObject({ passed: false, error: 'Request timed out after 50ms' });
+  });
+
+  it('reports an unreachable service as an error with its cause', async () => {
+    const closed = createServer();
+    await new Promise(resolve => closed.listen(0, '127.0.0.1', resolve));
+    const { port } = closed.address();
+    await new Promise(resolve => closed.close(resolve));
+
+    const results = await new ContractTester(SPEC, { baseUrl: `http://127.0.0.1:${port}` }).run();
+
+    expect(results.every(result => !result.passed)).toBe(true);
+    expect(results[0].error).toMatch(/fetch failed \(.*ECONNREFUSED/);
+  });
+});
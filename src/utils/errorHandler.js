@@ -1,5 +1,6 @@
 import chalk from 'chalk';
-import { RetryableError, ValidationError, WorkerError } from './errors.js';
+import { setTimeout as wait } from 'timers/promises';
+import { CancellationError, RetryableError, ValidationError, WorkerError } from './errors.js';
 
 export class ErrorHandler {
   constructor(options = {}) {
@@ -8,16 +9,21 @@ export class ErrorHandler {
     this.maxDelay = options.maxDelay || 10000;
   }
 
-  async withRetry(operation, context = {}) {
+  // An aborted signal stops retrying at once and rethrows its reason unchanged
+  async withRetry(operation, context = {}, options = {}) {
+    const { signal } = options;
     let lastError;
     let delay = this.baseDelay;
 
     for (let attempt = 1; attempt <= this.maxRetries; attempt++) {
+      signal?.throwIfAborted();
+
       try {
-        return await operation();
+        return await operation(signal);
       } catch (error) {
         lastError = error;
         
+        if (signal?.aborted) throw signal.reason;
         if (!this.isRetryable(error)) {
           throw this.enhanceError(error, context);
         }
@@ -30,13 +36,14 @@ export class ErrorHandler {
         }
 
         console.warn(chalk.yellow(`Attempt ${attempt} failed, retrying in ${delay}ms...`));
-        await this.sleep(delay);
+        await this.sleep(delay, signal);
         delay = Math.min(delay * 2, this.maxDelay);
       }
     }
   }
 
   isRetryable(error) {
+    if (error instanceof CancellationError) return false;
     if (error instanceof RetryableError) return true;
     if (error instanceof ValidationError) return false;
     if (error.status >= 500) return true;
@@ -52,8 +59,12 @@ export class ErrorHandler {
     return enhanced;
   }
 
-  sleep(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
+  async sleep(ms, signal) {
+    try {
+      await wait(ms, undefined, { signal });
+    } catch (error) {
+      throw signal?.aborted ? signal.reason : error;
+    }
   }
 
   // Specific error handlers
@@ -76,6 +87,12 @@ export class ErrorHandler {
     process.exit(1);
   }
 
+  // Exit code 130 is what shells report for a process stopped by Ctrl-C
+  handleCancellation(error) {
+    console.error(chalk.yellow('Cancelled:'), error.message);
+    process.exit(130);
+  }
+
   handleUnexpectedError(error) {
     console.error(chalk.red('Unexpected Error:'), error.message);
     console.error(chalk.gray('Stack:'), error.stack);
@@ -6,10 +6,19 @@ export class RetryableError extends Error {
 }
 
 export class ValidationError extends Error {
-  constructor(message, details = []) {
+  constructor(message, details = [], findings = []) {
     super(message);
     this.name = 'ValidationError';
     this.details = details;
+    this.findings = findings;
+  }
+}
+
+export class CancellationError extends Error {
+  constructor(message, context = {}) {
+    super(message);
+    this.name = 'CancellationError';
+    this.context = context;
   }
 }
 
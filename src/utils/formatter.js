@@ -0,0 +1,35 @@
+import YAML from 'yaml';
+
+export class OutputFormatter {
+  // Convert Maps (used throughout the analysis pipeline) into plain objects
+  serialize(value) {
+    if (value instanceof Map) {
+      return Object.fromEntries(
+        Array.from(value.entries()).map(([key, entry]) => [key, this.serialize(entry)])
+      );
+    }
+    if (Array.isArray(value)) {
+      return value.map(entry => this.serialize(entry));
+    }
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(
+        Object.entries(value).map(([key, entry]) => [key, this.serialize(entry)])
+      );
+    }
+    return value;
+  }
+
+  toJSON(value) {
+    return JSON.stringify(this.serialize(value), null, 2);
+  }
+
+  toYAML(value) {
+    return YAML.stringify(this.serialize(value), { aliasDuplicateObjects: false });
+  }
+
+  formatValue(value) {
+    if (typeof value === 'number') return Number.isInteger(value) ? value : value.toFixed(2);
+    if (value && typeof value === 'object') return JSON.stringify(value);
+    return value;
+  }
+}
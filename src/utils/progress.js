@@ -2,6 +2,7 @@ import ora from 'ora';
 import chalk from 'chalk';
 import cliProgress from 'cli-progress';
 
+// Progress goes to stderr, so a command's own output on stdout can be piped
 export class ProgressTracker {
   constructor() {
     this.spinner = null;
@@ -11,14 +12,15 @@ export class ProgressTracker {
     this.multibar = new cliProgress.MultiBar({
       clearOnComplete: false,
       hideCursor: true,
+      stream: process.stderr,
       format: ' {bar} | {percentage}% | {value}/{total} | {step}'
     });
   }
 
   start(operation) {
     this.startTime = Date.now();
-    this.spinner = ora(operation).start();
-    console.log(chalk.blue('\n🚀 Starting operation:', operation));
+    this.spinner = ora({ text: operation, stream: process.stderr }).start();
+    console.error(chalk.blue('\n🚀 Starting operation:', operation));
   }
 
   addStep(id, description, total = 100) {
@@ -87,23 +89,52 @@ export class ProgressTracker {
     this.logStepError(step);
   }
 
+  cancelStep(id, reason) {
+    const step = this.steps.get(id);
+    if (!step) throw new Error(`Unknown step: ${id}`);
+
+    step.status = 'cancelled';
+    step.endTime = Date.now();
+    step.duration = step.startTime ? step.endTime - step.startTime : null;
+    step.error = reason;
+
+    step.bar.update(step.progress, { step: `${step.description} ⏹ Cancelled: ${reason.message}` });
+  }
+
   complete() {
     const totalDuration = Date.now() - this.startTime;
-    this.multibar.stop();
-    console.log('\n' + chalk.green('✨ Operation completed successfully'));
-    console.log(chalk.gray(`Total duration: ${this.formatDuration(totalDuration)}`));
+    this.stop();
+    console.error('\n' + chalk.green('✨ Operation completed successfully'));
+    console.error(chalk.gray(`Total duration: ${this.formatDuration(totalDuration)}`));
     this.logSummary();
   }
 
   fail(error) {
     const totalDuration = Date.now() - this.startTime;
-    this.multibar.stop();
-    console.log('\n' + chalk.red('❌ Operation failed'));
-    console.log(chalk.gray(`Total duration: ${this.formatDuration(totalDuration)}`));
+    this.stop();
+    console.error('\n' + chalk.red('❌ Operation failed'));
+    console.error(chalk.gray(`Total duration: ${this.formatDuration(totalDuration)}`));
     console.error(chalk.red('Error:'), error.message);
     this.logSummary();
   }
 
+  cancel(reason) {
+    const totalDuration = Date.now() - this.startTime;
+    this.steps.forEach(step => {
+      if (step.status === 'running') this.cancelStep(step.id, reason);
+    });
+    this.stop();
+    console.error('\n' + chalk.yellow('⏹ Operation cancelled'));
+    console.error(chalk.gray(`Total duration: ${this.formatDuration(totalDuration)}`));
+    console.error(chalk.yellow('Reason:'), reason.message);
+    this.logSummary();
+  }
+
+  stop() {
+    this.spinner?.stop();
+    this.multibar.stop();
+  }
+
   formatProgress(value, total) {
     const percentage = Math.round((value / total) * 100);
     return `${value}/${total} (${percentage}%)`;
@@ -126,45 +157,48 @@ export class ProgressTracker {
 
   logStepDetails(step) {
     if (step.result && Object.keys(step.result).length > 0) {
-      console.log(chalk.gray('  Results:'));
+      console.error(chalk.gray('  Results:'));
       Object.entries(step.result).forEach(([key, value]) => {
-        console.log(chalk.gray(`    ├─ ${key}: ${value}`));
+        console.error(chalk.gray(`    ├─ ${key}: ${value}`));
       });
     }
   }
 
   logStepError(step) {
-    console.log(chalk.red('  Error details:'));
-    console.log(chalk.red(`    ├─ Message: ${step.error.message}`));
+    console.error(chalk.red('  Error details:'));
+    console.error(chalk.red(`    ├─ Message: ${step.error.message}`));
     if (step.error.stack) {
-      console.log(chalk.gray(`    └─ Stack: ${step.error.stack.split('\n').slice(1).join('\n        ')}`));
+      console.error(chalk.gray(`    └─ Stack: ${step.error.stack.split('\n').slice(1).join('\n        ')}`));
     }
   }
 
   logSummary() {
-    console.log('\n' + chalk.blue('📊 Operation Summary:'));
+    console.error('\n' + chalk.blue('📊 Operation Summary:'));
     
     const stats = {
       total: this.steps.size,
       completed: 0,
       failed: 0,
+      cancelled: 0,
       pending: 0
     };
 
     this.steps.forEach(step => {
       const status = this.getStepStatusIcon(step.status);
       const duration = step.duration ? ` (${this.formatDuration(step.duration)})` : '';
-      console.log(`${status} ${step.description}${duration}`);
-      stats[step.status === 'completed' ? 'completed' : 
-            step.status === 'failed' ? 'failed' : 'pending']++;
+      console.error(`${status} ${step.description}${duration}`);
+      stats[['completed', 'failed', 'cancelled'].includes(step.status) ? step.status : 'pending']++;
     });
 
-    console.log('\n' + chalk.blue('📈 Statistics:'));
-    console.log(chalk.gray(`Total Steps: ${stats.total}`));
-    console.log(chalk.green(`Completed: ${stats.completed}`));
-    console.log(chalk.red(`Failed: ${stats.failed}`));
+    console.error('\n' + chalk.blue('📈 Statistics:'));
+    console.error(chalk.gray(`Total Steps: ${stats.total}`));
+    console.error(chalk.green(`Completed: ${stats.completed}`));
+    console.error(chalk.red(`Failed: ${stats.failed}`));
+    if (stats.cancelled > 0) {
+      console.error(chalk.yellow(`Cancelled: ${stats.cancelled}`));
+    }
     if (stats.pending > 0) {
-      console.log(chalk.yellow(`Pending: ${stats.pending}`));
+      console.error(chalk.yellow(`Pending: ${stats.pending}`));
     }
   }
 
@@ -173,6 +207,7 @@ export class ProgressTracker {
       case 'completed': return chalk.green('✓');
       case 'failed': return chalk.red('✗');
       case 'running': return chalk.yellow('⟳');
+      case 'cancelled': return chalk.yellow('⏹');
       default: return chalk.gray('○');
     }
   }
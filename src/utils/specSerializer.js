@@ -0,0 +1,153 @@
+import { extname } from 'path';
+import YAML from 'yaml';
+import { ValidationError } from './errors.js';
+
+export class SpecSerializer {
+  constructor() {
+    this.supportedFormats = ['json', 'yaml'];
+    this.extensions = {
+      '.json': 'json',
+      '.yaml': 'yaml',
+      '.yml': 'yaml'
+    };
+  }
+
+  detectFormat(path, content = '') {
+    const format = this.extensions[extname(path).toLowerCase()];
+    if (format) return format;
+
+    // Unknown extension: JSON documents always start with an object or array
+    return /^\s*[{[]/.test(content) ? 'json' : 'yaml';
+  }
+
+  assertFormat(format) {
+    if (!this.supportedFormats.includes(format)) {
+      throw new ValidationError(`Unknown output format: ${format}`, [
+        `Supported formats: ${this.supportedFormats.join(', ')}`
+      ]);
+    }
+  }
+
+  parse(content, format, path) {
+    try {
+      return format === 'yaml' ? YAML.parse(content, { merge: true }) : JSON.parse(content);
+    } catch (error) {
+      const position = this.locateError(content, format, error);
+      const location = position ? ` (line ${position.line}, column ${position.column})` : '';
+      const message = error.message.split('\n')[0];
+      throw new ValidationError(
+        `Invalid ${format.toUpperCase()} in ${path}${location}`,
+        [message],
+        [{
+          ruleId: 'parse-error',
+          severity: 'error',
+          message,
+          pointer: '',
+          source: { file: path, ...position }
+        }]
+      );
+    }
+  }
+
+  stringify(document, format) {
+    this.assertFormat(format);
+    return format === 'yaml'
+      ? YAML.stringify(document, { aliasDuplicateObjects: false })
+      : JSON.stringify(document, null, 2) + '\n';
+  }
+
+  extensionFor(format) {
+    return format === 'yaml' ? 'yaml' : 'json';
+  }
+
+  // Error Location
+  locateError(content, format, error) {
+    if (error.linePos) {
+      const [{ line, col }] = error.linePos;
+      return { line, column: col };
+    }
+
+    const match = /position (\d+)/.exec(error.message);
+    if (match) {
+      return this.positionToLineColumn(content, Number(match[1]));
+    }
+
+    // Some V8 versions omit the offset, so scan for the first invalid character
+    if (format === 'json') {
+      return this.positionToLineColumn(content, this.findJsonErrorOffset(content));
+    }
+
+    return null;
+  }
+
+  findJsonErrorOffset(content) {
+    let offset = 0;
+    const fail = () => { throw offset; };
+    const skipWhitespace = () => {
+      while (/\s/.test(content[offset] || '')) offset++;
+    };
+    const expect = char => {
+      if (content[offset] !== char) fail();
+      offset++;
+    };
+    const parseString = () => {
+      expect('"');
+      while (content[offset] !== '"') {
+        if (offset >= content.length || content[offset] === '\n') fail();
+        offset += content[offset] === '\\' ? 2 : 1;
+      }
+      offset++;
+    };
+    const parseValue = () => {
+      skipWhitespace();
+      const char = content[offset];
+      if (char === '{' || char === '[') {
+        const close = char === '{' ? '}' : ']';
+        offset++;
+        skipWhitespace();
+        if (content[offset] === close) {
+          offset++;
+          return;
+        }
+        while (true) {
+          if (close === '}') {
+            skipWhitespace();
+            parseString();
+            skipWhitespace();
+            expect(':');
+          }
+          parseValue();
+          skipWhitespace();
+          if (content[offset] === ',') {
+            offset++;
+            continue;
+          }
+          expect(close);
+          return;
+        }
+      }
+      if (char === '"') return parseString();
+
+      const literal = /^(?:true|false|null|-?\d+(?:\.\d+)?(?:[eE][+-]?\d+)?)/.exec(content.slice(offset));
+      if (!literal) fail();
+      offset += literal[0].length;
+    };
+
+    try {
+      parseValue();
+      skipWhitespace();
+      if (offset < content.length) fail();
+    } catch (position) {
+      if (typeof position !== 'number') throw position;
+    }
+    return offset;
+  }
+
+  positionToLineColumn(content, position) {
+    const lines = content.slice(0, position).split('\n');
+    return {
+      line: lines.length,
+      column: lines[lines.length - 1].length + 1
+    };
+  }
+}
@@ -0,0 +1,55 @@
+import { SpecSerializer } from './specSerializer.js';
+import { ValidationError } from './errors.js';
+
+describe('SpecSerializer', () => {
+  const serializer = new SpecSerializer();
+
+  const parseError = (content, format) => {
+    try {
+      serializer.parse(content, format, 'api.' + format);
+    } catch (error) {
+      return error;
+    }
+  };
+
+  it('detects the format from the extension, then from the content', () => {
+    expect(serializer.detectFormat('api.YML')).toBe('yaml');
+    expect(serializer.detectFormat('api.json', 'openapi: 3.0.3')).toBe('json');
+    expect(serializer.detectFormat('api.spec', '  {"openapi": "3.0.3"}')).toBe('json');
+    expect(serializer.detectFormat('api.spec', 'openapi: 3.0.3')).toBe('yaml');
+  });
+
+  it('parses YAML merge keys', () => {
+    const content = 'base: &base\n  type: string\nname:\n  <<: *base\n  description: Name\n';
+
+    expect(serializer.parse(content, 'yaml', 'api.yaml').name).toEqual({ type: 'string', description: 'Name' });
+  });
+
+  it('reports where JSON stops parsing', () => {
+    const error = parseError('{\n  "openapi": "3.0.3",\n  "info": }\n', 'json');
+
+    expect(error).toBeInstanceOf(ValidationError);
+    expect(error.message).toBe('Invalid JSON in api.json (line 3, column 11)');
+    expect(error.findings[0]).toMatchObject({ ruleId: 'parse-error', source: { file: 'api.json', line: 3, column: 11 } });
+  });
+
+  it('reports where YAML stops parsing', () => {
+    const error = parseError('openapi: 3.0.3\ninfo:\n  title: [Pets\n', 'yaml');
+
+    expect(error.message).toMatch(/^Invalid YAML in api.yaml \(line \d+, column \d+\)$/);
+    expect(error.findings[0].source.line).toBeGreaterThanOrEqual(3);
+  });
+
+  it('writes shared objects out in full instead of as YAML aliases', () => {
+    const schema = { type: 'string' };
+
+    const content = serializer.stringify({ a: schema, b: schema }, 'yaml');
+
+    expect(content).toBe('a:\n  type: string\nb:\n  type: string\n');
+    expect(serializer.stringify({ a: 1 }, 'json')).toBe('{\n  "a": 1\n}\n');
+  });
+
+  it('rejects unknown output formats', () => {
+    expect(() => serializer.stringify({}, 'xml')).toThrow('Unknown output format: xml');
+  });
+});
@@ -0,0 +1,131 @@
+export class TextDiff {
+  constructor(options = {}) {
+    this.context = options.context ?? 3;
+  }
+
+  // Unified diff of two texts, empty when they are equal
+  unified(before, after, options = {}) {
+    const oldLines = this.splitLines(before);
+    const newLines = this.splitLines(after);
+    const edits = this.diffLines(oldLines, newLines);
+    if (edits.every(edit => edit.type === 'equal')) return '';
+
+    const hunks = this.buildHunks(edits).map(hunk => this.formatHunk(hunk));
+    return [
+      `--- ${options.fromFile || 'a'}`,
+      `+++ ${options.toFile || 'b'}`,
+      ...hunks
+    ].join('\n');
+  }
+
+  splitLines(text) {
+    const lines = String(text).split('\n');
+    if (lines[lines.length - 1] === '') lines.pop();
+    return lines;
+  }
+
+  // Myers' O(ND) algorithm, keeping one frontier per edit distance to backtrack the edit script
+  diffLines(oldLines, newLines) {
+    const max = oldLines.length + newLines.length;
+    const offset = max + 1;
+    const frontier = new Array(2 * max + 3).fill(0);
+    const trace = [];
+
+    search:
+    for (let distance = 0; distance <= max; distance++) {
+      trace.push(frontier.slice());
+      for (let diagonal = -distance; diagonal <= distance; diagonal += 2) {
+        let x = diagonal === -distance ||
+          (diagonal !== distance && frontier[offset + diagonal - 1] < frontier[offset + diagonal + 1])
+          ? frontier[offset + diagonal + 1]
+          : frontier[offset + diagonal - 1] + 1;
+        let y = x - diagonal;
+        while (x < oldLines.length && y < newLines.length && oldLines[x] === newLines[y]) {
+          x++;
+          y++;
+        }
+        frontier[offset + diagonal] = x;
+        if (x >= oldLines.length && y >= newLines.length) break search;
+      }
+    }
+
+    return this.backtrack(trace, offset, oldLines, newLines);
+  }
+
+  backtrack(trace, offset, oldLines, newLines) {
+    const edits = [];
+    let x = oldLines.length;
+    let y = newLines.length;
+
+    for (let distance = trace.length - 1; distance >= 0; distance--) {
+      const frontier = trace[distance];
+      const diagonal = x - y;
+      const previous = diagonal === -distance ||
+        (diagonal !== distance && frontier[offset + diagonal - 1] < frontier[offset + diagonal + 1])
+        ? diagonal + 1
+        : diagonal - 1;
+      const previousX = frontier[offset + previous];
+      const previousY = previousX - previous;
+
+      while (x > previousX && y > previousY) {
+        edits.push({ type: 'equal', oldIndex: --x, newIndex: --y });
+      }
+      if (distance > 0) {
+        if (x === previousX) {
+          edits.push({ type: 'insert', newIndex: --y });
+        } else {
+          edits.push({ type: 'delete', oldIndex: --x });
+        }
+      }
+    }
+
+    return edits.reverse().map(edit => ({
+      ...edit,
+      line: edit.type === 'insert' ? newLines[edit.newIndex] : oldLines[edit.oldIndex]
+    }));
+  }
+
+  // Changes whose context lines overlap share a hunk
+  buildHunks(edits) {
+    let oldLine = 0;
+    let newLine = 0;
+    const positions = edits.map(edit => {
+      const position = { oldLine, newLine };
+      if (edit.type !== 'insert') oldLine++;
+      if (edit.type !== 'delete') newLine++;
+      return position;
+    });
+
+    const ranges = [];
+    edits.forEach((edit, index) => {
+      if (edit.type === 'equal') return;
+      const start = Math.max(0, index - this.context);
+      const end = Math.min(edits.length, index + this.context + 1);
+      const last = ranges[ranges.length - 1];
+      if (last && start <= last.end) {
+        last.end = Math.max(last.end, end);
+      } else {
+        ranges.push({ start, end });
+      }
+    });
+
+    return ranges.map(({ start, end }) => ({
+      oldStart: positions[start].oldLine,
+      newStart: positions[start].newLine,
+      edits: edits.slice(start, end)
+    }));
+  }
+
+  formatHunk(hunk) {
+    const oldCount = hunk.edits.filter(edit => edit.type !== 'insert').length;
+    const newCount = hunk.edits.filter(edit => edit.type !== 'delete').length;
+    const prefix = { equal: ' ', delete: '-', insert: '+' };
+    // Empty ranges name the line before them, as in diff -u
+    const range = (start, count) => `${count === 0 ? start : start + 1},${count}`;
+
+    return [
+      `@@ -${range(hunk.oldStart, oldCount)} +${range(hunk.newStart, newCount)} @@`,
+      ...hunk.edits.map(edit => `${prefix[edit.type]}${edit.line}`)
+    ].join('\n');
+  }
+}
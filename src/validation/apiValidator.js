@@ -1,122 +1,151 @@
+import { readFile } from 'fs/promises';
+import { dirname, resolve } from 'path';
+import { SwaggerConverter } from '../conversion/swaggerConverter.js';
 import { ValidationError } from '../utils/errors.js';
+import { SpecSerializer } from '../utils/specSerializer.js';
+import { RefResolver } from './refResolver.js';
+import { RuleEngine } from './ruleEngine.js';
+import { DefaultRuleset } from './rulesets/defaultRuleset.js';
+import { SourceMap } from './sourceMap.js';
 
 export class ApiValidator {
-  constructor() {
-    this.requiredFields = ['openapi', 'info', 'paths'];
-    this.supportedVersions = ['3.0.0', '3.0.1', '3.0.2', '3.0.3', '3.1.0'];
+  constructor(options = {}) {
+    const defaults = new DefaultRuleset();
+    this.requiredFields = defaults.requiredFields;
+    this.supportedVersions = defaults.supportedVersions;
+    this.serializer = new SpecSerializer();
+    this.converter = new SwaggerConverter();
+    this.engine = new RuleEngine();
+    this.rulesetPath = options.rulesetPath || null;
+    this.ruleset = null;
+    this.severityOverrides = options.severityOverrides || {};
+    this.coreRules = {
+      'parse-error': { severity: 'error', description: 'Specification must be valid JSON or YAML' },
+      'unresolved-ref': { severity: 'error', description: '$ref references must resolve' }
+    };
   }
 
-  validate(spec) {
-    const errors = [];
-
-    // Check required fields
-    this.requiredFields.forEach(field => {
-      if (!spec[field]) {
-        errors.push(`Missing required field: ${field}`);
-      }
+  get rules() {
+    const ruleset = this.getActiveRuleset();
+    const rules = { ...this.coreRules };
+    Object.entries(ruleset.rules).forEach(([id, rule]) => {
+      rules[id] = { severity: rule.severity, description: rule.description };
     });
+    return rules;
+  }
 
-    // Validate OpenAPI version
-    if (spec.openapi && !this.supportedVersions.includes(spec.openapi)) {
-      errors.push(`Unsupported OpenAPI version: ${spec.openapi}. Supported versions: ${this.supportedVersions.join(', ')}`);
-    }
+  getActiveRuleset() {
+    // Fall back to the default ruleset before any ruleset has been loaded
+    const ruleset = this.ruleset || this.engine.resolveDefault();
+    Object.entries(this.severityOverrides)
+      .filter(([id]) => ruleset.rules[id])
+      .forEach(([id, severity]) => {
+        ruleset.rules[id] = { ...ruleset.rules[id], severity };
+      });
+    return ruleset;
+  }
 
-    // Validate info object
-    if (spec.info) {
-      if (!spec.info.title) errors.push('Missing API title in info object');
-      if (!spec.info.version) errors.push('Missing API version in info object');
+  async loadRuleset(specPath) {
+    // .pimpapi-rules is looked up from the specification's directory upwards
+    if (!this.ruleset) {
+      this.ruleset = await this.engine.loadRuleset(this.rulesetPath, dirname(resolve(specPath)));
     }
+    return this.ruleset;
+  }
 
-    // Validate paths
-    if (spec.paths) {
-      Object.entries(spec.paths).forEach(([path, pathItem]) => {
-        this.validatePath(path, pathItem, errors);
-      });
-    }
+  async validateFile(specPath) {
+    const document = await this.lintFile(specPath);
+    this.assertValid(document.findings);
+    return document;
+  }
 
-    // Validate components if present
-    if (spec.components) {
-      this.validateComponents(spec.components, errors);
-    }
+  async lintFile(specPath) {
+    const document = await this.loadDocument(specPath);
+    await this.loadRuleset(specPath);
 
-    if (errors.length > 0) {
-      throw new ValidationError('API specification validation failed', errors);
-    }
+    // Rules with code run on the dereferenced document, JSONPath rules on the document as written
+    const findings = this.lint(document.resolved, document.spec);
+    this.locateFindings(findings, document.sourceMap);
 
-    return true;
+    return { ...document, findings };
   }
 
-  validatePath(path, pathItem, errors) {
-    const validMethods = ['get', 'post', 'put', 'delete', 'patch', 'options', 'head'];
-    
-    // Check if path has any valid methods
-    const methods = Object.keys(pathItem).filter(key => validMethods.includes(key));
-    if (methods.length === 0) {
-      errors.push(`Path ${path} has no valid HTTP methods`);
-      return;
+  async loadDocument(specPath) {
+    // Phase 1: Load Specification
+    const { spec: source, format, content } = await this.loadSpecWithFormat(specPath);
+
+    // Phase 2: Swagger 2.0 Upgrade
+    const converted = this.converter.isSwagger(source);
+    const spec = converted ? this.converter.convert(source) : source;
+
+    // Pointers only map back to the source when the document was not converted
+    const sourceMap = converted ? null : new SourceMap(content, specPath);
+
+    // Phase 3: Reference Resolution
+    const resolver = new RefResolver({ loadDocument: path => this.loadSpec(path) });
+    let resolved;
+    try {
+      resolved = await resolver.resolve(spec, specPath);
+    } catch (error) {
+      if (error instanceof ValidationError) {
+        this.locateFindings(error.findings, sourceMap);
+      }
+      throw error;
     }
 
-    // Validate each method
-    methods.forEach(method => {
-      this.validateOperation(path, method, pathItem[method], errors);
-    });
+    return { spec, resolved, format, converted, sourceMap };
   }
 
-  validateOperation(path, method, operation, errors) {
-    // Check for operation ID
-    if (!operation.operationId) {
-      errors.push(`Missing operationId for ${method.toUpperCase()} ${path}`);
-    }
+  async loadSpec(specPath) {
+    const { spec } = await this.loadSpecWithFormat(specPath);
+    return spec;
+  }
 
-    // Validate responses
-    if (!operation.responses || Object.keys(operation.responses).length === 0) {
-      errors.push(`No responses defined for ${method.toUpperCase()} ${path}`);
+  async loadSpecWithFormat(specPath) {
+    let content;
+    try {
+      content = await readFile(specPath, 'utf8');
+    } catch (error) {
+      throw new ValidationError(`Unable to read specification: ${specPath}`, [error.message]);
     }
 
-    // Validate parameters
-    if (operation.parameters) {
-      operation.parameters.forEach(param => {
-        this.validateParameter(param, path, method, errors);
-      });
-    }
+    const format = this.serializer.detectFormat(specPath, content);
+    return {
+      spec: this.serializer.parse(content, format, specPath),
+      format,
+      content
+    };
   }
 
-  validateParameter(param, path, method, errors) {
-    const requiredFields = ['name', 'in'];
-    requiredFields.forEach(field => {
-      if (!param[field]) {
-        errors.push(`Missing ${field} in parameter for ${method.toUpperCase()} ${path}`);
-      }
-    });
-
-    if (param.required && !param.schema) {
-      errors.push(`Required parameter ${param.name} has no schema defined for ${method.toUpperCase()} ${path}`);
-    }
+  validate(spec, source = spec) {
+    this.assertValid(this.lint(spec, source));
+    return true;
   }
 
-  validateComponents(components, errors) {
-    if (components.schemas) {
-      Object.entries(components.schemas).forEach(([name, schema]) => {
-        this.validateSchema(name, schema, errors);
-      });
+  assertValid(findings) {
+    const errors = findings.filter(finding => finding.severity === 'error');
+    if (errors.length > 0) {
+      throw new ValidationError(
+        'API specification validation failed',
+        errors.map(finding => finding.message),
+        findings
+      );
     }
   }
 
-  validateSchema(name, schema, errors) {
-    if (!schema.type && !schema.anyOf && !schema.oneOf && !schema.allOf) {
-      errors.push(`Schema ${name} has no type definition`);
-    }
+  lint(spec, source = spec) {
+    return this.engine.run(spec, this.getActiveRuleset(), { source });
+  }
 
-    if (schema.required && !Array.isArray(schema.required)) {
-      errors.push(`Schema ${name} has invalid required field (must be array)`);
-    }
+  // Finding Utilities
+  locateFindings(findings, sourceMap) {
+    if (!sourceMap) return;
 
-    if (schema.properties) {
-      Object.entries(schema.properties).forEach(([propName, prop]) => {
-        if (!prop.type && !prop.anyOf && !prop.oneOf && !prop.allOf) {
-          errors.push(`Property ${propName} in schema ${name} has no type definition`);
-        }
+    findings
+      .filter(finding => finding.pointer !== undefined && !finding.source?.line)
+      .filter(finding => !finding.source || resolve(finding.source.file) === resolve(sourceMap.file))
+      .forEach(finding => {
+        finding.source = sourceMap.locate(finding.pointer);
       });
-    }
   }
 }
@@ -0,0 +1,268 @@
+import { mkdtemp, rm, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { ApiValidator } from './apiValidator.js';
+import { ValidationError } from '../utils/errors.js';
+
+const specWith = paths => ({ openapi: '3.0.3', info: { title: 'Pets', version: '1.0.0' }, paths });
+const ok = { 200: { description: 'Ok' } };
+const pathParameter = (name, extra = {}) => ({ name, in: 'path', required: true, schema: { type: 'string' }, ...extra });
+const summarize = findings => findings.map(({ ruleId, pointer, message }) => ({ ruleId, pointer, message }));
+
+describe('ApiValidator', () => {
+  describe('path templates', () => {
+    it('accepts path parameters declared on the path item or the operation', () => {
+      const spec = specWith({
+        '/owners/{ownerId}/pets/{petId}': {
+          parameters: [pathParameter('ownerId')],
+          get: { operationId: 'getPet', parameters: [pathParameter('petId')], responses: ok }
+        }
+      });
+
+      expect(new ApiValidator().lint(spec)).toEqual([]);
+    });
+
+    it('reports template variables without a parameter and parameters without a variable', () => {
+      const spec = specWith({
+        '/pets/{petId}': {
+          get: { operationId: 'getPet', responses: ok },
+          put: { operationId: 'putPet', parameters: [pathParameter('petId'), pathParameter('extra')], responses: ok }
+        }
+      });
+
+      expect(summarize(new ApiValidator().lint(spec))).toEqual([
+        {
+          ruleId: 'path-parameter-declared',
+          pointer: '/paths/~1pets~1{petId}/get',
+          message: 'Path template variable {petId} has no matching path parameter for GET /pets/{petId}'
+        },
+        {
+          ruleId: 'path-parameter-used',
+          pointer: '/paths/~1pets~1{petId}/put',
+          message: 'Path parameter extra does not appear in the path template for PUT /pets/{petId}'
+        }
+      ]);
+    });
+
+    it('reports optional path parameters, duplicates and equivalent templates', () => {
+      const spec = specWith({
+        '/pets/{petId}': {
+          get: {
+            operationId: 'getPet',
+            parameters: [
+              pathParameter('petId', { required: false }),
+              { name: 'q', in: 'query', schema: { type: 'string' } },
+              { name: 'q', in: 'query', schema: { type: 'string' } }
+            ],
+            responses: ok
+          }
+        },
+        '/pets/{id}': { parameters: [pathParameter('id')], delete: { operationId: 'deletePet', responses: ok } }
+      });
+
+      expect(summarize(new ApiValidator().lint(spec))).toEqual([
+        {
+          ruleId: 'path-equivalent',
+          pointer: '/paths/~1pets~1{id}',
+          message: 'Paths /pets/{petId} and /pets/{id} are equivalent once templates are normalized'
+        },
+        {
+          ruleId: 'path-parameter-required',
+          pointer: '/paths/~1pets~1{petId}/get/parameters/0',
+          message: 'Path parameter petId must be marked required: true for GET /pets/{petId}'
+        },
+        {
+          ruleId: 'parameter-duplicate',
+          pointer: '/paths/~1pets~1{petId}/get/parameters/2',
+          message: 'Duplicate query parameter q for GET /pets/{petId}'
+        }
+      ]);
+    });
+
+    it('reports null parameter entries and skips unresolved references instead of throwing', () => {
+      const spec = specWith({
+        '/pets/{petId}': {
+          parameters: [null, { $ref: '#/components/parameters/Missing' }],
+          get: { operationId: 'getPet', parameters: [pathParameter('petId'), null], responses: ok }
+        }
+      });
+
+      expect(summarize(new ApiValidator().lint(spec)).map(({ ruleId, pointer }) => [ruleId, pointer])).toEqual([
+        ['parameter-fields', '/paths/~1pets~1{petId}/parameters/0'],
+        ['parameter-fields', '/paths/~1pets~1{petId}/parameters/0'],
+        ['parameter-fields', '/paths/~1pets~1{petId}/get/parameters/1'],
+        ['parameter-fields', '/paths/~1pets~1{petId}/get/parameters/1']
+      ]);
+    });
+  });
+
+  describe('schemas', () => {
+    const specWithSchemas = (schemas, openapi = '3.0.3') => ({ ...specWith({}), openapi, components: { schemas } });
+
+    it('reports keywords from the wrong dialect for the OpenAPI version', () => {
+      const schemas = {
+        Name: { type: ['string', 'null'] },
+        Limit: { type: 'integer', exclusiveMinimum: 0, const: 3 }
+      };
+
+      expect(summarize(new ApiValidator().lint(specWithSchemas(schemas)))).toEqual([
+        {
+          ruleId: 'schema-keyword-version',
+          pointer: '/components/schemas/Name/type',
+          message: 'Schema Name uses a type array, which OpenAPI 3.0 does not support (use nullable or oneOf)'
+        },
+        {
+          ruleId: 'schema-keyword-version',
+          pointer: '/components/schemas/Limit/const',
+          message: 'Keyword const in schema Limit is not valid in OpenAPI 3.0'
+        },
+        {
+          ruleId: 'schema-keyword-version',
+          pointer: '/components/schemas/Limit/exclusiveMinimum',
+          message: 'Keyword exclusiveMinimum in schema Limit must be a boolean in OpenAPI 3.0'
+        }
+      ]);
+      expect(new ApiValidator().lint(specWithSchemas(schemas, '3.1.0'))).toEqual([]);
+    });
+
+    it('reports undefined required properties, broken discriminators and examples that do not match', () => {
+      const schemas = {
+        Pet: {
+          type: 'object',
+          required: ['name', 'id'],
+          properties: { name: { type: 'string' }, age: { type: 'integer', minimum: 0, example: -1 } },
+          discriminator: { propertyName: 'kind', mapping: { cat: '#/components/schemas/Cat' } }
+        }
+      };
+
+      expect(new ApiValidator().lint(specWithSchemas(schemas)).map(({ ruleId, severity, message }) => [ruleId, severity, message])).toEqual([
+        ['schema-required-property', 'warn', 'Required property id is not defined in schema Pet'],
+        ['schema-discriminator', 'error', 'Discriminator property kind in schema Pet is not defined by every candidate schema'],
+        ['schema-discriminator', 'error', 'Discriminator mapping cat in schema Pet targets unknown schema #/components/schemas/Cat'],
+        ['schema-example', 'error', 'Example for schema Pet.age does not match its schema at /: Number must be at least 0']
+      ]);
+    });
+  });
+
+  describe('security', () => {
+    const specWithSecurity = (securitySchemes, security, openapi = '3.0.3') => ({
+      ...specWith({
+        '/pets': { get: { operationId: 'listPets', security: [{ missing: [] }], responses: ok } }
+      }),
+      openapi,
+      security,
+      components: { securitySchemes }
+    });
+
+    it('reports security schemes that are incomplete for their type', () => {
+      const spec = specWithSecurity({
+        key: { type: 'apiKey', in: 'body' },
+        token: { type: 'http', scheme: 'basic', bearerFormat: 'JWT' },
+        oauth: { type: 'oauth2', flows: { implicit: { scopes: { read: 'Read' } }, device: {} } },
+        mtls: { type: 'mutualTLS' }
+      }, []);
+
+      expect(summarize(new ApiValidator().lint(spec)).filter(finding => finding.ruleId === 'security-scheme')).toEqual([
+        { ruleId: 'security-scheme', pointer: '/components/securitySchemes/key', message: 'API key security scheme key has no name' },
+        { ruleId: 'security-scheme', pointer: '/components/securitySchemes/key/in', message: 'API key security scheme key must be in query, header, cookie' },
+        {
+          ruleId: 'security-scheme',
+          pointer: '/components/securitySchemes/token/bearerFormat',
+          message: 'HTTP security scheme token defines bearerFormat but its scheme is basic'
+        },
+        {
+          ruleId: 'security-scheme',
+          pointer: '/components/securitySchemes/oauth/flows/implicit',
+          message: 'OAuth2 implicit flow in security scheme oauth has no authorizationUrl'
+        },
+        {
+          ruleId: 'security-scheme',
+          pointer: '/components/securitySchemes/oauth/flows/device',
+          message: 'OAuth2 security scheme oauth has unknown flow device. Supported flows: implicit, password, clientCredentials, authorizationCode'
+        },
+        {
+          ruleId: 'security-scheme',
+          pointer: '/components/securitySchemes/mtls/type',
+          message: 'Security scheme mtls has invalid type mutualTLS. Supported types: apiKey, http, oauth2, openIdConnect'
+        }
+      ]);
+    });
+
+    it('reports requirements naming undefined schemes or undeclared scopes', () => {
+      const spec = specWithSecurity({
+        key: { type: 'apiKey', name: 'X-Key', in: 'header' },
+        oauth: { type: 'oauth2', flows: { clientCredentials: { tokenUrl: 'https://token.example.com', scopes: { read: 'Read' } } } }
+      }, [{ oauth: ['read', 'admin'] }, { key: ['role'] }]);
+
+      expect(summarize(new ApiValidator().lint(spec))).toEqual([
+        {
+          ruleId: 'security-scheme-defined',
+          pointer: '/paths/~1pets/get/security/0/missing',
+          message: 'Security requirement for GET /pets names undefined security scheme missing'
+        },
+        {
+          ruleId: 'security-scopes-declared',
+          pointer: '/security/0/oauth',
+          message: 'Scope admin used by the API is not declared by OAuth2 security scheme oauth'
+        },
+        {
+          ruleId: 'security-scopes-declared',
+          pointer: '/security/1/key',
+          message: 'Security scheme key used by the API takes no scopes in OpenAPI 3.0'
+        }
+      ]);
+    });
+
+    it('accepts mutual TLS and role names on other schemes in OpenAPI 3.1', () => {
+      const spec = specWithSecurity({
+        key: { type: 'apiKey', name: 'X-Key', in: 'header' },
+        mtls: { type: 'mutualTLS' }
+      }, [{ key: ['role'] }, { mtls: [] }], '3.1.0');
+
+      expect(new ApiValidator().lint(spec).map(finding => finding.ruleId)).toEqual(['security-scheme-defined']);
+    });
+  });
+
+  describe('findings', () => {
+    let directory;
+
+    beforeEach(async () => {
+      directory = await mkdtemp(join(tmpdir(), 'pimp-api-validator-'));
+    });
+
+    afterEach(async () => {
+      await rm(directory, { recursive: true, force: true });
+    });
+
+    it('carry a severity, a JSON pointer and the line it points to', async () => {
+      const path = join(directory, 'api.yaml');
+      await writeFile(path, 'openapi: 3.0.3\ninfo:\n  title: Pets\npaths:\n  /pets:\n    get:\n      responses: {}\n');
+
+      const { findings } = await new ApiValidator().lintFile(path);
+
+      expect(findings).toEqual(expect.arrayContaining([
+        expect.objectContaining({ ruleId: 'info-version', severity: 'error', pointer: '/info', source: { file: path, line: 2, column: 1 } }),
+        expect.objectContaining({ ruleId: 'operation-responses', severity: 'error', pointer: '/paths/~1pets/get', source: { file: path, line: 6, column: 5 } })
+      ]));
+    });
+
+    it('fail validation on errors only, with the findings attached', () => {
+      const spec = specWith({ '/pets': { get: { operationId: 'listPets', responses: ok } } });
+      const validator = new ApiValidator({ severityOverrides: { 'operation-security': 'warn' } });
+
+      expect(validator.validate(spec)).toBe(true);
+      expect(summarize(validator.lint(spec))).toEqual([{
+        ruleId: 'operation-security',
+        pointer: '/paths/~1pets/get',
+        message: 'Operation GET /pets has no effective security requirement'
+      }]);
+
+      validator.severityOverrides['operation-security'] = 'error';
+      expect(() => validator.validate(spec)).toThrow(expect.objectContaining({
+        constructor: ValidationError,
+        details: ['Operation GET /pets has no effective security requirement'],
+        findings: [expect.objectContaining({ ruleId: 'operation-security', severity: 'error' })]
+      }));
+    });
+  });
+});
@@ -0,0 +1,106 @@
+import chalk from 'chalk';
+
+export class FindingsReporter {
+  constructor(rules = {}) {
+    this.rules = rules;
+    this.supportedFormats = ['text', 'json', 'sarif'];
+    this.severityOrder = ['info', 'warn', 'error'];
+    this.sarifLevels = { error: 'error', warn: 'warning', info: 'note' };
+  }
+
+  filter(findings, minimumSeverity = 'info') {
+    const threshold = this.severityOrder.indexOf(minimumSeverity);
+    return findings.filter(finding => this.severityOrder.indexOf(finding.severity) >= threshold);
+  }
+
+  format(findings, type, options = {}) {
+    switch (type) {
+      case 'json':
+        return JSON.stringify(findings, null, 2);
+      case 'sarif':
+        return JSON.stringify(this.toSarif(findings, options), null, 2);
+      default:
+        return this.toText(findings, options);
+    }
+  }
+
+  toText(findings, options = {}) {
+    if (findings.length === 0) {
+      return chalk.green(`✓ No findings${options.file ? ` in ${options.file}` : ''}`);
+    }
+
+    const colors = { error: chalk.red, warn: chalk.yellow, info: chalk.blue };
+    const lines = findings.map(finding => {
+      const color = colors[finding.severity] || chalk.gray;
+      const location = this.formatLocation(finding, options.file);
+      return `${location ? chalk.gray(location) + ' ' : ''}${color(finding.severity.padEnd(5))} ` +
+        `${finding.message} ${chalk.gray(`[${finding.ruleId}]`)}`;
+    });
+
+    const counts = this.countBySeverity(findings);
+    lines.push('');
+    lines.push(chalk.gray(`${counts.error} error(s), ${counts.warn} warning(s), ${counts.info} info`));
+    return lines.join('\n');
+  }
+
+  formatLocation(finding, file) {
+    const source = finding.source || {};
+    const path = source.file || file;
+    if (!path) return finding.pointer ? `#${finding.pointer}` : '';
+
+    const position = source.line ? `:${source.line}:${source.column || 1}` : '';
+    return `${path}${position}${finding.pointer ? ` #${finding.pointer}` : ''}`;
+  }
+
+  countBySeverity(findings) {
+    return findings.reduce((counts, finding) => {
+      counts[finding.severity] = (counts[finding.severity] || 0) + 1;
+      return counts;
+    }, { error: 0, warn: 0, info: 0 });
+  }
+
+  toSarif(findings, options = {}) {
+    const ruleIds = Array.from(new Set(findings.map(finding => finding.ruleId)));
+
+    return {
+      $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+      version: '2.1.0',
+      runs: [{
+        tool: {
+          driver: {
+            name: 'pimp-api',
+            rules: ruleIds.map(id => ({
+              id,
+              shortDescription: { text: this.rules[id]?.description || id }
+            }))
+          }
+        },
+        results: findings.map(finding => this.toSarifResult(finding, options.file))
+      }]
+    };
+  }
+
+  toSarifResult(finding, file) {
+    const source = finding.source || {};
+    const uri = source.file || file;
+    const result = {
+      ruleId: finding.ruleId,
+      level: this.sarifLevels[finding.severity] || 'note',
+      message: { text: finding.message },
+      locations: []
+    };
+
+    if (uri) {
+      const location = { physicalLocation: { artifactLocation: { uri } } };
+      if (source.line) {
+        location.physicalLocation.region = { startLine: source.line, startColumn: source.column || 1 };
+      }
+      if (finding.pointer !== undefined) {
+        location.logicalLocations = [{ fullyQualifiedName: finding.pointer || '/', kind: 'member' }];
+      }
+      result.locations.push(location);
+    }
+
+    return result;
+  }
+}
@@ -0,0 +1,62 @@
+import { FindingsReporter } from './findingsReporter.js';
+import { SourceMap } from './sourceMap.js';
+
+const SPEC = `openapi: 3.0.3
+info:
+  title: Pets
+paths:
+  /pets/{petId}:
+    get:
+      parameters:
+        - name: petId
+          in: path
+`;
+
+const FINDINGS = [
+  { ruleId: 'info-version', severity: 'error', message: 'Missing info.version', pointer: '/info/version', source: { file: 'api.yaml', line: 2, column: 1 } },
+  { ruleId: 'operation-security', severity: 'warn', message: 'No security for GET /pets/{petId}', pointer: '/paths/~1pets~1{petId}/get' },
+  { ruleId: 'schema-example', severity: 'info', message: 'Example does not match', pointer: '' }
+];
+
+describe('SourceMap', () => {
+  const sourceMap = new SourceMap(SPEC, 'api.yaml');
+
+  it('locates a JSON pointer at its key', () => {
+    expect(sourceMap.locate('/paths/~1pets~1{petId}/get')).toEqual({ file: 'api.yaml', line: 6, column: 5 });
+    expect(sourceMap.locate('/paths/~1pets~1{petId}/get/parameters/0')).toEqual({ file: 'api.yaml', line: 8, column: 11 });
+  });
+
+  it('falls back to the nearest ancestor that exists', () => {
+    expect(sourceMap.locate('/info/version')).toEqual({ file: 'api.yaml', line: 2, column: 1 });
+  });
+});
+
+describe('FindingsReporter', () => {
+  const reporter = new FindingsReporter({ 'info-version': { description: 'info.version is required' } });
+
+  it('keeps findings at or above the minimum severity', () => {
+    expect(reporter.filter(FINDINGS, 'warn').map(finding => finding.ruleId)).toEqual(['info-version', 'operation-security']);
+    expect(reporter.filter(FINDINGS)).toHaveLength(3);
+  });
+
+  it('prints each finding with its location, severity and rule, then the counts', () => {
+    const lines = reporter.format(FINDINGS, 'text', { file: 'api.yaml' }).split('\n');
+
+    expect(lines[0]).toMatch(/^api\.yaml:2:1 #\/info\/version .*error.* Missing info\.version .*\[info-version\]/);
+    expect(lines[1]).toMatch(/^api\.yaml #\/paths\/~1pets~1\{petId\}\/get .*warn/);
+    expect(lines[lines.length - 1]).toContain('1 error(s), 1 warning(s), 1 info');
+  });
+
+  it('writes SARIF with levels, regions and JSON pointer locations', () => {
+    const sarif = JSON.parse(reporter.format(FINDINGS, 'sarif', { file: 'api.yaml' }));
+    const [run] = sarif.runs;
+
+    expect(run.tool.driver.rules[0]).toEqual({ id: 'info-version', shortDescription: { text: 'info.version is required' } });
+    expect(run.results.map(result => result.level)).toEqual(['error', 'warning', 'note']);
+    expect(run.results[0].locations[0]).toEqual({
+      physicalLocation: { artifactLocation: { uri: 'api.yaml' }, region: { startLine: 2, startColumn: 1 } },
+      logicalLocations: [{ fullyQualifiedName: '/info/version', kind: 'member' }]
+    });
+    expect(run.results[2].locations[0].logicalLocations[0].fullyQualifiedName).toBe('/');
+  });
+});
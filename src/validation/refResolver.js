@@ -0,0 +1,174 @@
+import { dirname, relative, resolve } from 'path';
+import { ValidationError } from '../utils/errors.js';
+
+export class RefResolver {
+  constructor(options = {}) {
+    this.loadDocument = options.loadDocument;
+    this.documents = new Map();
+  }
+
+  async resolve(document, sourcePath) {
+    const source = resolve(sourcePath);
+    this.documents.set(source, document);
+
+    const errors = [];
+    const resolved = await this.dereference(document, source, '', errors, new Map());
+
+    if (errors.length > 0) {
+      throw new ValidationError(
+        'Unresolved $ref references',
+        errors.map(finding => finding.message),
+        errors
+      );
+    }
+
+    return resolved;
+  }
+
+  async dereference(node, file, location, errors, cache) {
+    if (Array.isArray(node)) {
+      const items = [];
+      for (let i = 0; i < node.length; i++) {
+        items.push(await this.dereference(node[i], file, `${location}/${i}`, errors, cache));
+      }
+      return items;
+    }
+
+    if (!node || typeof node !== 'object') {
+      return node;
+    }
+
+    if (typeof node.$ref === 'string') {
+      return this.dereferenceRef(node, file, location, errors, cache);
+    }
+
+    // Every object location is resolved once, so references and their targets share one object
+    const cacheKey = `${file}#${location}`;
+    if (cache.has(cacheKey)) {
+      return cache.get(cacheKey);
+    }
+
+    const result = {};
+    cache.set(cacheKey, result);
+    for (const [key, value] of Object.entries(node)) {
+      result[key] = await this.dereference(value, file, `${location}/${this.escapePointer(key)}`, errors, cache);
+    }
+    return result;
+  }
+
+  async dereferenceRef(node, file, location, errors, cache) {
+    const { $ref, ...siblings } = node;
+    const target = await this.resolveRef($ref, file, location, errors);
+    if (!target) {
+      return node;
+    }
+
+    // Objects register themselves while resolving; other targets use a placeholder to break cycles
+    const key = `${target.file}#${target.pointer}`;
+    if (!cache.has(key) && this.isPlainObject(target.value)) {
+      await this.dereference(target.value, target.file, target.pointer, errors, cache);
+    } else if (!cache.has(key) && Array.isArray(target.value)) {
+      const placeholder = [];
+      cache.set(key, placeholder);
+      placeholder.push(...await this.dereference(target.value, target.file, target.pointer, errors, cache));
+    } else if (!cache.has(key)) {
+      // A reference to another reference resolves to the final target itself
+      cache.set(key, {});
+      cache.set(key, await this.dereference(target.value, target.file, target.pointer, errors, cache));
+    }
+
+    const resolved = cache.get(key);
+    if (Object.keys(siblings).length === 0) {
+      return resolved;
+    }
+
+    const overrides = await this.dereference(siblings, file, location, errors, cache);
+    return { ...resolved, ...overrides };
+  }
+
+  isPlainObject(value) {
+    return Boolean(value) && typeof value === 'object' && !Array.isArray(value) && typeof value.$ref !== 'string';
+  }
+
+  async resolveRef(ref, file, location, errors) {
+    const where = `${this.displayPath(file)}#${location}`;
+    const report = message => errors.push({
+      ruleId: 'unresolved-ref',
+      severity: 'error',
+      message,
+      pointer: location,
+      source: { file: this.displayPath(file) }
+    });
+    const [filePart, pointer = ''] = ref.split('#');
+
+    if (/^[a-z][a-z0-9+.-]*:/i.test(filePart)) {
+      report(`Remote $ref "${ref}" is not supported at ${where}`);
+      return null;
+    }
+
+    const targetFile = filePart ? resolve(dirname(file), decodeURI(filePart)) : file;
+
+    let document;
+    try {
+      document = await this.getDocument(targetFile);
+    } catch (error) {
+      report(`Unable to load $ref "${ref}" at ${where}: ${error.message}`);
+      return null;
+    }
+
+    const value = this.getPointer(document, pointer);
+    if (value === undefined) {
+      report(`Unresolved $ref "${ref}" at ${where}`);
+      return null;
+    }
+
+    return { file: targetFile, pointer, value };
+  }
+
+  async getDocument(path) {
+    if (!this.documents.has(path)) {
+      this.documents.set(path, await this.loadDocument(path));
+    }
+    return this.documents.get(path);
+  }
+
+  // JSON Pointer Utilities
+  getPointer(document, pointer) {
+    if (pointer === '') {
+      return document;
+    }
+    if (!pointer.startsWith('/')) {
+      return undefined;
+    }
+
+    return pointer
+      .slice(1)
+      .split('/')
+      .map(segment => this.unescapePointer(segment))
+      .reduce((value, segment) => {
+        if (value === undefined || value === null || typeof value !== 'object') return undefined;
+        return Object.prototype.hasOwnProperty.call(value, segment) ? value[segment] : undefined;
+      }, document);
+  }
+
+  escapePointer(segment) {
+    return String(segment).replace(/~/g, '~0').replace(/\//g, '~1');
+  }
+
+  unescapePointer(segment) {
+    return this.decodeSegment(segment).replace(/~1/g, '/').replace(/~0/g, '~');
+  }
+
+  // Fragments are URI-encoded, but a bare % such as in #/components/schemas/100% is kept as written
+  decodeSegment(segment) {
+    try {
+      return decodeURIComponent(segment);
+    } catch {
+      return segment;
+    }
+  }
+
+  displayPath(file) {
+    return relative(process.cwd(), file) || file;
+  }
+}
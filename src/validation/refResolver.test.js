@@ -0,0 +1,123 @@
+import { resolve } from 'path';
+import { RefResolver } from './refResolver.js';
+import { ValidationError } from '../utils/errors.js';
+
+const ROOT = resolve('/specs/api.yaml');
+
+describe('RefResolver', () => {
+  let files;
+  let loaded;
+
+  const resolver = () => new RefResolver({
+    loadDocument: async path => {
+      loaded.push(path);
+      if (!files[path]) throw new Error('ENOENT: no such file');
+      return files[path];
+    }
+  });
+
+  beforeEach(() => {
+    loaded = [];
+    files = {
+      [resolve('/specs/schemas/pet.yaml')]: {
+        Pet: { type: 'object', properties: { owner: { $ref: '../common.yaml#/Owner' }, tag: { $ref: '#/Tag' } } },
+        Tag: { type: 'string' }
+      },
+      [resolve('/specs/common.yaml')]: {
+        Owner: { type: 'object', properties: { name: { type: 'string' } } }
+      }
+    };
+  });
+
+  it('resolves local references and references into other files relative to the referencing file', async () => {
+    const document = {
+      paths: { '/pets': { get: { responses: { 200: { $ref: '#/components/responses/Pets' } } } } },
+      components: {
+        responses: { Pets: { description: 'Pets', content: { 'application/json': { schema: { $ref: 'schemas/pet.yaml#/Pet' } } } } }
+      }
+    };
+
+    const resolved = await resolver().resolve(document, ROOT);
+
+    const schema = resolved.paths['/pets'].get.responses[200].content['application/json'].schema;
+    expect(schema.properties.owner).toEqual({ type: 'object', properties: { name: { type: 'string' } } });
+    expect(schema.properties.tag).toEqual({ type: 'string' });
+    expect(resolved.paths['/pets'].get.responses[200]).toBe(resolved.components.responses.Pets);
+    expect(loaded).toEqual([resolve('/specs/schemas/pet.yaml'), resolve('/specs/common.yaml')]);
+    expect(document.paths['/pets'].get.responses[200]).toEqual({ $ref: '#/components/responses/Pets' });
+  });
+
+  it('resolves recursive schemas to the same object', async () => {
+    const document = {
+      components: { schemas: { Node: { type: 'object', properties: { children: { type: 'array', items: { $ref: '#/components/schemas/Node' } } } } } }
+    };
+
+    const resolved = await resolver().resolve(document, ROOT);
+
+    const node = resolved.components.schemas.Node;
+    expect(node.properties.children.items).toBe(node);
+  });
+
+  it('follows a reference to a reference and lets sibling keys override the target', async () => {
+    const document = {
+      components: {
+        schemas: {
+          Id: { type: 'string', description: 'An id' },
+          PetId: { $ref: '#/components/schemas/Id' },
+          OwnerId: { $ref: '#/components/schemas/PetId', description: 'The owner' }
+        }
+      }
+    };
+
+    const { components: { schemas } } = await resolver().resolve(document, ROOT);
+
+    expect(schemas.PetId).toBe(schemas.Id);
+    expect(schemas.OwnerId).toEqual({ type: 'string', description: 'The owner' });
+  });
+
+  it('keeps a bare percent sign in a pointer segment and decodes escaped ones', async () => {
+    const document = {
+      components: {
+        schemas: {
+          '100%': { type: 'integer', maximum: 100 },
+          'a b': { type: 'string' },
+          Share: { $ref: '#/components/schemas/100%' },
+          Spaced: { $ref: '#/components/schemas/a%20b' }
+        }
+      }
+    };
+
+    const { components: { schemas } } = await resolver().resolve(document, ROOT);
+
+    expect(schemas.Share).toBe(schemas['100%']);
+    expect(schemas.Spaced).toEqual({ type: 'string' });
+  });
+
+  it('reports every reference it cannot resolve at once', async () => {
+    const document = {
+      components: {
+        schemas: {
+          Missing: { $ref: '#/components/schemas/Nowhere' },
+          Remote: { $ref: 'https://example.com/pet.yaml#/Pet' },
+          Absent: { $ref: 'absent.yaml' },
+          Escaped: { $ref: '#/components/schemas/a~1b' },
+          'a/b': { type: 'string' }
+        }
+      }
+    };
+
+    const error = await resolver().resolve(document, ROOT).catch(rejection => rejection);
+
+    expect(error).toBeInstanceOf(ValidationError);
+    expect(error.details).toEqual([
+      expect.stringMatching(/^Unresolved \$ref "#\/components\/schemas\/Nowhere" at .*#\/components\/schemas\/Missing$/),
+      expect.stringMatching(/^Remote \$ref "https:\/\/example.com\/pet.yaml#\/Pet" is not supported/),
+      expect.stringMatching(/^Unable to load \$ref "absent.yaml" at .*: ENOENT: no such file$/)
+    ]);
+    expect(error.findings.map(finding => finding.pointer)).toEqual([
+      '/components/schemas/Missing',
+      '/components/schemas/Remote',
+      '/components/schemas/Absent'
+    ]);
+  });
+});
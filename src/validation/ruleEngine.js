@@ -0,0 +1,371 @@
+import { readFile } from 'fs/promises';
+import { dirname, extname, join, resolve } from 'path';
+import { pathToFileURL } from 'url';
+import { JSONPath } from 'jsonpath-plus';
+import { ValidationError } from '../utils/errors.js';
+import { SpecSerializer } from '../utils/specSerializer.js';
+import { DefaultRuleset } from './rulesets/defaultRuleset.js';
+import { RefResolver } from './refResolver.js';
+
+export class RuleEngine {
+  constructor() {
+    this.configName = '.pimpapi-rules';
+    this.severities = ['error', 'warn', 'info'];
+    this.serializer = new SpecSerializer();
+    this.refResolver = new RefResolver();
+    this.builtinRulesets = {
+      default: () => new DefaultRuleset()
+    };
+    this.functions = {
+      truthy: this.truthy.bind(this),
+      falsy: this.falsy.bind(this),
+      defined: this.defined.bind(this),
+      undefined: this.isUndefined.bind(this),
+      pattern: this.pattern.bind(this),
+      casing: this.casing.bind(this),
+      enumeration: this.enumeration.bind(this),
+      length: this.length.bind(this)
+    };
+    this.casings = {
+      camel: /^[a-z][a-zA-Z0-9]*$/,
+      pascal: /^[A-Z][a-zA-Z0-9]*$/,
+      kebab: /^[a-z][a-z0-9]*(-[a-z0-9]+)*$/,
+      snake: /^[a-z][a-z0-9]*(_[a-z0-9]+)*$/,
+      macro: /^[A-Z][A-Z0-9]*(_[A-Z0-9]+)*$/,
+      flat: /^[a-z][a-z0-9]*$/
+    };
+  }
+
+  // Ruleset Loading
+  async findConfig(cwd = process.cwd()) {
+    let directory = resolve(cwd);
+
+    while (true) {
+      const candidate = join(directory, this.configName);
+      try {
+        await readFile(candidate);
+        return candidate;
+      } catch {
+        const parent = dirname(directory);
+        if (parent === directory) return null;
+        directory = parent;
+      }
+    }
+  }
+
+  async loadRuleset(configPath = null, cwd = process.cwd()) {
+    const path = configPath || await this.findConfig(cwd);
+    if (!path) {
+      return this.resolveDefault();
+    }
+
+    const definition = await this.loadDefinition(resolve(path));
+    return this.resolveRuleset(definition, dirname(resolve(path)), [resolve(path)]);
+  }
+
+  resolveDefault() {
+    return { rules: { ...this.builtinRulesets.default().rules }, functions: { ...this.functions } };
+  }
+
+  async loadDefinition(path) {
+    if (['.js', '.mjs'].includes(extname(path))) {
+      const module = await import(pathToFileURL(path).href);
+      return module.default || module;
+    }
+
+    let content;
+    try {
+      content = await readFile(path, 'utf8');
+    } catch (error) {
+      throw new ValidationError(`Unable to read ruleset: ${path}`, [error.message]);
+    }
+
+    // Rule configs without an extension may be JSON or YAML
+    const format = extname(path) ? this.serializer.detectFormat(path, content) : this.serializer.detectFormat('', content);
+    return this.serializer.parse(content, format, path) || {};
+  }
+
+  async resolveRuleset(definition, baseDir, chain = []) {
+    const rules = {};
+    const functions = { ...this.functions };
+
+    // Phase 1: Extended Rulesets, applied in order
+    const parents = [].concat(definition.extends || []);
+    for (const parent of parents) {
+      const resolved = await this.resolveParent(parent, baseDir, chain);
+      Object.assign(rules, resolved.rules);
+      Object.assign(functions, resolved.functions);
+    }
+
+    // Phase 2: Custom Functions
+    for (const [name, modulePath] of Object.entries(definition.functions || {})) {
+      functions[name] = typeof modulePath === 'function'
+        ? modulePath
+        : await this.importDefault(resolve(baseDir, modulePath));
+    }
+
+    // Phase 3: Rule Definitions and Overrides
+    for (const [id, entry] of Object.entries(definition.rules || {})) {
+      rules[id] = await this.resolveRule(id, entry, rules[id], baseDir, functions);
+    }
+
+    return { rules, functions };
+  }
+
+  async resolveParent(parent, baseDir, chain) {
+    if (this.builtinRulesets[parent]) {
+      const ruleset = this.builtinRulesets[parent]();
+      return { rules: { ...ruleset.rules }, functions: {} };
+    }
+
+    const path = resolve(baseDir, parent);
+    if (chain.includes(path)) {
+      throw new ValidationError('Circular ruleset extends', [...chain, path]);
+    }
+
+    const definition = await this.loadDefinition(path);
+    return this.resolveRuleset(definition, dirname(path), [...chain, path]);
+  }
+
+  async resolveRule(id, entry, existing, baseDir, functions) {
+    // Toggles: "off", false, a severity, or true/"on" to restore the rule
+    if (entry === false || entry === 'off') {
+      return this.requireExisting(id, existing, { ...existing, severity: 'off' });
+    }
+    if (entry === true || entry === 'on') {
+      return this.requireExisting(id, existing, { ...existing, severity: existing?.defaultSeverity || 'error' });
+    }
+    if (this.severities.includes(entry)) {
+      return this.requireExisting(id, existing, { ...existing, severity: entry });
+    }
+
+    // JS module rules
+    if (typeof entry === 'string') {
+      const rule = await this.importDefault(resolve(baseDir, entry));
+      return this.normalizeRule(id, rule, functions);
+    }
+
+    // Overrides of an existing rule keep its implementation
+    if (existing && !entry.run && !entry.then) {
+      return { ...existing, ...entry };
+    }
+
+    return this.normalizeRule(id, entry, functions);
+  }
+
+  requireExisting(id, existing, rule) {
+    if (!existing) {
+      throw new ValidationError(`Unknown rule: ${id}`, ['Only rules from an extended ruleset can be toggled']);
+    }
+    return rule;
+  }
+
+  normalizeRule(id, rule, functions) {
+    const severity = rule.severity || 'warn';
+    if (![...this.severities, 'off'].includes(severity)) {
+      throw new ValidationError(`Invalid severity for rule ${id}: ${severity}`, [
+        `Supported severities: ${this.severities.join(', ')}, off`
+      ]);
+    }
+
+    const normalized = {
+      ...rule,
+      severity,
+      defaultSeverity: severity,
+      description: rule.description || id
+    };
+
+    if (!rule.run) {
+      if (!rule.then) {
+        throw new ValidationError(`Rule ${id} must define "run" or "then"`);
+      }
+
+      normalized.then = [].concat(rule.then).map(step => {
+        const fn = typeof step.function === 'function' ? step.function : functions[step.function];
+        if (!fn) {
+          throw new ValidationError(`Unknown function "${step.function}" in rule ${id}`, [
+            `Available functions: ${Object.keys(functions).join(', ')}`
+          ]);
+        }
+        return { ...step, function: fn };
+      });
+    }
+
+    return normalized;
+  }
+
+  async importDefault(path) {
+    const module = await import(pathToFileURL(path).href);
+    return module.default;
+  }
+
+  // Rule Execution
+  // The dereferenced document may be cyclic, so JSONPath rules query options.source, the document
+  // as written, where a recursive schema is a $ref and every match has a pointer in the file
+  run(document, ruleset, options = {}) {
+    const { source = document } = options;
+    const findings = [];
+
+    Object.entries(ruleset.rules).forEach(([id, rule]) => {
+      if (rule.severity === 'off') return;
+
+      const context = {
+        document,
+        escape: segment => this.escape(segment),
+        report: (pointer, message) => findings.push({
+          ruleId: id,
+          severity: rule.severity,
+          message,
+          pointer
+        })
+      };
+
+      if (rule.run) {
+        rule.run(document, context);
+      } else {
+        this.runDeclarative(rule, source, { ...context, resolved: document });
+      }
+    });
+
+    return findings;
+  }
+
+  runDeclarative(rule, source, context) {
+    const paths = [].concat(rule.given || '$');
+    const reported = new Set();
+    const report = (pointer, message) => {
+      const key = `${pointer}\n${message}`;
+      if (reported.has(key)) return;
+      reported.add(key);
+      context.report(pointer, message);
+    };
+
+    paths.forEach(path => {
+      JSONPath({ path, json: source, resultType: 'all' }).forEach(found => {
+        rule.then.forEach(step => {
+          // A matched $ref is checked where it points, unless the rule inspects the $ref itself
+          const match = step.field === '$ref' ? found : this.followRef(source, found);
+          const target = this.selectField(match, step.field);
+          const results = step.function(target.value, step.functionOptions || {}, {
+            document: source,
+            resolved: context.resolved,
+            path: target.pointer,
+            property: target.property
+          }) || [];
+
+          results.forEach(result => {
+            const message = this.formatMessage(rule.message || result.message || rule.description, {
+              error: result.message,
+              property: target.property,
+              path: target.pointer,
+              value: typeof target.value === 'object' ? JSON.stringify(target.value) : target.value
+            });
+            report(result.path || target.pointer, message);
+          });
+        });
+      });
+    });
+  }
+
+  // Local $refs are followed within the source document, so a parameter defined under
+  // components/parameters is checked once, at its definition, whichever operation uses it
+  followRef(source, match) {
+    const seen = new Set();
+    let current = match;
+    while (typeof current.value?.$ref === 'string' && current.value.$ref.startsWith('#') && !seen.has(current.value.$ref)) {
+      seen.add(current.value.$ref);
+      const pointer = current.value.$ref.slice(1);
+      const value = this.refResolver.getPointer(source, pointer);
+      if (value === undefined) break;
+      current = { value, pointer, parentProperty: match.parentProperty };
+    }
+    return current;
+  }
+
+  selectField(match, field) {
+    if (!field) {
+      return { value: match.value, pointer: match.pointer, property: match.parentProperty };
+    }
+    if (field === '@key') {
+      return { value: match.parentProperty, pointer: match.pointer, property: match.parentProperty };
+    }
+
+    const segments = field.split('.');
+    const value = segments.reduce((current, segment) => current?.[segment], match.value);
+    return {
+      value,
+      pointer: `${match.pointer}/${segments.map(segment => this.escape(segment)).join('/')}`,
+      property: segments[segments.length - 1]
+    };
+  }
+
+  formatMessage(template, values) {
+    return template.replace(/\{\{(\w+)\}\}/g, (placeholder, key) =>
+      values[key] !== undefined ? String(values[key]) : placeholder
+    );
+  }
+
+  escape(segment) {
+    return String(segment).replace(/~/g, '~0').replace(/\//g, '~1');
+  }
+
+  // Built-in Functions
+  truthy(value, options, context) {
+    return value ? [] : [{ message: `${context.property} must be set` }];
+  }
+
+  falsy(value, options, context) {
+    return value ? [{ message: `${context.property} must not be set` }] : [];
+  }
+
+  defined(value, options, context) {
+    return value === undefined ? [{ message: `${context.property} must be defined` }] : [];
+  }
+
+  isUndefined(value, options, context) {
+    return value === undefined ? [] : [{ message: `${context.property} must not be defined` }];
+  }
+
+  pattern(value, options) {
+    if (typeof value !== 'string') return [];
+
+    const results = [];
+    if (options.match && !new RegExp(options.match).test(value)) {
+      results.push({ message: `"${value}" must match ${options.match}` });
+    }
+    if (options.notMatch && new RegExp(options.notMatch).test(value)) {
+      results.push({ message: `"${value}" must not match ${options.notMatch}` });
+    }
+    return results;
+  }
+
+  casing(value, options) {
+    if (typeof value !== 'string') return [];
+
+    const expression = this.casings[options.type];
+    if (!expression) {
+      return [{ message: `Unknown casing type: ${options.type}` }];
+    }
+    return expression.test(value) ? [] : [{ message: `"${value}" must be ${options.type} case` }];
+  }
+
+  enumeration(value, options) {
+    if (value === undefined) return [];
+    return (options.values || []).includes(value)
+      ? []
+      : [{ message: `"${value}" must be one of: ${(options.values || []).join(', ')}` }];
+  }
+
+  length(value, options) {
+    if (value === undefined || value === null) return [];
+
+    const size = typeof value === 'object' && !Array.isArray(value) ? Object.keys(value).length : value.length;
+    if (options.min !== undefined && size < options.min) {
+      return [{ message: `Length must be at least ${options.min}` }];
+    }
+    if (options.max !== undefined && size > options.max) {
+      return [{ message: `Length must be at most ${options.max}` }];
+    }
+    return [];
+  }
+}
@@ -0,0 +1,138 @@
+import { mkdtemp, rm, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { ApiValidator } from './apiValidator.js';
+import { RuleEngine } from './ruleEngine.js';
+
+const RULESET = `rules:
+  properties-camel-case:
+    description: Property names must be camelCase
+    severity: warn
+    given: $..properties[*]~
+    then:
+      function: casing
+      functionOptions:
+        type: camel
+`;
+
+const SPEC = `openapi: 3.0.3
+info:
+  title: Users
+  version: 1.0.0
+paths:
+  /users:
+    get:
+      operationId: listUsers
+      responses:
+        '200':
+          description: All users
+          content:
+            application/json:
+              schema:
+                $ref: '#/components/schemas/User'
+components:
+  schemas:
+    User:
+      type: object
+      properties:
+        Display_Name:
+          type: string
+        friend:
+          $ref: '#/components/schemas/User'
+`;
+
+describe('RuleEngine', () => {
+  describe('declarative rules', () => {
+    let directory;
+
+    beforeEach(async () => {
+      directory = await mkdtemp(join(tmpdir(), 'pimp-api-rules-'));
+      await writeFile(join(directory, '.pimpapi-rules'), RULESET);
+      await writeFile(join(directory, 'api.yaml'), SPEC);
+    });
+
+    afterEach(async () => {
+      await rm(directory, { recursive: true, force: true });
+    });
+
+    it('run on a recursive schema and report each node once, where it is in the file', async () => {
+      const { resolved, findings } = await new ApiValidator().lintFile(join(directory, 'api.yaml'));
+
+      expect(resolved.components.schemas.User.properties.friend).toBe(resolved.components.schemas.User);
+      expect(findings.filter(finding => finding.ruleId === 'properties-camel-case')).toEqual([{
+        ruleId: 'properties-camel-case',
+        severity: 'warn',
+        message: '"Display_Name" must be camel case',
+        pointer: '/components/schemas/User/properties/Display_Name',
+        source: expect.objectContaining({ line: 21 })
+      }]);
+    });
+
+    it('query the source document while rules with code get the resolved one', () => {
+      const user = { type: 'object', properties: { Display_Name: { type: 'string' } } };
+      user.properties.friend = user;
+      const source = {
+        components: {
+          schemas: {
+            User: { type: 'object', properties: { Display_Name: { type: 'string' }, friend: { $ref: '#/components/schemas/User' } } }
+          }
+        }
+      };
+      const seen = [];
+      const ruleset = {
+        rules: {
+          'properties-camel-case': {
+            severity: 'warn',
+            given: '$..properties[*]~',
+            then: [{ function: (value, options, context) => { seen.push(context); return []; } }]
+          },
+          'resolved-friend': {
+            severity: 'info',
+            run: (document, context) => {
+              if (document.components.schemas.User.properties.friend === document.components.schemas.User) {
+                context.report('/components/schemas/User/properties/friend', 'friend is recursive');
+              }
+            }
+          }
+        }
+      };
+
+      const findings = new RuleEngine().run({ components: { schemas: { User: user } } }, ruleset, { source });
+
+      expect(seen.map(context => context.path)).toEqual([
+        '/components/schemas/User/properties/Display_Name',
+        '/components/schemas/User/properties/friend'
+      ]);
+      expect(seen[0].document).toBe(source);
+      expect(seen[0].resolved.components.schemas.User).toBe(user);
+      expect(findings).toEqual([expect.objectContaining({ ruleId: 'resolved-friend' })]);
+    });
+
+    it('check the definition a matched $ref points to, once however often it is referenced', () => {
+      const source = {
+        paths: {
+          '/pets': { get: { parameters: [{ $ref: '#/components/parameters/Limit' }, { name: 'q', in: 'query' }] } },
+          '/owners': { get: { parameters: [{ $ref: '#/components/parameters/Limit' }] } }
+        },
+        components: { parameters: { Limit: { name: 'limit', in: 'query' } } }
+      };
+      const ruleset = {
+        rules: {
+          'parameter-description': {
+            severity: 'warn',
+            message: '{{property}} must be set',
+            given: '$.paths[*][*].parameters[*]',
+            then: [{ field: 'description', function: new RuleEngine().truthy }]
+          }
+        }
+      };
+
+      const findings = new RuleEngine().run(source, ruleset, { source });
+
+      expect(findings.map(finding => finding.pointer)).toEqual([
+        '/components/parameters/Limit/description',
+        '/paths/~1pets/get/parameters/1/description'
+      ]);
+    });
+  });
+});
@@ -0,0 +1,689 @@
+import { SchemaValidator } from '../schemaValidator.js';
+
+export class DefaultRuleset {
+  constructor() {
+    this.name = 'default';
+    this.requiredFields = ['openapi', 'info', 'paths'];
+    this.supportedVersions = ['3.0.0', '3.0.1', '3.0.2', '3.0.3', '3.1.0'];
+    this.validMethods = ['get', 'post', 'put', 'delete', 'patch', 'options', 'head'];
+    this.apiKeyLocations = ['query', 'header', 'cookie'];
+    this.oauthFlows = {
+      implicit: ['authorizationUrl'],
+      password: ['tokenUrl'],
+      clientCredentials: ['tokenUrl'],
+      authorizationCode: ['authorizationUrl', 'tokenUrl']
+    };
+    this.versionKeywords = {
+      // Draft 2020-12 keywords the OAS 3.0 schema dialect does not support
+      '3.0': ['const', 'contains', 'minContains', 'maxContains', 'prefixItems', '$defs', 'if', 'then', 'else',
+        'dependentSchemas', 'dependentRequired', 'unevaluatedProperties', 'unevaluatedItems', 'propertyNames',
+        'examples'],
+      // OAS 3.0 extensions replaced by JSON Schema in 3.1
+      '3.1': ['nullable']
+    };
+    this.rules = {
+      'required-field': {
+        severity: 'error',
+        description: 'Required top-level fields must be present',
+        run: this.checkRequiredFields.bind(this)
+      },
+      'openapi-version': {
+        severity: 'error',
+        description: 'OpenAPI version must be supported',
+        run: this.checkVersion.bind(this)
+      },
+      'info-title': {
+        severity: 'error',
+        description: 'Info object must have a title',
+        run: (spec, context) => this.checkInfoField(spec, context, 'title')
+      },
+      'info-version': {
+        severity: 'error',
+        description: 'Info object must have a version',
+        run: (spec, context) => this.checkInfoField(spec, context, 'version')
+      },
+      'path-methods': {
+        severity: 'error',
+        description: 'Paths must define at least one HTTP method',
+        run: this.checkPathMethods.bind(this)
+      },
+      'path-equivalent': {
+        severity: 'error',
+        description: 'Paths must not be equivalent once templates are normalized',
+        run: this.checkPathEquivalence.bind(this)
+      },
+      'path-parameter-declared': {
+        severity: 'error',
+        description: 'Path template variables must have a matching path parameter',
+        run: this.checkPathParametersDeclared.bind(this)
+      },
+      'path-parameter-used': {
+        severity: 'error',
+        description: 'Path parameters must appear in the path template',
+        run: this.checkPathParametersUsed.bind(this)
+      },
+      'path-parameter-required': {
+        severity: 'error',
+        description: 'Path parameters must be required',
+        run: this.checkPathParametersRequired.bind(this)
+      },
+      'parameter-fields': {
+        severity: 'error',
+        description: 'Parameters must have a name and location',
+        run: this.checkParameterFields.bind(this)
+      },
+      'parameter-schema': {
+        severity: 'error',
+        description: 'Required parameters must define a schema',
+        run: this.checkParameterSchema.bind(this)
+      },
+      'parameter-duplicate': {
+        severity: 'error',
+        description: 'Parameters must be unique by name and location',
+        run: this.checkDuplicateParameters.bind(this)
+      },
+      'operation-operationId': {
+        severity: 'error',
+        description: 'Operations must have an operationId',
+        run: this.checkOperationId.bind(this)
+      },
+      'operation-responses': {
+        severity: 'error',
+        description: 'Operations must define responses',
+        run: this.checkOperationResponses.bind(this)
+      },
+      'security-scheme': {
+        severity: 'error',
+        description: 'Security schemes must be complete for their type',
+        run: this.checkSecuritySchemes.bind(this)
+      },
+      'security-scheme-defined': {
+        severity: 'error',
+        description: 'Security requirements must name a defined security scheme',
+        run: this.checkSecuritySchemesDefined.bind(this)
+      },
+      'security-scopes-declared': {
+        severity: 'error',
+        description: 'Security requirement scopes must be declared by the OAuth2 scheme',
+        run: this.checkSecurityScopes.bind(this)
+      },
+      'operation-security': {
+        // Policy rule, enabled with --require-security or in a ruleset
+        severity: 'off',
+        description: 'Operations must require authentication',
+        run: this.checkOperationSecurity.bind(this)
+      },
+      'schema-type': {
+        severity: 'error',
+        description: 'Schemas must declare a type or composition',
+        run: this.checkSchemaType.bind(this)
+      },
+      'schema-required': {
+        severity: 'error',
+        description: 'Schema required field must be an array',
+        run: this.checkSchemaRequired.bind(this)
+      },
+      'property-type': {
+        severity: 'error',
+        description: 'Schema properties must declare a type or composition',
+        run: this.checkPropertyType.bind(this)
+      },
+      'schema-keyword-version': {
+        severity: 'error',
+        description: 'Schema keywords must be valid for the declared OpenAPI version',
+        run: this.checkSchemaKeywords.bind(this)
+      },
+      'schema-required-property': {
+        severity: 'warn',
+        description: 'Schema required entries must name defined properties',
+        run: this.checkRequiredProperties.bind(this)
+      },
+      'schema-discriminator': {
+        severity: 'error',
+        description: 'Discriminators must name a defined property and map to existing schemas',
+        run: this.checkDiscriminator.bind(this)
+      },
+      'schema-example': {
+        severity: 'error',
+        description: 'Schema examples must validate against their schema',
+        run: this.checkSchemaExamples.bind(this)
+      }
+    };
+  }
+
+  // Document Rules
+  checkRequiredFields(spec, context) {
+    this.requiredFields.forEach(field => {
+      if (!spec[field]) {
+        context.report('', `Missing required field: ${field}`);
+      }
+    });
+  }
+
+  checkVersion(spec, context) {
+    if (spec.openapi && !this.supportedVersions.includes(spec.openapi)) {
+      context.report('/openapi',
+        `Unsupported OpenAPI version: ${spec.openapi}. Supported versions: ${this.supportedVersions.join(', ')}`);
+    }
+  }
+
+  checkInfoField(spec, context, field) {
+    if (spec.info && !spec.info[field]) {
+      context.report('/info', `Missing API ${field} in info object`);
+    }
+  }
+
+  // Path Rules
+  checkPathMethods(spec, context) {
+    this.eachPath(spec, (path, pathItem, pointer) => {
+      if (this.getMethods(pathItem).length === 0) {
+        context.report(pointer, `Path ${path} has no valid HTTP methods`);
+      }
+    });
+  }
+
+  checkPathEquivalence(spec, context) {
+    const normalized = new Map();
+
+    this.eachPath(spec, (path, pathItem, pointer) => {
+      const key = this.normalizePathTemplate(path);
+      if (normalized.has(key)) {
+        context.report(pointer, `Paths ${normalized.get(key)} and ${path} are equivalent once templates are normalized`);
+      } else {
+        normalized.set(key, path);
+      }
+    });
+  }
+
+  checkPathParametersDeclared(spec, context) {
+    this.eachOperation(spec, (path, method, operation, pointer, pathItem) => {
+      const declared = this.getPathParameterNames(pathItem, operation);
+      this.getTemplateVariables(path).forEach(variable => {
+        if (!declared.includes(variable)) {
+          context.report(pointer,
+            `Path template variable {${variable}} has no matching path parameter for ${method.toUpperCase()} ${path}`);
+        }
+      });
+    });
+  }
+
+  checkPathParametersUsed(spec, context) {
+    this.eachOperation(spec, (path, method, operation, pointer, pathItem) => {
+      const variables = this.getTemplateVariables(path);
+      this.getPathParameterNames(pathItem, operation).forEach(name => {
+        if (!variables.includes(name)) {
+          context.report(pointer,
+            `Path parameter ${name} does not appear in the path template for ${method.toUpperCase()} ${path}`);
+        }
+      });
+    });
+  }
+
+  // Parameter Rules
+  checkPathParametersRequired(spec, context) {
+    this.eachParameter(spec, (param, location, pointer) => {
+      if (param.in === 'path' && param.required !== true) {
+        context.report(pointer, `Path parameter ${param.name} must be marked required: true for ${location}`);
+      }
+    });
+  }
+
+  checkParameterFields(spec, context) {
+    this.eachParameter(spec, (param, location, pointer) => {
+      ['name', 'in'].forEach(field => {
+        if (!param[field]) {
+          context.report(pointer, `Missing ${field} in parameter for ${location}`);
+        }
+      });
+    });
+  }
+
+  checkParameterSchema(spec, context) {
+    this.eachParameter(spec, (param, location, pointer) => {
+      if (param.required && !param.schema && !param.content) {
+        context.report(pointer, `Required parameter ${param.name} has no schema defined for ${location}`);
+      }
+    });
+  }
+
+  checkDuplicateParameters(spec, context) {
+    const checkList = (parameters, location, pointer) => {
+      const seen = new Set();
+      parameters.forEach((param, index) => {
+        if (!param?.name || !param.in) return;
+
+        const key = `${param.in}:${param.name}`;
+        if (seen.has(key)) {
+          context.report(`${pointer}/parameters/${index}`, `Duplicate ${param.in} parameter ${param.name} for ${location}`);
+        }
+        seen.add(key);
+      });
+    };
+
+    this.eachPath(spec, (path, pathItem, pointer) => {
+      checkList(pathItem.parameters || [], `path ${path}`, pointer);
+    });
+    this.eachOperation(spec, (path, method, operation, pointer) => {
+      checkList(operation.parameters || [], `${method.toUpperCase()} ${path}`, pointer);
+    });
+  }
+
+  // Operation Rules
+  checkOperationId(spec, context) {
+    this.eachOperation(spec, (path, method, operation, pointer) => {
+      if (!operation.operationId) {
+        context.report(pointer, `Missing operationId for ${method.toUpperCase()} ${path}`);
+      }
+    });
+  }
+
+  checkOperationResponses(spec, context) {
+    this.eachOperation(spec, (path, method, operation, pointer) => {
+      if (!operation.responses || Object.keys(operation.responses).length === 0) {
+        context.report(pointer, `No responses defined for ${method.toUpperCase()} ${path}`);
+      }
+    });
+  }
+
+  // Security Rules
+  checkSecuritySchemes(spec, context) {
+    const types = ['apiKey', 'http', 'oauth2', 'openIdConnect'];
+    if (this.getSchemaVersion(spec) === '3.1') types.push('mutualTLS');
+
+    Object.entries(spec.components?.securitySchemes || {}).forEach(([name, scheme]) => {
+      const pointer = `/components/securitySchemes/${this.escape(name)}`;
+      if (!scheme || !types.includes(scheme.type)) {
+        context.report(`${pointer}/type`,
+          `Security scheme ${name} has invalid type ${scheme?.type}. Supported types: ${types.join(', ')}`);
+        return;
+      }
+
+      switch (scheme.type) {
+        case 'apiKey':
+          if (!scheme.name) {
+            context.report(pointer, `API key security scheme ${name} has no name`);
+          }
+          if (!this.apiKeyLocations.includes(scheme.in)) {
+            context.report(`${pointer}/in`,
+              `API key security scheme ${name} must be in ${this.apiKeyLocations.join(', ')}`);
+          }
+          break;
+        case 'http':
+          if (!scheme.scheme) {
+            context.report(pointer, `HTTP security scheme ${name} has no scheme`);
+          } else if (scheme.bearerFormat && scheme.scheme.toLowerCase() !== 'bearer') {
+            context.report(`${pointer}/bearerFormat`,
+              `HTTP security scheme ${name} defines bearerFormat but its scheme is ${scheme.scheme}`);
+          }
+          break;
+        case 'oauth2':
+          this.checkOAuthFlows(name, scheme, pointer, context);
+          break;
+        case 'openIdConnect':
+          if (!scheme.openIdConnectUrl) {
+            context.report(pointer, `OpenID Connect security scheme ${name} has no openIdConnectUrl`);
+          }
+          break;
+      }
+    });
+  }
+
+  checkOAuthFlows(name, scheme, pointer, context) {
+    const flows = Object.entries(scheme.flows || {});
+    if (flows.length === 0) {
+      context.report(pointer, `OAuth2 security scheme ${name} defines no flows`);
+      return;
+    }
+
+    flows.forEach(([flowName, flow]) => {
+      const flowPointer = `${pointer}/flows/${this.escape(flowName)}`;
+      if (!this.oauthFlows[flowName]) {
+        context.report(flowPointer, `OAuth2 security scheme ${name} has unknown flow ${flowName}. ` +
+          `Supported flows: ${Object.keys(this.oauthFlows).join(', ')}`);
+        return;
+      }
+
+      this.oauthFlows[flowName]
+        .filter(field => !flow?.[field])
+        .forEach(field => {
+          context.report(flowPointer, `OAuth2 ${flowName} flow in security scheme ${name} has no ${field}`);
+        });
+
+      if (!flow?.scopes || typeof flow.scopes !== 'object') {
+        context.report(flowPointer, `OAuth2 ${flowName} flow in security scheme ${name} has no scopes map`);
+      }
+    });
+  }
+
+  checkSecuritySchemesDefined(spec, context) {
+    const schemes = spec.components?.securitySchemes || {};
+
+    this.eachSecurityRequirement(spec, (name, scopes, pointer, location) => {
+      if (!schemes[name]) {
+        context.report(pointer, `Security requirement for ${location} names undefined security scheme ${name}`);
+      }
+    });
+  }
+
+  checkSecurityScopes(spec, context) {
+    const schemes = spec.components?.securitySchemes || {};
+    const version = this.getSchemaVersion(spec);
+
+    this.eachSecurityRequirement(spec, (name, scopes, pointer, location) => {
+      const scheme = schemes[name];
+      if (!scheme || !Array.isArray(scopes)) return;
+
+      if (scheme.type === 'oauth2') {
+        const declared = Object.values(scheme.flows || {}).flatMap(flow => Object.keys(flow?.scopes || {}));
+        scopes
+          .filter(scope => !declared.includes(scope))
+          .forEach(scope => {
+            context.report(pointer, `Scope ${scope} used by ${location} is not declared by OAuth2 security scheme ${name}`);
+          });
+      } else if (scheme.type !== 'openIdConnect' && version === '3.0' && scopes.length > 0) {
+        // OpenAPI 3.1 allows role names here; 3.0 requires an empty list
+        context.report(pointer, `Security scheme ${name} used by ${location} takes no scopes in OpenAPI 3.0`);
+      }
+    });
+  }
+
+  checkOperationSecurity(spec, context) {
+    this.eachOperation(spec, (path, method, operation, pointer) => {
+      const requirements = operation.security ?? spec.security ?? [];
+      const location = `${method.toUpperCase()} ${path}`;
+
+      if (requirements.length === 0) {
+        context.report(pointer, `Operation ${location} has no effective security requirement`);
+      } else if (requirements.some(requirement => Object.keys(requirement || {}).length === 0)) {
+        context.report(pointer, `Operation ${location} allows anonymous access through an empty security requirement`);
+      }
+    });
+  }
+
+  // Schema Rules
+  checkSchemaType(spec, context) {
+    this.eachSchema(spec, (name, schema, pointer) => {
+      if (!this.hasTypeDefinition(schema)) {
+        context.report(pointer, `Schema ${name} has no type definition`);
+      }
+    });
+  }
+
+  checkSchemaRequired(spec, context) {
+    this.eachSchema(spec, (name, schema, pointer) => {
+      if (schema.required && !Array.isArray(schema.required)) {
+        context.report(`${pointer}/required`, `Schema ${name} has invalid required field (must be array)`);
+      }
+    });
+  }
+
+  checkPropertyType(spec, context) {
+    this.eachNestedSchema(spec, (label, schema, pointer) => {
+      Object.entries(schema.properties || {}).forEach(([propName, prop]) => {
+        if (prop && typeof prop === 'object' && !this.hasTypeDefinition(prop)) {
+          context.report(`${pointer}/properties/${context.escape(propName)}`,
+            `Property ${propName} in schema ${label} has no type definition`);
+        }
+      });
+    });
+  }
+
+  checkSchemaKeywords(spec, context) {
+    const version = this.getSchemaVersion(spec);
+
+    this.eachNestedSchema(spec, (label, schema, pointer) => {
+      this.versionKeywords[version]
+        .filter(keyword => schema[keyword] !== undefined)
+        .forEach(keyword => {
+          context.report(`${pointer}/${context.escape(keyword)}`,
+            `Keyword ${keyword} in schema ${label} is not valid in OpenAPI ${version}`);
+        });
+
+      if (version === '3.0' && Array.isArray(schema.type)) {
+        context.report(`${pointer}/type`,
+          `Schema ${label} uses a type array, which OpenAPI 3.0 does not support (use nullable or oneOf)`);
+      }
+
+      // OAS 3.0 exclusive bounds are booleans, draft 2020-12 bounds are numbers
+      const boundType = version === '3.0' ? 'boolean' : 'number';
+      ['exclusiveMinimum', 'exclusiveMaximum']
+        .filter(keyword => schema[keyword] !== undefined && typeof schema[keyword] !== boundType)
+        .forEach(keyword => {
+          context.report(`${pointer}/${keyword}`,
+            `Keyword ${keyword} in schema ${label} must be a ${boundType} in OpenAPI ${version}`);
+        });
+    });
+  }
+
+  checkRequiredProperties(spec, context) {
+    this.eachNestedSchema(spec, (label, schema, pointer) => {
+      // Composed and open schemas may define required properties elsewhere
+      if (!Array.isArray(schema.required) || !schema.properties) return;
+      if (schema.allOf || schema.anyOf || schema.oneOf || this.isOpenObject(schema)) return;
+
+      schema.required.forEach((name, index) => {
+        if (!Object.prototype.hasOwnProperty.call(schema.properties, name)) {
+          context.report(`${pointer}/required/${index}`, `Required property ${name} is not defined in schema ${label}`);
+        }
+      });
+    });
+  }
+
+  checkDiscriminator(spec, context) {
+    const schemas = spec.components?.schemas || {};
+
+    this.eachNestedSchema(spec, (label, schema, pointer) => {
+      const discriminator = schema.discriminator;
+      if (!discriminator) return;
+
+      const propertyName = discriminator.propertyName;
+      if (!propertyName) {
+        context.report(`${pointer}/discriminator`, `Discriminator in schema ${label} has no propertyName`);
+        return;
+      }
+
+      const members = schema.oneOf || schema.anyOf || [schema];
+      if (members.some(member => !this.definesProperty(member, propertyName))) {
+        context.report(`${pointer}/discriminator/propertyName`,
+          `Discriminator property ${propertyName} in schema ${label} is not defined by every candidate schema`);
+      }
+
+      Object.entries(discriminator.mapping || {}).forEach(([value, target]) => {
+        const name = this.getMappedSchemaName(String(target));
+        // External mapping targets are left to reference resolution
+        if (name !== null && !schemas[name]) {
+          context.report(`${pointer}/discriminator/mapping/${context.escape(value)}`,
+            `Discriminator mapping ${value} in schema ${label} targets unknown schema ${target}`);
+        }
+      });
+    });
+  }
+
+  checkSchemaExamples(spec, context) {
+    const validator = new SchemaValidator({ version: spec.openapi });
+
+    this.eachNestedSchema(spec, (label, schema, pointer) => {
+      const examples = [];
+      if (schema.example !== undefined) {
+        examples.push({ value: schema.example, pointer: `${pointer}/example` });
+      }
+      if (this.getSchemaVersion(spec) === '3.1' && Array.isArray(schema.examples)) {
+        schema.examples.forEach((value, index) => examples.push({ value, pointer: `${pointer}/examples/${index}` }));
+      }
+
+      examples.forEach(example => {
+        validator.validate(example.value, schema).forEach(error => {
+          context.report(example.pointer,
+            `Example for schema ${label} does not match its schema at ${error.path || '/'}: ${error.message}`);
+        });
+      });
+    });
+  }
+
+  // Traversal Utilities
+  eachPath(spec, callback) {
+    Object.entries(spec.paths || {}).forEach(([path, pathItem]) => {
+      callback(path, pathItem || {}, `/paths/${this.escape(path)}`);
+    });
+  }
+
+  eachOperation(spec, callback) {
+    this.eachPath(spec, (path, pathItem, pointer) => {
+      this.getMethods(pathItem).forEach(method => {
+        callback(path, method, pathItem[method] || {}, `${pointer}/${method}`, pathItem);
+      });
+    });
+  }
+
+  eachParameter(spec, callback) {
+    // Unresolved references are checked by RefResolver; other non-objects reach checkParameterFields as {}
+    const each = (parameters, location, pointer) => (parameters || []).forEach((param, index) => {
+      if (param?.$ref) return;
+      callback(param && typeof param === 'object' ? param : {}, location, `${pointer}/parameters/${index}`);
+    });
+
+    this.eachPath(spec, (path, pathItem, pointer) => {
+      // Path-level parameters are only checked for paths that define operations
+      if (this.getMethods(pathItem).length === 0) return;
+
+      each(pathItem.parameters, `path ${path}`, pointer);
+    });
+    this.eachOperation(spec, (path, method, operation, pointer) => {
+      each(operation.parameters, `${method.toUpperCase()} ${path}`, pointer);
+    });
+  }
+
+  eachSchema(spec, callback) {
+    Object.entries(spec.components?.schemas || {}).forEach(([name, schema]) => {
+      // Unresolved references are checked by RefResolver
+      if (!schema || schema.$ref) return;
+      callback(name, schema, `/components/schemas/${this.escape(name)}`);
+    });
+  }
+
+  eachSecurityRequirement(spec, callback) {
+    const visit = (requirements, pointer, location) => {
+      (Array.isArray(requirements) ? requirements : []).forEach((requirement, index) => {
+        Object.entries(requirement || {}).forEach(([name, scopes]) => {
+          callback(name, scopes, `${pointer}/${index}/${this.escape(name)}`, location);
+        });
+      });
+    };
+
+    visit(spec.security, '/security', 'the API');
+    this.eachOperation(spec, (path, method, operation, pointer) => {
+      visit(operation.security, `${pointer}/security`, `${method.toUpperCase()} ${path}`);
+    });
+  }
+
+  eachNestedSchema(spec, callback) {
+    const components = spec.components?.schemas || {};
+    // Component schemas are reported at their own location rather than where they are referenced
+    const roots = new Set(Object.values(components).filter(schema => schema && typeof schema === 'object'));
+    const visited = new Set();
+
+    const walk = (schema, label, pointer) => {
+      if (!schema || typeof schema !== 'object' || Array.isArray(schema) || visited.has(schema)) return;
+      visited.add(schema);
+      callback(label, schema, pointer);
+
+      this.getSubschemas(schema, label, pointer).forEach(child => {
+        if (roots.has(child.schema)) return;
+        walk(child.schema, child.label, child.pointer);
+      });
+    };
+
+    Object.entries(components).forEach(([name, schema]) => {
+      // Unresolved references are checked by RefResolver
+      if (!schema || schema.$ref) return;
+      walk(schema, name, `/components/schemas/${this.escape(name)}`);
+    });
+  }
+
+  getSubschemas(schema, label, pointer) {
+    const children = [];
+    const add = (child, childLabel, childPointer) => children.push({ schema: child, label: childLabel, pointer: childPointer });
+
+    ['properties', 'patternProperties', '$defs', 'dependentSchemas'].forEach(keyword => {
+      Object.entries(schema[keyword] || {}).forEach(([name, child]) => {
+        const segment = keyword === 'properties' ? `.${name}` : `.${keyword}.${name}`;
+        add(child, `${label}${segment}`, `${pointer}/${keyword}/${this.escape(name)}`);
+      });
+    });
+
+    ['allOf', 'anyOf', 'oneOf', 'prefixItems'].forEach(keyword => {
+      (Array.isArray(schema[keyword]) ? schema[keyword] : []).forEach((child, index) => {
+        add(child, `${label}.${keyword}[${index}]`, `${pointer}/${keyword}/${index}`);
+      });
+    });
+
+    if (Array.isArray(schema.items)) {
+      schema.items.forEach((child, index) => add(child, `${label}[${index}]`, `${pointer}/items/${index}`));
+    } else if (schema.items) {
+      add(schema.items, `${label}[]`, `${pointer}/items`);
+    }
+
+    ['additionalProperties', 'not', 'contains', 'if', 'then', 'else', 'propertyNames',
+      'unevaluatedProperties', 'unevaluatedItems'].forEach(keyword => {
+      if (schema[keyword] && typeof schema[keyword] === 'object') {
+        add(schema[keyword], `${label}.${keyword}`, `${pointer}/${keyword}`);
+      }
+    });
+
+    return children;
+  }
+
+  getSchemaVersion(spec) {
+    return String(spec.openapi || '').startsWith('3.1') ? '3.1' : '3.0';
+  }
+
+  definesProperty(schema, name) {
+    if (!schema || typeof schema !== 'object') return false;
+    if (schema.properties && Object.prototype.hasOwnProperty.call(schema.properties, name)) return true;
+    return (schema.allOf || []).some(member => this.definesProperty(member, name));
+  }
+
+  getMappedSchemaName(target) {
+    const prefix = '#/components/schemas/';
+    if (target.startsWith(prefix)) {
+      return target.slice(prefix.length).replace(/~1/g, '/').replace(/~0/g, '~');
+    }
+    return /[#/]/.test(target) ? null : target;
+  }
+
+  isOpenObject(schema) {
+    return Boolean(schema.additionalProperties || schema.patternProperties);
+  }
+
+  getMethods(pathItem) {
+    return Object.keys(pathItem).filter(key => this.validMethods.includes(key));
+  }
+
+  getPathParameterNames(pathItem, operation) {
+    // Operation-level parameters override path-level ones with the same name and location
+    const merged = new Map();
+    [...(pathItem.parameters || []), ...(operation.parameters || [])]
+      .filter(param => param?.name && param.in)
+      .forEach(param => merged.set(`${param.in}:${param.name}`, param));
+
+    return Array.from(merged.values())
+      .filter(param => param.in === 'path')
+      .map(param => param.name);
+  }
+
+  getTemplateVariables(path) {
+    return Array.from(path.matchAll(/\{([^}]*)\}/g), match => match[1]);
+  }
+
+  normalizePathTemplate(path) {
+    return path.replace(/\{[^}]*\}/g, '{}').replace(/\/+$/, '') || '/';
+  }
+
+  hasTypeDefinition(schema) {
+    return Boolean(schema.$ref || schema.type || schema.anyOf || schema.oneOf || schema.allOf);
+  }
+
+  escape(segment) {
+    return String(segment).replace(/~/g, '~0').replace(/\//g, '~1');
+  }
+}
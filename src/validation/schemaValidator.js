@@ -0,0 +1,213 @@
+export class SchemaValidator {
+  constructor(options = {}) {
+    // OpenAPI 3.0 uses its own schema dialect, 3.1 uses JSON Schema draft 2020-12
+    this.version = options.version || '3.0.3';
+    this.maxErrors = options.maxErrors || 20;
+  }
+
+  isDraft2020() {
+    return String(this.version).startsWith('3.1');
+  }
+
+  validate(value, schema, path = '') {
+    const errors = [];
+    this.check(value, schema, path, errors);
+    return errors.slice(0, this.maxErrors);
+  }
+
+  check(value, schema, path, errors) {
+    if (schema === true || schema === undefined || schema === null) return;
+    if (schema === false) {
+      errors.push({ path, message: 'No value is allowed here' });
+      return;
+    }
+
+    // Level 1: Type and Value Constraints
+    if (!this.checkType(value, schema, path, errors)) return;
+    if (value === null) return;
+
+    if (schema.enum && !schema.enum.some(option => this.isEqual(option, value))) {
+      errors.push({ path, message: `Value must be one of: ${schema.enum.map(option => JSON.stringify(option)).join(', ')}` });
+    }
+    if (schema.const !== undefined && !this.isEqual(schema.const, value)) {
+      errors.push({ path, message: `Value must be ${JSON.stringify(schema.const)}` });
+    }
+
+    if (typeof value === 'string') this.checkString(value, schema, path, errors);
+    if (typeof value === 'number') this.checkNumber(value, schema, path, errors);
+    if (Array.isArray(value)) this.checkArray(value, schema, path, errors);
+    if (this.isObject(value)) this.checkObject(value, schema, path, errors);
+
+    // Level 2: Composition
+    this.checkComposition(value, schema, path, errors);
+  }
+
+  checkType(value, schema, path, errors) {
+    const types = [].concat(schema.type || []);
+    if (types.length === 0) return true;
+
+    if (value === null && (types.includes('null') || (!this.isDraft2020() && schema.nullable === true))) return true;
+    if (types.some(type => this.matchesType(value, type))) return true;
+
+    errors.push({ path, message: `Expected ${types.join(' or ')} but got ${this.typeOf(value)}` });
+    return false;
+  }
+
+  matchesType(value, type) {
+    switch (type) {
+      case 'integer':
+        return Number.isInteger(value);
+      case 'number':
+        return typeof value === 'number' && Number.isFinite(value);
+      case 'array':
+        return Array.isArray(value);
+      case 'object':
+        return this.isObject(value);
+      case 'null':
+        return value === null;
+      default:
+        return typeof value === type;
+    }
+  }
+
+  checkString(value, schema, path, errors) {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push({ path, message: `String must be at least ${schema.minLength} characters` });
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push({ path, message: `String must be at most ${schema.maxLength} characters` });
+    }
+    if (schema.pattern) {
+      const pattern = this.compilePattern(schema.pattern);
+      if (!pattern) {
+        errors.push({ path, message: `Pattern ${schema.pattern} is not a valid regular expression` });
+      } else if (!pattern.test(value)) {
+        errors.push({ path, message: `String must match ${schema.pattern}` });
+      }
+    }
+  }
+
+  // Specs often carry identity escapes such as \- that unicode mode rejects, so those compile without it
+  compilePattern(source) {
+    for (const flags of ['u', '']) {
+      try {
+        return new RegExp(source, flags);
+      } catch {
+        // Try the next flags
+      }
+    }
+    return null;
+  }
+
+  checkNumber(value, schema, path, errors) {
+    // OAS 3.0 uses boolean exclusive flags, draft 2020-12 uses numeric bounds
+    const exclusiveMinimum = typeof schema.exclusiveMinimum === 'number'
+      ? schema.exclusiveMinimum
+      : (schema.exclusiveMinimum === true ? schema.minimum : undefined);
+    const exclusiveMaximum = typeof schema.exclusiveMaximum === 'number'
+      ? schema.exclusiveMaximum
+      : (schema.exclusiveMaximum === true ? schema.maximum : undefined);
+
+    if (exclusiveMinimum !== undefined && value <= exclusiveMinimum) {
+      errors.push({ path, message: `Number must be greater than ${exclusiveMinimum}` });
+    } else if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push({ path, message: `Number must be at least ${schema.minimum}` });
+    }
+    if (exclusiveMaximum !== undefined && value >= exclusiveMaximum) {
+      errors.push({ path, message: `Number must be less than ${exclusiveMaximum}` });
+    } else if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push({ path, message: `Number must be at most ${schema.maximum}` });
+    }
+    if (schema.multipleOf && !Number.isInteger(value / schema.multipleOf)) {
+      errors.push({ path, message: `Number must be a multiple of ${schema.multipleOf}` });
+    }
+  }
+
+  checkArray(value, schema, path, errors) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push({ path, message: `Array must have at least ${schema.minItems} items` });
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push({ path, message: `Array must have at most ${schema.maxItems} items` });
+    }
+    if (schema.uniqueItems) {
+      const duplicate = value.findIndex((item, index) => value.slice(0, index).some(other => this.isEqual(item, other)));
+      if (duplicate !== -1) {
+        errors.push({ path: `${path}/${duplicate}`, message: 'Array items must be unique' });
+      }
+    }
+
+    const prefixItems = schema.prefixItems || [];
+    value.forEach((item, index) => {
+      const itemSchema = index < prefixItems.length ? prefixItems[index] : schema.items;
+      this.check(item, itemSchema, `${path}/${index}`, errors);
+    });
+  }
+
+  checkObject(value, schema, path, errors) {
+    const properties = schema.properties || {};
+
+    (Array.isArray(schema.required) ? schema.required : []).forEach(name => {
+      if (value[name] === undefined) {
+        errors.push({ path, message: `Missing required property ${name}` });
+      }
+    });
+
+    if (schema.minProperties !== undefined && Object.keys(value).length < schema.minProperties) {
+      errors.push({ path, message: `Object must have at least ${schema.minProperties} properties` });
+    }
+    if (schema.maxProperties !== undefined && Object.keys(value).length > schema.maxProperties) {
+      errors.push({ path, message: `Object must have at most ${schema.maxProperties} properties` });
+    }
+
+    Object.entries(value).forEach(([name, propertyValue]) => {
+      const propertyPath = `${path}/${this.escape(name)}`;
+      if (properties[name] !== undefined) {
+        this.check(propertyValue, properties[name], propertyPath, errors);
+      } else if (schema.additionalProperties === false) {
+        errors.push({ path: propertyPath, message: `Property ${name} is not allowed` });
+      } else if (this.isObject(schema.additionalProperties)) {
+        this.check(propertyValue, schema.additionalProperties, propertyPath, errors);
+      }
+    });
+  }
+
+  checkComposition(value, schema, path, errors) {
+    (schema.allOf || []).forEach(member => this.check(value, member, path, errors));
+
+    if (schema.anyOf && !schema.anyOf.some(member => this.validate(value, member, path).length === 0)) {
+      errors.push({ path, message: 'Value must match at least one anyOf schema' });
+    }
+
+    if (schema.oneOf) {
+      const matches = schema.oneOf.filter(member => this.validate(value, member, path).length === 0);
+      if (matches.length !== 1) {
+        errors.push({ path, message: `Value must match exactly one oneOf schema (matched ${matches.length})` });
+      }
+    }
+
+    if (schema.not && this.validate(value, schema.not, path).length === 0) {
+      errors.push({ path, message: 'Value must not match the "not" schema' });
+    }
+  }
+
+  // Value Utilities
+  typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (Number.isInteger(value)) return 'integer';
+    return typeof value;
+  }
+
+  isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+  }
+
+  isEqual(left, right) {
+    return JSON.stringify(left) === JSON.stringify(right);
+  }
+
+  escape(segment) {
+    return String(segment).replace(/~/g, '~0').replace(/\//g, '~1');
+  }
+}
@@ -0,0 +1,80 @@
+import { SchemaValidator } from './schemaValidator.js';
+
+describe('SchemaValidator', () => {
+  const oas30 = new SchemaValidator({ version: '3.0.3' });
+  const oas31 = new SchemaValidator({ version: '3.1.0' });
+
+  it('allows null through nullable in OpenAPI 3.0 and through a null type in 3.1', () => {
+    expect(oas30.validate(null, { type: 'string', nullable: true })).toEqual([]);
+    expect(oas31.validate(null, { type: 'string', nullable: true })).toEqual([{ path: '', message: 'Expected string but got null' }]);
+    expect(oas31.validate(null, { type: ['string', 'null'] })).toEqual([]);
+  });
+
+  it('reads exclusive bounds as booleans in OpenAPI 3.0 and as numbers in 3.1', () => {
+    expect(oas30.validate(0, { type: 'number', minimum: 0, exclusiveMinimum: true })).toEqual([
+      { path: '', message: 'Number must be greater than 0' }
+    ]);
+    expect(oas31.validate(10, { type: 'integer', exclusiveMaximum: 10 })).toEqual([
+      { path: '', message: 'Number must be less than 10' }
+    ]);
+  });
+
+  it('reports each failing property and item at its JSON pointer', () => {
+    const schema = {
+      type: 'object',
+      required: ['name', 'tags'],
+      additionalProperties: false,
+      properties: {
+        name: { type: 'string', minLength: 2, pattern: '^[a-z]+$' },
+        tags: { type: 'array', uniqueItems: true, items: { enum: ['cat', 'dog'] } },
+        'a/b': { type: 'integer', multipleOf: 5 }
+      }
+    };
+
+    expect(oas30.validate({ name: 'R', tags: ['cat', 'cow', 'cat'], 'a/b': 7, age: 3 }, schema)).toEqual([
+      { path: '/name', message: 'String must be at least 2 characters' },
+      { path: '/name', message: 'String must match ^[a-z]+$' },
+      { path: '/tags/2', message: 'Array items must be unique' },
+      { path: '/tags/1', message: 'Value must be one of: "cat", "dog"' },
+      { path: '/a~1b', message: 'Number must be a multiple of 5' },
+      { path: '/age', message: 'Property age is not allowed' }
+    ]);
+  });
+
+  it('accepts patterns with escapes that unicode mode rejects and reports patterns that never compile', () => {
+    const ssn = { type: 'string', pattern: '^\\d{3}\\-\\d{2}$' };
+
+    expect(oas30.validate('123-45', ssn)).toEqual([]);
+    expect(oas30.validate('12345', ssn)).toEqual([{ path: '', message: 'String must match ^\\d{3}\\-\\d{2}$' }]);
+    expect(oas30.validate('x', { type: 'string', pattern: '([a-z]' })).toEqual([
+      { path: '', message: 'Pattern ([a-z] is not a valid regular expression' }
+    ]);
+  });
+
+  it('checks allOf, anyOf, oneOf and not', () => {
+    const pet = {
+      oneOf: [
+        { type: 'object', required: ['bark'] },
+        { type: 'object', required: ['meow'] }
+      ],
+      not: { required: ['owner'] }
+    };
+
+    expect(oas30.validate({ bark: true }, pet)).toEqual([]);
+    expect(oas30.validate({ bark: true, meow: true }, pet)).toEqual([
+      { path: '', message: 'Value must match exactly one oneOf schema (matched 2)' }
+    ]);
+    expect(oas30.validate({ meow: true, owner: 'Ann' }, pet)).toEqual([{ path: '', message: 'Value must not match the "not" schema' }]);
+    expect(oas30.validate('x', { anyOf: [{ type: 'integer' }, { type: 'boolean' }] })).toEqual([
+      { path: '', message: 'Value must match at least one anyOf schema' }
+    ]);
+    expect(oas30.validate({}, { allOf: [{ required: ['id'] }, { required: ['name'] }] })).toHaveLength(2);
+  });
+
+  it('validates prefixItems before items, and stops after maxErrors', () => {
+    const tuple = { type: 'array', prefixItems: [{ type: 'string' }], items: { type: 'integer' } };
+
+    expect(oas31.validate(['a', 1, 'b'], tuple)).toEqual([{ path: '/2', message: 'Expected integer but got string' }]);
+    expect(new SchemaValidator({ maxErrors: 2 }).validate([1, 2, 3], { items: { type: 'string' } })).toHaveLength(2);
+  });
+});
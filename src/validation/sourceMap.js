@@ -0,0 +1,42 @@
+import YAML from 'yaml';
+
+export class SourceMap {
+  constructor(content, file) {
+    this.file = file;
+    this.lineCounter = new YAML.LineCounter();
+    this.document = YAML.parseDocument(content, { lineCounter: this.lineCounter });
+  }
+
+  // Find the line/column of a JSON pointer, falling back to its nearest existing ancestor
+  locate(pointer) {
+    const segments = pointer === ''
+      ? []
+      : pointer.slice(1).split('/').map(segment => segment.replace(/~1/g, '/').replace(/~0/g, '~'));
+
+    let node = this.document.contents;
+    let located = node;
+
+    for (const segment of segments) {
+      if (YAML.isMap(node)) {
+        const pair = node.items.find(item => String(YAML.isScalar(item.key) ? item.key.value : item.key) === segment);
+        if (!pair) break;
+        located = pair.key;
+        node = pair.value;
+      } else if (YAML.isSeq(node)) {
+        const item = node.items[Number(segment)];
+        if (!item) break;
+        located = item;
+        node = item;
+      } else {
+        break;
+      }
+    }
+
+    if (!located || !located.range) {
+      return { file: this.file };
+    }
+
+    const { line, col } = this.lineCounter.linePos(located.range[0]);
+    return { file: this.file, line, column: col };
+  }
+}
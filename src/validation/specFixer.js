@@ -0,0 +1,286 @@
+import YAML, { isAlias, isMap, isScalar, isSeq } from 'yaml';
+import { DefaultRuleset } from './rulesets/defaultRuleset.js';
+
+export class SpecFixer {
+  constructor() {
+    // Traversal is shared with the rules, so fixes cover exactly what the findings report
+    this.ruleset = new DefaultRuleset();
+    this.keyOrder = {
+      document: ['openapi', 'info', 'jsonSchemaDialect', 'servers', 'security', 'tags', 'externalDocs', 'paths', 'webhooks', 'components'],
+      pathItem: ['summary', 'description', 'servers', 'parameters', 'get', 'put', 'post', 'delete', 'options', 'head', 'patch', 'trace'],
+      operation: ['tags', 'summary', 'description', 'externalDocs', 'operationId', 'parameters', 'requestBody', 'responses', 'callbacks', 'deprecated', 'security', 'servers'],
+      components: ['schemas', 'responses', 'parameters', 'examples', 'requestBodies', 'headers', 'securitySchemes', 'links', 'callbacks', 'pathItems']
+    };
+  }
+
+  // Fixes work on the source document, before reference resolution, so they can be written back
+  fix(spec) {
+    const document = structuredClone(spec);
+    const fixes = [];
+    const report = (ruleId, pointer, message, details = {}) => fixes.push({ ruleId, pointer, message, ...details });
+
+    // Phase 1: Paths first, so generated operationIds use the normalized path
+    this.normalizePaths(document, report);
+
+    // Phase 2: Rule Fixes
+    this.addOperationIds(document, report);
+    this.requirePathParameters(document, report);
+    this.inferSchemaTypes(document, report);
+
+    // Phase 3: Canonical Key Order
+    if (this.sortKeys(document)) {
+      report('sorted-keys', '', 'Sorted paths, operations, responses and components into canonical order');
+    }
+
+    return { document, fixes };
+  }
+
+  // YAML is fixed through its document model: the fixed values are written into the parsed nodes,
+  // so comments, quoting and flow style survive everywhere the fixes did not change
+  fixYaml(content) {
+    const source = YAML.parseDocument(content, { merge: true });
+    const original = source.toJS();
+    const { document, fixes } = this.fix(original);
+
+    if (fixes.length === 0) {
+      return { content, document, fixes };
+    }
+
+    this.renamePaths(source, fixes);
+    this.syncNode(source, source.contents, document, original);
+    return { content: String(source), document, fixes };
+  }
+
+  renamePaths(source, fixes) {
+    const paths = source.get('paths', true);
+    fixes.filter(fix => fix.ruleId === 'path-normalized').forEach(fix => {
+      const pair = paths.items.find(item => this.keyOf(item) === fix.from);
+      if (isScalar(pair.key)) {
+        pair.key.value = fix.to;
+      } else {
+        pair.key = source.createNode(fix.to);
+      }
+    });
+  }
+
+  // Returns false when the node cannot hold the value, so the caller replaces it
+  syncNode(source, node, value, previous) {
+    if (isAlias(node)) return true;
+    if ((node === null || node === undefined) && value === null) return true;
+
+    if (isMap(node) && this.isObject(value)) {
+      const before = this.isObject(previous) ? previous : {};
+      Object.entries(value).forEach(([key, entry]) => {
+        const pair = node.items.find(item => this.keyOf(item) === key);
+        if (!pair) {
+          node.items.push(source.createPair(key, entry));
+        } else if (!this.syncNode(source, pair.value, entry, before[key])) {
+          pair.value = source.createNode(entry);
+        }
+      });
+
+      // Only maps the fixes reordered are reordered, since integer-like keys always enumerate first
+      const order = Object.keys(value);
+      if (order.join('\n') !== Object.keys(before).join('\n')) {
+        const rank = pair => order.indexOf(this.keyOf(pair));
+        node.items.sort((left, right) => rank(left) - rank(right));
+      }
+      return true;
+    }
+
+    if (isSeq(node) && Array.isArray(value)) {
+      value.forEach((entry, index) => {
+        if (index >= node.items.length) {
+          node.items.push(source.createNode(entry));
+        } else if (!this.syncNode(source, node.items[index], entry, previous?.[index])) {
+          node.items[index] = source.createNode(entry);
+        }
+      });
+      return true;
+    }
+
+    if (isScalar(node) && (value === null || typeof value !== 'object')) {
+      if (node.value !== value) node.value = value;
+      return true;
+    }
+
+    return false;
+  }
+
+  keyOf(pair) {
+    return String(isScalar(pair.key) ? pair.key.value : pair.key);
+  }
+
+  normalizePaths(document, report) {
+    if (!document.paths || typeof document.paths !== 'object') return;
+
+    const paths = {};
+    Object.entries(document.paths).forEach(([path, pathItem]) => {
+      const normalized = this.normalizePath(path);
+      // A normalized path that collides with another one is left for path-equivalent to report
+      if (normalized !== path && !Object.prototype.hasOwnProperty.call(document.paths, normalized) && !paths[normalized]) {
+        paths[normalized] = pathItem;
+        report('path-normalized', `/paths/${this.ruleset.escape(normalized)}`, `Normalized path ${path} to ${normalized}`, {
+          from: path,
+          to: normalized
+        });
+      } else {
+        paths[path] = pathItem;
+      }
+    });
+    document.paths = paths;
+  }
+
+  normalizePath(path) {
+    const collapsed = `/${path.trim()}`.replace(/\/{2,}/g, '/');
+    return collapsed.length > 1 ? collapsed.replace(/\/+$/, '') : collapsed;
+  }
+
+  addOperationIds(document, report) {
+    const used = new Set();
+    this.ruleset.eachOperation(document, (path, method, operation) => {
+      if (operation.operationId) used.add(operation.operationId);
+    });
+
+    this.ruleset.eachOperation(document, (path, method, operation, pointer) => {
+      if (operation.operationId) return;
+
+      const base = this.generateOperationId(method, path);
+      let operationId = base;
+      for (let index = 2; used.has(operationId); index++) {
+        operationId = `${base}${index}`;
+      }
+      used.add(operationId);
+      operation.operationId = operationId;
+      report('operation-operationId', `${pointer}/operationId`,
+        `Added operationId ${operationId} for ${method.toUpperCase()} ${path}`);
+    });
+  }
+
+  // GET /pets/{petId}/toys becomes getPetsByPetIdToys
+  generateOperationId(method, path) {
+    const segments = path.split('/').filter(Boolean).map(segment => segment.replace(/^\{(.*)\}$/, 'by $1'));
+    const words = [method, ...(segments.length > 0 ? segments : ['root'])]
+      .join(' ')
+      .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+      .split(/[^A-Za-z0-9]+/)
+      .filter(Boolean);
+
+    return words
+      .map((word, index) => index === 0 ? word.toLowerCase() : word[0].toUpperCase() + word.slice(1))
+      .join('');
+  }
+
+  requirePathParameters(document, report) {
+    const fix = (param, location, pointer) => {
+      if (param?.in !== 'path' || param.required === true) return;
+      param.required = true;
+      report('path-parameter-required', `${pointer}/required`, `Marked path parameter ${param.name} required for ${location}`);
+    };
+
+    this.ruleset.eachParameter(document, fix);
+    Object.entries(document.components?.parameters || {}).forEach(([name, param]) => {
+      fix(param, `component ${name}`, `/components/parameters/${this.ruleset.escape(name)}`);
+    });
+  }
+
+  inferSchemaTypes(document, report) {
+    const fix = (schema, pointer, ruleId, label) => {
+      if (!schema || typeof schema !== 'object' || this.ruleset.hasTypeDefinition(schema)) return;
+
+      const type = this.inferType(schema);
+      if (!type) return;
+      this.prependKey(schema, 'type', type);
+      report(ruleId, `${pointer}/type`, `Inferred type ${type} for ${label} from its example`);
+    };
+
+    this.ruleset.eachSchema(document, (name, schema, pointer) => {
+      fix(schema, pointer, 'schema-type', `schema ${name}`);
+    });
+    this.ruleset.eachNestedSchema(document, (label, schema, pointer) => {
+      Object.entries(schema.properties || {}).forEach(([propName, prop]) => {
+        fix(prop, `${pointer}/properties/${this.ruleset.escape(propName)}`, 'property-type', `property ${propName} in schema ${label}`);
+      });
+    });
+  }
+
+  // Numbers become number rather than integer, which an integer example alone does not prove
+  inferType(schema) {
+    const example = schema.example !== undefined
+      ? schema.example
+      : (Array.isArray(schema.examples) ? schema.examples[0] : undefined);
+
+    if (example === undefined || example === null) return null;
+    if (Array.isArray(example)) return 'array';
+    return ['string', 'number', 'boolean', 'object'].find(type => typeof example === type) || null;
+  }
+
+  // Key Ordering
+  sortKeys(document) {
+    let changed = this.reorder(document, this.byList(this.keyOrder.document));
+
+    if (this.isObject(document.paths)) {
+      changed = this.reorder(document.paths, (left, right) => this.compareStrings(left, right)) || changed;
+      Object.values(document.paths).filter(pathItem => this.isObject(pathItem)).forEach(pathItem => {
+        changed = this.reorder(pathItem, this.byList(this.keyOrder.pathItem)) || changed;
+        this.ruleset.getMethods(pathItem).forEach(method => {
+          changed = this.sortOperation(pathItem[method]) || changed;
+        });
+      });
+    }
+
+    if (this.isObject(document.components)) {
+      changed = this.reorder(document.components, this.byList(this.keyOrder.components)) || changed;
+      Object.values(document.components).filter(section => this.isObject(section)).forEach(section => {
+        changed = this.reorder(section, (left, right) => this.compareStrings(left, right)) || changed;
+      });
+    }
+
+    return changed;
+  }
+
+  sortOperation(operation) {
+    if (!this.isObject(operation)) return false;
+
+    let changed = this.reorder(operation, this.byList(this.keyOrder.operation));
+    if (this.isObject(operation.responses)) {
+      // Status codes in ascending order, with default last
+      changed = this.reorder(operation.responses, (left, right) =>
+        (left === 'default') - (right === 'default') || this.compareStrings(left, right)) || changed;
+    }
+    return changed;
+  }
+
+  // Unknown keys, such as extensions, keep their relative order after the known ones
+  byList(order) {
+    const rank = key => (order.includes(key) ? order.indexOf(key) : order.length);
+    return (left, right) => rank(left) - rank(right);
+  }
+
+  reorder(object, compare) {
+    const keys = Object.keys(object);
+    const sorted = [...keys].sort(compare);
+    if (sorted.every((key, index) => key === keys[index])) return false;
+
+    const entries = sorted.map(key => [key, object[key]]);
+    keys.forEach(key => delete object[key]);
+    entries.forEach(([key, value]) => { object[key] = value; });
+    // Integer-like keys such as status codes always enumerate first, whatever the insertion order
+    return Object.keys(object).some((key, index) => key !== keys[index]);
+  }
+
+  prependKey(object, key, value) {
+    const entries = Object.entries(object);
+    Object.keys(object).forEach(existing => delete object[existing]);
+    object[key] = value;
+    entries.forEach(([existing, entry]) => { object[existing] = entry; });
+  }
+
+  compareStrings(left, right) {
+    return left < right ? -1 : left > right ? 1 : 0;
+  }
+
+  isObject(value) {
+    return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+  }
+}
@@ -0,0 +1,106 @@
+import YAML from 'yaml';
+import { SpecFixer } from './specFixer.js';
+
+const SPEC = `# Pets API
+openapi: 3.0.3
+info: {title: Pets, version: '1.0.0'}  # inline info
+paths:
+  # the pets collection
+  /pets/:
+    get:
+      responses:
+        default: {description: Error}
+        '200':
+          description: ok   # fine
+  /pets/{petId}:
+    parameters:
+      - {name: petId, in: path, schema: {type: string}}
+    get:
+      operationId: getPet
+      responses:
+        '200': {description: ok}
+components:
+  schemas:
+    Pet:
+      example: {name: Rex}
+      properties:
+        # the name
+        name: {example: Rex}
+`;
+
+describe('SpecFixer', () => {
+  describe('fixYaml', () => {
+    it('applies the same fixes as fix()', () => {
+      const { content, document, fixes } = new SpecFixer().fixYaml(SPEC);
+
+      expect(YAML.parse(content)).toEqual(document);
+      expect(document).toEqual(new SpecFixer().fix(YAML.parse(SPEC)).document);
+      expect(fixes.map(fix => fix.ruleId)).toEqual([
+        'path-normalized', 'operation-operationId', 'path-parameter-required', 'schema-type', 'property-type', 'sorted-keys'
+      ]);
+    });
+
+    it('keeps comments and flow style', () => {
+      const { content } = new SpecFixer().fixYaml(SPEC);
+
+      expect(content).toBe(`# Pets API
+openapi: 3.0.3
+info: { title: Pets, version: '1.0.0' } # inline info
+paths:
+  # the pets collection
+  /pets:
+    get:
+      operationId: getPets
+      responses:
+        '200':
+          description: ok # fine
+        default: { description: Error }
+  /pets/{petId}:
+    parameters:
+      - { name: petId, in: path, schema: { type: string }, required: true }
+    get:
+      operationId: getPet
+      responses:
+        '200': { description: ok }
+components:
+  schemas:
+    Pet:
+      type: object
+      example: { name: Rex }
+      properties:
+        # the name
+        name: { type: string, example: Rex }
+`);
+    });
+
+    it('leaves a document without fixes unchanged', () => {
+      const spec = `openapi: 3.0.3 # version
+info: {title: Pets, version: '1'}
+paths: {}
+`;
+
+      expect(new SpecFixer().fixYaml(spec)).toMatchObject({ content: spec, fixes: [] });
+    });
+
+    it('does not reorder maps the fixes did not sort', () => {
+      const spec = `openapi: 3.0.3
+info:
+  title: Pets
+  version: '1'
+  x-codes:
+    default: fallback
+    404: missing
+paths:
+  /pets:
+    get:
+      responses:
+        '200': {description: ok}
+`;
+
+      const { content } = new SpecFixer().fixYaml(spec);
+
+      expect(content).toContain('  x-codes:\n    default: fallback\n    404: missing\n');
+      expect(content).toContain('      operationId: getPets\n');
+    });
+  });
+});